@@ -0,0 +1,139 @@
+// scripts/award-concurrency.js
+//
+// Concurrency harness for services/awards.js: fires hundreds of parallel award events for one user
+// and checks that no increment is lost and every award is granted exactly once.
+//
+//   MONGODB_URI=mongodb://localhost:27017 npm run check:award-concurrency
+//
+// Runs against a throwaway database (AWARD_HARNESS_DB, default "logic_soul_award_harness") that is
+// dropped afterwards. Refuses to run against the app database configured in MONGODB_DB_NAME / MONGODB_DB.
+
+import { MongoClient, ObjectId } from "mongodb";
+import { applyAwardEvent } from "../services/awards.js";
+
+const uri = process.env.MONGODB_URI;
+const harnessDbName = process.env.AWARD_HARNESS_DB || "logic_soul_award_harness";
+const PARALLEL = Number(process.env.AWARD_HARNESS_PARALLEL) || 300;
+const DATE_KEY = "2026-01-15";
+
+if (!uri) {
+  console.error("MONGODB_URI is required");
+  process.exit(2);
+}
+if ([process.env.MONGODB_DB_NAME, process.env.MONGODB_DB].includes(harnessDbName)) {
+  console.error(`Refusing to run against the app database '${harnessDbName}'`);
+  process.exit(2);
+}
+
+const failures = [];
+function check(label, ok, detail) {
+  console.log(`${ok ? "PASS" : "FAIL"}  ${label}${ok ? "" : `  (${detail})`}`);
+  if (!ok) failures.push(label);
+}
+
+async function freshUser(db, awardTallies = {}) {
+  const r = await db.collection("users").insertOne({ awards: [], awardTallies, createdAt: new Date() });
+  return String(r.insertedId);
+}
+
+async function loadUser(db, userId) {
+  return db.collection("users").findOne({ _id: new ObjectId(userId) });
+}
+
+function countKeys(list) {
+  const counts = {};
+  for (const k of list) counts[k] = (counts[k] || 0) + 1;
+  return counts;
+}
+
+async function parallelIncrements(db) {
+  const userId = await freshUser(db);
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL }, () =>
+      applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: 1, dateKey: DATE_KEY })
+    )
+  );
+
+  const user = await loadUser(db, userId);
+  check(`${PARALLEL} parallel +1 → tally ${PARALLEL}`, user.awardTallies.mealsLogged === PARALLEL, user.awardTallies.mealsLogged);
+
+  const day = await db.collection("user_award_events").findOne({ userId: user._id, eventKey: "mealsLogged", dateKey: DATE_KEY });
+  check(`per-day count ${PARALLEL}`, day?.count === PARALLEL, day?.count);
+
+  const stored = countKeys(user.awards.map((a) => a.key));
+  const reported = countKeys(results.flatMap((r) => r?.newlyEarned || []).map((a) => a.key));
+  for (const key of ["first_meal_logged", "ten_meals_logged", "onehundred_meals_logged"]) {
+    check(`${key} stored once`, stored[key] === 1, stored[key] || 0);
+    check(`${key} reported as newly earned once`, reported[key] === 1, reported[key] || 0);
+  }
+}
+
+async function mixedIncrementsAndDecrements(db) {
+  const start = 100;
+  const ups = PARALLEL;
+  const downs = Math.floor(PARALLEL / 3);
+  const userId = await freshUser(db, { mealsLogged: start });
+
+  await Promise.all([
+    ...Array.from({ length: ups }, () => applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: 1 })),
+    ...Array.from({ length: downs }, () => applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: -1 })),
+  ]);
+
+  const user = await loadUser(db, userId);
+  const expected = start + ups - downs;
+  check(`mixed +${ups}/-${downs} from ${start} → ${expected}`, user.awardTallies.mealsLogged === expected, user.awardTallies.mealsLogged);
+}
+
+async function clampAtZero(db) {
+  const userId = await freshUser(db, { mealsLogged: 5 });
+  await Promise.all(Array.from({ length: 50 }, () => applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: -1 })));
+
+  const user = await loadUser(db, userId);
+  check("parallel decrements clamp at 0", user.awardTallies.mealsLogged === 0, user.awardTallies.mealsLogged);
+}
+
+async function parallelMaxEvents(db) {
+  const userId = await freshUser(db);
+  const values = Array.from({ length: PARALLEL }, (_, i) => (i * 37) % 41);
+  const results = await Promise.all(
+    values.map((v) => applyAwardEvent(db, { userId }, { eventKey: "adherenceBestStreak", max: v }))
+  );
+
+  const user = await loadUser(db, userId);
+  check("max events keep the largest value", user.awardTallies.adherenceBestStreak === Math.max(...values), user.awardTallies.adherenceBestStreak);
+
+  const reported = countKeys(results.flatMap((r) => r?.newlyEarned || []).map((a) => a.key));
+  for (const key of ["adherence_streak_3", "adherence_streak_7", "adherence_streak_30"]) {
+    check(`${key} reported as newly earned once`, reported[key] === 1, reported[key] || 0);
+  }
+}
+
+async function main() {
+  const client = new MongoClient(uri, { maxPoolSize: 50 });
+  await client.connect();
+  const db = client.db(harnessDbName);
+
+  try {
+    await db.dropDatabase();
+    await db.collection("user_award_events").createIndex({ userId: 1, eventKey: 1, dateKey: 1 }, { unique: true });
+
+    await parallelIncrements(db);
+    await mixedIncrementsAndDecrements(db);
+    await clampAtZero(db);
+    await parallelMaxEvents(db);
+  } finally {
+    await db.dropDatabase().catch(() => {});
+    await client.close();
+  }
+
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log("\nAll award concurrency checks passed");
+}
+
+main().catch((err) => {
+  console.error("[AwardConcurrency] Error:", err);
+  process.exit(1);
+});
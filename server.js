@@ -8,21 +8,62 @@ isBarcodeLockedParsedMealItem, normalizeBarcodeTo16, coerceUserIdValue } from ".
 import { findBestMatchesForMealItems, enrichMealSearchResultWithUSDAEquivalent } from "./services/mealSearch.js";
 import { buildUserEnrichedDoc, ensureSimpleIngredientsFromParsedList} from "./services/enrich.js";
 import { deleteUserAndAllData, ensureUser, updateUserProfile, patchUserDailyTotals, storeUserEnergySamples, 
-  upsertUserEnergySnapshotForDate, addRecoveryEmail, verifyRecoveryEmail, recoverAccount, findUserIdByDeviceId, isValidDateKey, dateFromDateKeyUTC, 
+  upsertUserEnergySnapshotForDate, addRecoveryEmail, verifyRecoveryEmail, requestAccountRecoveryCode, recoverAccount, findUserIdByDeviceId, isValidDateKey, dateFromDateKeyUTC, 
   dateKeyFromDateUTC, addDaysDateKeyUTC, computeLogicalDateKeyFromLoggedAt, getFavoritesForRequest,
   getUserDailyGoals, seedUserDailyGoals, patchUserDailyGoals } from "./services/users.js";
-import { logUserMeal, recomputeDailyNutritionTotals, getUserMealsForDate, deleteUserMeal} from "./services/userMeals.js";
+import { logUserMeal, getUserMealsForDate, deleteUserMeal, updateUserMeal,
+  normalizeMealItemsForUSDAEquivalent, normalizeMealItemsForNormalizedQuantity } from "./services/userMeals.js";
 import { getFoodDetails, attachUSDAEquivalentFoodIdToCandidates, attachUSDAEquivalentFoodIdToDoc, chooseBestCanadianDocForUPC,
   fetchBestDocForBarcode, makeBarcodeLockedCandidateFromDoc, applyIngredientMicronutrientEstimates } from "./services/foodDetails.js";
 import { getUserFavoritesByUserId, addUserFavoriteByUserId, deleteUserFavoriteByUserId,} from "./services/favorites.js";
-import { storeUserCorrelationPack, runCorrelationEngineAndPromoteForUser, fetchUserDayAnalysisPack, getUserCorrelationProgress,
+import { storeUserCorrelationPack, enqueueCorrelationRun, reapInterruptedCorrelationJobStatuses, fetchUserDayAnalysisPack, getUserCorrelationProgress,
   markCorrelationRevealForUser, fetchUserCorrelationJobStatus, saveUserCorrelationRevealSnapshot,
-  fetchUserCorrelationRevealHistory } from "./services/userAnalysis.js";
-import { getAwardsForUser, applyAwardEvent } from "./services/awards.js";
+  fetchUserCorrelationRevealHistory, getUserGoalAdherence, mergeLegacyLagCorrelationRows,
+  listUserCorrelationRuns, getCorrelationDoseResponse, CORRELATION_LIFECYCLE_STATES, currentCorrelationLifecycleState } from "./services/userAnalysis.js";
+import { startCorrelationScheduler, runCorrelationSchedulerPass } from "./services/correlationScheduler.js";
+import { getCorrelationEvidence } from "./services/correlationEvidence.js";
+import { assertMailTransportConfigured } from "./services/mailer.js";
+import {
+  recordCorrelationFeedback,
+  summarizeCorrelationFeedback,
+  backfillCorrelationFeedbackPriority,
+} from "./services/correlationFeedback.js";
+import {
+  createUserExperiment,
+  listUserExperiments,
+  getUserExperiment,
+  completeUserExperiment,
+  cancelUserExperiment,
+} from "./services/experiments.js";
+import { getAwardsForUser, applyAwardEvent, ensureBuiltinAwardDefinitions, listAwardDefinitions,
+  upsertAwardDefinition } from "./services/awards.js";
+import { backfillAwardsBatch, backfillUserAwards } from "./services/awardBackfill.js";
+import { enqueueJob, reapStuckJobs, startJobWorker, listJobs } from "./services/jobQueue.js";
+import { subscribeCorrelationJobEvents, replayCorrelationJobEvents, currentCorrelationJobEventId } from "./services/jobEvents.js";
+import { listUserNotifications, markUserNotificationsSeen, countUnseenNotifications } from "./services/notifications.js";
+import {
+  issueUserToken,
+  resolveRequestUser,
+  assertUserOwnership,
+  assertTokenIssuedToUser,
+  assertAdminRequest,
+} from "./services/auth.js";
+import { registerUserDataDeletion, startUserDeletionJob, runUserDeletionJob, fetchUserDeletionJob,
+  resumeInterruptedUserDeletionJobs } from "./services/deletion.js";
+import { prepareUserExport, writeUserExportZip, writeUserExportNdjson } from "./services/exports.js";
+import { listUserDevices, revokeUserDevice, createDevicePairingCode, redeemDevicePairingCode } from "./services/devices.js";
+import { importUserMealsFromCsv } from "./services/mealImport.js";
+import { getUserTotalsRange } from "./services/rollups.js";
+import { listUserRecipes, getUserRecipe, createUserRecipe, updateUserRecipe, deleteUserRecipe, expandRecipeToMealItems,
+  attachRecipeCandidatesToMealSearchResult } from "./services/recipes.js";
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Render forwards requests through one proxy hop; trusting it makes req.ip the client address
+// (per-IP throttles, e.g. device pairing). TRUST_PROXY_HOPS overrides the hop count (0 = direct).
+app.set("trust proxy", process.env.TRUST_PROXY_HOPS != null ? Number(process.env.TRUST_PROXY_HOPS) || false : 1);
+
 // Env vars from Render
 const uri = process.env.MONGODB_URI;
 const dbName = process.env.MONGODB_DB_NAME;
@@ -74,6 +115,135 @@ async function initMongo() {
       { unique: true, name: "uniq_user_daily_totals_userId_dateKey" }
     );
 
+    // 3) A device can only be linked to one account at a time.
+    await db.collection("users").createIndex(
+      { "devices.deviceId": 1 },
+      {
+        unique: true,
+        name: "uniq_users_devices_deviceId",
+        partialFilterExpression: { "devices.deviceId": { $type: "string" } },
+      }
+    );
+
+    // 4) Device pairing codes expire on their own.
+    await db.collection("user_device_pairings").createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0, name: "ttl_user_device_pairings_expiresAt" }
+    );
+    await db.collection("user_device_pairings").createIndex(
+      { codeHash: 1 },
+      { name: "idx_user_device_pairings_codeHash" }
+    );
+    // Wrong pairing codes per IP / device; only the throttle window matters.
+    await db.collection("device_pairing_failures").createIndex(
+      { failedAt: 1 },
+      { expireAfterSeconds: 60 * 60, name: "ttl_device_pairing_failures_failedAt" }
+    );
+    await db.collection("device_pairing_failures").createIndex(
+      { scope: 1, failedAt: -1 },
+      { name: "idx_device_pairing_failures_scope_failedAt" }
+    );
+
+    // 5) Recovery email send log (throttling window only needs the last day).
+    await db.collection("user_recovery_email_sends").createIndex(
+      { sentAt: 1 },
+      { expireAfterSeconds: 24 * 60 * 60, name: "ttl_user_recovery_email_sends_sentAt" }
+    );
+    await db.collection("user_recovery_email_sends").createIndex(
+      { emailHash: 1, sentAt: -1 },
+      { name: "idx_user_recovery_email_sends_emailHash_sentAt" }
+    );
+    await db.collection("user_recovery_email_sends").createIndex(
+      { userId: 1, sentAt: -1 },
+      { name: "idx_user_recovery_email_sends_userId_sentAt" }
+    );
+
+    // 6) Deletion jobs (kept as audit receipts).
+    await db.collection("user_deletion_jobs").createIndex(
+      { userId: 1, status: 1, createdAt: -1 },
+      { name: "idx_user_deletion_jobs_userId_status_createdAt" }
+    );
+
+    // 7) Saved recipes (listed per user, most recently used first).
+    await db.collection("user_recipes").createIndex(
+      { userId: 1, lastUsedAt: -1, updatedAt: -1 },
+      { name: "idx_user_recipes_userId_lastUsedAt" }
+    );
+
+    // 8) Award definitions + per-day award event counts (streak / time-window rules).
+    await db.collection("award_definitions").createIndex(
+      { key: 1 },
+      { unique: true, name: "uniq_award_definitions_key" }
+    );
+    await db.collection("user_award_events").createIndex(
+      { userId: 1, eventKey: 1, dateKey: 1 },
+      { unique: true, name: "uniq_user_award_events_userId_eventKey_dateKey" }
+    );
+
+    // 9) Notification feed: newest-first paging, unseen badge count, one notification per dedupeKey.
+    await db.collection("user_notifications").createIndex(
+      { userId: 1, dedupeKey: 1 },
+      { unique: true, name: "uniq_user_notifications_userId_dedupeKey" }
+    );
+    await db.collection("user_notifications").createIndex(
+      { userId: 1, seenAt: 1, _id: -1 },
+      { name: "idx_user_notifications_userId_seenAt_id" }
+    );
+
+    // 10) Background job queue: one live job per activeKey, claim order, and a week of finished jobs.
+    await db.collection("background_jobs").createIndex(
+      { activeKey: 1 },
+      { unique: true, name: "uniq_background_jobs_activeKey", partialFilterExpression: { activeKey: { $type: "string" } } }
+    );
+    await db.collection("background_jobs").createIndex(
+      { status: 1, runAt: 1 },
+      { name: "idx_background_jobs_status_runAt" }
+    );
+    await db.collection("background_jobs").createIndex(
+      { status: 1, leaseExpiresAt: 1 },
+      { name: "idx_background_jobs_status_leaseExpiresAt" }
+    );
+    await db.collection("background_jobs").createIndex(
+      { completedAt: 1 },
+      {
+        expireAfterSeconds: 7 * 24 * 60 * 60,
+        name: "ttl_background_jobs_completedAt",
+        partialFilterExpression: { status: "done" },
+      }
+    );
+
+    // 11) Nightly correlation scheduler: active-user scan, one schedule doc per user, run history per user.
+    await db.collection("user_daily_totals").createIndex(
+      { updatedAt: 1 },
+      { name: "idx_user_daily_totals_updatedAt" }
+    );
+    await db.collection("user_correlation_schedule").createIndex(
+      { userId: 1 },
+      { unique: true, name: "uniq_user_correlation_schedule_userId" }
+    );
+    await db.collection("user_correlation_runs").createIndex(
+      { userId: 1, status: 1, startedAt: -1 },
+      { name: "idx_user_correlation_runs_userId_status_startedAt" }
+    );
+
+    // 12) N-of-1 experiments: a user's experiments by start date (also used for the overlap check).
+    await db.collection("user_experiments").createIndex(
+      { userId: 1, inputKey: 1, "phases.baseline.startDateKey": -1 },
+      { name: "idx_user_experiments_userId_inputKey_start" }
+    );
+
+    // 13) Correlation lifecycle: a user's rows by state (list filter, unseen-row sweep after each run).
+    await db.collection("user_correlations").createIndex(
+      { userId: 1, lifecycleState: 1 },
+      { name: "idx_user_correlations_userId_lifecycleState" }
+    );
+
+    // 14) Correlation feedback summary by engine version.
+    await db.collection("user_correlations").createIndex(
+      { "feedback.engineVersion": 1, "feedback.at": -1 },
+      { name: "idx_user_correlations_feedback_engineVersion_at", partialFilterExpression: { "feedback.value": { $exists: true } } }
+    );
+
     // Helpful query indexes
     await db.collection("user_meals").createIndex(
       { userId: 1, dateKey: 1, loggedAt: -1 },
@@ -84,6 +254,29 @@ async function initMongo() {
   } catch (idxErr) {
     console.error("[Mongo] Failed to ensure indexes (best-effort):", idxErr);
   }
+
+  // Seed built-in award definitions (existing rows, including admin edits, are left alone).
+  try {
+    await ensureBuiltinAwardDefinitions(db);
+  } catch (seedErr) {
+    console.error("[Awards] Failed to seed built-in award definitions:", seedErr);
+  }
+
+  // Correlation rows from before multi-lag runs exist once per lag; fold them into one row per finding.
+  try {
+    const n = await mergeLegacyLagCorrelationRows(db);
+    if (n) console.log(`[Correlations] merged away ${n} per-lag duplicate row(s)`);
+  } catch (mergeErr) {
+    console.error("[Correlations] Failed to merge per-lag correlation rows:", mergeErr);
+  }
+
+  // Correlation rows from before feedback ranking get the neutral priority (list sort).
+  try {
+    const n = await backfillCorrelationFeedbackPriority(db);
+    if (n) console.log(`[Correlations] set feedbackPriority on ${n} row(s)`);
+  } catch (backfillErr) {
+    console.error("[Correlations] Failed to backfill feedbackPriority:", backfillErr);
+  }
 }
 
 
@@ -93,6 +286,43 @@ async function initMongo() {
 app.use(cors());
 app.use(express.json());
 
+// Resolve the caller once per request: Bearer token first, then legacy X-Device-Id.
+// Deletion receipts authenticate on their own: once the account is gone, resolving would reject the
+// owner's token (its device is no longer linked to anything).
+app.use(async (req, res, next) => {
+  if (req.path.startsWith("/users/deletion-jobs/")) return next();
+  try {
+    req.user = await resolveRequestUser(db, req);
+    return next();
+  } catch (err) {
+    console.error("[Auth/Resolve] Error:", err?.message || err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to authenticate request" });
+  }
+});
+
+// Every /users/:id route is owner-only (a token for user A is rejected on user B's routes).
+app.all(["/users/:id", "/users/:id/*"], (req, res, next) => {
+  try {
+    assertUserOwnership(req, req.params?.id);
+    return next();
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Not authorized" });
+  }
+});
+
+// Admin surface: shared key, see assertAdminRequest.
+app.all(["/admin", "/admin/*"], (req, res, next) => {
+  try {
+    assertAdminRequest(req);
+    return next();
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Not authorized" });
+  }
+});
+
 // --- Moderation / reporting ---
 const REPORT_REASONS = new Set([
   "brand_wrong",
@@ -104,6 +334,20 @@ const REPORT_REASONS = new Set([
   "other",
 ]);
 
+// Account deletion: reports stay for moderation, but no longer point at the reporter.
+registerUserDataDeletion({
+  key: "food_report_attribution",
+  collection: "foods",
+  order: 51,
+  run: async (db, ctx) => {
+    const r = await db.collection(collectionName).updateMany(
+      { "moderation.reported_by.user_id": ctx.userId },
+      { $set: { "moderation.reported_by.user_id": null } }
+    );
+    return r?.modifiedCount ?? 0;
+  },
+});
+
 // ------------------------------------------------------------------------------------------------------------
 // GET /dri/datasets/:profileKey
 // Returns full DRI dataset definition (for caching on client)
@@ -151,11 +395,10 @@ async function applyAwardEventByDeviceId(db, deviceId, eventKey, amount = 1) {
     const cleaned = String(deviceId || "").trim();
     if (!db || !cleaned) return;
 
-    const usersCol = db.collection("users");
-    const user = await usersCol.findOne({ deviceId: cleaned }, { projection: { _id: 1 } });
-    if (!user?._id) return;
+    // Resolves through any linked device on the account.
+    const userId = await findUserIdByDeviceId(db, cleaned);
+    if (!userId) return;
 
-    const userId = String(user._id);
     await applyAwardEvent(db, { userId }, { eventKey, amount });
   } catch (err) {
     console.error(`[Awards] Failed applyAwardEventByDeviceId (${eventKey}):`, err);
@@ -209,7 +452,7 @@ app.post("/api/food-items/:id/report", async (req, res) => {
         "moderation.user_message": message || null,
         "moderation.reported_at": now,
         "moderation.reported_by": {
-          // Auth may not be wired yet; keep null-safe.
+          // Anonymous reports are allowed; keep null-safe.
           user_id: req.user?.id ?? null,
           platform,
         },
@@ -394,8 +637,8 @@ app.get("/users/:id/awards", async (req, res) => {
 //-------------------------------------------------------------------------------------------------------------------------
 
 // POST /users/:id/awards/event  → increments a tally and auto-awards if thresholds are crossed.
-// Body: { eventKey: string, amount?: number }
-// Returns: { ok: true, userId, awards: [...] }
+// Body: { eventKey: string, amount?: number, dateKey?: "YYYY-MM-DD" (logical day, for streak rules) }
+// Returns: { ok: true, userId, awards: [...], newlyEarned: [...] (granted by this call only) }
 app.post("/users/:id/awards/event", async (req, res) => {
   try {
     if (!db) {
@@ -425,79 +668,73 @@ app.post("/users/:id/awards/event", async (req, res) => {
       return res.status(400).json({ ok: false, error: "'amount' must be non-zero." });
     }
 
-    const result = await applyAwardEvent(db, { userId }, { eventKey, amount });
+    const dateKey = typeof req.body?.dateKey === "string" ? req.body.dateKey.trim() : null;
+
+    const result = await applyAwardEvent(db, { userId }, { eventKey, amount, dateKey });
     if (!result) {
       return res.status(404).json({ ok: false, error: "User not found" });
     }
 
-    return res.json({ ok: true, userId: result.userId, awards: result.awards || [] });
+    return res.json({ ok: true, userId: result.userId, awards: result.awards || [], newlyEarned: result.newlyEarned || [] });
   } catch (err) {
     console.error("[Awards/EventByUserId] Error:", err);
-    return res.status(500).json({ ok: false, error: err?.message || "Failed to apply award event" });
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to apply award event" });
   }
 });
 
-//---------------------------------------------------------------------------------------------------------------------
+//-------------------------------------------------------------------------------------------------------------------------
 
-// POST /users/ensure → create or update a user by deviceId
-app.post("/users/ensure", async (req, res) => {
+// GET /users/:id/notifications?limit=20&before=<id>&unseenOnly=true
+// Newest first: earned awards, newly surfaced correlations, finished analysis runs.
+// Returns: { ok: true, items: [...], unseenCount, nextBefore } (pass nextBefore back as `before` for the next page)
+app.get("/users/:id/notifications", async (req, res) => {
   try {
-    const user = await ensureUser(db, req.body || {});
-    return res.json({ ok: true, user });
-  } catch (err) {
-    console.error("[Users/Ensure] Error:", err);
-    const status = err.statusCode || 500;
-    return res.status(status).json({
-      ok: false,
-      error: err.message || "Failed to ensure user",
-    });
-  }
-});
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
 
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
 
-//------------------------------------------------------------------------------------------------
+    const result = await listUserNotifications(db, userId, {
+      limit: req.query?.limit ? Number(req.query.limit) : undefined,
+      before: req.query?.before ? String(req.query.before) : null,
+      unseenOnly: String(req.query?.unseenOnly || "").toLowerCase() === "true",
+    });
 
-// DELETE /users/:id  → permanently delete user + all related data
-app.delete("/users/:id", async (req, res) => {
-  try {
-    const userId = String(req.params?.id || "").trim();
-    const result = await deleteUserAndAllData(db, userId);
-    return res.json(result);
+    return res.json({ ok: true, ...result });
   } catch (err) {
-    console.error("[Users/Delete] Error:", err);
-    const status = err?.statusCode || 500;
-    return res.status(status).json({
-      ok: false,
-      error: err?.message || "Failed to delete user",
-    });
+    console.error("[Users/Notifications] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to fetch notifications" });
   }
 });
 
+// GET /users/:id/notifications/unseen-count  → { ok: true, unseenCount } (cheap badge poll)
+app.get("/users/:id/notifications/unseen-count", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
 
-//--------------------------------------------------------------------------------------------------------
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
 
-// PATCH /users/:id/profile → update basic profile info
-app.patch("/users/:id/profile", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const user = await updateUserProfile(db, id, req.body || {});
-    return res.json({ ok: true, user });
+    const unseenCount = await countUnseenNotifications(db, userId);
+    return res.json({ ok: true, unseenCount });
   } catch (err) {
-    console.error("[Users/Profile] Error:", err);
-    const status = err.statusCode || 500;
-    return res.status(status).json({
-      ok: false,
-      error: err.message || "Failed to update user profile",
-    });
+    console.error("[Users/Notifications/UnseenCount] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to count notifications" });
   }
 });
 
-
-//--------------------------------------------------------------------------------------------------------
-// Daily Goals
-
-// GET /users/:id/daily-goals → returns dailyGoals for the user
-app.get("/users/:id/daily-goals", async (req, res) => {
+// POST /users/:id/notifications/mark-seen
+// Body: { ids: [notificationId, ...] } or { all: true }
+// Returns: { ok: true, markedCount, unseenCount }
+app.post("/users/:id/notifications/mark-seen", async (req, res) => {
   try {
     if (!db) {
       return res.status(500).json({ ok: false, error: "DB not ready" });
@@ -505,42 +742,37 @@ app.get("/users/:id/daily-goals", async (req, res) => {
 
     const userId = String(req.params?.id || "").trim();
     if (!userId || !ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing or invalid ':id' (userId).",
-      });
-    }
-
-    const result = await getUserDailyGoals(db, userId);
-    if (!result) {
-      return res.status(404).json({ ok: false, error: "User not found" });
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    // Backwards/forwards compatible: services may return either a bundle directly
-    // or an object containing { dailyGoals, effectiveDailyGoals }.
-    const dailyGoals = (result && typeof result === "object" && "dailyGoals" in result)
-      ? (result.dailyGoals || null)
-      : result;
-
-    const effectiveDailyGoals = (result && typeof result === "object" && "effectiveDailyGoals" in result)
-      ? (result.effectiveDailyGoals || dailyGoals || { goals: {} })
-      : (dailyGoals || { goals: {} });
+    const result = await markUserNotificationsSeen(db, userId, {
+      ids: req.body?.ids,
+      all: req.body?.all === true,
+    });
 
-    return res.json({ ok: true, userId, dailyGoals, effectiveDailyGoals });
+    return res.json({ ok: true, ...result });
   } catch (err) {
-    console.error("[Users/DailyGoals/Get] Error:", err);
-    const status = err?.statusCode || 500;
-    return res.status(status).json({
-      ok: false,
-      error: err?.message || "Failed to fetch daily goals",
-    });
+    console.error("[Users/Notifications/MarkSeen] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to mark notifications seen" });
   }
 });
 
-//------------------------------------------------------------------------------------------------------------
+//-------------------------------------------------------------------------------------------------------------------------
 
-// POST /users/:id/daily-goals/seed → seeds defaults from profile (age/sex); body: { force?: boolean }
-app.post("/users/:id/daily-goals/seed", async (req, res) => {
+// N-of-1 experiments (elimination / reintroduction trials). "Today" is the user's logical day (3am cutoff)
+// in ?timezone= / X-Timezone, so phase boundaries follow the same day rules as meal logging.
+function experimentTodayKey(req) {
+  const tz =
+    String(req.query?.timezone || "").trim() ||
+    String(req.headers["x-timezone"] || "").trim() ||
+    "America/Toronto";
+  return computeLogicalDateKeyFromLoggedAt(new Date(), tz, 3);
+}
+
+// POST /users/:id/experiments
+// Body: { inputKey: "ing:milk", outcomeKey: "checkin_pain_peak", title?, washoutDays? (default 2),
+//         baseline: { startDateKey, endDateKey }, elimination: { ... }, reintroduction: { ... } }
+app.post("/users/:id/experiments", async (req, res) => {
   try {
     if (!db) {
       return res.status(500).json({ ok: false, error: "DB not ready" });
@@ -548,35 +780,19 @@ app.post("/users/:id/daily-goals/seed", async (req, res) => {
 
     const userId = String(req.params?.id || "").trim();
     if (!userId || !ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing or invalid ':id' (userId).",
-      });
-    }
-
-    const force = req.body?.force === true;
-    const result = await seedUserDailyGoals(db, userId, { force });
-    if (!result) {
-      return res.status(404).json({ ok: false, error: "User not found" });
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    const dailyGoals = result.dailyGoals || {};
-    const effectiveDailyGoals = result.effectiveDailyGoals || dailyGoals || { goals: {} };
-    return res.json({ ok: true, userId, dailyGoals, effectiveDailyGoals, seeded: !!result.seeded });
+    const item = await createUserExperiment(db, userId, req.body || {}, { todayKey: experimentTodayKey(req) });
+    return res.status(201).json({ ok: true, item });
   } catch (err) {
-    console.error("[Users/DailyGoals/Seed] Error:", err);
-    const status = err?.statusCode || 500;
-    return res.status(status).json({
-      ok: false,
-      error: err?.message || "Failed to seed daily goals",
-    });
+    console.error("[Users/Experiments/Create] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to create experiment" });
   }
 });
 
-//----------------------------------------------------------------------------------------------------------------------------
-
-// PATCH /users/:id/daily-goals → patches one or more keys; body: { <nutrientKey>: number, ... }
-app.patch("/users/:id/daily-goals", async (req, res) => {
+// GET /users/:id/experiments?status=scheduled|active|ready_for_report|completed|cancelled  → newest first, without reports
+app.get("/users/:id/experiments", async (req, res) => {
   try {
     if (!db) {
       return res.status(500).json({ ok: false, error: "DB not ready" });
@@ -584,102 +800,529 @@ app.patch("/users/:id/daily-goals", async (req, res) => {
 
     const userId = String(req.params?.id || "").trim();
     if (!userId || !ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing or invalid ':id' (userId).",
-      });
-    }
-
-    const patch = (req.body && typeof req.body === "object") ? req.body : {};
-
-
-    const result = await patchUserDailyGoals(db, userId, patch);
-
-    if (!result) {
-      return res.status(404).json({ ok: false, error: "User not found" });
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    const dailyGoals = result.dailyGoals || {};
-    const effectiveDailyGoals = result.effectiveDailyGoals || dailyGoals || { goals: {} };
-
-    return res.json({ ok: true, userId, dailyGoals, effectiveDailyGoals });
-
-  } catch (err) {
-    console.error("[Users/DailyGoals/Patch] Error:", err);
-    const status = err?.statusCode || 500;
-    return res.status(status).json({
-      ok: false,
-      error: err?.message || "Failed to update daily goals",
+    const items = await listUserExperiments(db, userId, {
+      todayKey: experimentTodayKey(req),
+      status: req.query?.status ? String(req.query.status) : null,
     });
+    return res.json({ ok: true, items });
+  } catch (err) {
+    console.error("[Users/Experiments/List] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to list experiments" });
   }
 });
 
-
-//--------------------------------------------------------------------------------------------------------
-// Account Recovery (placeholders)
-// These routes are scaffolding only. Server-side implementation will be added in services/users.js.
-
-// POST /users/:id/recovery-email
-// Body: { email: string }
-// Intended: store only a server-side hash (HMAC) + send verification code/link.
-app.post("/users/:id/recovery-email", async (req, res) => {
+// GET /users/:id/experiments/:experimentId  → { item, report, final }
+// report is interim (closed days so far, not stored) until POST .../complete has frozen the final one.
+app.get("/users/:id/experiments/:experimentId", async (req, res) => {
   try {
     if (!db) {
       return res.status(500).json({ ok: false, error: "DB not ready" });
     }
-    const userId = String(req.params?.id || "").trim();
-    const email = String(req.body?.email || "").trim();
 
+    const userId = String(req.params?.id || "").trim();
     if (!userId || !ObjectId.isValid(userId)) {
       return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    if (!email) {
-      return res.status(400).json({ ok: false, error: "Missing required field 'email'." });
-    }
-
-    const user = await addRecoveryEmail(db, userId, email);
-    return res.json({ ok: true, user });
+    const result = await getUserExperiment(db, userId, req.params.experimentId, { todayKey: experimentTodayKey(req) });
+    return res.json({ ok: true, ...result });
   } catch (err) {
-    console.error("[Users/RecoveryEmail/Add] Error:", err);
-    return res.status(500).json({ ok: false, error: "Failed to add recovery email" });
+    console.error("[Users/Experiments/Get] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to fetch experiment" });
   }
 });
 
-//--------------------------------------------------------------------------------------------------
-
-// POST /users/:id/recovery-email/verify
-// Body: { code: string }
-// Intended: verify code and mark recovery email as verified.
-app.post("/users/:id/recovery-email/verify", async (req, res) => {
+// POST /users/:id/experiments/:experimentId/complete  → { item, report, final: true }
+// Freezes the final report once the reintroduction period has closed (409 while it's still running).
+app.post("/users/:id/experiments/:experimentId/complete", async (req, res) => {
   try {
     if (!db) {
       return res.status(500).json({ ok: false, error: "DB not ready" });
     }
-    const userId = String(req.params?.id || "").trim();
-    const code = String(req.body?.code || "").trim();
 
+    const userId = String(req.params?.id || "").trim();
     if (!userId || !ObjectId.isValid(userId)) {
       return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    if (!code) {
-      return res.status(400).json({ ok: false, error: "Missing required field 'code'." });
-    }
-
-    const user = await verifyRecoveryEmail(db, userId, code);
-    return res.json({ ok: true, user });
+    const result = await completeUserExperiment(db, userId, req.params.experimentId, { todayKey: experimentTodayKey(req) });
+    return res.json({ ok: true, ...result });
   } catch (err) {
-    console.error("[Users/RecoveryEmail/Verify] Error:", err);
-    return res.status(500).json({ ok: false, error: "Failed to verify recovery email" });
+    console.error("[Users/Experiments/Complete] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to complete experiment" });
   }
 });
 
-//----------------------------------------------------------------------------------------------------
+// POST /users/:id/experiments/:experimentId/cancel
+app.post("/users/:id/experiments/:experimentId/cancel", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const item = await cancelUserExperiment(db, userId, req.params.experimentId, { todayKey: experimentTodayKey(req) });
+    return res.json({ ok: true, item });
+  } catch (err) {
+    console.error("[Users/Experiments/Cancel] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to cancel experiment" });
+  }
+});
+
+//-------------------------------------------------------------------------------------------------------------------------
+
+// GET /admin/awards  → every stored award definition (invalid ones flagged with validationError).
+app.get("/admin/awards", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const items = await listAwardDefinitions(db);
+    return res.json({ ok: true, items });
+  } catch (err) {
+    console.error("[Admin/Awards/List] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to list award definitions" });
+  }
+});
+
+// PUT /admin/awards/:key  → create or replace an award definition (takes effect without a deploy).
+// Body: { title, subtitle?, icon?, enabled?, condition: { type, ... } }  (condition language: services/awards.js)
+app.put("/admin/awards/:key", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const item = await upsertAwardDefinition(db, String(req.params?.key || "").trim(), req.body);
+    return res.json({ ok: true, item });
+  } catch (err) {
+    console.error("[Admin/Awards/Upsert] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to save award definition" });
+  }
+});
+
+// GET /admin/jobs?status=failed&type=correlation_run&userId=...&limit=50  → recent background jobs (newest first)
+app.get("/admin/jobs", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const items = await listJobs(db, {
+      status: req.query?.status || null,
+      type: req.query?.type || null,
+      userId: req.query?.userId || null,
+      limit: req.query?.limit,
+    });
+    return res.json({ ok: true, items });
+  } catch (err) {
+    console.error("[Admin/Jobs] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to list jobs" });
+  }
+});
+
+// POST /admin/correlation-scheduler/run  → run one nightly-scheduler pass now (same claims as the timer,
+// so users already handled for their last closed day are not queued again).
+app.post("/admin/correlation-scheduler/run", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const summary = await runCorrelationSchedulerPass(db);
+    return res.json({ ok: true, summary });
+  } catch (err) {
+    console.error("[Admin/CorrelationScheduler] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Scheduler pass failed" });
+  }
+});
+
+// GET /admin/correlation-feedback?engineVersion=&since=YYYY-MM-DD  → users' current answers on correlations,
+// grouped by the engine version that produced the finding (agree / disagree rates per version).
+app.get("/admin/correlation-feedback", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const summary = await summarizeCorrelationFeedback(db, {
+      engineVersion: typeof req.query?.engineVersion === "string" ? req.query.engineVersion.trim() || null : null,
+      since: typeof req.query?.since === "string" ? req.query.since.trim() || null : null,
+    });
+    return res.json({ ok: true, ...summary });
+  } catch (err) {
+    console.error("[Admin/CorrelationFeedback] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to summarize feedback" });
+  }
+});
+
+// POST /admin/awards/backfill  → rebuild award tallies from history and grant missed awards (original earn dates).
+// Body: { userId?: string, afterUserId?: string, limit?: number (default 100, max 500), dryRun?: boolean (default true) }
+// With userId only that user is processed; otherwise users are paged by _id (pass nextAfterUserId back in).
+app.post("/admin/awards/backfill", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const body = req.body || {};
+    const dryRun = !(body.dryRun === false || String(body.dryRun).toLowerCase() === "false");
+
+    if (body.userId) {
+      const report = await backfillUserAwards(db, String(body.userId), { dryRun });
+      return res.json({ ok: true, dryRun, processed: 1, reports: [report] });
+    }
+
+    const result = await backfillAwardsBatch(db, {
+      afterUserId: body.afterUserId || null,
+      limit: body.limit,
+      dryRun,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[Admin/Awards/Backfill] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to backfill awards" });
+  }
+});
+
+//---------------------------------------------------------------------------------------------------------------------
+
+// POST /users/ensure → create or update a user by deviceId
+// Response includes `auth: { token, tokenType, expiresAt }`; send it back as `Authorization: Bearer <token>`.
+app.post("/users/ensure", async (req, res) => {
+  try {
+    const user = await ensureUser(db, req.body || {});
+    // Token is bound to the calling device (which may not be the account's primary device).
+    const auth = issueUserToken({ id: user.id, deviceId: String(req.body?.deviceId || "").trim() });
+    return res.json({ ok: true, user, auth });
+  } catch (err) {
+    console.error("[Users/Ensure] Error:", err);
+    const status = err.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: err.message || "Failed to ensure user",
+    });
+  }
+});
+
+
+//------------------------------------------------------------------------------------------------
+
+// DELETE /users/:id  → permanently delete user + all related data
+// Runs as a tracked deletion job: responds 202 with { jobId } (poll GET /users/deletion-jobs/:jobId).
+// ?wait=true runs the job inline and responds with the receipt ({ deleted: { <collection>: count } }).
+app.delete("/users/:id", async (req, res) => {
+  try {
+    const userId = String(req.params?.id || "").trim();
+
+    if (String(req.query?.wait || "").toLowerCase() === "true") {
+      const result = await deleteUserAndAllData(db, userId);
+      return res.json(result);
+    }
+
+    const job = await startUserDeletionJob(db, userId, { requestedBy: req.user?.authMethod ?? null });
+    if (job.status === "queued" || job.status === "failed") {
+      setTimeout(() => {
+        runUserDeletionJob(db, job.jobId).catch((e) => console.error("[Users/Delete] job run failed:", e));
+      }, 0);
+    }
+
+    return res.status(202).json({ ok: true, userId, jobId: job.jobId, status: job.status });
+  } catch (err) {
+    console.error("[Users/Delete] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: err?.message || "Failed to delete user",
+    });
+  }
+});
+
+
+// GET /users/deletion-jobs/:jobId  → status + audit receipt (counts per collection) of a deletion job
+// Not under /users/:id on purpose: the user document is gone once the job completes. Still owner-only:
+// a Bearer token signed for the job's user (its device link is not checked, see assertTokenIssuedToUser).
+app.get("/users/deletion-jobs/:jobId", async (req, res) => {
+  try {
+    const job = await fetchUserDeletionJob(db, req.params?.jobId);
+    assertTokenIssuedToUser(req, job.userId);
+    return res.json({ ok: true, job });
+  } catch (err) {
+    console.error("[Users/DeletionJob] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to fetch deletion job" });
+  }
+});
+
+
+//--------------------------------------------------------------------------------------------------------
+
+// GET /users/:id/export?format=zip|ndjson  → streams everything we store about the user
+// zip (default): JSON/NDJSON/CSV files + manifest.json; ndjson: one record per line with a manifest line first.
+app.get("/users/:id/export", async (req, res) => {
+  try {
+    const userId = String(req.params?.id || "").trim();
+    const format = String(req.query?.format || "zip").trim().toLowerCase();
+    if (format !== "zip" && format !== "ndjson") {
+      return res.status(400).json({ ok: false, error: "Invalid 'format' (expected zip or ndjson)." });
+    }
+
+    // Validates + loads the user before any bytes are sent so errors are still JSON.
+    const plan = await prepareUserExport(db, userId);
+    const stamp = plan.generatedAt.toISOString().slice(0, 10);
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "zip") {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="logicsoul-export-${userId}-${stamp}.zip"`);
+      await writeUserExportZip(plan, res);
+    } else {
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="logicsoul-export-${userId}-${stamp}.ndjson"`);
+      await writeUserExportNdjson(plan, res);
+    }
+  } catch (err) {
+    if (err?.code === "EXPORT_ABORTED") {
+      console.warn(`[Users/Export] Client disconnected mid-export (${req.params?.id})`);
+      return undefined;
+    }
+    console.error("[Users/Export] Error:", err);
+    if (res.headersSent) {
+      // Mid-stream failure: abort so the client sees a truncated download instead of a "complete" archive.
+      return res.destroy(err);
+    }
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to export user data" });
+  }
+});
+
+
+//--------------------------------------------------------------------------------------------------------
+
+// PATCH /users/:id/profile → update basic profile info
+app.patch("/users/:id/profile", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = await updateUserProfile(db, id, req.body || {});
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error("[Users/Profile] Error:", err);
+    const status = err.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: err.message || "Failed to update user profile",
+    });
+  }
+});
+
+
+//--------------------------------------------------------------------------------------------------------
+// Daily Goals
+
+// GET /users/:id/daily-goals → returns dailyGoals for the user
+app.get("/users/:id/daily-goals", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing or invalid ':id' (userId).",
+      });
+    }
+
+    const result = await getUserDailyGoals(db, userId);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: "User not found" });
+    }
+
+    // Backwards/forwards compatible: services may return either a bundle directly
+    // or an object containing { dailyGoals, effectiveDailyGoals }.
+    const dailyGoals = (result && typeof result === "object" && "dailyGoals" in result)
+      ? (result.dailyGoals || null)
+      : result;
+
+    const effectiveDailyGoals = (result && typeof result === "object" && "effectiveDailyGoals" in result)
+      ? (result.effectiveDailyGoals || dailyGoals || { goals: {} })
+      : (dailyGoals || { goals: {} });
+
+    return res.json({ ok: true, userId, dailyGoals, effectiveDailyGoals });
+  } catch (err) {
+    console.error("[Users/DailyGoals/Get] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: err?.message || "Failed to fetch daily goals",
+    });
+  }
+});
+
+//------------------------------------------------------------------------------------------------------------
+
+// POST /users/:id/daily-goals/seed → seeds defaults from profile (age/sex); body: { force?: boolean }
+app.post("/users/:id/daily-goals/seed", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing or invalid ':id' (userId).",
+      });
+    }
+
+    const force = req.body?.force === true;
+    const result = await seedUserDailyGoals(db, userId, { force });
+    if (!result) {
+      return res.status(404).json({ ok: false, error: "User not found" });
+    }
+
+    const dailyGoals = result.dailyGoals || {};
+    const effectiveDailyGoals = result.effectiveDailyGoals || dailyGoals || { goals: {} };
+    return res.json({ ok: true, userId, dailyGoals, effectiveDailyGoals, seeded: !!result.seeded });
+  } catch (err) {
+    console.error("[Users/DailyGoals/Seed] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: err?.message || "Failed to seed daily goals",
+    });
+  }
+});
+
+//----------------------------------------------------------------------------------------------------------------------------
+
+// PATCH /users/:id/daily-goals → patches one or more keys; body: { <nutrientKey>: number, ... }
+app.patch("/users/:id/daily-goals", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing or invalid ':id' (userId).",
+      });
+    }
+
+    const patch = (req.body && typeof req.body === "object") ? req.body : {};
+
+
+    const result = await patchUserDailyGoals(db, userId, patch);
+
+    if (!result) {
+      return res.status(404).json({ ok: false, error: "User not found" });
+    }
+
+    const dailyGoals = result.dailyGoals || {};
+    const effectiveDailyGoals = result.effectiveDailyGoals || dailyGoals || { goals: {} };
+
+    return res.json({ ok: true, userId, dailyGoals, effectiveDailyGoals });
+
+  } catch (err) {
+    console.error("[Users/DailyGoals/Patch] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: err?.message || "Failed to update daily goals",
+    });
+  }
+});
+
+
+//--------------------------------------------------------------------------------------------------------
+// Account Recovery (placeholders)
+// Codes are delivered through services/mailer.js (MAIL_TRANSPORT). Throttled sends and lockouts
+// come back as 429 with a Retry-After header.
+
+// Helper: shared error response for the recovery routes (keeps 4xx/429 from the service layer)
+function sendRecoveryError(res, err, fallbackMessage) {
+  const status = err?.statusCode || 500;
+  if (status === 429 && err?.retryAfterSeconds) {
+    res.set("Retry-After", String(err.retryAfterSeconds));
+  }
+  const body = { ok: false, error: status < 500 ? err?.message || fallbackMessage : fallbackMessage };
+  if (typeof err?.attemptsRemaining === "number") body.attemptsRemaining = err.attemptsRemaining;
+  return res.status(status).json(body);
+}
+
+// POST /users/:id/recovery-email
+// Body: { email: string }
+// Stores only a server-side hash (HMAC) and emails a verification code.
+app.post("/users/:id/recovery-email", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const userId = String(req.params?.id || "").trim();
+    const email = String(req.body?.email || "").trim();
+
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    if (!email) {
+      return res.status(400).json({ ok: false, error: "Missing required field 'email'." });
+    }
+
+    const user = await addRecoveryEmail(db, userId, email);
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error("[Users/RecoveryEmail/Add] Error:", err);
+    return sendRecoveryError(res, err, "Failed to add recovery email");
+  }
+});
+
+//--------------------------------------------------------------------------------------------------
+
+// POST /users/:id/recovery-email/verify
+// Body: { code: string }
+// Verifies the emailed code and marks the recovery email as verified.
+app.post("/users/:id/recovery-email/verify", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const userId = String(req.params?.id || "").trim();
+    const code = String(req.body?.code || "").trim();
+
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    if (!code) {
+      return res.status(400).json({ ok: false, error: "Missing required field 'code'." });
+    }
+
+    const user = await verifyRecoveryEmail(db, userId, code);
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error("[Users/RecoveryEmail/Verify] Error:", err);
+    return sendRecoveryError(res, err, "Failed to verify recovery email");
+  }
+});
+
+//----------------------------------------------------------------------------------------------------
 
 // POST /users/recover
 // Body: { email: string, code: string }
-// Intended: find user by email hash + code, then attach/replace deviceId (or return a session).
+// Finds the user by email hash + code, links deviceId as an additional device and returns a session token.
 app.post("/users/recover", async (req, res) => {
   try {
     if (!db) {
@@ -708,10 +1351,138 @@ app.post("/users/recover", async (req, res) => {
     }
 
     const user = await recoverAccount(db, email, code, newDeviceId);
-    return res.json({ ok: true, user });
+    const auth = issueUserToken({ id: user.id, deviceId: newDeviceId });
+    return res.json({ ok: true, user, auth });
   } catch (err) {
     console.error("[Users/Recover] Error:", err);
-    return res.status(500).json({ ok: false, error: "Failed to recover account" });
+    return sendRecoveryError(res, err, "Failed to recover account");
+  }
+});
+
+//----------------------------------------------------------------------------------------------------
+
+// POST /users/recover/request-code
+// Body: { email: string }
+// Emails a recovery code to a verified recovery address. Responds the same whether or not the email is known.
+app.post("/users/recover/request-code", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const email = String(req.body?.email || "").trim();
+    if (!email) {
+      return res.status(400).json({ ok: false, error: "Missing required field 'email'." });
+    }
+
+    await requestAccountRecoveryCode(db, email);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("[Users/Recover/RequestCode] Error:", err);
+    return sendRecoveryError(res, err, "Failed to send recovery code");
+  }
+});
+
+//----------------------------------------------------------------------------------------------------
+// Linked devices
+
+// GET /users/:id/devices  → list devices linked to the account (with lastSeenAt per device)
+app.get("/users/:id/devices", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const devices = await listUserDevices(db, userId);
+    return res.json({ ok: true, userId, devices });
+  } catch (err) {
+    console.error("[Users/Devices/List] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to list devices" });
+  }
+});
+
+// DELETE /users/:id/devices/:deviceId  → unlink a device (its tokens stop working)
+app.delete("/users/:id/devices/:deviceId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const userId = String(req.params?.id || "").trim();
+    const deviceId = String(req.params?.deviceId || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+    if (!deviceId) {
+      return res.status(400).json({ ok: false, error: "Missing ':deviceId'." });
+    }
+
+    const devices = await revokeUserDevice(db, userId, deviceId);
+    return res.json({ ok: true, userId, devices });
+  } catch (err) {
+    console.error("[Users/Devices/Revoke] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to revoke device" });
+  }
+});
+
+// POST /users/:id/devices/pairing-code  → short-lived code to link a second device
+app.post("/users/:id/devices/pairing-code", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const { code, expiresAt } = await createDevicePairingCode(db, userId);
+    return res.json({ ok: true, userId, code, expiresAt });
+  } catch (err) {
+    console.error("[Users/Devices/PairingCode] Error:", err);
+    const status = err?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to create pairing code" });
+  }
+});
+
+// POST /users/devices/pair  → called from the NEW device with the code shown on the existing one
+// Unauthenticated; wrong codes are throttled per IP and per device (429 + Retry-After).
+// Body: { code: string, deviceId?: string, platform?: string, appVersion?: string, label?: string, replaceExisting?: boolean }
+// deviceId may also come from the X-Device-Id header. replaceExisting detaches the device from
+// the anonymous account it may already have, and only for a caller sending that device's current
+// Bearer token (otherwise 409).
+app.post("/users/devices/pair", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+    const deviceId = String(
+      req.body?.deviceId ||
+      req.headers["x-device-id"] ||
+      ""
+    ).trim();
+
+    if (!deviceId) {
+      return res.status(400).json({ ok: false, error: "Missing required field 'deviceId' (or X-Device-Id header)." });
+    }
+
+    const { userId, devices } = await redeemDevicePairingCode(db, { ...(req.body || {}), deviceId }, {
+      ip: req.ip,
+      caller: req.user,
+    });
+    const auth = issueUserToken({ id: userId, deviceId });
+    return res.json({ ok: true, userId, devices, auth });
+  } catch (err) {
+    console.error("[Users/Devices/Pair] Error:", err);
+    const status = err?.statusCode || 500;
+    if (status === 429 && err?.retryAfterSeconds) {
+      res.set("Retry-After", String(err.retryAfterSeconds));
+    }
+    return res.status(status).json({ ok: false, error: err?.message || "Failed to pair device" });
   }
 });
 
@@ -748,179 +1519,21 @@ app.post("/users/:id/meals", async (req, res) => {
     //       confidence: 0.92
     //     },
     //     // ...
-    //   ]
+    //   ],
+    //   recipeId: "...", servings: 1.5            // optional: log a saved recipe (expanded into items)
     // }
     const payload = req.body;
 
-    // --- Normalize meal items so we NEVER replace the Canadian/scanned foodId with the USDA equivalent.
-    // The client may optionally provide a USDA equivalent id plus a toggle.
-    // Goal:
-    //  - Store the *primary* (Canadian/off/user-enriched) id in `foodId`.
-    //  - Store the linked USDA id (if any) in `usdaEquivalentFoodId`.
-    //  - Store the toggle in `useUSDAEquivalent`.
-    // This allows recomputeDailyNutritionTotals to add confident totals from `foodId`,
-    // and add only the *delta* (USDA - Canadian) to totals_estimated when toggled on.
-    function normalizeMealItemsForUSDAEquivalent(payload) {
-      if (!payload || typeof payload !== "object") return payload;
-      const items = Array.isArray(payload.items) ? payload.items : [];
-
-      payload.items = items.map((it) => {
-        if (!it || typeof it !== "object") return it;
-
-        // Accept a few possible client field names (older/newer clients).
-        const canadianId = String(
-          it.canadianFoodId ||
-          it.originalFoodId ||
-          it.primaryFoodId ||
-          ""
-        ).trim();
-
-        const usdaEqId = String(
-          it.usdaEquivalentFoodId ||
-          it.usda_equivalent_food_id ||
-          it.usdaEquivalentId ||
-          ""
-        ).trim();
-
-        const wantsUSDA =
-          it.useUSDAEquivalent === true ||
-          it.useUsdaEquivalent === true ||
-          it.use_usda_equivalent === true;
-
-        // If the client provided a Canadian id, it must be the stored foodId.
-        // This fixes the bug where meals were being recorded as the USDA doc.
-        const storedFoodId = canadianId || (it.foodId != null ? String(it.foodId).trim() : "");
-
-        // If the client accidentally put the USDA id into foodId while also sending canadianFoodId,
-        // we correct it by forcing foodId=canadian and retaining the USDA id separately.
-        const correctedFoodId = canadianId ? canadianId : storedFoodId;
-
-        // Build a normalized item object, preserving all original fields.
-        const out = {
-          ...it,
-          foodId: correctedFoodId || it.foodId,
-        };
-
-        // Persist linkage fields when present
-        if (usdaEqId) {
-          out.usdaEquivalentFoodId = usdaEqId;
-          out.usda_equivalent_food_id = usdaEqId;
-        }
-
-        // Persist the toggle explicitly (default false)
-        out.useUSDAEquivalent = !!wantsUSDA;
-        out.useUsdaEquivalent = !!wantsUSDA;
-        out.use_usda_equivalent = !!wantsUSDA;
-
-        return out;
-      });
-
-      return payload;
+    // --- Saved recipe: expand into concrete items (appended to any items sent alongside it).
+    if (payload && payload.recipeId) {
+      const expanded = await expandRecipeToMealItems(db, userId, payload.recipeId, payload.servings);
+      payload.items = [...(Array.isArray(payload.items) ? payload.items : []), ...expanded.items];
+      if (!payload.description) payload.description = expanded.recipe.name;
     }
 
+    // --- Normalize meal items (primary foodId vs USDA equivalent) and quantities (canonical g/ml/serving).
+    // Shared with PATCH /users/:id/meals/:mealId; see services/userMeals.js for the rules.
     normalizeMealItemsForUSDAEquivalent(payload);
-
-    // --- Normalize quantities so calculations use canonical units (g/ml/serving) when provided.
-    // The client may send BOTH:
-    //  - UI quantity: quantity + quantityUnit (e.g. 3 slice)
-    //  - Normalized quantity: normalizedQuantity + normalizedQuantityUnit (e.g. 36 g)
-    // Rule:
-    //  - If normalizedQuantity/unit is present and valid, we store the UI quantity in uiQuantity/uiQuantityUnit
-    //    and replace quantity/quantityUnit with the normalized values for downstream calculations.
-    //  - We also keep the normalizedQuantity* fields intact for auditing/debug.
-    function normalizeMealItemsForNormalizedQuantity(payload) {
-      if (!payload || typeof payload !== "object") return payload;
-      const items = Array.isArray(payload.items) ? payload.items : [];
-
-      const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
-
-      const normalizeUnit = (u) => {
-        const raw = String(u || "").trim().toLowerCase();
-        if (!raw) return "";
-        if (raw === "grams") return "g";
-        if (raw === "milliliters" || raw === "millilitres") return "ml";
-        if (raw === "servings") return "serving";
-        return raw;
-      };
-
-      const isCanonicalUnit = (u) => {
-        const unit = normalizeUnit(u);
-        return unit === "g" || unit === "ml" || unit === "serving";
-      };
-
-      payload.items = items.map((it) => {
-        if (!it || typeof it !== "object") return it;
-
-        // Read UI quantity (support either legacy numeric fields or object form)
-        const uiQty = typeof it.quantity === "object" && it.quantity
-          ? (isFiniteNumber(it.quantity.value) ? it.quantity.value : null)
-          : (isFiniteNumber(it.quantity) ? it.quantity : null);
-
-        const uiUnit = typeof it.quantity === "object" && it.quantity
-          ? normalizeUnit(it.quantity.unit)
-          : normalizeUnit(it.quantityUnit || it.unit);
-
-        const uiIsEstimate = typeof it.quantity === "object" && it.quantity
-          ? (typeof it.quantity.isEstimate === "boolean" ? it.quantity.isEstimate : null)
-          : (typeof it.quantityIsEstimate === "boolean" ? it.quantityIsEstimate : null);
-
-        // Read normalized quantity (support either numeric flat fields or object form)
-        const nQty = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
-          ? (isFiniteNumber(it.normalizedQuantity.value) ? it.normalizedQuantity.value : null)
-          : (isFiniteNumber(it.normalizedQuantity) ? it.normalizedQuantity : null);
-
-        const nUnit = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
-          ? normalizeUnit(it.normalizedQuantity.unit)
-          : normalizeUnit(it.normalizedQuantityUnit || it.normalizedQuantity_unit);
-
-        const nIsEstimate = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
-          ? (typeof it.normalizedQuantity.isEstimate === "boolean" ? it.normalizedQuantity.isEstimate : null)
-          : (typeof it.normalizedQuantityIsEstimate === "boolean" ? it.normalizedQuantityIsEstimate : null);
-
-        const nBasis = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
-          ? (it.normalizedQuantity.basis != null ? String(it.normalizedQuantity.basis) : null)
-          : (it.normalizedQuantityBasis != null ? String(it.normalizedQuantityBasis) : null);
-
-        const nConf = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
-          ? (isFiniteNumber(it.normalizedQuantity.confidence) ? it.normalizedQuantity.confidence : null)
-          : (isFiniteNumber(it.normalizedQuantityConfidence) ? it.normalizedQuantityConfidence : null);
-
-        // If the client gave us a canonical normalized quantity, use it for calculations.
-        if (nQty != null && nUnit && isCanonicalUnit(nUnit)) {
-          // Preserve UI quantity for display/audit.
-          it.uiQuantity = uiQty;
-          it.uiQuantityUnit = uiUnit || null;
-          if (uiIsEstimate != null) it.uiQuantityIsEstimate = uiIsEstimate;
-
-          // Force canonical quantity for downstream math.
-          it.quantity = nQty;
-          it.quantityUnit = normalizeUnit(nUnit);
-          if (nIsEstimate != null) it.quantityIsEstimate = nIsEstimate;
-          if (nBasis != null) it.quantityBasis = nBasis;
-          if (nConf != null) it.quantityConfidence = nConf;
-
-          // Also keep a structured normalizedQuantity object for persistence.
-          it.normalizedQuantity = {
-            value: nQty,
-            unit: normalizeUnit(nUnit),
-            isEstimate: nIsEstimate === true,
-            basis: nBasis || "gpt",
-            confidence: nConf != null ? nConf : 1,
-          };
-
-          // Mirror common legacy keys (flat) so older code can still read them.
-          it.normalizedQuantityUnit = normalizeUnit(nUnit);
-          it.normalizedQuantityIsEstimate = nIsEstimate === true;
-          if (nBasis != null) it.normalizedQuantityBasis = nBasis;
-          if (nConf != null) it.normalizedQuantityConfidence = nConf;
-        }
-
-        return it;
-      });
-
-      return payload;
-    }
-
     normalizeMealItemsForNormalizedQuantity(payload);
 
     // Debug: warn if a non-canonical UI unit is provided but we did not receive a canonical normalized fallback.
@@ -999,39 +1612,27 @@ app.post("/users/:id/meals", async (req, res) => {
     const result = await logUserMeal(userIdValue, payload);
 
     // 1b) Increment awards tally for meals logged (best-effort; never block response)
-    applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: 1 }).catch(
-      (err) => {
-        console.error("[Users/Meals] Failed to apply mealsLogged award event:", err);
-      }
-    );
+    // A deduped retry returns the meal that was already logged (and counted), so it awards nothing.
+    const awardDateKey = result?.dateKey || payload?.dateKey || null;
+    if (!result?.deduped) {
+      applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: 1, dateKey: awardDateKey }).catch(
+        (err) => {
+          console.error("[Users/Meals] Failed to apply mealsLogged award event:", err);
+        }
+      );
+    }
 
     // 1c) Optional awards hook: drink-water logged (best-effort; never block response)
     // Note: This is a simple per-event tally (1 per water log). Daily hydration streak awards
     // should still be derived from daily totals.
-    if (drinkWaterMl > 0) {
-      applyAwardEvent(db, { userId }, { eventKey: "waterLogged", amount: 1 }).catch((err) => {
+    if (drinkWaterMl > 0 && !result?.deduped) {
+      applyAwardEvent(db, { userId }, { eventKey: "waterLogged", amount: 1, dateKey: awardDateKey }).catch((err) => {
         console.error("[Users/Meals] Failed to apply waterLogged award event:", err);
       });
     }
 
-    // 2) Kick off daily nutrition total recompute in the background.
-    //    We don't block the response on this — it's best-effort.
-    const recomputeDateKey = (result && result.dateKey) ? result.dateKey : (payload && payload.dateKey ? payload.dateKey : null);
-
-    if (db && recomputeDateKey) {
-      // IMPORTANT: use the same coerced userId type as logUserMeal (ObjectId when possible)
-      recomputeDailyNutritionTotals(db, userIdValue, recomputeDateKey, timezone).catch((err) => {
-        console.error(
-          "[Users/Meals] Failed to recompute daily nutrition totals:",
-          err
-        );
-      });
-    } else {
-      console.warn(
-        "[Users/Meals] Skipping recomputeDailyNutritionTotals — missing db or dateKey",
-        { hasDb: !!db, hasDateKey: !!recomputeDateKey }
-      );
-    }
+    // 2) Daily totals: logUserMeal already recomputed the day inline; if that failed it was handed to the
+    //    job queue (recompute_daily_totals / recompute_ingredient_exposure), so nothing to kick off here.
 
     res.json({
       ok: true,
@@ -1048,6 +1649,74 @@ app.post("/users/:id/meals", async (req, res) => {
 
 //---------------------------------------------------------------------------------------------
 
+// POST /users/:id/meals/import → bulk import meals from another tracker's CSV export
+// Body (either):
+//   - Content-Type: text/csv (raw file), options in the query: ?dryRun=false&layout=myfitnesspal&timezone=...&dateFormat=dmy
+//   - JSON: { csv: "...", layout?: "auto"|"myfitnesspal"|"cronometer"|"loseit"|"generic", dateFormat?: "auto"|"mdy"|"dmy",
+//             timezone?: "America/Toronto", dryRun?: true, resolutions?: { "<food name>": "<foodId>" } }
+// Dry run is the default: returns the match report (including unmatched rows) without writing.
+// Large files should be sent as text/csv (the global JSON parser caps bodies at 100kb).
+app.post(
+  "/users/:id/meals/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "10mb" }),
+  async (req, res) => {
+    try {
+      if (!db) {
+        return res.status(500).json({ ok: false, error: "DB not ready" });
+      }
+
+      const userId = String(req.params?.id || "").trim();
+      if (!userId || !ObjectId.isValid(userId)) {
+        return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+      }
+
+      const isRawCsv = typeof req.body === "string";
+      const opts = isRawCsv ? req.query || {} : req.body || {};
+      const csv = isRawCsv ? req.body : opts.csv;
+
+      if (typeof csv !== "string" || !csv.trim()) {
+        return res.status(400).json({ ok: false, error: "Missing CSV body (send text/csv or JSON { csv })." });
+      }
+
+      const dryRun = !(opts.dryRun === false || String(opts.dryRun).toLowerCase() === "false");
+      const timezone =
+        (typeof opts.timezone === "string" && opts.timezone.trim()) ||
+        (typeof req.headers["x-timezone"] === "string" && req.headers["x-timezone"].trim()) ||
+        "America/Toronto";
+
+      const report = await importUserMealsFromCsv(db, userId, {
+        csv,
+        layout: opts.layout,
+        dateFormat: opts.dateFormat,
+        timezone,
+        dryRun,
+        resolutions: !isRawCsv && opts.resolutions && typeof opts.resolutions === "object" ? opts.resolutions : null,
+      });
+
+      // One mealsLogged event per imported day, so per-day award rows match the single-meal route.
+      if (!dryRun && report.insertedMeals > 0) {
+        (async () => {
+          for (const [dateKey, amount] of Object.entries(report.insertedMealsByDateKey || {})) {
+            await applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount, dateKey });
+          }
+        })().catch((err) => {
+          console.error("[Users/MealImport] Failed to apply mealsLogged award event:", err);
+        });
+      }
+
+      res.json({ ok: true, ...report });
+    } catch (err) {
+      console.error("[Users/MealImport] Error:", err);
+      res.status(err?.statusCode || 500).json({
+        ok: false,
+        error: err?.message || "Failed to import meals",
+      });
+    }
+  }
+);
+
+//---------------------------------------------------------------------------------------------
+
 // GET /users/:id/meals?dateKey=YYYY-MM-DD
 // Returns the user's meals for a given day (sorted by time).
 app.get("/users/:id/meals", async (req, res) => {
@@ -1106,63 +1775,241 @@ app.get("/users/:id/meals", async (req, res) => {
       meals: items || [],
     });
   } catch (err) {
-    console.error("[Users/Meals/List] Error:", err);
-    return res.status(500).json({
+    console.error("[Users/Meals/List] Error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "Failed to fetch meals for date",
+      details: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+//----------------------------------------------------------------------------------------------------------------
+
+// DELETE /users/:id/meals/:mealId
+// Deletes a single logged meal and recomputes that day's totals.
+app.delete("/users/:id/meals/:mealId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = req.params.id;
+    const { mealId } = req.params;
+
+    if (!userId) {
+      return res.status(400).json({ ok: false, error: "Missing required path parameter ':id' (userId)." });
+    }
+
+    if (!mealId || typeof mealId !== "string" || !ObjectId.isValid(mealId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':mealId' (expected Mongo ObjectId)." });
+    }
+
+    // NOTE:
+    // user_meals.userId has historically been stored as a string.
+    // Passing the raw string here avoids type-mismatch deletes.
+    const userIdForDelete = String(userId);
+
+    const result = await deleteUserMeal(db, userIdForDelete, mealId);
+
+    if (!result || result.ok === false) {
+      const msg = result && result.error ? result.error : "Failed to delete meal";
+      const status = result && typeof result.statusCode === "number" ? result.statusCode : 500;
+      return res.status(status).json({ ok: false, error: msg });
+    }
+
+    // Keep the mealsLogged tally honest (best-effort). waterLogged is left to the award backfill.
+    if ((result.deletedCount ?? 0) > 0) {
+      applyAwardEvent(db, { userId: userIdForDelete }, { eventKey: "mealsLogged", amount: -1, dateKey: result.dateKey || null }).catch(
+        (err) => {
+          console.error("[Users/Meals/Delete] Failed to apply mealsLogged award event:", err);
+        }
+      );
+    }
+
+    // Service should return dateKey so the client can refresh that day's list/totals.
+    return res.json({
+      ok: true,
+      mealId,
+      dateKey: result.dateKey || null,
+      deletedCount: result.deletedCount ?? 1,
+    });
+  } catch (err) {
+    console.error("[Users/Meals/Delete] Error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "Failed to delete meal",
+      details: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// PATCH /users/:id/meals/:mealId → edit a logged meal in place
+// Body (all optional, at least one): { items, description, loggedAt, timezone, dateKey, expectedRevision }
+// - items replaces the whole list and goes through the same normalization as POST /users/:id/meals
+// - moving loggedAt across the 3am cutoff moves the meal to another dateKey; both days are recomputed
+// - the previous values are kept in the meal's `revisions` history
+app.patch("/users/:id/meals/:mealId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    const { mealId } = req.params;
+
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    if (!mealId || typeof mealId !== "string" || !ObjectId.isValid(mealId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':mealId' (expected Mongo ObjectId)." });
+    }
+
+    const patch = req.body && typeof req.body === "object" ? { ...req.body } : {};
+
+    if (patch.items !== undefined) {
+      normalizeMealItemsForUSDAEquivalent(patch);
+      normalizeMealItemsForNormalizedQuantity(patch);
+    }
+
+    const meal = await updateUserMeal(db, userId, mealId, {
+      items: patch.items,
+      description: patch.description,
+      loggedAt: patch.loggedAt,
+      timezone: patch.timezone,
+      dateKey: patch.dateKey,
+      expectedRevision: patch.expectedRevision,
+    });
+
+    // Moving the meal to another day moves its mealsLogged count with it (best-effort; tally nets to 0).
+    if (meal.previousDateKey && meal.dateKey && meal.previousDateKey !== meal.dateKey) {
+      (async () => {
+        await applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: -1, dateKey: meal.previousDateKey });
+        await applyAwardEvent(db, { userId }, { eventKey: "mealsLogged", amount: 1, dateKey: meal.dateKey });
+      })().catch((err) => {
+        console.error("[Users/Meals/Update] Failed to move mealsLogged award event:", err);
+      });
+    }
+
+    res.json({ ok: true, meal });
+  } catch (err) {
+    console.error("[Users/Meals/Update] Error:", err);
+    res.status(err?.statusCode || 500).json({
       ok: false,
-      error: "Failed to fetch meals for date",
-      details: err && err.message ? err.message : String(err),
+      error: err?.message || "Failed to update meal",
     });
   }
 });
 
-//----------------------------------------------------------------------------------------------------------------
+//---------------------------------------------------------------------------------------------
+// Saved recipes
+// Body for create / update:
+// {
+//   name: "Usual breakfast",
+//   components: [{ name?: "Oats", foodId: "...", quantity: { value: 40, unit: "g" } }],   // g | ml | serving
+//   servings?: 1,                          // servings the component list makes
+//   yield?: { value: 350, unit: "g" },     // finished weight, when it differs from the sum
+//   notes?: "..."
+// }
+
+// GET /users/:id/recipes → list the user's recipes (most recently used first)
+app.get("/users/:id/recipes", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
 
-// DELETE /users/:id/meals/:mealId
-// Deletes a single logged meal and recomputes that day's totals.
-app.delete("/users/:id/meals/:mealId", async (req, res) => {
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const result = await listUserRecipes(db, userId);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[Recipes/List] Error:", err);
+    res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to list recipes" });
+  }
+});
+
+// POST /users/:id/recipes → create a recipe (nutrition snapshot computed from components)
+app.post("/users/:id/recipes", async (req, res) => {
   try {
     if (!db) {
       return res.status(500).json({ ok: false, error: "DB not ready" });
     }
 
-    const userId = req.params.id;
-    const { mealId } = req.params;
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
 
-    if (!userId) {
-      return res.status(400).json({ ok: false, error: "Missing required path parameter ':id' (userId)." });
+    const recipe = await createUserRecipe(db, userId, req.body || {});
+    res.status(201).json({ ok: true, recipe });
+  } catch (err) {
+    console.error("[Recipes/Create] Error:", err);
+    res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to create recipe" });
+  }
+});
+
+// GET /users/:id/recipes/:recipeId → one recipe
+app.get("/users/:id/recipes/:recipeId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
     }
 
-    if (!mealId || typeof mealId !== "string" || !ObjectId.isValid(mealId)) {
-      return res.status(400).json({ ok: false, error: "Missing or invalid ':mealId' (expected Mongo ObjectId)." });
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    // NOTE:
-    // user_meals.userId has historically been stored as a string.
-    // Passing the raw string here avoids type-mismatch deletes.
-    const userIdForDelete = String(userId);
+    const recipe = await getUserRecipe(db, userId, req.params.recipeId);
+    res.json({ ok: true, recipe });
+  } catch (err) {
+    console.error("[Recipes/Get] Error:", err);
+    res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to load recipe" });
+  }
+});
 
-    const result = await deleteUserMeal(db, userIdForDelete, mealId);
+// PATCH /users/:id/recipes/:recipeId → partial update (nutrition snapshot recomputed)
+app.patch("/users/:id/recipes/:recipeId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
 
-    if (!result || result.ok === false) {
-      const msg = result && result.error ? result.error : "Failed to delete meal";
-      const status = result && typeof result.statusCode === "number" ? result.statusCode : 500;
-      return res.status(status).json({ ok: false, error: msg });
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
     }
 
-    // Service should return dateKey so the client can refresh that day's list/totals.
-    return res.json({
-      ok: true,
-      mealId,
-      dateKey: result.dateKey || null,
-      deletedCount: result.deletedCount ?? 1,
-    });
+    const recipe = await updateUserRecipe(db, userId, req.params.recipeId, req.body || {});
+    res.json({ ok: true, recipe });
   } catch (err) {
-    console.error("[Users/Meals/Delete] Error:", err);
-    return res.status(500).json({
-      ok: false,
-      error: "Failed to delete meal",
-      details: err && err.message ? err.message : String(err),
-    });
+    console.error("[Recipes/Update] Error:", err);
+    res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to update recipe" });
+  }
+});
+
+// DELETE /users/:id/recipes/:recipeId → delete a recipe (meals already logged from it are kept)
+app.delete("/users/:id/recipes/:recipeId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const result = await deleteUserRecipe(db, userId, req.params.recipeId);
+    res.json(result);
+  } catch (err) {
+    console.error("[Recipes/Delete] Error:", err);
+    res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to delete recipe" });
   }
 });
 
@@ -1261,10 +2108,22 @@ app.get("/users/:id/daily-totals", async (req, res) => {
       // Snapshot the requested day (often "today") so UI can render a running average.
       await upsertUserEnergySnapshotForDate(db, userIdValue, String(dateKey), { finalize: false });
 
-      // Finalize yesterday once we are looking at today.
+      // Finalize yesterday once we are looking at today (queued; idempotent, deduped per user + day).
+      // Only while yesterday still has samples and no energy_finalized_at, so polling doesn't enqueue a job each time.
       const yesterdayKey = addDaysDateKeyUTC(String(dateKey), -1);
-      if (isValidDateKey(yesterdayKey)) {
-        await upsertUserEnergySnapshotForDate(db, userIdValue, String(yesterdayKey), { finalize: true });
+      if (isValidDateKey(yesterdayKey) && ObjectId.isValid(String(userIdValue))) {
+        const pendingFinalize = await totalsCol.findOne(
+          {
+            userId: userIdValue,
+            dateKey: String(yesterdayKey),
+            "checkin.energy_samples.0": { $exists: true },
+            "checkin.energy_finalized_at": null,
+          },
+          { projection: { _id: 1 } }
+        );
+        if (pendingFinalize) {
+          await enqueueJob(db, { type: "finalize_energy", userId: String(userIdValue), dateKey: String(yesterdayKey) });
+        }
       }
     } catch (energySnapErr) {
       console.error("[Users/DailyTotals] Energy snapshot/finalize failed (best-effort):", energySnapErr);
@@ -1315,6 +2174,72 @@ app.get("/users/:id/daily-totals", async (req, res) => {
   }
 });
 
+//---------------------------------------------------------------------------------------------
+
+// GET /users/:id/totals/range?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+// Server-side rollup of user_daily_totals for charts: per-nutrient { sum, mean } for totals and
+// totals_estimated (kept separate), daysLogged per bucket, and check-in outcome averages.
+// Weeks are ISO (keyed by Monday); empty buckets are included.
+app.get("/users/:id/totals/range", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const result = await getUserTotalsRange(db, userId, {
+      from: String(req.query?.from || "").trim(),
+      to: String(req.query?.to || "").trim(),
+      granularity: req.query?.granularity ? String(req.query.granularity) : "day",
+    });
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[Users/TotalsRange] Error:", err);
+    res.status(err?.statusCode || 500).json({
+      ok: false,
+      error: err?.message || "Failed to fetch totals range",
+    });
+  }
+});
+
+//------------------------------------------------------------------------------------------------------------
+
+// GET /users/:id/adherence?days=90
+// Goal adherence over the last `days` logical days (default 90, min 30, max 365) ending today (3am cutoff in the
+// user's timezone): current / best streak and rolling 7 / 30-day scores, overall and per nutrient. Only trusted days
+// (coverage >= 0.60) can be in band; today is left out until it is trusted (`lastDayPending`). Read-only: streak awards (adherenceBestStreak) are granted by the
+// "adherence_awards" job queued whenever a day's totals are recomputed.
+app.get("/users/:id/adherence", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const adherence = await getUserGoalAdherence(db, {
+      userId,
+      days: req.query?.days ? Number(req.query.days) : undefined,
+    });
+
+    res.json({ ok: true, ...adherence });
+  } catch (err) {
+    console.error("[Users/Adherence] Error:", err);
+    res.status(err?.statusCode || 500).json({
+      ok: false,
+      error: err?.message || "Failed to compute adherence",
+    });
+  }
+});
+
 //------------------------------------------------------------------------------------------------------------
 
 // PATCH /users/:id/daily-totals/checkin
@@ -1430,7 +2355,11 @@ app.patch("/users/:id/daily-totals/checkin", async (req, res) => {
         );
 
         if (dedupe?.modifiedCount === 1) {
-          applyAwardEvent(db, { userId: String(userId) }, { eventKey: "dailyCheckins", amount: 1 }).catch(
+          applyAwardEvent(
+            db,
+            { userId: String(userId) },
+            { eventKey: "dailyCheckins", amount: 1, dateKey: String(dateKeyResolved) }
+          ).catch(
             (err) => {
               console.error("[Users/DailyTotals/CheckIn] Failed to apply dailyCheckins award event:", err);
             }
@@ -1538,7 +2467,10 @@ app.get("/user-analysis/debug-window", async (req, res) => {
     if (!db) return res.status(500).json({ ok: false, error: "DB not ready" });
 
     const userIdRaw = String(req.query?.userId || "").trim();
-    if (!userIdRaw) return res.status(400).json({ ok: false, error: "Missing required query param 'userId'." });
+    if (!userIdRaw || !ObjectId.isValid(userIdRaw)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid query param 'userId'." });
+    }
+    assertUserOwnership(req, userIdRaw);
 
     const windowDaysRaw = req.query?.windowDays;
     const lagDaysRaw = req.query?.lagDays;
@@ -1662,7 +2594,7 @@ app.get("/user-analysis/debug-window", async (req, res) => {
     });
   } catch (err) {
     console.error("[UserAnalysis/DebugWindow] Error:", err);
-    return res.status(500).json({ ok: false, error: err?.message || "Failed to debug window" });
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to debug window" });
   }
 });
 
@@ -1681,6 +2613,14 @@ app.post("/users/:id/correlation-reveal", async (req, res) => {
       dateKey: req.body?.dateKey || null,
     });
 
+    applyAwardEvent(
+      db,
+      { userId: req.params.id },
+      { eventKey: "correlationsRevealed", amount: 1, dateKey: out.lastCorrelationRevealDateKey }
+    ).catch((err) => {
+      console.error("[CorrelationReveal] Failed to apply correlationsRevealed award event:", err);
+    });
+
     return res.json({ ok: true, ...out });
   } catch (err) {
     console.error("[CorrelationReveal] Error:", err);
@@ -1710,6 +2650,95 @@ app.get("/users/:id/correlation-job-status", async (req, res) => {
   }
 });
 
+// GET /users/:id/correlation-runs?limit=20  → run history (manual and nightly), newest first
+app.get("/users/:id/correlation-runs", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const items = await listUserCorrelationRuns(db, { userId, limit: req.query?.limit });
+    return res.json({ ok: true, items });
+  } catch (err) {
+    console.error("[CorrelationRuns] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to fetch correlation runs" });
+  }
+});
+
+// GET /users/:id/correlation-job-status/stream  → Server-Sent Events instead of polling correlation-job-status.
+// Events: "snapshot" (full status from the DB, on connect when nothing can be replayed), "phase", "progress",
+// "complete" (final surfacedCount), "failed". Each event has an id; reconnecting with Last-Event-ID
+// (header, or ?lastEventId= for clients that can't set headers) replays what was missed in this process.
+// A comment heartbeat goes out every 15s so proxies don't drop idle connections.
+const CORRELATION_STREAM_HEARTBEAT_MS = 15 * 1000;
+
+app.get("/users/:id/correlation-job-status/stream", async (req, res) => {
+  if (!db) {
+    return res.status(500).json({ ok: false, error: "DB not ready" });
+  }
+
+  const userId = String(req.params?.id || "").trim();
+  if (!userId || !ObjectId.isValid(userId)) {
+    return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const send = ({ id, event, data }) => {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe first and queue, so nothing published while the snapshot loads is lost.
+  let ready = false;
+  const queued = [];
+  const unsubscribe = subscribeCorrelationJobEvents(userId, (entry) => {
+    if (ready) send(entry);
+    else queued.push(entry);
+  });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), CORRELATION_STREAM_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const lastEventId = req.get("Last-Event-ID") || (req.query?.lastEventId ? String(req.query.lastEventId) : "");
+    const replay = lastEventId ? replayCorrelationJobEvents(userId, lastEventId) : null;
+
+    let lastSentSeq = 0;
+    if (replay) {
+      for (const entry of replay) send(entry);
+      lastSentSeq = replay.length ? replay[replay.length - 1].seq : Number(lastEventId.split(".")[1]) || 0;
+    } else {
+      const id = currentCorrelationJobEventId(userId);
+      const status = await fetchUserCorrelationJobStatus(db, { userId });
+      send({ id, event: "snapshot", data: status });
+      lastSentSeq = Number(id.split(".")[1]) || 0;
+    }
+
+    for (const entry of queued) if (entry.seq > lastSentSeq) send(entry);
+    ready = true;
+  } catch (err) {
+    console.error("[CorrelationJobStatus/Stream] Error:", err);
+    res.write(`event: error\ndata: ${JSON.stringify({ error: err?.message || "Failed to load job status" })}\n\n`);
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+});
+
 //------------------------------------------------------------------------------------------------------------------------------------
 
 app.post("/users/:id/correlation-reveals", async (req, res) => {
@@ -1784,6 +2813,10 @@ app.get("/users/:id/correlation-reveals", async (req, res) => {
 //   - surfacedOnly (default "true"): when true, only returns isSurfaced=true
 //   - limit (default 50, max 200)
 //   - includeAll (default "false"): when true, returns all correlations (surfaced + unsurfaced)
+//   - state (optional): comma-separated lifecycle states (emerging,confirmed,weakening,retired);
+//     replaces the surfacedOnly filter when given
+//   - includeDismissed (default "false"): when true, also returns rows the user answered "disagree" on
+// Rows the user agreed with rank first (feedbackPriority), then newest surfaced.
 app.get("/users/:id/correlations", async (req, res) => {
   try {
     if (!db) {
@@ -1801,7 +2834,22 @@ app.get("/users/:id/correlations", async (req, res) => {
     const includeAllParam = String(req.query?.includeAll ?? "false").trim().toLowerCase();
 
     const includeAll = includeAllParam === "true" || includeAllParam === "1";
-    const surfacedOnly = includeAll ? false : !(surfacedOnlyParam === "false" || surfacedOnlyParam === "0");
+    const includeDismissedParam = String(req.query?.includeDismissed ?? "false").trim().toLowerCase();
+    const includeDismissed = includeDismissedParam === "true" || includeDismissedParam === "1";
+    const states = String(req.query?.state ?? "")
+      .split(",")
+      .map((v) => v.trim().toLowerCase())
+      .filter(Boolean);
+    const unknownState = states.find((v) => !CORRELATION_LIFECYCLE_STATES.includes(v));
+    if (unknownState) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown state '${unknownState}'. Expected one of: ${CORRELATION_LIFECYCLE_STATES.join(", ")}.`,
+      });
+    }
+
+    const surfacedOnly =
+      includeAll || states.length ? false : !(surfacedOnlyParam === "false" || surfacedOnlyParam === "0");
 
     const limitRaw = req.query?.limit;
     const limit =
@@ -1822,7 +2870,23 @@ app.get("/users/:id/correlations", async (req, res) => {
     const filter = {
       $and: [
         { $or: userIdFilters },
-        ...(surfacedOnly ? [{ isSurfaced: true }] : []),
+        // "disagree" un-surfaces a row; includeDismissed brings back the ones that had been surfaced.
+        ...(surfacedOnly
+          ? [includeDismissed ? { $or: [{ isSurfaced: true }, { "feedback.value": "disagree", surfacedAt: { $ne: null } }] } : { isSurfaced: true }]
+          : []),
+        ...(includeDismissed ? [] : [{ "feedback.value": { $ne: "disagree" } }]),
+        // Rows not re-evaluated since lifecycle tracking began have no lifecycleState yet.
+        ...(states.length
+          ? [
+              {
+                $or: [
+                  { lifecycleState: { $in: states } },
+                  ...(states.includes("confirmed") ? [{ lifecycleState: { $exists: false }, isSurfaced: true }] : []),
+                  ...(states.includes("emerging") ? [{ lifecycleState: { $exists: false }, isSurfaced: { $ne: true } }] : []),
+                ],
+              },
+            ]
+          : []),
 
         // Only return complete correlation rows (avoid legacy/placeholder docs)
         { inputKey: { $exists: true, $type: "string", $ne: "" } },
@@ -1840,6 +2904,16 @@ app.get("/users/:id/correlations", async (req, res) => {
           outputKey: 1,
           mode: 1,
           lagDays: 1,
+          lagsTested: 1,
+          lagProfile: 1,
+          pValue: 1,
+          pLagAdjusted: 1,
+          qValue: 1,
+          adjustedStrength: 1,
+          adjustedPValue: 1,
+          adjustedN: 1,
+          adjustedFor: 1,
+          survivesAdjustment: 1,
           direction: 1,
           strength: 1,
           n: 1,
@@ -1856,11 +2930,20 @@ app.get("/users/:id/correlations", async (req, res) => {
           surfacedDateKey: 1,
           firstSeenDateKey: 1,
           lastSeenDateKey: 1,
+          lifecycleState: 1,
+          lifecycleChangedAt: 1,
+          lifecycleHistory: 1,
+          missStreak: 1,
+          retiredAt: 1,
+          retiredReason: 1,
+          engineVersion: 1,
+          feedback: 1,
+          feedbackPriority: 1,
           createdAt: 1,
           updatedAt: 1,
         },
       })
-      .sort({ surfacedAt: -1, updatedAt: -1 })
+      .sort({ feedbackPriority: -1, surfacedAt: -1, updatedAt: -1 })
       .limit(limit)
       .toArray();
 
@@ -1869,12 +2952,16 @@ app.get("/users/:id/correlations", async (req, res) => {
       // Normalize ObjectId for clients
       if (out && out._id) out.id = String(out._id);
       if (out && out.userId && typeof out.userId === "object") out.userId = String(out.userId);
+      out.lifecycleState = currentCorrelationLifecycleState(d);
       delete out._id;
       return out;
     });
 
-    // Secondary sort by abs(strength) while preserving surfacedAt recency bias.
+    // Secondary sort by abs(strength) while preserving feedback priority and surfacedAt recency bias.
     items.sort((a, b) => {
+      const aPri = Number(a?.feedbackPriority) || 0;
+      const bPri = Number(b?.feedbackPriority) || 0;
+      if (bPri !== aPri) return bPri - aPri;
       const aSurf = a?.surfacedAt ? new Date(a.surfacedAt).getTime() : 0;
       const bSurf = b?.surfacedAt ? new Date(b.surfacedAt).getTime() : 0;
       if (bSurf !== aSurf) return bSurf - aSurf;
@@ -1890,6 +2977,86 @@ app.get("/users/:id/correlations", async (req, res) => {
   }
 });
 
+// GET /users/:id/correlations/:correlationId/dose-response?bins=5&windowDays=120
+// Chart data for one correlation: the input split into quantile bins (mean outcome + 95% CI per bin)
+// plus the raw lag-aligned day points. Returns { correlation, windowDays, points, bins, message? }.
+app.get("/users/:id/correlations/:correlationId/dose-response", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const result = await getCorrelationDoseResponse(db, {
+      userId,
+      correlationId: req.params.correlationId,
+      bins: req.query?.bins,
+      windowDays: req.query?.windowDays,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[Users/Correlations/DoseResponse] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to build dose-response" });
+  }
+});
+
+// POST /users/:id/correlations/:correlationId/feedback
+// Body: { value: "agree" | "disagree" | "already_knew" | "will_test", note?: string }
+// Replaces the user's answer; "disagree" hides the finding from the list and keeps it from surfacing.
+app.post("/users/:id/correlations/:correlationId/feedback", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const result = await recordCorrelationFeedback(db, {
+      userId,
+      correlationId: req.params.correlationId,
+      value: req.body?.value,
+      note: req.body?.note,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[Users/Correlations/Feedback] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to save feedback" });
+  }
+});
+
+// GET /users/:id/correlations/:correlationId/evidence?windowDays=120
+// The days behind one correlation, newest first: input value, outcome on the lagged day, event flag and
+// the meals that supplied the input. Returns { correlation, windowDays, days, message? }.
+app.get("/users/:id/correlations/:correlationId/evidence", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ ok: false, error: "DB not ready" });
+    }
+
+    const userId = String(req.params?.id || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid ':id' (userId)." });
+    }
+
+    const result = await getCorrelationEvidence(db, {
+      userId,
+      correlationId: req.params.correlationId,
+      windowDays: req.query?.windowDays,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[Users/Correlations/Evidence] Error:", err);
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || "Failed to load correlation evidence" });
+  }
+});
+
 //--------------------------------------------------------------------------------------------------------------------------
 
 app.get("/users/:id/correlation-progress", async (req, res) => {
@@ -1933,6 +3100,12 @@ app.post("/user-analysis/correlation-pack", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Invalid JSON body" });
     }
 
+    const userId = String(payload.userId || "").trim();
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid userId" });
+    }
+    assertUserOwnership(req, userId);
+
     const result = await storeUserCorrelationPack(db, payload);
 
     return res.json({
@@ -1944,7 +3117,7 @@ app.post("/user-analysis/correlation-pack", async (req, res) => {
     });
   } catch (err) {
     console.error("[UserAnalysis/CorrelationPack] Error:", err);
-    return res.status(500).json({
+    return res.status(err?.statusCode || 500).json({
       ok: false,
       error: err?.message || "Failed to store correlation pack",
     });
@@ -1954,8 +3127,11 @@ app.post("/user-analysis/correlation-pack", async (req, res) => {
 //-------------------------------------------------------------------------------------------------------
 
 // POST /user-analysis/run-correlation-engine
-// Server-side longitudinal correlation engine (lag-1 / next-day effects)
-// Body: { userId: string, windowDays?: number, minSupportDays?: number, topK?: number }
+// Server-side longitudinal correlation engine (same-day through maxLagDays-later effects in one run)
+// Body: { userId: string, windowDays?: number, maxLagDays?: number (default 3, max 7),
+//         lagDays?: number (test only this lag), minSupportDays?: number, topK?: number,
+//         covariates?: ["sleep_hours", "energy_kcal", "weekday"] (confounders to adjust for; default all;
+//           weekday = six day-of-week indicators, "weekend" is accepted as an alias) }
 app.post("/user-analysis/run-correlation-engine", async (req, res) => {
   try {
     if (!db) {
@@ -1966,14 +3142,20 @@ app.post("/user-analysis/run-correlation-engine", async (req, res) => {
     if (!userId || !ObjectId.isValid(userId)) {
       return res.status(400).json({ ok: false, error: "Missing or invalid userId" });
     }
+    assertUserOwnership(req, userId);
 
     const windowDays = Number.isFinite(Number(req.body?.windowDays))
       ? Number(req.body.windowDays)
       : 120;
 
-    const lagDays = Number.isFinite(Number(req.body?.lagDays))
+    // Only an explicit lagDays narrows the run to one lag; otherwise every lag up to maxLagDays is tested.
+    const lagDays = req.body?.lagDays != null && Number.isFinite(Number(req.body.lagDays))
       ? Number(req.body.lagDays)
-      : 1;
+      : undefined;
+
+    const maxLagDays = Number.isFinite(Number(req.body?.maxLagDays))
+      ? Number(req.body.maxLagDays)
+      : 3;
 
     const minSupportDays = Number.isFinite(Number(req.body?.minSupportDays))
       ? Number(req.body.minSupportDays)
@@ -1983,32 +3165,38 @@ app.post("/user-analysis/run-correlation-engine", async (req, res) => {
       ? Number(req.body.topK)
       : 150;
 
-    // Start background work and return immediately.
-    setTimeout(() => {
-      runCorrelationEngineAndPromoteForUser(db, {
-        userId,
-        windowDays,
-        lagDays,
-        minSupportDays,
-        topK,
-      }).catch((err) => {
-        console.error("[RunCorrelationEngineBackground] Error:", err);
-      });
-    }, 0);
+    const covariates = Array.isArray(req.body?.covariates)
+      ? req.body.covariates.map((k) => String(k || "").trim()).filter(Boolean)
+      : undefined;
+
+    // Queue the run (survives restarts; a second request while one is pending is folded into it).
+    const job = await enqueueCorrelationRun(db, {
+      userId,
+      windowDays,
+      ...(lagDays !== undefined ? { lagDays } : {}),
+      maxLagDays,
+      minSupportDays,
+      topK,
+      ...(covariates ? { covariates } : {}),
+    });
 
     return res.status(202).json({
       ok: true,
       started: true,
+      jobId: job.jobId,
+      jobStatus: job.status,
       userId,
       windowDays,
-      lagDays,
+      lagDays: lagDays ?? null,
+      maxLagDays,
       minSupportDays,
       topK,
-      message: "Correlation engine started in background",
+      covariates: covariates ?? null,
+      message: "Correlation engine queued",
     });
   } catch (err) {
     console.error("[RunCorrelationEngine] Error:", err);
-    return res.status(500).json({
+    return res.status(err?.statusCode || 500).json({
       ok: false,
       error: err?.message || "Failed to start correlation engine",
     });
@@ -2504,6 +3692,16 @@ app.post("/api/meal-search", async (req, res) => {
 
     result = await enrichMealSearchResultWithUSDAEquivalent(db, result);
 
+    // Saved recipes whose name matches an item come back in item.recipeCandidates (kind: "recipe").
+    // Picking one means logging via POST /users/:id/meals { recipeId, servings }, not as a foodId.
+    if (req.user?.id) {
+      try {
+        await attachRecipeCandidatesToMealSearchResult(db, req.user.id, result);
+      } catch (recipeErr) {
+        console.error("[MealSearch] Recipe candidates failed (best-effort):", recipeErr);
+      }
+    }
+
     // --- Barcode override: barcode-confirmed items are authoritative and must not be replaced by favorites.
     // We forcibly set the top candidate to the barcode lookup result.
     try {
@@ -3181,12 +4379,40 @@ app.post("/foods/link-canadian-to-usda", async (req, res) => {
   }
 });
 
+let jobWorker = null;
+let correlationScheduler = null;
+
+// Refuse to start in production without a real mail transport (recovery codes would end up in stdout).
+assertMailTransportConfigured();
+
 // Start server only after Mongo is ready
 initMongo()
   .then(() => {
     app.listen(port, () => {
       console.log(`LogicSoul API listening on port ${port}`);
     });
+
+    // Finish any account deletions a previous process was in the middle of.
+    resumeInterruptedUserDeletionJobs(db)
+      .then((n) => n && console.log(`[Deletion] resumed ${n} job(s)`))
+      .catch((err) => console.error("[Deletion] Failed to resume jobs:", err));
+
+    // Background jobs: requeue work a dead process was holding, fix stale "running" statuses, start the worker.
+    reapStuckJobs(db)
+      .then((n) => n && console.log(`[Jobs] requeued ${n} stuck job(s)`))
+      .then(() => reapInterruptedCorrelationJobStatuses(db))
+      .then((n) => n && console.log(`[Jobs] reset ${n} stale correlation status(es)`))
+      .catch((err) => console.error("[Jobs] Startup reap failed:", err))
+      .finally(() => {
+        jobWorker = startJobWorker(db, { concurrency: Number(process.env.JOB_WORKER_CONCURRENCY) || 1 });
+      });
+
+    // Nightly correlation runs (CORRELATION_SCHEDULER=off disables it, e.g. on a secondary instance).
+    if (String(process.env.CORRELATION_SCHEDULER || "").toLowerCase() !== "off") {
+      correlationScheduler = startCorrelationScheduler(db, {
+        intervalMs: Number(process.env.CORRELATION_SCHEDULER_INTERVAL_MS) || undefined,
+      });
+    }
   })
   .catch((err) => {
     console.error("Failed to init MongoDB:", err);
@@ -3196,6 +4422,9 @@ initMongo()
 // Handle clean shutdown (Render will send SIGTERM)
 process.on("SIGTERM", async () => {
   try {
+    // Let in-flight jobs finish; anything cut off is reclaimed once its lease expires.
+    if (correlationScheduler) await correlationScheduler.stop();
+    if (jobWorker) await jobWorker.stop();
     await client.close();
   } finally {
     process.exit(0);
@@ -0,0 +1,202 @@
+// services/auth.js
+//
+// Stateless signed tokens for user-scoped routes.
+//
+// Token shape: base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+// payload: {
+//   v: 1,
+//   sub: string (users._id as hex),
+//   did: string | null (deviceId the token was issued to),
+//   iat: number (epoch seconds),
+//   exp: number (epoch seconds)
+// }
+//
+// A valid token is required on user-scoped routes. During the token rollout, AUTH_LEGACY_UNTIL
+// (an ISO date) can re-enable the old credentials until that date: the bare X-Device-Id header
+// (resolves to the same req.user shape, authMethod: "device") and requests with no credentials.
+// Once the date passes, legacy credentials are refused without a redeploy.
+
+import crypto from "crypto";
+import { findUserIdByDeviceId } from "./users.js";
+import { isDeviceLinkedToUser } from "./devices.js";
+
+const TOKEN_VERSION = 1;
+const DEFAULT_TOKEN_TTL_DAYS = 30;
+
+function requireAuthTokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret || typeof secret !== "string" || !secret.trim()) {
+    const err = new Error("Missing server env var AUTH_TOKEN_SECRET");
+    err.statusCode = 500;
+    throw err;
+  }
+  return secret;
+}
+
+function tokenTtlSeconds() {
+  const days = Number(process.env.AUTH_TOKEN_TTL_DAYS);
+  const safeDays = Number.isFinite(days) && days > 0 ? days : DEFAULT_TOKEN_TTL_DAYS;
+  return Math.round(safeDays * 24 * 60 * 60);
+}
+
+// Explicit, expiring opt-out for app builds that predate tokens. Unset or unparseable → tokens only.
+export function isLegacyAuthAllowed(now = new Date()) {
+  const raw = String(process.env.AUTH_LEGACY_UNTIL || "").trim();
+  if (!raw) return false;
+  const until = new Date(raw);
+  return Number.isFinite(until.getTime()) && now.getTime() < until.getTime();
+}
+
+function isHexObjectId(v) {
+  return typeof v === "string" && /^[a-f0-9]{24}$/i.test(v);
+}
+
+function sign(encodedPayload) {
+  const secret = requireAuthTokenSecret();
+  return crypto.createHmac("sha256", secret).update(encodedPayload, "utf8").digest("base64url");
+}
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.statusCode = 401;
+  return err;
+}
+
+export function issueUserToken(user) {
+  const userId = String(user?.id || user?._id || "").trim();
+  if (!isHexObjectId(userId)) {
+    const err = new Error("Cannot issue token without a valid user id");
+    err.statusCode = 500;
+    throw err;
+  }
+
+  const deviceId = typeof user?.deviceId === "string" && user.deviceId.trim() ? user.deviceId.trim() : null;
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + tokenTtlSeconds();
+
+  const payload = { v: TOKEN_VERSION, sub: userId, did: deviceId, iat, exp };
+  const encodedPayload = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+  const token = `${encodedPayload}.${sign(encodedPayload)}`;
+
+  return {
+    token,
+    tokenType: "Bearer",
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+// Returns the decoded payload, or null when the token is malformed, tampered with or expired.
+export function verifyUserToken(token) {
+  const raw = String(token || "").trim();
+  const parts = raw.split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+  const [encodedPayload, providedSig] = parts;
+  const expected = Buffer.from(sign(encodedPayload), "utf8");
+  const provided = Buffer.from(providedSig, "utf8");
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!payload || payload.v !== TOKEN_VERSION || !isHexObjectId(payload.sub)) return null;
+  if (!Number.isFinite(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+
+  return payload;
+}
+
+function readBearerToken(req) {
+  const header = String(req?.headers?.authorization || "").trim();
+  if (!header) return null;
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function readDeviceIdHeader(req) {
+  return String(req?.headers?.["x-device-id"] || req?.headers?.["X-Device-Id"] || "").trim();
+}
+
+// Resolves the caller for this request.
+// - Bearer token present: must verify, otherwise 401 (never silently downgrade to device auth).
+//   The device is the one the token was issued to (not the X-Device-Id header), and the token stops
+//   working once that device is unlinked from the account.
+// - Else, only while legacy auth is allowed: X-Device-Id header looked up in users.
+// - Else null (anonymous).
+export async function resolveRequestUser(db, req) {
+  const token = readBearerToken(req);
+  if (token) {
+    const payload = verifyUserToken(token);
+    if (!payload) throw unauthorized("Invalid or expired auth token");
+    if (payload.did && db && !(await isDeviceLinkedToUser(db, payload.sub, payload.did))) {
+      throw unauthorized("Device is no longer linked to this account");
+    }
+    return { id: payload.sub, deviceId: payload.did ?? null, authMethod: "token" };
+  }
+
+  if (!isLegacyAuthAllowed()) return null;
+
+  const deviceId = readDeviceIdHeader(req);
+  if (!deviceId || !db) return null;
+
+  const userId = await findUserIdByDeviceId(db, deviceId);
+  if (!userId) return null;
+
+  return { id: userId, deviceId, authMethod: "device" };
+}
+
+// Throws 401/403 unless the resolved caller owns `userId`.
+// Non-ObjectId ids are left to the route's own validation (e.g. /users/ensure).
+export function assertUserOwnership(req, userId) {
+  const cleanUserId = String(userId || "").trim();
+  if (!isHexObjectId(cleanUserId)) return;
+
+  if (!req?.user) {
+    if (isLegacyAuthAllowed()) return;
+    throw unauthorized("Authentication required");
+  }
+
+  if (String(req.user.id).toLowerCase() !== cleanUserId.toLowerCase()) {
+    const err = new Error("Not allowed to access another user's data");
+    err.statusCode = 403;
+    throw err;
+  }
+}
+
+// For routes about an account that may already be deleted (deletion receipts): the bearer token must
+// verify and belong to `userId`, but its device no longer has to be linked (the users doc may be gone).
+export function assertTokenIssuedToUser(req, userId) {
+  const token = readBearerToken(req);
+  if (!token) throw unauthorized("Authentication required");
+  const payload = verifyUserToken(token);
+  if (!payload) throw unauthorized("Invalid or expired auth token");
+
+  if (payload.sub.toLowerCase() !== String(userId || "").trim().toLowerCase()) {
+    const err = new Error("Not allowed to access another user's data");
+    err.statusCode = 403;
+    throw err;
+  }
+}
+
+// Admin routes (award definitions etc.) use a shared key in X-Admin-Key, separate from user tokens.
+// With ADMIN_API_KEY unset the admin surface is disabled entirely.
+export function assertAdminRequest(req) {
+  const expected = String(process.env.ADMIN_API_KEY || "").trim();
+  if (!expected) {
+    const err = new Error("Admin routes are disabled");
+    err.statusCode = 403;
+    throw err;
+  }
+
+  const provided = String(req?.headers?.["x-admin-key"] || "").trim();
+  const a = Buffer.from(provided, "utf8");
+  const b = Buffer.from(expected, "utf8");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    throw unauthorized("Invalid admin key");
+  }
+}
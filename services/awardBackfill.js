@@ -0,0 +1,318 @@
+// services/awardBackfill.js
+//
+// Rebuilds award tallies from source history and grants awards that live events never triggered
+// (rules added later, or tallies that drifted before meal deletes decremented them).
+//
+// Rebuilt events (everything else in awardTallies is left as-is):
+//   mealsLogged    → user_meals, one per meal, on the meal's dateKey
+//   waterLogged    → user_meals containing a drink-water item (name "water", ml)
+//   dailyCheckins  → users.dailyCheckinDateKeys
+//   barcodesAdded  → foods with source.submitted_by_userId / submitted_by_device of this user
+//
+// For each rebuilt event the user's `awardTallies.<event>` is overwritten and its `user_award_events`
+// rows are brought to the rebuilt counts. Missing awards are granted with the date they would originally
+// have been earned, found by replaying the per-day history in order. Awards are never revoked here.
+//
+// The tally write only lands if awardTallies still hold the values the rebuild started from; a live
+// event in between (a meal logged mid-backfill) makes the user rebuild again instead of losing it.
+// Per-day rows are moved by $inc deltas against the counts read before the rebuild, so a live event's
+// own $inc that lands after the tally write is kept on top of the rebuilt count.
+
+import { ObjectId } from "mongodb";
+import { awardOnce, loadAwardDefinitions, collectConditionEvents, evaluateCondition } from "./awards.js";
+
+const REBUILT_EVENTS = ["mealsLogged", "waterLogged", "dailyCheckins", "barcodesAdded"];
+const DEFAULT_BATCH_LIMIT = 100;
+const MAX_BATCH_LIMIT = 500;
+const MAX_APPLY_ATTEMPTS = 5;
+
+function foodsCollectionName() {
+  return process.env.MONGODB_COLLECTION_FOODS || process.env.MONGODB_COLLECTION_FOOD_ITEMS || "food_items";
+}
+
+function isDateKey(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+function noonOf(dateKey) {
+  return new Date(`${dateKey}T12:00:00.000Z`);
+}
+
+// day → { counts: { [event]: n }, lastAt: Date | null }
+function addToTimeline(timeline, dateKey, event, count, at) {
+  if (!isDateKey(dateKey) || !(count > 0)) return;
+  const day = timeline.get(dateKey) || { counts: {}, lastAt: null };
+  day.counts[event] = (day.counts[event] || 0) + count;
+  if (at instanceof Date && !Number.isNaN(at.getTime()) && (!day.lastAt || at > day.lastAt)) day.lastAt = at;
+  timeline.set(dateKey, day);
+}
+
+async function buildUserEventTimeline(db, user) {
+  const userIdStr = String(user._id);
+  const timeline = new Map();
+
+  const mealDays = await db
+    .collection("user_meals")
+    .aggregate([
+      { $match: { $or: [{ userId: user._id }, { userId: userIdStr }] } },
+      {
+        $project: {
+          dateKey: 1,
+          loggedAt: 1,
+          hasWater: {
+            $gt: [
+              {
+                $size: {
+                  $filter: {
+                    input: { $ifNull: ["$items", []] },
+                    as: "it",
+                    cond: {
+                      $and: [
+                        { $eq: [{ $toLower: { $trim: { input: { $ifNull: ["$$it.name", ""] } } } }, "water"] },
+                        { $eq: [{ $toLower: { $ifNull: ["$$it.quantityUnit", ""] } }, "ml"] },
+                        { $gt: [{ $ifNull: ["$$it.quantity.value", 0] }, 0] },
+                      ],
+                    },
+                  },
+                },
+              },
+              0,
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$dateKey",
+          meals: { $sum: 1 },
+          water: { $sum: { $cond: ["$hasWater", 1, 0] } },
+          lastAt: { $max: "$loggedAt" },
+        },
+      },
+    ])
+    .toArray();
+
+  for (const d of mealDays) {
+    addToTimeline(timeline, d._id, "mealsLogged", d.meals, d.lastAt);
+    addToTimeline(timeline, d._id, "waterLogged", d.water, d.lastAt);
+  }
+
+  const checkinKeys = Array.isArray(user.dailyCheckinDateKeys) ? user.dailyCheckinDateKeys : [];
+  for (const dk of new Set(checkinKeys.map(String))) addToTimeline(timeline, dk, "dailyCheckins", 1, noonOf(dk));
+
+  const deviceIds = [
+    ...(typeof user.deviceId === "string" && user.deviceId ? [user.deviceId] : []),
+    ...(Array.isArray(user.devices) ? user.devices.map((d) => d?.deviceId).filter((d) => typeof d === "string" && d) : []),
+  ];
+  const bySubmitter = [{ "source.submitted_by_userId": { $in: [userIdStr, user._id] } }];
+  if (deviceIds.length) bySubmitter.push({ "source.submitted_by_device": { $in: [...new Set(deviceIds)] } });
+
+  const foods = await db
+    .collection(foodsCollectionName())
+    .find({ $or: bySubmitter }, { projection: { createdAt: 1 } })
+    .toArray();
+
+  for (const f of foods) {
+    const at = f.createdAt instanceof Date ? f.createdAt : f._id.getTimestamp();
+    addToTimeline(timeline, at.toISOString().slice(0, 10), "barcodesAdded", 1, at);
+  }
+
+  return timeline;
+}
+
+// Walks the days in order and returns the first point at which each definition holds.
+function findEarnDates(definitions, timeline) {
+  const dailyCounts = Object.fromEntries(REBUILT_EVENTS.map((e) => [e, new Map()]));
+  const tallies = Object.fromEntries(REBUILT_EVENTS.map((e) => [e, 0]));
+  const pending = [...definitions];
+  const earned = [];
+
+  for (const dateKey of [...timeline.keys()].sort()) {
+    if (!pending.length) break;
+    const day = timeline.get(dateKey);
+    for (const [event, n] of Object.entries(day.counts)) {
+      dailyCounts[event].set(dateKey, n);
+      tallies[event] += n;
+    }
+
+    const ctx = { tallies, dailyCounts, dateKey };
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (!evaluateCondition(pending[i].condition, ctx)) continue;
+      earned.push({ def: pending[i], earnedAt: day.lastAt || noonOf(dateKey) });
+      pending.splice(i, 1);
+    }
+  }
+
+  return earned.sort((a, b) => a.earnedAt - b.earnedAt);
+}
+
+// "event|dateKey" → count of the rebuilt events' per-day rows as they are now.
+async function loadEventRowCounts(db, userObjectId) {
+  const rows = await db
+    .collection("user_award_events")
+    .find({ userId: userObjectId, eventKey: { $in: REBUILT_EVENTS } }, { projection: { eventKey: 1, dateKey: 1, count: 1 } })
+    .toArray();
+  const counts = new Map();
+  for (const r of rows) {
+    const key = `${r.eventKey}|${r.dateKey ?? null}`;
+    counts.set(key, (counts.get(key) || 0) + (Number(r.count) || 0));
+  }
+  return counts;
+}
+
+// Moves the per-day rows of the rebuilt events from `startCounts` to the timeline's counts with $inc, so
+// increments that live events make meanwhile are not overwritten. Rows left at zero are dropped.
+async function writeRebuiltEventRows(db, userObjectId, timeline, startCounts, now) {
+  const eventsCol = db.collection("user_award_events");
+  const targets = new Map();
+  for (const [dateKey, day] of timeline.entries()) {
+    for (const [eventKey, count] of Object.entries(day.counts)) targets.set(`${eventKey}|${dateKey}`, count);
+  }
+
+  const ops = [];
+  for (const key of new Set([...targets.keys(), ...startCounts.keys()])) {
+    const delta = (targets.get(key) || 0) - (startCounts.get(key) || 0);
+    if (!delta) continue;
+    const [eventKey, dateKey] = key.split("|");
+    ops.push({
+      updateOne: {
+        filter: { userId: userObjectId, eventKey, dateKey: dateKey === "null" ? null : dateKey },
+        update: { $inc: { count: delta }, $set: { updatedAt: now } },
+        upsert: delta > 0,
+      },
+    });
+  }
+  if (ops.length) await eventsCol.bulkWrite(ops, { ordered: false });
+  await eventsCol.deleteMany({ userId: userObjectId, eventKey: { $in: REBUILT_EVENTS }, count: { $lte: 0 } });
+}
+
+/**
+ * backfillUserAwards(db, userId, { dryRun = true })
+ * Returns { userId, dryRun, changed, tallies: { [event]: { before, after } }, granted: [...] }.
+ */
+export async function backfillUserAwards(db, userId, { dryRun = true } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const cleaned = String(userId || "").trim();
+  if (!ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid 'userId'");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const usersCol = db.collection("users");
+
+  for (let attempt = 1; ; attempt++) {
+    const user = await usersCol.findOne(
+      { _id: new ObjectId(cleaned) },
+      { projection: { awardTallies: 1, "awards.key": 1, dailyCheckinDateKeys: 1, deviceId: 1, "devices.deviceId": 1 } }
+    );
+    if (!user) {
+      const err = new Error("User not found");
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const startCounts = await loadEventRowCounts(db, user._id);
+    const timeline = await buildUserEventTimeline(db, user);
+
+    const tallies = {};
+    for (const event of REBUILT_EVENTS) {
+      let after = 0;
+      for (const day of timeline.values()) after += day.counts[event] || 0;
+      const before = Number(user.awardTallies?.[event]) || 0;
+      tallies[event] = { before, after };
+    }
+
+    // Only definitions that depend purely on rebuilt events can be replayed; the rest stay live-only.
+    const rebuilt = new Set(REBUILT_EVENTS);
+    const alreadyEarned = new Set((Array.isArray(user.awards) ? user.awards : []).map((a) => a?.key));
+    const replayable = (await loadAwardDefinitions(db)).filter(
+      (def) => !alreadyEarned.has(def.key) && [...collectConditionEvents(def.condition)].every((e) => rebuilt.has(e))
+    );
+    const earnable = findEarnDates(replayable, timeline);
+
+    const granted = earnable.map(({ def, earnedAt }) => ({ key: def.key, title: def.title, earnedAt }));
+    const tallyChanged = Object.values(tallies).some((t) => t.before !== t.after);
+    const report = {
+      userId: cleaned,
+      dryRun: Boolean(dryRun),
+      changed: tallyChanged || granted.length > 0,
+      tallies,
+      granted,
+    };
+    if (dryRun) return report;
+
+    const now = new Date();
+    const guard = { _id: user._id };
+    const $set = { updatedAt: now };
+    for (const [event, t] of Object.entries(tallies)) {
+      // null also matches a tally that was never written.
+      guard[`awardTallies.${event}`] = user.awardTallies?.[event] ?? null;
+      $set[`awardTallies.${event}`] = t.after;
+    }
+
+    const r = await usersCol.updateOne(guard, { $set });
+    if (r.matchedCount !== 1) {
+      if (attempt < MAX_APPLY_ATTEMPTS) continue;
+      const err = new Error("Award tallies kept changing during the backfill; try again");
+      err.statusCode = 409;
+      throw err;
+    }
+
+    await writeRebuiltEventRows(db, user._id, timeline, startCounts, now);
+
+    for (const { def, earnedAt } of earnable) {
+      await awardOnce(
+        db,
+        { userId: cleaned },
+        { key: def.key, title: def.title, subtitle: def.subtitle, icon: def.icon, earnedAt }
+      );
+    }
+
+    return report;
+  }
+}
+
+/**
+ * backfillAwardsBatch(db, { afterUserId, limit, dryRun = true })
+ * Pages through users by _id so a large backfill can be driven in chunks; pass nextAfterUserId back in.
+ */
+export async function backfillAwardsBatch(db, { afterUserId = null, limit = DEFAULT_BATCH_LIMIT, dryRun = true } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const n = Math.max(1, Math.min(MAX_BATCH_LIMIT, Math.trunc(Number(limit) || DEFAULT_BATCH_LIMIT)));
+  const filter = {};
+  if (afterUserId) {
+    if (!ObjectId.isValid(String(afterUserId))) {
+      const err = new Error("Invalid 'afterUserId'");
+      err.statusCode = 400;
+      throw err;
+    }
+    filter._id = { $gt: new ObjectId(String(afterUserId)) };
+  }
+
+  const users = await db.collection("users").find(filter, { projection: { _id: 1 } }).sort({ _id: 1 }).limit(n).toArray();
+
+  const reports = [];
+  let failed = 0;
+  for (const u of users) {
+    try {
+      const report = await backfillUserAwards(db, String(u._id), { dryRun });
+      if (report.changed) reports.push(report);
+    } catch (err) {
+      failed += 1;
+      console.error(`[Awards/Backfill] user ${u._id} failed:`, err?.message || err);
+      reports.push({ userId: String(u._id), error: err?.message || String(err) });
+    }
+  }
+
+  return {
+    dryRun: Boolean(dryRun),
+    processed: users.length,
+    changedUsers: reports.filter((r) => r.changed).length,
+    failed,
+    nextAfterUserId: users.length === n ? String(users[users.length - 1]._id) : null,
+    reports,
+  };
+}
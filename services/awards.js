@@ -14,10 +14,32 @@
  *     ...
  *   }
  *
+ * Award definitions live in `award_definitions` (seeded from AWARD_RULES / EXTRA_BUILTIN_DEFINITIONS
+ * below, editable through the admin routes):
+ *
+ *   { key, title, subtitle?, icon?, condition, enabled, source: "builtin" | "admin", createdAt, updatedAt }
+ *
+ * condition (validated on write and again on load):
+ *   { type: "cumulative",       event, threshold }           // awardTallies.<event> >= threshold
+ *   { type: "consecutive_days", event, days, minPerDay? }    // N days in a row with >= minPerDay events
+ *   { type: "within_days",      event, days, count }         // >= count events inside some N-day window
+ *   { type: "all_of" | "any_of", conditions: [ ... ] }       // multi-event combinations
+ *
+ * Day-level conditions read per-day event counts from `user_award_events`:
+ *   { userId: ObjectId, eventKey, dateKey: "YYYY-MM-DD", count, updatedAt }
+ *
  * Routes should stay thin; this module owns award logic.
  */
 
 import { ObjectId } from "mongodb";
+import { buildDeviceLookupFilter } from "./devices.js";
+import { registerUserDataDeletion } from "./deletion.js";
+import { notifyUser } from "./notifications.js";
+
+const AWARD_DEFINITIONS_COLLECTION = "award_definitions";
+const AWARD_EVENTS_COLLECTION = "user_award_events";
+
+registerUserDataDeletion({ key: "user_award_events", collection: AWARD_EVENTS_COLLECTION, order: 40 });
 
 // -----------------------------
 // Award rules (start small)
@@ -124,12 +146,275 @@ const AWARD_RULES = {
       },
     },
   ],
+
+  waterLogged: [
+    {
+      threshold: 1,
+      award: {
+        key: "first_water_logged",
+        title: "First Glass of Water",
+        subtitle: "Hydration counts too.",
+        icon: "water1",
+      },
+    },
+    {
+      threshold: 50,
+      award: {
+        key: "fifty_water_logged",
+        title: "50 Water Logs",
+        subtitle: "Staying on top of hydration.",
+        icon: "water50",
+      },
+    },
+  ],
+
+  // Tally is the best overall goal-adherence streak (days), fed by getUserGoalAdherence.
+  adherenceBestStreak: [
+    {
+      threshold: 3,
+      award: {
+        key: "adherence_streak_3",
+        title: "3-Day Goal Streak",
+        subtitle: "Three days in a row on target.",
+        icon: "streak3",
+      },
+    },
+    {
+      threshold: 7,
+      award: {
+        key: "adherence_streak_7",
+        title: "7-Day Goal Streak",
+        subtitle: "A full week within your targets.",
+        icon: "streak7",
+      },
+    },
+    {
+      threshold: 30,
+      award: {
+        key: "adherence_streak_30",
+        title: "30-Day Goal Streak",
+        subtitle: "A month of steady, on-target days.",
+        icon: "streak30",
+      },
+    },
+  ],
 };
 
+// Built-ins that need more than a tally threshold.
+const EXTRA_BUILTIN_DEFINITIONS = [
+  {
+    key: "checkin_streak_7",
+    title: "7 Check-Ins in a Row",
+    subtitle: "A full week without missing a day.",
+    icon: "checkinStreak7",
+    condition: { type: "consecutive_days", event: "dailyCheckins", days: 7 },
+  },
+  {
+    key: "full_logging_week",
+    title: "Every Meal, Every Day",
+    subtitle: "Three or more meals logged each day for a week.",
+    icon: "mealStreak7",
+    condition: { type: "consecutive_days", event: "mealsLogged", days: 7, minPerDay: 3 },
+  },
+  {
+    key: "hydration_week",
+    title: "Hydration Week",
+    subtitle: "Fourteen water logs inside a single week.",
+    icon: "water7",
+    condition: { type: "within_days", event: "waterLogged", days: 7, count: 14 },
+  },
+  {
+    key: "first_correlation_revealed",
+    title: "First Discovery",
+    subtitle: "Your first correlation has been revealed.",
+    icon: "reveal1",
+    condition: { type: "cumulative", event: "correlationsRevealed", threshold: 1 },
+  },
+  {
+    key: "well_rounded_week",
+    title: "Well-Rounded Week",
+    subtitle: "Meals and check-ins every day for a week.",
+    icon: "combo7",
+    condition: {
+      type: "all_of",
+      conditions: [
+        { type: "consecutive_days", event: "mealsLogged", days: 7 },
+        { type: "consecutive_days", event: "dailyCheckins", days: 7 },
+      ],
+    },
+  },
+];
+
+const BUILTIN_AWARD_DEFINITIONS = [
+  ...Object.entries(AWARD_RULES).flatMap(([event, rules]) =>
+    rules.map((rule) => ({
+      ...rule.award,
+      condition: { type: "cumulative", event, threshold: rule.threshold },
+    }))
+  ),
+  ...EXTRA_BUILTIN_DEFINITIONS,
+];
+
 // -----------------------------
 // Helpers
 // -----------------------------
 
+// Event keys end up in `awardTallies.<eventKey>`, so no dots or `$`.
+const EVENT_KEY_RE = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const AWARD_KEY_RE = /^[a-z0-9][a-z0-9_]{0,63}$/;
+const CONDITION_MAX_DEPTH = 3;
+const CONDITION_MAX_DAYS = 365;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function isDateKey(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+function addDaysToDateKey(dateKey, days) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function readPositiveInt(raw, path, { max = Infinity } = {}) {
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > max) {
+    throw badRequest(`'${path}' must be an integer between 1 and ${max === Infinity ? "∞" : max}`);
+  }
+  return n;
+}
+
+function normalizeCondition(raw, path = "condition", depth = 0) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw badRequest(`'${path}' must be an object`);
+  const type = String(raw.type || "").trim();
+
+  if (type === "all_of" || type === "any_of") {
+    if (depth >= CONDITION_MAX_DEPTH) throw badRequest(`'${path}' nests too deeply (max ${CONDITION_MAX_DEPTH})`);
+    if (!Array.isArray(raw.conditions) || raw.conditions.length < 1 || raw.conditions.length > 10) {
+      throw badRequest(`'${path}.conditions' must be an array of 1-10 conditions`);
+    }
+    return {
+      type,
+      conditions: raw.conditions.map((c, i) => normalizeCondition(c, `${path}.conditions[${i}]`, depth + 1)),
+    };
+  }
+
+  const event = String(raw.event || "").trim();
+  if (!EVENT_KEY_RE.test(event)) throw badRequest(`'${path}.event' must be a simple identifier`);
+
+  if (type === "cumulative") {
+    return { type, event, threshold: readPositiveInt(raw.threshold, `${path}.threshold`) };
+  }
+  if (type === "consecutive_days") {
+    return {
+      type,
+      event,
+      days: readPositiveInt(raw.days, `${path}.days`, { max: CONDITION_MAX_DAYS }),
+      minPerDay: raw.minPerDay == null ? 1 : readPositiveInt(raw.minPerDay, `${path}.minPerDay`),
+    };
+  }
+  if (type === "within_days") {
+    return {
+      type,
+      event,
+      days: readPositiveInt(raw.days, `${path}.days`, { max: CONDITION_MAX_DAYS }),
+      count: readPositiveInt(raw.count, `${path}.count`),
+    };
+  }
+
+  throw badRequest(`Unknown '${path}.type': ${type || "(missing)"}`);
+}
+
+function validateAwardDefinition(raw) {
+  if (!raw || typeof raw !== "object") throw badRequest("Award definition must be an object");
+
+  const key = String(raw.key || "").trim();
+  if (!AWARD_KEY_RE.test(key)) throw badRequest("'key' must be lowercase letters, digits or underscores");
+
+  const title = String(raw.title || "").trim();
+  if (!title) throw badRequest("'title' is required");
+
+  const out = {
+    key,
+    title,
+    condition: normalizeCondition(raw.condition),
+    enabled: raw.enabled !== false,
+  };
+  const subtitle = raw.subtitle == null ? "" : String(raw.subtitle).trim();
+  const icon = raw.icon == null ? "" : String(raw.icon).trim();
+  if (subtitle) out.subtitle = subtitle;
+  if (icon) out.icon = icon;
+  return out;
+}
+
+export function collectConditionEvents(condition, out = new Set()) {
+  if (condition.type === "all_of" || condition.type === "any_of") {
+    for (const c of condition.conditions) collectConditionEvents(c, out);
+  } else {
+    out.add(condition.event);
+  }
+  return out;
+}
+
+// Longest look-back/ahead any day-level condition needs around the event's dateKey.
+function conditionSpanDays(condition) {
+  if (condition.type === "all_of" || condition.type === "any_of") {
+    return Math.max(0, ...condition.conditions.map(conditionSpanDays));
+  }
+  return condition.type === "cumulative" ? 0 : condition.days;
+}
+
+/**
+ * ctx: { tallies: { [event]: number }, dailyCounts: { [event]: Map<dateKey, count> }, dateKey }
+ * Day-level conditions are checked around ctx.dateKey (the day the event happened), so a back-dated
+ * log can complete a streak in the middle.
+ */
+export function evaluateCondition(condition, ctx) {
+  switch (condition.type) {
+    case "all_of":
+      return condition.conditions.every((c) => evaluateCondition(c, ctx));
+    case "any_of":
+      return condition.conditions.some((c) => evaluateCondition(c, ctx));
+    case "cumulative":
+      return (Number(ctx.tallies?.[condition.event]) || 0) >= condition.threshold;
+    case "consecutive_days": {
+      const counts = ctx.dailyCounts?.[condition.event];
+      if (!counts || !isDateKey(ctx.dateKey)) return false;
+      const hit = (dk) => (counts.get(dk) || 0) >= condition.minPerDay;
+      if (!hit(ctx.dateKey)) return false;
+
+      let run = 1;
+      for (let dk = addDaysToDateKey(ctx.dateKey, -1); run < condition.days && hit(dk); dk = addDaysToDateKey(dk, -1)) run++;
+      for (let dk = addDaysToDateKey(ctx.dateKey, 1); run < condition.days && hit(dk); dk = addDaysToDateKey(dk, 1)) run++;
+      return run >= condition.days;
+    }
+    case "within_days": {
+      const counts = ctx.dailyCounts?.[condition.event];
+      if (!counts || !isDateKey(ctx.dateKey)) return false;
+
+      // Slide an N-day window across every position that contains ctx.dateKey.
+      const days = condition.days;
+      const start = addDaysToDateKey(ctx.dateKey, -(days - 1));
+      const series = [];
+      for (let i = 0, dk = start; i < days * 2 - 1; i++, dk = addDaysToDateKey(dk, 1)) series.push(counts.get(dk) || 0);
+
+      let sum = series.slice(0, days).reduce((a, b) => a + b, 0);
+      if (sum >= condition.count) return true;
+      for (let i = days; i < series.length; i++) {
+        sum += series[i] - series[i - days];
+        if (sum >= condition.count) return true;
+      }
+      return false;
+    }
+    default:
+      return false;
+  }
+}
+
 function normalizeAward(award) {
   if (!award || typeof award !== "object") {
     throw new Error("Award payload must be an object");
@@ -173,7 +458,8 @@ function buildUserFilter({ userId, deviceId }) {
     return { _id: new ObjectId(userIdRaw) };
   }
   if (deviceIdRaw) {
-    return { deviceId: deviceIdRaw };
+    // Any linked device resolves to the account, not just the primary deviceId.
+    return buildDeviceLookupFilter(deviceIdRaw);
   }
 
   return null;
@@ -182,6 +468,17 @@ function buildUserFilter({ userId, deviceId }) {
 function normalizeEvent(event) {
   const eventKey = String(event?.eventKey || "").trim();
   if (!eventKey) throw new Error("Missing eventKey");
+  if (!EVENT_KEY_RE.test(eventKey)) throw badRequest("Invalid eventKey (letters, digits and underscores only)");
+
+  // Logical day the event belongs to (client-local); falls back to the UTC day.
+  const dateKey = isDateKey(event?.dateKey) ? event.dateKey : new Date().toISOString().slice(0, 10);
+
+  // { max: n } raises the tally to n if it's lower (best-streak style tallies) instead of incrementing.
+  if (event?.max != null) {
+    const max = Math.trunc(Number(event.max));
+    if (!Number.isFinite(max) || max < 0) throw new Error("Max must be a non-negative number");
+    return { eventKey, mode: "max", amount: 0, max, dateKey };
+  }
 
   const rawAmount = event?.amount;
   const amount =
@@ -193,7 +490,59 @@ function normalizeEvent(event) {
     throw new Error("Amount must be a non-zero number");
   }
 
-  return { eventKey, amount };
+  return { eventKey, mode: "inc", amount, max: null, dateKey };
+}
+
+// Definitions are cached briefly; admin writes invalidate the cache immediately.
+const DEFINITIONS_CACHE_TTL_MS = 60 * 1000;
+let definitionsCache = { at: 0, items: null };
+
+function invalidateAwardDefinitionsCache() {
+  definitionsCache = { at: 0, items: null };
+}
+
+export async function loadAwardDefinitions(db) {
+  if (definitionsCache.items && Date.now() - definitionsCache.at < DEFINITIONS_CACHE_TTL_MS) {
+    return definitionsCache.items;
+  }
+
+  const docs = await db.collection(AWARD_DEFINITIONS_COLLECTION).find({}).toArray();
+
+  const items = [];
+  for (const doc of docs) {
+    try {
+      const def = validateAwardDefinition(doc);
+      if (def.enabled) items.push(def);
+    } catch (err) {
+      console.error(`[Awards] Skipping invalid award definition '${doc?.key}':`, err?.message || err);
+    }
+  }
+
+  // Not seeded yet (fresh DB or index step failed): fall back to the built-ins.
+  const resolved = docs.length ? items : BUILTIN_AWARD_DEFINITIONS.map(validateAwardDefinition);
+  definitionsCache = { at: Date.now(), items: resolved };
+  return resolved;
+}
+
+async function loadDailyEventCounts(db, userObjectId, events, dateKey, spanDays) {
+  const dailyCounts = {};
+  for (const e of events) dailyCounts[e] = new Map();
+  if (!events.length || spanDays <= 0) return dailyCounts;
+
+  const rows = await db
+    .collection(AWARD_EVENTS_COLLECTION)
+    .find(
+      {
+        userId: userObjectId,
+        eventKey: { $in: events },
+        dateKey: { $gte: addDaysToDateKey(dateKey, -(spanDays - 1)), $lte: addDaysToDateKey(dateKey, spanDays - 1) },
+      },
+      { projection: { eventKey: 1, dateKey: 1, count: 1 } }
+    )
+    .toArray();
+
+  for (const r of rows) dailyCounts[r.eventKey]?.set(r.dateKey, Number(r.count) || 0);
+  return dailyCounts;
 }
 
 // -----------------------------
@@ -221,8 +570,9 @@ export async function awardOnce(db, { userId, deviceId }, award) {
   const normalized = normalizeAward(award);
   const usersCol = db.collection("users");
 
-  // Only push if this key doesn't already exist
-  await usersCol.updateOne(
+  // Only push if this key doesn't already exist. The filter and $push are one atomic document update,
+  // so concurrent callers racing on the same award can't both match; `granted` tells the winner apart.
+  const r = await usersCol.updateOne(
     {
       ...filter,
       awards: { $not: { $elemMatch: { key: normalized.key } } },
@@ -232,7 +582,25 @@ export async function awardOnce(db, { userId, deviceId }, award) {
     }
   );
 
-  return getAwardsForUser(db, { userId, deviceId });
+  const granted = r?.modifiedCount === 1;
+  const result = await getAwardsForUser(db, { userId, deviceId });
+
+  // Only the call that actually pushed the award queues the celebration.
+  if (granted && result) {
+    try {
+      await notifyUser(db, result.userId, {
+        type: "award_earned",
+        dedupeKey: `award:${normalized.key}`,
+        title: normalized.title,
+        body: normalized.subtitle || null,
+        data: { award: normalized },
+      });
+    } catch (e) {
+      console.error("[Awards] Failed to queue award notification:", e);
+    }
+  }
+
+  return result ? { ...result, granted, award: normalized } : null;
 }
 
 export async function removeAward(db, { userId, deviceId }, key) {
@@ -251,53 +619,82 @@ export async function removeAward(db, { userId, deviceId }, key) {
 /**
  * applyAwardEvent
  *
- * 1) increments `awardTallies.<eventKey>` by amount
- * 2) checks any thresholds for that eventKey
- * 3) grants awards (idempotent) if crossed
- * 4) returns updated { userId, awards }
+ * 1) atomically increments `awardTallies.<eventKey>` by amount (or raises it to event.max), clamped at 0,
+ *    reading the before value from the same update; also bumps the per-day count for event.dateKey
+ * 2) evaluates every enabled definition whose condition mentions eventKey; plain cumulative thresholds
+ *    on this event only fire when this update crossed them
+ * 3) grants awards exactly once (awardOnce)
+ * 4) returns updated { userId, awards, newlyEarned }
  */
 export async function applyAwardEvent(db, identifiers, event) {
   const filter = buildUserFilter(identifiers);
   if (!filter) throw new Error("Missing identifier (userId or deviceId)");
 
-  const { eventKey, amount } = normalizeEvent(event);
+  const { eventKey, mode, amount, max, dateKey } = normalizeEvent(event);
 
   const usersCol = db.collection("users");
   const now = new Date();
 
-  // Read current tally so we can detect threshold crossings.
-  const before = await usersCol.findOne(filter, {
-    projection: { awardTallies: 1 },
+  // Pipeline update so the clamp happens inside the same atomic write; the returned pre-image is the
+  // exact value this update started from, even with other events for the same user in flight.
+  const tallyPath = `awardTallies.${eventKey}`;
+  const current = { $ifNull: [`$${tallyPath}`, 0] };
+  const next = mode === "max" ? { $max: [current, max] } : { $max: [0, { $add: [current, amount] }] };
+
+  const before = await usersCol.findOneAndUpdate(filter, [{ $set: { [tallyPath]: next, updatedAt: now } }], {
+    returnDocument: "before",
+    projection: { awardTallies: 1, "awards.key": 1 },
   });
   if (!before) return null;
 
   const tallies = before.awardTallies && typeof before.awardTallies === "object" ? before.awardTallies : {};
   const beforeValueRaw = tallies[eventKey];
   const beforeValue = typeof beforeValueRaw === "number" && Number.isFinite(beforeValueRaw) ? beforeValueRaw : 0;
+  const afterValue = mode === "max" ? Math.max(beforeValue, max) : Math.max(0, beforeValue + amount);
+
+  // Per-day count; decrements only touch days that already have events.
+  const eventsCol = db.collection(AWARD_EVENTS_COLLECTION);
+  if (mode === "max") {
+    // Not a countable event.
+  } else if (amount > 0) {
+    await eventsCol.updateOne(
+      { userId: before._id, eventKey, dateKey },
+      { $inc: { count: amount }, $set: { updatedAt: now } },
+      { upsert: true }
+    );
+  } else {
+    await eventsCol.updateOne(
+      { userId: before._id, eventKey, dateKey, count: { $gt: 0 } },
+      { $inc: { count: amount }, $set: { updatedAt: now } }
+    );
+  }
 
-  // Apply increment but clamp at 0 (never store negative tallies)
-  const afterValue = Math.max(0, beforeValue + amount);
-
-  await usersCol.updateOne(
-    filter,
-    {
-      $set: {
-        [`awardTallies.${eventKey}`]: afterValue,
-        updatedAt: now,
-      },
+  const earned = new Set((Array.isArray(before.awards) ? before.awards : []).map((a) => a?.key));
+  const candidates = (await loadAwardDefinitions(db)).filter((def) => {
+    if (earned.has(def.key) || !collectConditionEvents(def.condition).has(eventKey)) return false;
+    if (def.condition.type === "cumulative") {
+      const t = def.condition.threshold;
+      return beforeValue < t && afterValue >= t;
     }
-  );
+    return true;
+  });
 
-  // Auto-award based on rules for this eventKey.
-  const rules = Array.isArray(AWARD_RULES[eventKey]) ? AWARD_RULES[eventKey] : [];
-  for (const rule of rules) {
-    const t = rule?.threshold;
-    if (typeof t !== "number" || !Number.isFinite(t)) continue;
+  const newlyEarned = [];
 
-    // Trigger if crossed (or landed exactly on) threshold.
-    if (beforeValue < t && afterValue >= t) {
+  if (candidates.length) {
+    const events = [...new Set(candidates.flatMap((def) => [...collectConditionEvents(def.condition)]))];
+    const spanDays = Math.max(0, ...candidates.map((def) => conditionSpanDays(def.condition)));
+    const ctx = {
+      tallies: { ...tallies, [eventKey]: afterValue },
+      dailyCounts: await loadDailyEventCounts(db, before._id, events, dateKey, spanDays),
+      dateKey,
+    };
+
+    for (const def of candidates) {
+      if (!evaluateCondition(def.condition, ctx)) continue;
       try {
-        await awardOnce(db, identifiers, rule.award);
+        const r = await awardOnce(db, identifiers, { key: def.key, title: def.title, subtitle: def.subtitle, icon: def.icon });
+        if (r?.granted) newlyEarned.push(r.award);
       } catch (e) {
         // Don't fail whole request due to one award.
         console.error("[Awards] awardOnce failed:", e);
@@ -305,12 +702,69 @@ export async function applyAwardEvent(db, identifiers, event) {
     }
   }
 
-  return getAwardsForUser(db, identifiers);
+  const result = await getAwardsForUser(db, identifiers);
+  return result ? { ...result, newlyEarned } : null;
+}
+
+// -----------------------------
+// Award definitions (admin)
+// -----------------------------
+
+// Seeds built-ins without overwriting admin edits (runs at startup).
+export async function ensureBuiltinAwardDefinitions(db) {
+  const col = db.collection(AWARD_DEFINITIONS_COLLECTION);
+  const now = new Date();
+  for (const raw of BUILTIN_AWARD_DEFINITIONS) {
+    const def = validateAwardDefinition(raw);
+    await col.updateOne(
+      { key: def.key },
+      { $setOnInsert: { ...def, source: "builtin", createdAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+  }
+  invalidateAwardDefinitionsCache();
+}
+
+// Lists every stored definition, flagging ones that no longer validate instead of hiding them.
+export async function listAwardDefinitions(db) {
+  const docs = await db.collection(AWARD_DEFINITIONS_COLLECTION).find({}).sort({ key: 1 }).toArray();
+  return docs.map((doc) => {
+    const base = { key: doc.key, source: doc.source || null, createdAt: doc.createdAt || null, updatedAt: doc.updatedAt || null };
+    try {
+      return { ...base, ...validateAwardDefinition(doc), valid: true };
+    } catch (err) {
+      const { _id, ...raw } = doc;
+      return { ...raw, ...base, valid: false, validationError: err.message };
+    }
+  });
+}
+
+export async function upsertAwardDefinition(db, key, body) {
+  const def = validateAwardDefinition({ ...(body || {}), key });
+  const now = new Date();
+
+  const update = {
+    $set: { ...def, source: "admin", updatedAt: now },
+    $setOnInsert: { createdAt: now },
+  };
+  // PUT replaces the definition, so optional fields left out are cleared.
+  const unset = {};
+  if (!def.subtitle) unset.subtitle = "";
+  if (!def.icon) unset.icon = "";
+  if (Object.keys(unset).length) update.$unset = unset;
+
+  await db.collection(AWARD_DEFINITIONS_COLLECTION).updateOne({ key: def.key }, update, { upsert: true });
+  invalidateAwardDefinitionsCache();
+
+  return def;
 }
 
 export const __test = {
   AWARD_RULES,
+  BUILTIN_AWARD_DEFINITIONS,
   normalizeAward,
   buildUserFilter,
   normalizeEvent,
+  validateAwardDefinition,
+  evaluateCondition,
 };
@@ -0,0 +1,64 @@
+// services/correlationEvidence.js
+//
+// Evidence drill-down for one stored correlation: the days behind it, rebuilt on demand from
+// user_daily_totals (same lag alignment as the engine) and joined with the meals that supplied the input.
+//
+// Nothing per-day is stored with the correlation, so evidence always reflects the current logs:
+// editing or deleting a meal changes what shows up here on the next request.
+
+import { loadCorrelationDayPoints, canonicalizeNutrientKey } from "./userAnalysis.js";
+import { findMealsContributingToInput } from "./userMeals.js";
+
+function eventFlagFor(correlation, y) {
+  const threshold = Number(correlation.threshold);
+  if (!Number.isFinite(threshold)) return null;
+  if (correlation.mode === "event_low") return y <= threshold;
+  if (correlation.mode === "event_high") return y >= threshold;
+  return null;
+}
+
+/**
+ * getCorrelationEvidence(db, { userId, correlationId, windowDays = 120 })
+ * Returns { correlation, windowDays, days, message? } where days (newest first) are:
+ * {
+ *   dateKeyX, dateKeyY,        // input day, outcome day (dateKeyX + lagDays)
+ *   inputValue, outcomeValue,
+ *   event: bool | null,        // outcome crossed the event threshold (event_low / event_high only)
+ *   meals: [{ mealId, loggedAt, description, amount, items: [{ name, foodId, amount }] }]
+ * }
+ */
+export async function getCorrelationEvidence(db, { userId, correlationId, windowDays }) {
+  if (!db) throw new Error("DB not ready");
+
+  const { correlation, windowDays: window, points } = await loadCorrelationDayPoints(db, {
+    userId,
+    correlationId,
+    windowDays,
+  });
+
+  if (!points.length) {
+    return { correlation, windowDays: window, days: [], message: "No aligned days in this window." };
+  }
+
+  const inputKey = String(correlation.inputKey || "");
+  const mealsByDay = await findMealsContributingToInput(
+    db,
+    userId,
+    [...new Set(points.map((p) => p.dateKeyX))],
+    inputKey,
+    { fieldMatches: (field) => canonicalizeNutrientKey(field) === inputKey }
+  );
+
+  const days = points
+    .map((p) => ({
+      dateKeyX: p.dateKeyX,
+      dateKeyY: p.dateKeyY,
+      inputValue: p.x,
+      outcomeValue: p.y,
+      event: eventFlagFor(correlation, p.y),
+      meals: mealsByDay.get(p.dateKeyX) || [],
+    }))
+    .reverse();
+
+  return { correlation, windowDays: window, days };
+}
@@ -0,0 +1,165 @@
+// services/correlationFeedback.js
+//
+// User feedback on a stored correlation ("I noticed that too", "that's nonsense", ...).
+//
+// The latest answer lives on the user_correlations row:
+// {
+//   feedback: {
+//     value: "agree" | "disagree" | "already_knew" | "will_test",
+//     note: string | null,
+//     at: Date,
+//     engineVersion, strength, lifecycleState   // snapshot of the finding when the user answered
+//   },
+//   feedbackPriority: number,   // list ranking: agree 2, already_knew / will_test 1, none 0, disagree -1
+//   feedbackHistory: [...]      // every answer, newest last (capped)
+// }
+//
+// "disagree" also un-surfaces the row (isSurfaced: false); promotion won't surface it again until the
+// answer changes. Promotion reads feedback.value (see promoteCorrelationCandidates). The snapshot fields
+// let summarizeCorrelationFeedback compare engine versions by how often users agree with what they surfaced.
+
+import {
+  CORRELATION_ENGINE_VERSION,
+  CORRELATION_FEEDBACK_VALUES,
+  currentCorrelationLifecycleState,
+  findUserCorrelationRow,
+} from "./userAnalysis.js";
+
+const USER_CORRELATIONS_COLLECTION = "user_correlations";
+const FEEDBACK_PRIORITY = { agree: 2, already_knew: 1, will_test: 1, disagree: -1 };
+const FEEDBACK_HISTORY_SIZE = 20;
+const MAX_NOTE_LENGTH = 500;
+
+// Accepts the hyphenated / spaced forms clients tend to send ("already-knew", "Will test").
+function normalizeFeedbackValue(raw) {
+  const value = String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  return CORRELATION_FEEDBACK_VALUES.includes(value) ? value : null;
+}
+
+/**
+ * recordCorrelationFeedback(db, { userId, correlationId, value, note? })
+ * Replaces the user's current answer for one correlation. Returns { correlationId, feedback }.
+ */
+export async function recordCorrelationFeedback(db, { userId, correlationId, value, note }) {
+  if (!db) throw new Error("DB not ready");
+
+  const normalized = normalizeFeedbackValue(value);
+  if (!normalized) {
+    const err = new Error(`'value' must be one of: ${CORRELATION_FEEDBACK_VALUES.join(", ")}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const row = await findUserCorrelationRow(db, userId, correlationId);
+  const strength = Number(row.strength);
+
+  const feedback = {
+    value: normalized,
+    note: typeof note === "string" && note.trim() ? note.trim().slice(0, MAX_NOTE_LENGTH) : null,
+    at: new Date(),
+    // Rows promoted before versions were stamped all came from the v1 engine.
+    engineVersion: row.engineVersion || CORRELATION_ENGINE_VERSION,
+    strength: Number.isFinite(strength) ? strength : null,
+    lifecycleState: currentCorrelationLifecycleState(row),
+  };
+
+  await db.collection(USER_CORRELATIONS_COLLECTION).updateOne(
+    { _id: row._id },
+    {
+      $set: {
+        feedback,
+        feedbackPriority: FEEDBACK_PRIORITY[normalized],
+        ...(normalized === "disagree" ? { isSurfaced: false } : {}),
+      },
+      $push: { feedbackHistory: { $each: [feedback], $slice: -FEEDBACK_HISTORY_SIZE } },
+    }
+  );
+
+  return { correlationId: String(row._id), feedback };
+}
+
+/**
+ * Rows promoted before feedback existed have no feedbackPriority, which sorts below disagree (-1);
+ * gives them the neutral 0. Idempotent, run at startup.
+ */
+export async function backfillCorrelationFeedbackPriority(db) {
+  const r = await db
+    .collection(USER_CORRELATIONS_COLLECTION)
+    .updateMany({ feedbackPriority: { $exists: false } }, { $set: { feedbackPriority: 0 } });
+  return r?.modifiedCount ?? 0;
+}
+
+/**
+ * summarizeCorrelationFeedback(db, { engineVersion?, since? })
+ * Current answers grouped by the engine version that produced the finding. Rates are over verdicts
+ * (agree + already_knew + disagree); will_test is undecided and only counted.
+ * Returns { versions: [{ engineVersion, total, users, counts, agreeRate, disagreeRate, alreadyKnewShare,
+ *   meanAbsStrength: { <value>: number | null } }] }.
+ */
+export async function summarizeCorrelationFeedback(db, { engineVersion = null, since = null } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const sinceDate = since ? new Date(since) : null;
+  if (sinceDate && !Number.isFinite(sinceDate.getTime())) {
+    const err = new Error("'since' must be a date");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const match = {
+    "feedback.value": { $in: CORRELATION_FEEDBACK_VALUES },
+    ...(engineVersion ? { "feedback.engineVersion": String(engineVersion) } : {}),
+    ...(sinceDate ? { "feedback.at": { $gte: sinceDate } } : {}),
+  };
+
+  const rows = await db
+    .collection(USER_CORRELATIONS_COLLECTION)
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { engineVersion: "$feedback.engineVersion", value: "$feedback.value" },
+          count: { $sum: 1 },
+          users: { $addToSet: "$userId" },
+          meanAbsStrength: { $avg: { $abs: "$feedback.strength" } },
+        },
+      },
+    ])
+    .toArray();
+
+  const byVersion = new Map();
+  for (const row of rows) {
+    const version = row._id?.engineVersion || CORRELATION_ENGINE_VERSION;
+    const entry = byVersion.get(version) || {
+      engineVersion: version,
+      total: 0,
+      users: new Set(),
+      counts: Object.fromEntries(CORRELATION_FEEDBACK_VALUES.map((v) => [v, 0])),
+      meanAbsStrength: Object.fromEntries(CORRELATION_FEEDBACK_VALUES.map((v) => [v, null])),
+    };
+    entry.total += row.count;
+    entry.counts[row._id.value] += row.count;
+    entry.meanAbsStrength[row._id.value] = Number.isFinite(row.meanAbsStrength) ? row.meanAbsStrength : null;
+    for (const u of row.users || []) entry.users.add(String(u));
+    byVersion.set(version, entry);
+  }
+
+  const versions = [...byVersion.values()]
+    .map(({ users, ...entry }) => {
+      const { agree, already_knew: alreadyKnew, disagree } = entry.counts;
+      const verdicts = agree + alreadyKnew + disagree;
+      return {
+        ...entry,
+        users: users.size,
+        agreeRate: verdicts ? (agree + alreadyKnew) / verdicts : null,
+        disagreeRate: verdicts ? disagree / verdicts : null,
+        alreadyKnewShare: verdicts ? alreadyKnew / verdicts : null,
+      };
+    })
+    .sort((a, b) => a.engineVersion.localeCompare(b.engineVersion));
+
+  return { versions };
+}
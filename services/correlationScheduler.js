@@ -0,0 +1,183 @@
+// services/correlationScheduler.js
+//
+// Nightly correlation runs. Every pass looks at users with recent daily totals and, for each one whose
+// logical day has closed (3am cutoff in their timezone) since we last looked, queues a correlation run.
+//
+// Schedule doc (user_correlation_schedule), one per user:
+// {
+//   userId: ObjectId,
+//   lastClosedDateKey: "YYYY-MM-DD",   // last logical day handled by the scheduler
+//   timezone: string,                  // timezone used to decide that day had closed
+//   lastOutcome: "enqueued" | "skipped_no_new_data",
+//   lastJobId: string | null,
+//   lastCheckedAt: Date
+// }
+//
+// Claiming a day is a conditional upsert on lastClosedDateKey, so several API instances running the
+// scheduler never queue the same night twice. The run itself goes through the job queue and its
+// history lands in user_correlation_runs (see services/userAnalysis.js).
+
+import { ObjectId } from "mongodb";
+import { registerUserDataDeletion } from "./deletion.js";
+import { enqueueCorrelationRun, listUserCorrelationRuns } from "./userAnalysis.js";
+import { computeLogicalDateKeyFromLoggedAt, addDaysDateKeyUTC, safeTimeZone } from "./users.js";
+
+const SCHEDULE_COLLECTION = "user_correlation_schedule";
+const DAY_CUTOFF_HOUR = 3;
+const DEFAULT_TIMEZONE = "America/Toronto";
+const ACTIVE_WINDOW_DAYS = 30;
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const FIRST_PASS_DELAY_MS = 60 * 1000;
+
+registerUserDataDeletion({ key: "user_correlation_schedule", collection: SCHEDULE_COLLECTION, order: 35 });
+
+function laterDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+// Users with daily totals written in the last ACTIVE_WINDOW_DAYS, keyed by their id string.
+// userId is stored as ObjectId or string depending on the writer, so both forms are merged here.
+async function loadActiveUsers(db, now) {
+  const since = new Date(now.getTime() - ACTIVE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await db
+    .collection("user_daily_totals")
+    .aggregate([
+      { $match: { updatedAt: { $gte: since } } },
+      { $sort: { updatedAt: 1 } },
+      { $group: { _id: "$userId", lastDataAt: { $max: "$updatedAt" }, timezone: { $last: "$timezone" } } },
+    ])
+    .toArray();
+
+  const active = new Map();
+  for (const row of rows) {
+    const id = String(row._id || "");
+    if (!ObjectId.isValid(id)) continue;
+
+    const prev = active.get(id);
+    active.set(id, {
+      lastDataAt: laterDate(prev?.lastDataAt, row.lastDataAt),
+      timezone: safeTimeZone(row.timezone) || prev?.timezone || null,
+    });
+  }
+  return active;
+}
+
+async function claimClosedDay(db, userObjectId, closedDateKey, fields) {
+  try {
+    const r = await db.collection(SCHEDULE_COLLECTION).updateOne(
+      { userId: userObjectId, lastClosedDateKey: { $not: { $gte: closedDateKey } } },
+      { $set: { ...fields, lastClosedDateKey: closedDateKey, lastCheckedAt: new Date() } },
+      { upsert: true }
+    );
+    return Boolean(r?.modifiedCount || r?.upsertedCount);
+  } catch (err) {
+    // Another instance inserted the schedule doc first (unique userId) and owns this night.
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * One scheduler pass. Returns counts:
+ * { activeUsers, notDue, enqueued, skippedNoNewData, claimedElsewhere, failed }
+ */
+export async function runCorrelationSchedulerPass(db, { now = new Date() } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const summary = { activeUsers: 0, notDue: 0, enqueued: 0, skippedNoNewData: 0, claimedElsewhere: 0, failed: 0 };
+
+  const active = await loadActiveUsers(db, now);
+  summary.activeUsers = active.size;
+  if (!active.size) return summary;
+
+  const userObjectIds = [...active.keys()].map((id) => new ObjectId(id));
+  const [users, schedules] = await Promise.all([
+    db.collection("users").find({ _id: { $in: userObjectIds } }, { projection: { timezone: 1 } }).toArray(),
+    db.collection(SCHEDULE_COLLECTION).find({ userId: { $in: userObjectIds } }).toArray(),
+  ]);
+  const userTimezones = new Map(users.map((u) => [String(u._id), safeTimeZone(u.timezone)]));
+  const scheduleByUser = new Map(schedules.map((s) => [String(s.userId), s]));
+
+  for (const [userId, info] of active) {
+    // Totals outliving their user (deletion in progress) are not worth a run.
+    if (!userTimezones.has(userId)) continue;
+
+    try {
+      const timezone = userTimezones.get(userId) || info.timezone || DEFAULT_TIMEZONE;
+      const todayKey = computeLogicalDateKeyFromLoggedAt(now, timezone, DAY_CUTOFF_HOUR);
+      const closedDateKey = addDaysDateKeyUTC(todayKey, -1);
+
+      const schedule = scheduleByUser.get(userId);
+      if (schedule?.lastClosedDateKey && schedule.lastClosedDateKey >= closedDateKey) {
+        summary.notDue += 1;
+        continue;
+      }
+
+      const [lastRun] = await listUserCorrelationRuns(db, { userId, limit: 1, status: "complete" });
+      const lastRunAt = lastRun?.startedAt ? new Date(lastRun.startedAt) : null;
+      const hasNewData = !lastRunAt || (info.lastDataAt && info.lastDataAt > lastRunAt);
+
+      const userObjectId = new ObjectId(userId);
+      const outcome = hasNewData ? "enqueued" : "skipped_no_new_data";
+      const claimed = await claimClosedDay(db, userObjectId, closedDateKey, { timezone, lastOutcome: outcome, lastJobId: null });
+      if (!claimed) {
+        summary.claimedElsewhere += 1;
+        continue;
+      }
+
+      if (!hasNewData) {
+        summary.skippedNoNewData += 1;
+        continue;
+      }
+
+      const job = await enqueueCorrelationRun(db, { userId, trigger: "scheduled", scheduledDateKey: closedDateKey });
+      await db.collection(SCHEDULE_COLLECTION).updateOne({ userId: userObjectId }, { $set: { lastJobId: job.jobId } });
+      summary.enqueued += 1;
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`[CorrelationScheduler] Failed to schedule user ${userId}:`, err?.message || err);
+    }
+  }
+
+  return summary;
+}
+
+let activeScheduler = null;
+
+/**
+ * Runs a pass shortly after startup and then every intervalMs. Passes never overlap.
+ * Returns { stop() }; stop() resolves once an in-flight pass has finished.
+ */
+export function startCorrelationScheduler(db, { intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+  if (activeScheduler) return activeScheduler;
+
+  let running = null;
+  const tick = () => {
+    if (running) return;
+    running = runCorrelationSchedulerPass(db)
+      .then((s) => {
+        if (s.enqueued || s.failed) console.log("[CorrelationScheduler] pass:", s);
+      })
+      .catch((err) => console.error("[CorrelationScheduler] Pass failed:", err))
+      .finally(() => {
+        running = null;
+      });
+  };
+
+  const first = setTimeout(tick, Math.min(FIRST_PASS_DELAY_MS, intervalMs));
+  first.unref?.();
+  const timer = setInterval(tick, Math.max(60 * 1000, intervalMs));
+  timer.unref?.();
+
+  activeScheduler = {
+    stop: async () => {
+      clearTimeout(first);
+      clearInterval(timer);
+      if (running) await running;
+      activeScheduler = null;
+    },
+  };
+  return activeScheduler;
+}
@@ -0,0 +1,341 @@
+// services/deletion.js
+//
+// Account deletion registry + resumable deletion jobs.
+//
+// Each service module registers the user data it owns at import time:
+//
+//   registerUserDataDeletion({ key: "user_meals", collection: "user_meals", order: 10 });
+//   registerUserDataDeletion({ key: "food_attribution", collection: "...", order: 50, run: async (db, ctx) => count });
+//
+// Without `run`, every doc whose `userId` matches (ObjectId or string) is deleted.
+// Steps run in ascending `order`; the users document itself goes last so an interrupted job
+// can always be resumed (the user still exists until everything else is gone).
+//
+// Job doc (user_deletion_jobs):
+// {
+//   userId: ObjectId,
+//   status: "queued" | "running" | "complete" | "failed",
+//   deviceIds: string[],            // snapshot at request time (anonymises device attribution); unset on completion
+//   steps: { [key]: { status: "pending" | "done" | "failed", count, completedAt?, error? } },
+//   receipt: { userId, completedAt, counts: { [key]: number }, totalCount } | null,
+//   leaseOwner, leaseExpiresAt,     // runner holding a "running" job; renewed while it works
+//   error, createdAt, updatedAt, startedAt, completedAt
+// }
+// Job docs are kept after completion as the audit receipt; they hold counts only, no user data (the device
+// snapshot is dropped once the last step has run).
+//
+// Like services/jobQueue.js, a running job is only taken over once its lease has expired, so a job still
+// being worked on by another instance (several API instances, rolling deploys) is never run twice.
+
+import os from "os";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+
+const DELETION_JOBS_COLLECTION = "user_deletion_jobs";
+const LEASE_MS = 5 * 60 * 1000;
+const RUNNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const registry = new Map();
+
+export function registerUserDataDeletion(entry) {
+  const key = String(entry?.key || "").trim();
+  if (!key) throw new Error("Deletion registration requires a key");
+  if (registry.has(key)) throw new Error(`Deletion step '${key}' registered twice`);
+
+  registry.set(key, {
+    key,
+    collection: entry.collection ? String(entry.collection) : null,
+    order: Number.isFinite(entry.order) ? entry.order : 100,
+    run: typeof entry.run === "function" ? entry.run : null,
+  });
+}
+
+export function listUserDataDeletionSteps() {
+  return [...registry.values()].sort((a, b) => a.order - b.order || a.key.localeCompare(b.key));
+}
+
+// userId is stored as ObjectId in newer docs and as a string in older ones.
+export function buildDeletionUserIdFilter(ctx) {
+  return { $or: [{ userId: ctx.userObjectId }, { userId: ctx.userId }] };
+}
+
+async function runStep(db, step, ctx) {
+  if (step.run) {
+    const n = await step.run(db, ctx);
+    return Number.isFinite(n) ? n : 0;
+  }
+  if (!step.collection) return 0;
+  const r = await db.collection(step.collection).deleteMany(buildDeletionUserIdFilter(ctx));
+  return r?.deletedCount ?? 0;
+}
+
+function mapJobDoc(doc) {
+  if (!doc) return null;
+  const steps = doc.steps && typeof doc.steps === "object" ? doc.steps : {};
+  const keys = Object.keys(steps);
+  return {
+    jobId: String(doc._id),
+    userId: String(doc.userId),
+    status: doc.status,
+    totalSteps: keys.length,
+    completedSteps: keys.filter((k) => steps[k]?.status === "done").length,
+    steps,
+    receipt: doc.receipt ?? null,
+    error: doc.error ?? null,
+    createdAt: doc.createdAt ?? null,
+    startedAt: doc.startedAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+    completedAt: doc.completedAt ?? null,
+  };
+}
+
+/**
+ * Creates (or returns the existing) deletion job for a user.
+ * - An unfinished job for the same user is returned as-is, so retries don't queue duplicates.
+ * - If the user is already gone but a completed job exists, that job (and its receipt) is returned.
+ */
+export async function startUserDeletionJob(db, userId, { requestedBy = null } = {}) {
+  if (!db) {
+    const err = new Error("DB not ready");
+    err.statusCode = 500;
+    throw err;
+  }
+
+  const cleaned = String(userId || "").trim();
+  if (!cleaned || !ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid user id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const userObjectId = new ObjectId(cleaned);
+  const jobsCol = db.collection(DELETION_JOBS_COLLECTION);
+
+  const unfinished = await jobsCol.findOne({ userId: userObjectId, status: { $in: ["queued", "running", "failed"] } });
+  if (unfinished) return mapJobDoc(unfinished);
+
+  const user = await db.collection("users").findOne(
+    { _id: userObjectId },
+    { projection: { deviceId: 1, devices: 1 } }
+  );
+
+  if (!user) {
+    const previous = await jobsCol.findOne({ userId: userObjectId, status: "complete" }, { sort: { completedAt: -1 } });
+    if (previous) return mapJobDoc(previous);
+
+    const err = new Error("User not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const deviceIds = new Set();
+  if (typeof user.deviceId === "string" && user.deviceId) deviceIds.add(user.deviceId);
+  for (const d of Array.isArray(user.devices) ? user.devices : []) {
+    if (typeof d?.deviceId === "string" && d.deviceId) deviceIds.add(d.deviceId);
+  }
+
+  const now = new Date();
+  const steps = {};
+  for (const step of listUserDataDeletionSteps()) {
+    steps[step.key] = { status: "pending", count: 0 };
+  }
+
+  const doc = {
+    userId: userObjectId,
+    status: "queued",
+    deviceIds: [...deviceIds],
+    steps,
+    receipt: null,
+    error: null,
+    requestedBy,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null,
+  };
+
+  const result = await jobsCol.insertOne(doc);
+  return mapJobDoc({ ...doc, _id: result.insertedId });
+}
+
+/**
+ * Runs (or resumes) a deletion job. Steps already marked done are skipped, so this is safe to
+ * call again after a crash or a failed step. Returns the final job summary.
+ */
+export async function runUserDeletionJob(db, jobId) {
+  if (!db) throw new Error("DB not ready");
+
+  const _id = new ObjectId(String(jobId));
+  const jobsCol = db.collection(DELETION_JOBS_COLLECTION);
+  const now = new Date();
+
+  // Claim: only one runner per job. A running job is claimable again only once its lease has expired.
+  const claim = await jobsCol.updateOne(
+    { _id, ...claimableJobFilter(now) },
+    {
+      $set: {
+        status: "running",
+        leaseOwner: RUNNER_ID,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+        updatedAt: now,
+        error: null,
+      },
+    }
+  );
+
+  const job = await jobsCol.findOne({ _id });
+  if (!job) {
+    const err = new Error("Deletion job not found");
+    err.statusCode = 404;
+    throw err;
+  }
+  if (claim.modifiedCount !== 1) return mapJobDoc(job);
+
+  // Every write below is conditional on still holding the lease.
+  const owned = { _id, leaseOwner: RUNNER_ID };
+  const renew = setInterval(() => {
+    jobsCol
+      .updateOne(owned, { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) } })
+      .catch((e) => console.error(`[Deletion] lease renew failed for ${_id}:`, e?.message || e));
+  }, Math.floor(LEASE_MS / 3));
+  renew.unref?.();
+
+  try {
+    return await runClaimedDeletionJob(db, job, owned);
+  } finally {
+    clearInterval(renew);
+  }
+}
+
+function lostLease(jobId) {
+  const err = new Error(`Deletion job ${jobId} was taken over by another runner`);
+  err.statusCode = 409;
+  return err;
+}
+
+async function runClaimedDeletionJob(db, job, owned) {
+  const { _id } = owned;
+  const jobsCol = db.collection(DELETION_JOBS_COLLECTION);
+  const now = new Date();
+
+  const ctx = {
+    jobId: String(_id),
+    userId: String(job.userId),
+    userObjectId: job.userId,
+    deviceIds: Array.isArray(job.deviceIds) ? job.deviceIds : [],
+    now,
+  };
+
+  const steps = job.steps && typeof job.steps === "object" ? job.steps : {};
+
+  for (const step of listUserDataDeletionSteps()) {
+    if (steps[step.key]?.status === "done") continue;
+
+    try {
+      const count = await runStep(db, step, ctx);
+      steps[step.key] = { status: "done", count, completedAt: new Date() };
+      const r = await jobsCol.updateOne(
+        owned,
+        { $set: { [`steps.${step.key}`]: steps[step.key], updatedAt: new Date() } }
+      );
+      if (r.modifiedCount !== 1) throw lostLease(ctx.jobId);
+    } catch (e) {
+      if (e?.statusCode === 409) throw e;
+      console.error(`[Deletion] step '${step.key}' failed for job ${ctx.jobId}:`, e);
+      const failedAt = new Date();
+      await jobsCol.updateOne(
+        owned,
+        {
+          $set: {
+            [`steps.${step.key}`]: { status: "failed", count: 0, error: String(e?.message || e) },
+            status: "failed",
+            error: `Step '${step.key}' failed: ${String(e?.message || e)}`,
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            updatedAt: failedAt,
+          },
+        }
+      );
+      return mapJobDoc(await jobsCol.findOne({ _id }));
+    }
+  }
+
+  const counts = {};
+  let totalCount = 0;
+  for (const [key, s] of Object.entries(steps)) {
+    counts[key] = Number(s?.count) || 0;
+    totalCount += counts[key];
+  }
+
+  const completedAt = new Date();
+  await jobsCol.updateOne(
+    owned,
+    {
+      $set: {
+        status: "complete",
+        receipt: { userId: ctx.userId, completedAt, counts, totalCount },
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        updatedAt: completedAt,
+        completedAt,
+      },
+      $unset: { deviceIds: "" },
+    }
+  );
+
+  return mapJobDoc(await jobsCol.findOne({ _id }));
+}
+
+export async function fetchUserDeletionJob(db, jobId) {
+  if (!db) throw new Error("DB not ready");
+
+  const cleaned = String(jobId || "").trim();
+  if (!cleaned || !ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid job id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const doc = await db.collection(DELETION_JOBS_COLLECTION).findOne({ _id: new ObjectId(cleaned) });
+  if (!doc) {
+    const err = new Error("Deletion job not found");
+    err.statusCode = 404;
+    throw err;
+  }
+  return mapJobDoc(doc);
+}
+
+// Queued / failed jobs, plus running jobs whose runner stopped renewing its lease. Jobs claimed before
+// leases existed have none; those count as abandoned once they have been idle for a full lease.
+function claimableJobFilter(now) {
+  return {
+    $or: [
+      { status: { $in: ["queued", "failed"] } },
+      { status: "running", leaseExpiresAt: { $lt: now } },
+      { status: "running", leaseExpiresAt: null, updatedAt: { $lt: new Date(now.getTime() - LEASE_MS) } },
+    ],
+  };
+}
+
+// Startup hook: resumes queued jobs and jobs whose runner died (expired lease). Jobs still leased to
+// another live instance are left alone; failed jobs wait for the user to retry.
+export async function resumeInterruptedUserDeletionJobs(db) {
+  if (!db) return 0;
+
+  const pending = await db
+    .collection(DELETION_JOBS_COLLECTION)
+    .find({ $and: [claimableJobFilter(new Date()), { status: { $ne: "failed" } }] }, { projection: { _id: 1 } })
+    .toArray();
+
+  let resumed = 0;
+  for (const j of pending) {
+    try {
+      const job = await runUserDeletionJob(db, j._id);
+      if (job?.status === "complete") resumed += 1;
+    } catch (e) {
+      console.error("[Deletion] resume failed for job", String(j._id), e);
+    }
+  }
+  return resumed;
+}
@@ -0,0 +1,429 @@
+// services/devices.js
+//
+// Linked devices on the users document (one account, many devices).
+//
+// Shape:
+// devices: [
+//   {
+//     deviceId: string,
+//     platform: string | null,
+//     appVersion: string | null,
+//     label: string | null,
+//     addedVia: "ensure" | "pairing" | "recovery" | "legacy",
+//     addedAt: Date,
+//     lastSeenAt: Date
+//   }
+// ]
+//
+// `users.deviceId` is kept as the primary device so older code paths keep working.
+// Documents created before linked devices only have `deviceId`; they get a `devices`
+// array the first time that device is touched.
+//
+// Pairing redemption is unauthenticated, so wrong codes are logged per IP and per device
+// (device_pairing_failures) and too many in a window answer 429. A real code whose redemption keeps
+// failing (e.g. repeated 409s) is burned after PAIRING_CODE_MAX_FAILED_REDEMPTIONS.
+
+import { ObjectId } from "mongodb";
+import crypto from "crypto";
+import { registerUserDataDeletion } from "./deletion.js";
+
+const PAIRING_COLLECTION = "user_device_pairings";
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+// No 0/O/1/I/L so codes survive being read aloud or typed on a second device.
+const PAIRING_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_FAILURES_COLLECTION = "device_pairing_failures";
+const PAIRING_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const PAIRING_MAX_FAILURES_PER_WINDOW = 10;
+const PAIRING_CODE_MAX_FAILED_REDEMPTIONS = 3;
+
+registerUserDataDeletion({ key: "user_device_pairings", collection: PAIRING_COLLECTION, order: 60 });
+
+function cleanDeviceId(deviceId) {
+  return String(deviceId || "").trim();
+}
+
+function cleanOptionalString(v) {
+  return typeof v === "string" && v.trim() ? v.trim() : null;
+}
+
+function requireUserObjectId(userId) {
+  const cleaned = String(userId || "").trim();
+  if (!cleaned || !ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid 'userId'");
+    err.statusCode = 400;
+    throw err;
+  }
+  return new ObjectId(cleaned);
+}
+
+function requireDeviceId(deviceId) {
+  const cleaned = cleanDeviceId(deviceId);
+  if (!cleaned) {
+    const err = new Error("Missing or invalid 'deviceId'");
+    err.statusCode = 400;
+    throw err;
+  }
+  return cleaned;
+}
+
+function buildDeviceEntry(deviceId, meta, now) {
+  return {
+    deviceId,
+    platform: cleanOptionalString(meta?.platform),
+    appVersion: cleanOptionalString(meta?.appVersion),
+    label: cleanOptionalString(meta?.label),
+    addedVia: meta?.addedVia || "ensure",
+    addedAt: now,
+    lastSeenAt: now,
+  };
+}
+
+// Legacy users only have `deviceId`; synthesize the single-entry list they implicitly have.
+function legacyDeviceEntries(user) {
+  const legacyId = cleanDeviceId(user?.deviceId);
+  if (!legacyId) return [];
+  return [
+    {
+      deviceId: legacyId,
+      platform: user.platform ?? null,
+      appVersion: user.appVersion ?? null,
+      label: null,
+      addedVia: "legacy",
+      addedAt: user.createdAt ?? null,
+      lastSeenAt: user.lastSeenAt ?? null,
+    },
+  ];
+}
+
+function hashPairingCode(code) {
+  const normalized = String(code || "").trim().toUpperCase().replace(/[\s-]/g, "");
+  return crypto.createHash("sha256").update(normalized, "utf8").digest("hex");
+}
+
+function randomPairingCode() {
+  let out = "";
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    out += PAIRING_CODE_ALPHABET[crypto.randomInt(0, PAIRING_CODE_ALPHABET.length)];
+  }
+  return out;
+}
+
+// Matches the user owning `deviceId`, whether it is a linked device or the legacy single deviceId.
+export function buildDeviceLookupFilter(deviceId) {
+  const cleaned = cleanDeviceId(deviceId);
+  if (!cleaned) return null;
+  return {
+    $or: [
+      { "devices.deviceId": cleaned },
+      { deviceId: cleaned, devices: { $exists: false } },
+    ],
+  };
+}
+
+export function mapDeviceEntries(user) {
+  if (!user) return [];
+  const entries = Array.isArray(user.devices) ? user.devices : legacyDeviceEntries(user);
+  return entries.map((d) => ({
+    deviceId: d.deviceId,
+    platform: d.platform ?? null,
+    appVersion: d.appVersion ?? null,
+    label: d.label ?? null,
+    addedVia: d.addedVia ?? null,
+    addedAt: d.addedAt ?? null,
+    lastSeenAt: d.lastSeenAt ?? null,
+    isPrimary: !!user.deviceId && d.deviceId === user.deviceId,
+  }));
+}
+
+// Records lastSeenAt (and platform/appVersion when provided) for a device already linked to `user`.
+// Migrates legacy single-device documents to the `devices` array on the way.
+export async function touchUserDevice(db, user, deviceId, meta = {}) {
+  if (!db || !user?._id) return;
+
+  const cleaned = cleanDeviceId(deviceId);
+  if (!cleaned) return;
+
+  const usersCol = db.collection("users");
+  const now = new Date();
+
+  if (!Array.isArray(user.devices)) {
+    const entries = legacyDeviceEntries(user).map((d) =>
+      d.deviceId === cleaned
+        ? {
+            ...d,
+            platform: cleanOptionalString(meta.platform) ?? d.platform,
+            appVersion: cleanOptionalString(meta.appVersion) ?? d.appVersion,
+            lastSeenAt: now,
+          }
+        : d
+    );
+    await usersCol.updateOne(
+      { _id: user._id, devices: { $exists: false } },
+      { $set: { devices: entries } }
+    );
+    return;
+  }
+
+  const setObj = { "devices.$.lastSeenAt": now };
+  const platform = cleanOptionalString(meta.platform);
+  const appVersion = cleanOptionalString(meta.appVersion);
+  if (platform) setObj["devices.$.platform"] = platform;
+  if (appVersion) setObj["devices.$.appVersion"] = appVersion;
+
+  await usersCol.updateOne({ _id: user._id, "devices.deviceId": cleaned }, { $set: setObj });
+}
+
+export async function isDeviceLinkedToUser(db, userId, deviceId) {
+  if (!db) throw new Error("DB not ready");
+
+  const cleaned = cleanDeviceId(deviceId);
+  if (!cleaned || !ObjectId.isValid(String(userId || ""))) return false;
+
+  const found = await db.collection("users").findOne(
+    { _id: new ObjectId(String(userId)), ...buildDeviceLookupFilter(cleaned) },
+    { projection: { _id: 1 } }
+  );
+  return !!found;
+}
+
+// Links `deviceId` to the user. If the device currently belongs to another account
+// (typically the throwaway anonymous account a fresh install creates via /users/ensure),
+// it is detached from that account only when `replaceExisting` is set. When `replaceOwnerId` is
+// given (string | null), only that account may lose the device; anything else is a 409.
+export async function linkDeviceToUser(db, userId, deviceId, meta = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const _id = requireUserObjectId(userId);
+  const cleaned = requireDeviceId(deviceId);
+  const usersCol = db.collection("users");
+
+  const user = await usersCol.findOne({ _id });
+  if (!user) {
+    const err = new Error("User not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const currentOwner = await usersCol.findOne(buildDeviceLookupFilter(cleaned), { projection: { _id: 1, deviceId: 1 } });
+  if (currentOwner && String(currentOwner._id) === String(_id)) {
+    await touchUserDevice(db, user, cleaned, meta);
+    return usersCol.findOne({ _id });
+  }
+
+  if (currentOwner) {
+    if (!meta.replaceExisting) {
+      const err = new Error("Device is already linked to another account");
+      err.statusCode = 409;
+      throw err;
+    }
+    if (meta.replaceOwnerId !== undefined && meta.replaceOwnerId !== String(currentOwner._id)) {
+      const err = new Error("Moving this device off its current account requires that device's auth token");
+      err.statusCode = 409;
+      throw err;
+    }
+    await usersCol.updateOne({ _id: currentOwner._id }, { $pull: { devices: { deviceId: cleaned } } });
+    if (currentOwner.deviceId === cleaned) {
+      await usersCol.updateOne({ _id: currentOwner._id }, { $set: { deviceId: null } });
+    }
+  }
+
+  const now = new Date();
+  const entry = buildDeviceEntry(cleaned, meta, now);
+
+  if (!Array.isArray(user.devices)) {
+    await usersCol.updateOne(
+      { _id, devices: { $exists: false } },
+      { $set: { devices: legacyDeviceEntries(user) } }
+    );
+  }
+
+  await usersCol.updateOne(
+    { _id, "devices.deviceId": { $ne: cleaned } },
+    { $push: { devices: entry }, $set: { lastSeenAt: now } }
+  );
+
+  // Accounts that lost their primary device (or never had one) adopt the new device.
+  await usersCol.updateOne(
+    { _id, $or: [{ deviceId: null }, { deviceId: { $exists: false } }] },
+    { $set: { deviceId: cleaned } }
+  );
+
+  return usersCol.findOne({ _id });
+}
+
+export async function listUserDevices(db, userId) {
+  if (!db) throw new Error("DB not ready");
+
+  const _id = requireUserObjectId(userId);
+  const user = await db.collection("users").findOne(
+    { _id },
+    { projection: { deviceId: 1, devices: 1, platform: 1, appVersion: 1, createdAt: 1, lastSeenAt: 1 } }
+  );
+
+  if (!user) {
+    const err = new Error("User not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  return mapDeviceEntries(user);
+}
+
+export async function revokeUserDevice(db, userId, deviceId) {
+  if (!db) throw new Error("DB not ready");
+
+  const _id = requireUserObjectId(userId);
+  const cleaned = requireDeviceId(deviceId);
+  const usersCol = db.collection("users");
+
+  const user = await usersCol.findOne({ _id });
+  if (!user) {
+    const err = new Error("User not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const current = mapDeviceEntries(user);
+  if (!current.some((d) => d.deviceId === cleaned)) {
+    const err = new Error("Device not linked to this account");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  // Revoking the last device would leave only email recovery as a way back in.
+  const remaining = current.filter((d) => d.deviceId !== cleaned);
+  if (remaining.length === 0) {
+    const err = new Error("Cannot revoke the only linked device");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const setObj = {
+    devices: Array.isArray(user.devices) ? user.devices.filter((d) => d.deviceId !== cleaned) : [],
+  };
+  if (user.deviceId === cleaned) setObj.deviceId = remaining[0].deviceId;
+
+  await usersCol.updateOne({ _id }, { $set: setObj });
+
+  return listUserDevices(db, userId);
+}
+
+// Issues a short-lived code that a second device redeems via redeemDevicePairingCode.
+// Only the hash is stored; any earlier unused code for this user is invalidated.
+export async function createDevicePairingCode(db, userId) {
+  if (!db) throw new Error("DB not ready");
+
+  const _id = requireUserObjectId(userId);
+  const user = await db.collection("users").findOne({ _id }, { projection: { _id: 1 } });
+  if (!user) {
+    const err = new Error("User not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const pairingsCol = db.collection(PAIRING_COLLECTION);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PAIRING_CODE_TTL_MS);
+  const code = randomPairingCode();
+
+  await pairingsCol.deleteMany({ userId: _id, usedAt: null });
+  await pairingsCol.insertOne({
+    userId: _id,
+    codeHash: hashPairingCode(code),
+    createdAt: now,
+    expiresAt,
+    usedAt: null,
+    usedByDeviceId: null,
+  });
+
+  return { code, expiresAt };
+}
+
+function pairingFailureScopes(deviceId, ip) {
+  return [`device:${deviceId}`, ...(ip ? [`ip:${ip}`] : [])];
+}
+
+async function assertPairingAttemptAllowed(db, scopes, now) {
+  const since = new Date(now.getTime() - PAIRING_FAILURE_WINDOW_MS);
+  for (const scope of scopes) {
+    const recent = await db
+      .collection(PAIRING_FAILURES_COLLECTION)
+      .find({ scope, failedAt: { $gte: since } }, { projection: { failedAt: 1 } })
+      .sort({ failedAt: 1 })
+      .limit(PAIRING_MAX_FAILURES_PER_WINDOW)
+      .toArray();
+    if (recent.length >= PAIRING_MAX_FAILURES_PER_WINDOW) {
+      const err = new Error("Too many incorrect pairing codes; try again later");
+      err.statusCode = 429;
+      err.retryAfterSeconds = Math.max(
+        1,
+        Math.ceil((new Date(recent[0].failedAt).getTime() + PAIRING_FAILURE_WINDOW_MS - now.getTime()) / 1000)
+      );
+      throw err;
+    }
+  }
+}
+
+// Body: { code, deviceId, platform?, appVersion?, label?, replaceExisting? }
+// options.ip: caller's address, throttled alongside the device.
+// options.caller: the resolved req.user. replaceExisting only moves the device off its current account
+// when the caller holds a token issued to that account for this very device.
+// Returns { userId, devices } for the account the new device joined.
+export async function redeemDevicePairingCode(db, payload, { ip = null, caller = null } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const code = String(payload?.code || "").trim();
+  if (!code) {
+    const err = new Error("Missing or invalid 'code'");
+    err.statusCode = 400;
+    throw err;
+  }
+  const deviceId = requireDeviceId(payload?.deviceId);
+
+  const pairingsCol = db.collection(PAIRING_COLLECTION);
+  const now = new Date();
+  const scopes = pairingFailureScopes(deviceId, cleanOptionalString(ip));
+  await assertPairingAttemptAllowed(db, scopes, now);
+
+  // Claim the code atomically so two devices cannot redeem the same one.
+  const claimed = await pairingsCol.findOneAndUpdate(
+    { codeHash: hashPairingCode(code), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now, usedByDeviceId: deviceId } },
+    { returnDocument: "after", returnOriginal: false }
+  );
+  const pairing = claimed?.value ?? (claimed && claimed._id ? claimed : null);
+
+  if (!pairing) {
+    await db
+      .collection(PAIRING_FAILURES_COLLECTION)
+      .insertMany(scopes.map((scope) => ({ scope, failedAt: now })), { ordered: false });
+    const err = new Error("Pairing code invalid or expired");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  let user;
+  try {
+    user = await linkDeviceToUser(db, String(pairing.userId), deviceId, {
+      platform: payload?.platform,
+      appVersion: payload?.appVersion,
+      label: payload?.label,
+      addedVia: "pairing",
+      replaceExisting: payload?.replaceExisting === true,
+      replaceOwnerId: caller?.authMethod === "token" && caller.deviceId === deviceId ? String(caller.id) : null,
+    });
+  } catch (err) {
+    // Give the code back so the user can retry (e.g. with replaceExisting after a 409), a limited number of times.
+    const failedRedemptions = (Number(pairing.failedRedemptions) || 0) + 1;
+    await pairingsCol.updateOne(
+      { _id: pairing._id },
+      failedRedemptions < PAIRING_CODE_MAX_FAILED_REDEMPTIONS
+        ? { $set: { usedAt: null, usedByDeviceId: null, failedRedemptions } }
+        : { $set: { failedRedemptions, invalidatedAt: now } }
+    );
+    throw err;
+  }
+
+  return { userId: String(user._id), devices: mapDeviceEntries(user) };
+}
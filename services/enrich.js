@@ -1,5 +1,30 @@
 // services/enrich.js
 import { ObjectId } from "mongodb";
+import { findUserIdByDeviceId } from "./users.js";
+import { registerUserDataDeletion } from "./deletion.js";
+
+// Account deletion: user-submitted foods stay in the catalog, but lose their link to the submitter.
+registerUserDataDeletion({
+  key: "food_submission_attribution",
+  collection: "foods",
+  order: 50,
+  run: async (db, ctx) => {
+    const foodsCol = db.collection(
+      process.env.MONGODB_COLLECTION_FOODS || process.env.MONGODB_COLLECTION_FOOD_ITEMS || "food_items"
+    );
+    const bySubmitter = [{ "source.submitted_by_userId": ctx.userId }];
+    if (ctx.deviceIds.length) bySubmitter.push({ "source.submitted_by_device": { $in: ctx.deviceIds } });
+
+    const r = await foodsCol.updateMany(
+      { $or: bySubmitter },
+      {
+        $unset: { "source.submitted_by_userId": "", "source.submitted_by_device": "" },
+        $set: { "source.submitter_anonymized_at": ctx.now },
+      }
+    );
+    return r?.modifiedCount ?? 0;
+  },
+});
 
 /**
  * Build a Mongo-ready user-enriched food doc.
@@ -94,13 +119,10 @@ export async function buildUserEnrichedDoc(payload, headers, db) {
   try {
     const deviceIdForUserLookup = source.submitted_by_device;
     if (db && deviceIdForUserLookup) {
-      const usersCol = db.collection("users");
-      const user = await usersCol.findOne(
-        { deviceId: String(deviceIdForUserLookup).trim() },
-        { projection: { _id: 1 } }
-      );
-      if (user && user._id) {
-        source.submitted_by_userId = String(user._id);
+      // Resolves through any linked device, not just the account's primary deviceId.
+      const submittedByUserId = await findUserIdByDeviceId(db, deviceIdForUserLookup);
+      if (submittedByUserId) {
+        source.submitted_by_userId = submittedByUserId;
       }
     }
   } catch (err) {
@@ -0,0 +1,439 @@
+// services/experiments.js
+//
+// Personal N-of-1 experiments: elimination / reintroduction trials for one input and one outcome.
+//
+// Doc (user_experiments):
+// {
+//   userId: ObjectId,
+//   title: string | null,
+//   inputKey: "ing:milk" | "caffeine_mg" | ...,       // same keys the correlation engine uses
+//   outcomeKey: "checkin_pain_peak" | ...,
+//   phases: {
+//     baseline:       { startDateKey, endDateKey },   // eat as usual
+//     elimination:    { startDateKey, endDateKey },   // avoid the input
+//     reintroduction: { startDateKey, endDateKey }    // bring it back
+//   },
+//   washoutDays: number,          // first N days of elimination / reintroduction don't count toward outcomes
+//   status: "scheduled" | "cancelled" | "completed",  // stored; "active" + currentPhase are derived from today
+//   report: object | null,        // final report, frozen by completeUserExperiment after reintroduction has closed
+//   createdAt, updatedAt, cancelledAt, completedAt
+// }
+//
+// Compliance comes from user_daily_totals (ingredients_exposure / totals via extractDayInputs), outcomes from
+// the same day's check-in totals. Only days with food logged (energy or a meal on that dateKey) are judged for
+// compliance, since a day without food says nothing about avoiding the input. Only compliant days after the
+// washout are compared.
+
+import { ObjectId } from "mongodb";
+import { registerUserDataDeletion } from "./deletion.js";
+import { mean, stdev, studentTTwoSidedP, studentTCritical, extractDayInputs, extractDayOutcomes } from "./userAnalysis.js";
+import { isValidDateKey, addDaysDateKeyUTC, dateFromDateKeyUTC } from "./users.js";
+
+const EXPERIMENTS_COLLECTION = "user_experiments";
+const PHASES = ["baseline", "elimination", "reintroduction"];
+const MIN_PHASE_DAYS = 3;
+const MAX_PHASE_DAYS = 60;
+const DEFAULT_WASHOUT_DAYS = 2;
+const MAX_WASHOUT_DAYS = 14;
+const MIN_OUTCOME_DAYS = 3;
+const MIN_COMPLIANCE = 0.8;
+
+// Which way is "better" for each outcome (pain down, everything else up).
+const OUTCOME_BETTER = {
+  checkin_mood: "higher",
+  checkin_clarity_score: "higher",
+  checkin_energy: "higher",
+  checkin_pain_peak: "lower",
+  checkin_pain_region_count: "lower",
+};
+
+registerUserDataDeletion({ key: "user_experiments", collection: EXPERIMENTS_COLLECTION, order: 36 });
+
+function badRequest(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function toUserObjectId(userId) {
+  const cleaned = String(userId || "").trim();
+  if (!ObjectId.isValid(cleaned)) throw badRequest("Missing or invalid 'userId'");
+  return new ObjectId(cleaned);
+}
+
+function toExperimentObjectId(experimentId) {
+  const cleaned = String(experimentId || "").trim();
+  if (!ObjectId.isValid(cleaned)) throw badRequest("Missing or invalid experiment id");
+  return new ObjectId(cleaned);
+}
+
+function dayCount(startDateKey, endDateKey) {
+  return Math.round((dateFromDateKeyUTC(endDateKey) - dateFromDateKeyUTC(startDateKey)) / 86400000) + 1;
+}
+
+function normalizeInputKey(raw) {
+  const key = String(raw || "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!key || key.length > 120) throw badRequest("Missing or invalid 'inputKey' (e.g. \"ing:milk\" or \"caffeine_mg\")");
+  if (key.startsWith("checkin_")) throw badRequest("'inputKey' must be a food / nutrient input, not a check-in");
+  return key;
+}
+
+function normalizePhases(raw) {
+  const phases = {};
+  for (const name of PHASES) {
+    const p = raw?.[name];
+    const startDateKey = String(p?.startDateKey || "").trim();
+    const endDateKey = String(p?.endDateKey || "").trim();
+    if (!isValidDateKey(startDateKey) || !isValidDateKey(endDateKey)) {
+      throw badRequest(`Missing or invalid '${name}' period (expected { startDateKey, endDateKey } as YYYY-MM-DD)`);
+    }
+    const days = dayCount(startDateKey, endDateKey);
+    if (days < MIN_PHASE_DAYS || days > MAX_PHASE_DAYS) {
+      throw badRequest(`'${name}' must last ${MIN_PHASE_DAYS}-${MAX_PHASE_DAYS} days (got ${days})`);
+    }
+    phases[name] = { startDateKey, endDateKey };
+  }
+
+  for (let i = 1; i < PHASES.length; i++) {
+    if (phases[PHASES[i]].startDateKey <= phases[PHASES[i - 1]].endDateKey) {
+      throw badRequest(`'${PHASES[i]}' must start after '${PHASES[i - 1]}' ends`);
+    }
+  }
+  return phases;
+}
+
+// Stored status plus where the calendar currently is.
+function deriveStatus(doc, todayKey) {
+  if (doc.status === "cancelled" || doc.status === "completed") return { status: doc.status, currentPhase: null };
+  if (todayKey < doc.phases.baseline.startDateKey) return { status: "scheduled", currentPhase: null };
+  if (todayKey > doc.phases.reintroduction.endDateKey) return { status: "ready_for_report", currentPhase: null };
+
+  const currentPhase = PHASES.find(
+    (name) => todayKey >= doc.phases[name].startDateKey && todayKey <= doc.phases[name].endDateKey
+  );
+  return { status: "active", currentPhase: currentPhase || "between_phases" };
+}
+
+function mapExperimentDoc(doc, todayKey) {
+  const { status, currentPhase } = deriveStatus(doc, todayKey);
+  return {
+    id: String(doc._id),
+    title: doc.title ?? null,
+    inputKey: doc.inputKey,
+    outcomeKey: doc.outcomeKey,
+    phases: doc.phases,
+    washoutDays: doc.washoutDays ?? DEFAULT_WASHOUT_DAYS,
+    // "ready_for_report": over, waiting for completeUserExperiment to freeze the report.
+    status,
+    currentPhase,
+    createdAt: doc.createdAt ?? null,
+    cancelledAt: doc.cancelledAt ?? null,
+    completedAt: doc.completedAt ?? null,
+  };
+}
+
+// --- Analysis ---
+
+function hasLoggedEnergy(doc) {
+  return ["totals", "totals_estimated"].some((field) => Number(doc?.[field]?.energy_kcal) > 0);
+}
+
+function summarizePhase(name, period, docsByDateKey, { inputKey, outcomeKey, washoutDays, todayKey, mealDateKeys }) {
+  const days = [];
+  let dateKey = period.startDateKey;
+  // Only closed days: today's logging is still in progress.
+  for (let i = 0; dateKey <= period.endDateKey && dateKey < todayKey; i++) {
+    const doc = docsByDateKey.get(dateKey);
+    const logged = mealDateKeys.has(dateKey) || hasLoggedEnergy(doc);
+    const exposure = doc ? extractDayInputs(doc)[inputKey] : undefined;
+    const exposed = typeof exposure === "number" && exposure > 0;
+    const outcome = doc ? extractDayOutcomes(doc)[outcomeKey] : undefined;
+
+    const compliant = !logged ? null : name === "elimination" ? !exposed : name === "reintroduction" ? exposed : true;
+    const inWashout = name !== "baseline" && i < washoutDays;
+
+    days.push({
+      dateKey,
+      logged,
+      exposure: typeof exposure === "number" ? exposure : 0,
+      compliant,
+      outcome: typeof outcome === "number" ? outcome : null,
+      counted: compliant === true && !inWashout && typeof outcome === "number",
+    });
+    dateKey = addDaysDateKeyUTC(dateKey, 1);
+  }
+
+  const logged = days.filter((d) => d.logged);
+  const values = days.filter((d) => d.counted).map((d) => d.outcome);
+
+  return {
+    ...period,
+    plannedDays: dayCount(period.startDateKey, period.endDateKey),
+    elapsedDays: days.length,
+    loggedDays: logged.length,
+    exposedDays: logged.filter((d) => d.exposure > 0).length,
+    complianceRate: name === "baseline" || !logged.length ? null : logged.filter((d) => d.compliant).length / logged.length,
+    outcome: { n: values.length, mean: mean(values), sd: stdev(values) },
+    values,
+    days,
+  };
+}
+
+/**
+ * Welch comparison of two phases: difference (to − from) with a 95% CI, Hedges' g with an approximate
+ * 95% CI, and a two-sided p-value.
+ */
+function comparePhases(from, to) {
+  const a = from.values;
+  const b = to.values;
+  if (a.length < MIN_OUTCOME_DAYS || b.length < MIN_OUTCOME_DAYS) {
+    return { insufficientData: true, nFrom: a.length, nTo: b.length };
+  }
+
+  const ma = mean(a);
+  const mb = mean(b);
+  const sa = stdev(a) || 0;
+  const sb = stdev(b) || 0;
+  const difference = mb - ma;
+
+  const va = (sa * sa) / a.length;
+  const vb = (sb * sb) / b.length;
+  const se = Math.sqrt(va + vb);
+  const df = se > 0 ? (va + vb) ** 2 / ((va * va) / (a.length - 1) + (vb * vb) / (b.length - 1)) : a.length + b.length - 2;
+  const tCrit = studentTCritical(0.05, df);
+
+  const pooledSd = Math.sqrt(((a.length - 1) * sa * sa + (b.length - 1) * sb * sb) / (a.length + b.length - 2));
+  const correction = 1 - 3 / (4 * (a.length + b.length) - 9);
+  const g = pooledSd > 0 ? (difference / pooledSd) * correction : null;
+  const seG = g == null ? null : Math.sqrt((a.length + b.length) / (a.length * b.length) + (g * g) / (2 * (a.length + b.length)));
+
+  return {
+    insufficientData: false,
+    nFrom: a.length,
+    nTo: b.length,
+    meanFrom: ma,
+    meanTo: mb,
+    difference,
+    differenceCi95: se > 0 ? [difference - tCrit * se, difference + tCrit * se] : [difference, difference],
+    hedgesG: g,
+    hedgesGCi95: g == null ? null : [g - 1.96 * seG, g + 1.96 * seG],
+    pValue: se > 0 ? studentTTwoSidedP(difference / se, df) : difference === 0 ? 1 : 0,
+  };
+}
+
+// The CI lies entirely on the "better" side (sign +1) or the "worse" side (sign −1) of zero.
+function ciShows(comparison, better, sign) {
+  if (!comparison || comparison.insufficientData) return false;
+  const [lo, hi] = comparison.differenceCi95;
+  const improving = better === "lower" ? hi < 0 : lo > 0;
+  const worsening = better === "lower" ? lo > 0 : hi < 0;
+  return sign > 0 ? improving : worsening;
+}
+
+function analyzeExperiment(doc, { totalsDocs, mealDateKeys }, todayKey) {
+  const docsByDateKey = new Map(totalsDocs.map((d) => [d.dateKey, d]));
+  const ctx = {
+    inputKey: doc.inputKey,
+    outcomeKey: doc.outcomeKey,
+    washoutDays: doc.washoutDays ?? DEFAULT_WASHOUT_DAYS,
+    todayKey,
+    mealDateKeys: new Set(mealDateKeys),
+  };
+
+  const phases = {};
+  for (const name of PHASES) phases[name] = summarizePhase(name, doc.phases[name], docsByDateKey, ctx);
+
+  const eliminationEffect = comparePhases(phases.baseline, phases.elimination);
+  const reintroductionEffect = comparePhases(phases.elimination, phases.reintroduction);
+
+  const better = OUTCOME_BETTER[doc.outcomeKey];
+  const improvedWhenEliminated = ciShows(eliminationEffect, better, +1);
+  const worsenedWhenReintroduced = ciShows(reintroductionEffect, better, -1);
+  const compliant =
+    (phases.elimination.complianceRate ?? 0) >= MIN_COMPLIANCE && (phases.reintroduction.complianceRate ?? 0) >= MIN_COMPLIANCE;
+
+  let verdict;
+  if (eliminationEffect.insufficientData || reintroductionEffect.insufficientData || !compliant) verdict = "inconclusive";
+  else if (improvedWhenEliminated && worsenedWhenReintroduced) verdict = "supported";
+  else if (improvedWhenEliminated || worsenedWhenReintroduced) verdict = "partially_supported";
+  else verdict = "not_supported";
+
+  const strip = ({ values, ...rest }) => rest;
+  return {
+    outcomeBetter: better,
+    phases: Object.fromEntries(PHASES.map((name) => [name, strip(phases[name])])),
+    eliminationEffect,
+    reintroductionEffect,
+    improvedWhenEliminated,
+    worsenedWhenReintroduced,
+    compliant,
+    minCompliance: MIN_COMPLIANCE,
+    verdict,
+  };
+}
+
+// Daily totals over the experiment plus the dateKeys that have at least one meal.
+async function loadExperimentDays(db, userObjectId, doc) {
+  const filter = {
+    $or: [{ userId: userObjectId }, { userId: String(userObjectId) }],
+    dateKey: { $gte: doc.phases.baseline.startDateKey, $lte: doc.phases.reintroduction.endDateKey },
+  };
+  const [totalsDocs, mealDateKeys] = await Promise.all([
+    db
+      .collection("user_daily_totals")
+      .find(filter, { projection: { dateKey: 1, totals: 1, totals_estimated: 1, ingredients_exposure: 1 } })
+      .toArray(),
+    db.collection("user_meals").distinct("dateKey", filter),
+  ]);
+  return { totalsDocs, mealDateKeys };
+}
+
+// --- Public API ---
+
+/**
+ * createUserExperiment(db, userId, { inputKey, outcomeKey, title?, washoutDays?, baseline, elimination, reintroduction })
+ * Each period is { startDateKey, endDateKey }. Overlapping live experiments on the same input are rejected (409).
+ */
+export async function createUserExperiment(db, userId, body, { todayKey }) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = toUserObjectId(userId);
+  const inputKey = normalizeInputKey(body?.inputKey);
+  const outcomeKey = String(body?.outcomeKey || "").trim();
+  if (!OUTCOME_BETTER[outcomeKey]) {
+    throw badRequest(`Invalid 'outcomeKey' (one of: ${Object.keys(OUTCOME_BETTER).join(", ")})`);
+  }
+
+  const phases = normalizePhases(body);
+  if (phases.reintroduction.endDateKey < todayKey) {
+    throw badRequest("The experiment would already be over; pick periods that end today or later");
+  }
+
+  const washoutDays = body?.washoutDays == null ? DEFAULT_WASHOUT_DAYS : Math.trunc(Number(body.washoutDays));
+  if (!Number.isFinite(washoutDays) || washoutDays < 0 || washoutDays > MAX_WASHOUT_DAYS) {
+    throw badRequest(`'washoutDays' must be 0-${MAX_WASHOUT_DAYS}`);
+  }
+  for (const name of ["elimination", "reintroduction"]) {
+    if (dayCount(phases[name].startDateKey, phases[name].endDateKey) - washoutDays < MIN_OUTCOME_DAYS) {
+      throw badRequest(`'${name}' needs at least ${MIN_OUTCOME_DAYS} days after the ${washoutDays}-day washout`);
+    }
+  }
+
+  const col = db.collection(EXPERIMENTS_COLLECTION);
+  const overlapping = await col.findOne({
+    userId: userObjectId,
+    inputKey,
+    status: "scheduled",
+    "phases.baseline.startDateKey": { $lte: phases.reintroduction.endDateKey },
+    "phases.reintroduction.endDateKey": { $gte: phases.baseline.startDateKey },
+  });
+  if (overlapping) throw badRequest(`An experiment on '${inputKey}' already covers these dates`, 409);
+
+  const now = new Date();
+  const doc = {
+    userId: userObjectId,
+    title: typeof body?.title === "string" && body.title.trim() ? body.title.trim().slice(0, 200) : null,
+    inputKey,
+    outcomeKey,
+    phases,
+    washoutDays,
+    status: "scheduled",
+    report: null,
+    createdAt: now,
+    updatedAt: now,
+    cancelledAt: null,
+    completedAt: null,
+  };
+  const r = await col.insertOne(doc);
+  return mapExperimentDoc({ ...doc, _id: r.insertedId }, todayKey);
+}
+
+export async function listUserExperiments(db, userId, { todayKey, status = null }) {
+  if (!db) throw new Error("DB not ready");
+
+  const docs = await db
+    .collection(EXPERIMENTS_COLLECTION)
+    .find({ userId: toUserObjectId(userId) }, { projection: { report: 0 } })
+    .sort({ "phases.baseline.startDateKey": -1 })
+    .limit(100)
+    .toArray();
+
+  const items = docs.map((d) => mapExperimentDoc(d, todayKey));
+  return status ? items.filter((e) => e.status === status) : items;
+}
+
+/**
+ * The experiment plus its analysis: interim (recomputed on every read, never stored) until
+ * completeUserExperiment has frozen the final report.
+ */
+export async function getUserExperiment(db, userId, experimentId, { todayKey }) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = toUserObjectId(userId);
+  const col = db.collection(EXPERIMENTS_COLLECTION);
+  const doc = await col.findOne({ _id: toExperimentObjectId(experimentId), userId: userObjectId });
+  if (!doc) throw badRequest("Experiment not found", 404);
+
+  if (doc.status === "completed" && doc.report) {
+    return { item: mapExperimentDoc(doc, todayKey), report: doc.report, final: true };
+  }
+  if (doc.status === "cancelled") {
+    return { item: mapExperimentDoc(doc, todayKey), report: null, final: false };
+  }
+
+  const analysis = analyzeExperiment(doc, await loadExperimentDays(db, userObjectId, doc), todayKey);
+  return { item: mapExperimentDoc(doc, todayKey), report: analysis, final: false };
+}
+
+/**
+ * Freezes the final report once the reintroduction period has closed (409 before that, or when cancelled).
+ * Completing an already completed experiment returns the stored report.
+ */
+export async function completeUserExperiment(db, userId, experimentId, { todayKey }) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = toUserObjectId(userId);
+  const col = db.collection(EXPERIMENTS_COLLECTION);
+  const doc = await col.findOne({ _id: toExperimentObjectId(experimentId), userId: userObjectId });
+  if (!doc) throw badRequest("Experiment not found", 404);
+
+  if (doc.status === "completed" && doc.report) {
+    return { item: mapExperimentDoc(doc, todayKey), report: doc.report, final: true };
+  }
+  if (doc.status === "cancelled") throw badRequest("Experiment is cancelled", 409);
+  if (deriveStatus(doc, todayKey).status !== "ready_for_report") {
+    throw badRequest(`Experiment runs until ${doc.phases.reintroduction.endDateKey}; complete it after that day has closed`, 409);
+  }
+
+  const analysis = analyzeExperiment(doc, await loadExperimentDays(db, userObjectId, doc), todayKey);
+  const now = new Date();
+  const report = { ...analysis, generatedAt: now };
+  // First caller freezes the report; a concurrent caller just gets whichever was stored.
+  const updated = await col.findOneAndUpdate(
+    { _id: doc._id, status: "scheduled" },
+    { $set: { status: "completed", report, completedAt: now, updatedAt: now } },
+    { returnDocument: "after" }
+  );
+  const finalDoc = updated || (await col.findOne({ _id: doc._id }));
+  return { item: mapExperimentDoc(finalDoc, todayKey), report: finalDoc.report ?? report, final: true };
+}
+
+export async function cancelUserExperiment(db, userId, experimentId, { todayKey }) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = toUserObjectId(userId);
+  const _id = toExperimentObjectId(experimentId);
+  const now = new Date();
+
+  const doc = await db.collection(EXPERIMENTS_COLLECTION).findOneAndUpdate(
+    { _id, userId: userObjectId, status: "scheduled" },
+    { $set: { status: "cancelled", cancelledAt: now, updatedAt: now } },
+    { returnDocument: "after", projection: { report: 0 } }
+  );
+  if (!doc) {
+    const exists = await db.collection(EXPERIMENTS_COLLECTION).findOne({ _id, userId: userObjectId }, { projection: { status: 1 } });
+    if (!exists) throw badRequest("Experiment not found", 404);
+    throw badRequest(`Experiment is already ${exists.status}`, 409);
+  }
+  return mapExperimentDoc(doc, todayKey);
+}
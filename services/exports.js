@@ -0,0 +1,422 @@
+// services/exports.js
+//
+// Full per-user data export (the read-side counterpart of deleteUserAndAllData).
+//
+// Formats:
+//   "zip"    → one archive of JSON / NDJSON / CSV files plus manifest.json (written last, with counts)
+//   "ndjson" → one line per record: { type: "manifest" } first, then { type: <section>, record },
+//              then { type: "end", counts }
+//
+// Everything is streamed from Mongo cursors; nothing is buffered per user beyond one record.
+// The ZIP writer is a minimal streaming implementation (deflate + data descriptors, no zip64),
+// which is plenty for a single user's data.
+
+import zlib from "zlib";
+import { once } from "events";
+import { ObjectId } from "mongodb";
+import { getUserDailyGoals } from "./users.js";
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Bump a section's version whenever the shape of its records changes.
+const EXPORT_SCHEMA_VERSIONS = {
+  profile: 1,
+  daily_goals: 1,
+  meals: 1,
+  meal_items_csv: 1,
+  daily_totals: 1,
+  daily_checkins_csv: 1,
+  correlations: 1,
+  correlation_packs: 1,
+  correlation_reveals: 1,
+  awards: 1,
+  favorites: 1,
+  recipes: 1,
+};
+
+// Server-side secrets / internal bookkeeping that never leave the server.
+const PROFILE_EXCLUDED_FIELDS = new Set([
+  "recoveryEmailHash",
+  "recoveryEmailPendingCodeHash",
+  "recoveryEmailPendingCodeExpiresAt",
+  "recoveryEmailPendingCodePurpose",
+  "recoveryEmailPendingCodeAttempts",
+  "recoveryEmailCodeLockedUntil",
+  // exported in their own files
+  "awards",
+  "awardTallies",
+  "favorites",
+]);
+
+const CHECKIN_CSV_FIELDS = [
+  "checkin_mood",
+  "checkin_clarity_score",
+  "checkin_energy",
+  "checkin_pain_peak",
+  "checkin_pain_region_count",
+];
+
+function buildUserIdFilters(userId) {
+  const str = String(userId);
+  return { $or: [{ userId: new ObjectId(str) }, { userId: str }] };
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+// -----------------------------
+// Section sources
+// -----------------------------
+
+async function* cursorRecords(cursor) {
+  for await (const doc of cursor) yield doc;
+}
+
+async function* mealItemCsvRows(db, userId) {
+  yield csvRow(["mealId", "dateKey", "loggedAt", "mealType", "itemName", "foodId", "quantity", "unit", "confidence"]);
+  const cursor = db.collection("user_meals").find(buildUserIdFilters(userId)).sort({ loggedAt: 1 });
+  for await (const meal of cursor) {
+    const items = Array.isArray(meal.items) ? meal.items : [];
+    for (const it of items) {
+      yield csvRow([
+        meal._id,
+        meal.dateKey,
+        meal.loggedAt,
+        meal.mealType,
+        it?.name,
+        it?.foodId,
+        it?.quantity?.value ?? it?.quantity,
+        it?.quantity?.unit ?? it?.quantityUnit,
+        it?.confidence,
+      ]);
+    }
+  }
+}
+
+async function* dailyCheckinCsvRows(db, userId) {
+  yield csvRow(["dateKey", "timezone", ...CHECKIN_CSV_FIELDS, "energySampleCount"]);
+  const cursor = db
+    .collection("user_daily_totals")
+    .find(buildUserIdFilters(userId), { projection: { dateKey: 1, timezone: 1, totals: 1, "checkin.energy_samples": 1 } })
+    .sort({ dateKey: 1 });
+  for await (const day of cursor) {
+    const totals = day.totals && typeof day.totals === "object" ? day.totals : {};
+    const samples = Array.isArray(day.checkin?.energy_samples) ? day.checkin.energy_samples : [];
+    yield csvRow([day.dateKey, day.timezone, ...CHECKIN_CSV_FIELDS.map((k) => totals[k]), samples.length]);
+  }
+}
+
+function sanitizeProfile(user) {
+  const out = {};
+  for (const [k, v] of Object.entries(user)) {
+    if (PROFILE_EXCLUDED_FIELDS.has(k)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Loads the user and describes every export section. Throws 404 before anything is written,
+ * so routes can still send a JSON error.
+ *
+ * Section: { name, fileName, kind: "json" | "ndjson" | "csv", schemaVersion, collection, source }
+ *   json   → source is a value
+ *   ndjson → source() yields records
+ *   csv    → source() yields pre-rendered CSV lines (header first)
+ */
+export async function prepareUserExport(db, userId) {
+  if (!db) throw new Error("DB not ready");
+
+  const cleaned = String(userId || "").trim();
+  if (!cleaned || !ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid user id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const user = await db.collection("users").findOne({ _id: new ObjectId(cleaned) });
+  if (!user) {
+    const err = new Error("User not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  let dailyGoals = null;
+  try {
+    dailyGoals = await getUserDailyGoals(db, cleaned);
+  } catch (e) {
+    console.warn("[Export] daily goals unavailable:", e?.message || e);
+  }
+
+  const byUser = (collection, sort) => () =>
+    cursorRecords(db.collection(collection).find(buildUserIdFilters(cleaned)).sort(sort));
+
+  const sections = [
+    { name: "profile", fileName: "profile.json", kind: "json", collection: "users", source: sanitizeProfile(user) },
+    { name: "daily_goals", fileName: "daily_goals.json", kind: "json", collection: "users", source: dailyGoals },
+    { name: "meals", fileName: "meals.ndjson", kind: "ndjson", collection: "user_meals", source: byUser("user_meals", { loggedAt: 1 }) },
+    { name: "meal_items_csv", fileName: "meal_items.csv", kind: "csv", collection: "user_meals", source: () => mealItemCsvRows(db, cleaned) },
+    { name: "daily_totals", fileName: "daily_totals.ndjson", kind: "ndjson", collection: "user_daily_totals", source: byUser("user_daily_totals", { dateKey: 1 }) },
+    { name: "daily_checkins_csv", fileName: "daily_checkins.csv", kind: "csv", collection: "user_daily_totals", source: () => dailyCheckinCsvRows(db, cleaned) },
+    { name: "correlations", fileName: "correlations.ndjson", kind: "ndjson", collection: "user_correlations", source: byUser("user_correlations", { _id: 1 }) },
+    { name: "correlation_packs", fileName: "correlation_packs.ndjson", kind: "ndjson", collection: "user_analysis_correlation_packs", source: byUser("user_analysis_correlation_packs", { _id: 1 }) },
+    { name: "correlation_reveals", fileName: "correlation_reveals.ndjson", kind: "ndjson", collection: "user_analysis_reveals", source: byUser("user_analysis_reveals", { _id: 1 }) },
+    {
+      name: "awards",
+      fileName: "awards.json",
+      kind: "json",
+      collection: "users",
+      source: {
+        awards: Array.isArray(user.awards) ? user.awards : [],
+        awardTallies: user.awardTallies && typeof user.awardTallies === "object" ? user.awardTallies : {},
+      },
+    },
+    { name: "favorites", fileName: "favorites.json", kind: "json", collection: "users", source: Array.isArray(user.favorites) ? user.favorites : [] },
+    { name: "recipes", fileName: "recipes.ndjson", kind: "ndjson", collection: "user_recipes", source: byUser("user_recipes", { createdAt: 1 }) },
+  ].map((s) => ({ ...s, schemaVersion: EXPORT_SCHEMA_VERSIONS[s.name] }));
+
+  return { userId: cleaned, generatedAt: new Date(), sections };
+}
+
+function buildManifest(plan, format, counts) {
+  return {
+    exportFormatVersion: EXPORT_FORMAT_VERSION,
+    format,
+    userId: plan.userId,
+    generatedAt: plan.generatedAt.toISOString(),
+    schemaVersions: { ...EXPORT_SCHEMA_VERSIONS },
+    sections: plan.sections.map((s) => ({
+      name: s.name,
+      fileName: s.fileName,
+      kind: s.kind,
+      collection: s.collection,
+      schemaVersion: s.schemaVersion,
+      ...(counts ? { count: counts[s.name] ?? 0 } : {}),
+    })),
+  };
+}
+
+// Yields the text chunks of one section and counts its records into `counts[section.name]`.
+async function* sectionChunks(section, counts) {
+  counts[section.name] = 0;
+
+  if (section.kind === "json") {
+    counts[section.name] = Array.isArray(section.source) ? section.source.length : section.source == null ? 0 : 1;
+    yield JSON.stringify(section.source, null, 2) + "\n";
+    return;
+  }
+
+  let csvHeaderSeen = false;
+  for await (const item of section.source()) {
+    if (section.kind === "csv") {
+      // First CSV line is the header, not a record.
+      if (csvHeaderSeen) counts[section.name] += 1;
+      csvHeaderSeen = true;
+      yield item;
+    } else {
+      counts[section.name] += 1;
+      yield JSON.stringify(item) + "\n";
+    }
+  }
+}
+
+function exportAborted() {
+  const err = new Error("Export aborted: client disconnected");
+  err.code = "EXPORT_ABORTED";
+  return err;
+}
+
+// Waits out backpressure, but gives up once the client is gone: "drain" never fires on a closed
+// response. Throwing unwinds the for-await loops above, which returns the generators and closes
+// their Mongo cursors.
+async function writeChunk(out, chunk) {
+  if (out.destroyed || out.writableEnded) throw exportAborted();
+  if (out.write(chunk)) return;
+
+  const ac = new AbortController();
+  try {
+    await Promise.race([
+      once(out, "drain", { signal: ac.signal }),
+      once(out, "close", { signal: ac.signal }).then(() => {
+        throw exportAborted();
+      }),
+    ]);
+  } finally {
+    ac.abort();
+  }
+}
+
+// -----------------------------
+// NDJSON
+// -----------------------------
+
+export async function writeUserExportNdjson(plan, out) {
+  const counts = {};
+  await writeChunk(out, JSON.stringify({ type: "manifest", ...buildManifest(plan, "ndjson", null) }) + "\n");
+
+  for (const section of plan.sections) {
+    if (section.kind === "csv") continue; // CSV views are ZIP-only; the NDJSON records carry the same data
+
+    if (section.kind === "json") {
+      counts[section.name] = Array.isArray(section.source) ? section.source.length : section.source == null ? 0 : 1;
+      await writeChunk(out, JSON.stringify({ type: section.name, record: section.source }) + "\n");
+      continue;
+    }
+
+    counts[section.name] = 0;
+    for await (const record of section.source()) {
+      counts[section.name] += 1;
+      await writeChunk(out, JSON.stringify({ type: section.name, record }) + "\n");
+    }
+  }
+
+  await writeChunk(out, JSON.stringify({ type: "end", counts }) + "\n");
+  out.end();
+}
+
+// -----------------------------
+// ZIP (streaming)
+// -----------------------------
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32Update(crc, buf) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC32_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// bit 3: sizes/CRC follow the data (streaming), bit 11: UTF-8 names
+const ZIP_FLAGS = 0x0008 | 0x0800;
+const ZIP_METHOD_DEFLATE = 8;
+
+function createZipWriter(out, modifiedAt = new Date()) {
+  const entries = [];
+  const { time, date } = dosDateTime(modifiedAt);
+  let offset = 0;
+
+  const write = async (buf) => {
+    offset += buf.length;
+    await writeChunk(out, buf);
+  };
+
+  return {
+    async addEntry(fileName, chunks) {
+      const name = Buffer.from(fileName, "utf8");
+      const localOffset = offset;
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(ZIP_FLAGS, 6);
+      header.writeUInt16LE(ZIP_METHOD_DEFLATE, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      // crc / sizes (14..25) stay zero; they are in the data descriptor
+      header.writeUInt16LE(name.length, 26);
+      header.writeUInt16LE(0, 28);
+      await write(header);
+      await write(name);
+
+      let crc = 0;
+      let size = 0;
+      let compressedSize = 0;
+      const deflate = zlib.createDeflateRaw();
+      const pending = [];
+      deflate.on("data", (c) => pending.push(c));
+      const flushPending = async () => {
+        while (pending.length) {
+          const c = pending.shift();
+          compressedSize += c.length;
+          await write(c);
+        }
+      };
+
+      for await (const chunk of chunks) {
+        const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), "utf8");
+        crc = crc32Update(crc, buf);
+        size += buf.length;
+        if (!deflate.write(buf)) await once(deflate, "drain");
+        await flushPending();
+      }
+      const ended = once(deflate, "end");
+      deflate.end();
+      await ended;
+      await flushPending();
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await write(descriptor);
+
+      entries.push({ name, crc, size, compressedSize, localOffset });
+    },
+
+    async finish() {
+      const cdOffset = offset;
+      for (const e of entries) {
+        const cd = Buffer.alloc(46);
+        cd.writeUInt32LE(0x02014b50, 0);
+        cd.writeUInt16LE(20, 4);
+        cd.writeUInt16LE(20, 6);
+        cd.writeUInt16LE(ZIP_FLAGS, 8);
+        cd.writeUInt16LE(ZIP_METHOD_DEFLATE, 10);
+        cd.writeUInt16LE(time, 12);
+        cd.writeUInt16LE(date, 14);
+        cd.writeUInt32LE(e.crc, 16);
+        cd.writeUInt32LE(e.compressedSize, 20);
+        cd.writeUInt32LE(e.size, 24);
+        cd.writeUInt16LE(e.name.length, 28);
+        // extra len, comment len, disk no, internal attrs, external attrs all zero
+        cd.writeUInt32LE(e.localOffset, 42);
+        await write(cd);
+        await write(e.name);
+      }
+      const cdSize = offset - cdOffset;
+
+      const eocd = Buffer.alloc(22);
+      eocd.writeUInt32LE(0x06054b50, 0);
+      eocd.writeUInt16LE(entries.length, 8);
+      eocd.writeUInt16LE(entries.length, 10);
+      eocd.writeUInt32LE(cdSize, 12);
+      eocd.writeUInt32LE(cdOffset, 16);
+      await write(eocd);
+      out.end();
+    },
+  };
+}
+
+export async function writeUserExportZip(plan, out) {
+  const zip = createZipWriter(out, plan.generatedAt);
+  const counts = {};
+
+  for (const section of plan.sections) {
+    await zip.addEntry(section.fileName, sectionChunks(section, counts));
+  }
+
+  await zip.addEntry("manifest.json", [JSON.stringify(buildManifest(plan, "zip", counts), null, 2) + "\n"]);
+  await zip.finish();
+}
@@ -11,6 +11,20 @@
 // ]
 
 import { ObjectId } from "mongodb";
+import { registerUserDataDeletion } from "./deletion.js";
+
+// Account deletion: favorites live on the users doc, cleared explicitly so the receipt shows a count.
+registerUserDataDeletion({
+  key: "favorites",
+  collection: "users",
+  order: 900,
+  run: async (db, ctx) => {
+    const user = await db.collection("users").findOne({ _id: ctx.userObjectId }, { projection: { favorites: 1 } });
+    const count = Array.isArray(user?.favorites) ? user.favorites.length : 0;
+    if (count) await db.collection("users").updateOne({ _id: ctx.userObjectId }, { $unset: { favorites: "" } });
+    return count;
+  },
+});
 
 function toObjectId(id, fieldName = "id") {
   if (!id) throw new Error(`${fieldName} is required`);
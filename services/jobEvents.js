@@ -0,0 +1,97 @@
+// services/jobEvents.js
+//
+// In-process event bus for correlation job progress (feeds GET /users/:id/correlation-job-status/stream).
+//
+// upsertCorrelationJobStatus publishes every status write; subscribers get:
+//   "phase"    → phase changed (building_candidates → promoting → ...)
+//   "progress" → same phase, new counts
+//   "complete" / "failed" → terminal state, with the final surfacedCount / error
+//
+// Event ids are "<epoch>.<seq>" where epoch identifies this process. A small per-user buffer lets a
+// reconnecting client resume from Last-Event-ID; ids from another process (restart, other instance)
+// or older than the buffer can't be replayed and the caller falls back to a DB snapshot.
+// This bus is per process: with several API instances a stream only sees jobs run by its own instance.
+
+import { EventEmitter } from "events";
+
+const BUS_EPOCH = Date.now().toString(36);
+const REPLAY_BUFFER_SIZE = 50;
+const IDLE_STREAM_TTL_MS = 10 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// userId -> { seq, buffer: [{ id, seq, event, data }], lastPhase, timer }
+const streams = new Map();
+
+function channel(userId) {
+  return `job:${userId}`;
+}
+
+function eventNameFor(snapshot, lastPhase) {
+  if (snapshot.status === "complete") return "complete";
+  if (snapshot.status === "failed") return "failed";
+  return snapshot.phase && snapshot.phase !== lastPhase ? "phase" : "progress";
+}
+
+export function publishCorrelationJobEvent(userId, snapshot) {
+  const key = String(userId || "").trim();
+  if (!key || !snapshot || typeof snapshot !== "object") return null;
+
+  const stream = streams.get(key) || { seq: 0, buffer: [], lastPhase: null, timer: null };
+  stream.seq += 1;
+
+  const entry = {
+    id: `${BUS_EPOCH}.${stream.seq}`,
+    seq: stream.seq,
+    event: eventNameFor(snapshot, stream.lastPhase),
+    data: { ...snapshot, at: new Date().toISOString() },
+  };
+  if (snapshot.phase) stream.lastPhase = snapshot.phase;
+
+  stream.buffer.push(entry);
+  if (stream.buffer.length > REPLAY_BUFFER_SIZE) stream.buffer.shift();
+
+  // Forget users whose job has gone quiet so the map doesn't grow forever.
+  if (stream.timer) clearTimeout(stream.timer);
+  stream.timer = setTimeout(() => {
+    if (emitter.listenerCount(channel(key)) === 0) streams.delete(key);
+  }, IDLE_STREAM_TTL_MS);
+  stream.timer.unref?.();
+
+  streams.set(key, stream);
+  emitter.emit(channel(key), entry);
+  return entry;
+}
+
+// Returns an unsubscribe function.
+export function subscribeCorrelationJobEvents(userId, listener) {
+  const name = channel(String(userId || "").trim());
+  emitter.on(name, listener);
+  return () => emitter.off(name, listener);
+}
+
+/**
+ * Buffered events after lastEventId, or null when they can't be replayed
+ * (unknown / foreign id, or the gap has already fallen out of the buffer).
+ */
+export function replayCorrelationJobEvents(userId, lastEventId) {
+  const [epoch, seqRaw] = String(lastEventId || "").split(".");
+  const seq = Number(seqRaw);
+  if (epoch !== BUS_EPOCH || !Number.isInteger(seq)) return null;
+
+  const stream = streams.get(String(userId || "").trim());
+  if (!stream) return seq === 0 ? [] : null;
+  if (seq >= stream.seq) return [];
+
+  const oldest = stream.buffer[0]?.seq ?? stream.seq + 1;
+  if (seq + 1 < oldest) return null;
+
+  return stream.buffer.filter((e) => e.seq > seq);
+}
+
+// Id to stamp on a snapshot so a client reconnecting right after it resumes from the current point.
+export function currentCorrelationJobEventId(userId) {
+  const stream = streams.get(String(userId || "").trim());
+  return `${BUS_EPOCH}.${stream ? stream.seq : 0}`;
+}
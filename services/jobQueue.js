@@ -0,0 +1,332 @@
+// services/jobQueue.js
+//
+// Mongo-backed background job queue (correlation runs, daily recomputes, energy finalization).
+//
+// Each service module registers the job types it owns at import time, like the deletion registry:
+//
+//   registerJobHandler("recompute_daily_totals", async (db, job) => { ... });
+//
+// Job doc (background_jobs):
+// {
+//   type, userId: ObjectId | null, dateKey: string | null, payload: object,
+//   status: "queued" | "running" | "done" | "failed",
+//   activeKey: "<type>:<userId>:<dateKey>" while queued/running (unique → one live job per key),
+//   rerun: bool,                 // enqueued again while running: run once more after this pass
+//   attempts, maxAttempts, runAt, lastError,
+//   leaseOwner, leaseExpiresAt,  // a running job whose lease expired is claimable again
+//   createdAt, updatedAt, startedAt, completedAt
+// }
+//
+// Workers renew their lease while a handler runs, so a lease only expires when the process died.
+// Failed attempts are retried with exponential backoff; done jobs expire after a week (TTL index).
+
+import os from "os";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { registerUserDataDeletion } from "./deletion.js";
+
+const JOBS_COLLECTION = "background_jobs";
+const LEASE_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const DEFAULT_POLL_MS = 1000;
+
+// Queued work for a deleted user must not resurrect their data.
+registerUserDataDeletion({ key: "background_jobs", collection: JOBS_COLLECTION, order: 1 });
+
+const handlers = new Map();
+
+export function registerJobHandler(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const key = String(type || "").trim();
+  if (!key) throw new Error("Job handler registration requires a type");
+  if (handlers.has(key)) throw new Error(`Job handler '${key}' registered twice`);
+  if (typeof handler !== "function") throw new Error(`Job handler '${key}' must be a function`);
+  handlers.set(key, { handler, maxAttempts });
+}
+
+function buildActiveKey(type, userId, dateKey) {
+  return `${type}:${userId ? String(userId) : "-"}:${dateKey || "-"}`;
+}
+
+function backoffMs(attempts) {
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(exp * (0.8 + Math.random() * 0.4));
+}
+
+function isDuplicateKeyError(err) {
+  return err?.code === 11000;
+}
+
+function mapJobDoc(doc) {
+  if (!doc) return null;
+  return {
+    jobId: String(doc._id),
+    type: doc.type,
+    userId: doc.userId ? String(doc.userId) : null,
+    dateKey: doc.dateKey ?? null,
+    status: doc.status,
+    attempts: doc.attempts ?? 0,
+    maxAttempts: doc.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    rerun: doc.rerun === true,
+    runAt: doc.runAt ?? null,
+    lastError: doc.lastError ?? null,
+    createdAt: doc.createdAt ?? null,
+    startedAt: doc.startedAt ?? null,
+    completedAt: doc.completedAt ?? null,
+  };
+}
+
+/**
+ * enqueueJob(db, { type, userId?, dateKey?, payload?, delayMs? })
+ * One live job per (type, userId, dateKey):
+ * - already queued → its payload is replaced with the latest one
+ * - already running → flagged to run once more when the current pass finishes
+ * Returns { jobId, status, deduped }.
+ */
+export async function enqueueJob(db, { type, userId = null, dateKey = null, payload = {}, delayMs = 0 } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const registered = handlers.get(String(type || ""));
+  if (!registered) throw new Error(`Unknown job type: ${type}`);
+
+  const userObjectId = userId ? new ObjectId(String(userId)) : null;
+  const activeKey = buildActiveKey(type, userObjectId, dateKey);
+  const col = db.collection(JOBS_COLLECTION);
+
+  // Queued ↔ running can flip between the two steps; a duplicate-key insert means it did, so retry.
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const now = new Date();
+
+    const running = await col.findOneAndUpdate(
+      { activeKey, status: "running" },
+      { $set: { rerun: true, payload, updatedAt: now } },
+      { returnDocument: "after", projection: { _id: 1, status: 1 } }
+    );
+    if (running) return { jobId: String(running._id), status: "running", deduped: true };
+
+    try {
+      const r = await col.findOneAndUpdate(
+        { activeKey, status: "queued" },
+        {
+          $set: { payload, updatedAt: now },
+          // A retry waiting out its backoff runs as soon as fresh work arrives.
+          $min: { runAt: new Date(now.getTime() + Math.max(0, delayMs)) },
+          $setOnInsert: {
+            type,
+            userId: userObjectId,
+            dateKey: dateKey || null,
+            rerun: false,
+            attempts: 0,
+            maxAttempts: registered.maxAttempts,
+            lastError: null,
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            createdAt: now,
+            startedAt: null,
+            completedAt: null,
+          },
+        },
+        { upsert: true, returnDocument: "after", includeResultMetadata: true }
+      );
+      return {
+        jobId: String(r.value._id),
+        status: "queued",
+        deduped: r.lastErrorObject?.updatedExisting === true,
+      };
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err;
+    }
+  }
+
+  const err = new Error(`Could not enqueue ${activeKey} (contention)`);
+  err.statusCode = 503;
+  throw err;
+}
+
+// The queued/running job for this key, if any.
+export async function findLiveJob(db, { type, userId = null, dateKey = null }) {
+  const userObjectId = userId ? new ObjectId(String(userId)) : null;
+  const doc = await db.collection(JOBS_COLLECTION).findOne({ activeKey: buildActiveKey(type, userObjectId, dateKey) });
+  return mapJobDoc(doc);
+}
+
+const hasAttemptsLeft = { $lt: ["$attempts", { $ifNull: ["$maxAttempts", DEFAULT_MAX_ATTEMPTS] }] };
+
+// An expired lease means the worker died mid-attempt, and that attempt counts: a job that was on its last
+// attempt is failed here (freeing its key) instead of being claimed again.
+async function failExhaustedExpiredJobs(db, now) {
+  const r = await db.collection(JOBS_COLLECTION).updateMany(
+    { status: "running", leaseExpiresAt: { $lt: now }, $expr: { $not: [hasAttemptsLeft] } },
+    {
+      $set: {
+        status: "failed",
+        lastError: "Lease expired on the last attempt (worker stopped mid-run)",
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        updatedAt: now,
+        completedAt: now,
+      },
+      $unset: { activeKey: "" },
+    }
+  );
+  return r?.modifiedCount ?? 0;
+}
+
+async function claimNextJob(db, owner) {
+  const now = new Date();
+  await failExhaustedExpiredJobs(db, now);
+  return db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", leaseExpiresAt: { $lt: now }, $expr: hasAttemptsLeft },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        leaseOwner: owner,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+        updatedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: "after" }
+  );
+}
+
+async function finishJob(db, job, owner, error) {
+  const now = new Date();
+  const retry = Boolean(error) && job.attempts < (job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS);
+  const retryAt = new Date(now.getTime() + backoffMs(job.attempts));
+
+  // Pipeline so the rerun flag is read in the same write that releases the lease.
+  // rerun → fresh queued pass; retry → queued with backoff; otherwise done / failed and the key is freed.
+  const rerun = { $eq: ["$rerun", true] };
+  const requeue = retry ? true : rerun;
+  await db.collection(JOBS_COLLECTION).updateOne({ _id: job._id, leaseOwner: owner }, [
+    {
+      $set: {
+        status: { $cond: [requeue, "queued", error ? "failed" : "done"] },
+        attempts: { $cond: [{ $and: [{ $not: [retry] }, rerun] }, 0, "$attempts"] },
+        runAt: retry ? retryAt : now,
+        rerun: false,
+        lastError: error ? { $literal: String(error?.message || error) } : null,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        updatedAt: now,
+        completedAt: { $cond: [requeue, null, now] },
+        activeKey: { $cond: [requeue, "$activeKey", "$$REMOVE"] },
+      },
+    },
+  ]);
+}
+
+async function runClaimedJob(db, job, owner) {
+  const registered = handlers.get(job.type);
+  if (!registered) {
+    await db.collection(JOBS_COLLECTION).updateOne(
+      { _id: job._id, leaseOwner: owner },
+      {
+        $set: { status: "failed", lastError: `No handler for job type '${job.type}'`, completedAt: new Date(), leaseOwner: null },
+        $unset: { activeKey: "" },
+      }
+    );
+    return;
+  }
+
+  const renew = setInterval(() => {
+    db.collection(JOBS_COLLECTION)
+      .updateOne({ _id: job._id, leaseOwner: owner }, { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) } })
+      .catch((e) => console.error(`[Jobs] lease renew failed for ${job._id}:`, e?.message || e));
+  }, Math.floor(LEASE_MS / 3));
+  renew.unref?.();
+
+  let error = null;
+  try {
+    await registered.handler(db, job);
+  } catch (e) {
+    error = e;
+    console.error(`[Jobs] ${job.type} ${job._id} attempt ${job.attempts} failed:`, e?.message || e);
+  } finally {
+    clearInterval(renew);
+  }
+
+  await finishJob(db, job, owner, error);
+}
+
+/**
+ * Requeues running jobs whose lease has expired (the process holding them is gone); those that were on
+ * their last attempt are failed instead.
+ * Called on startup; the worker's claim query also picks these up on its own.
+ */
+export async function reapStuckJobs(db) {
+  const now = new Date();
+  await failExhaustedExpiredJobs(db, now);
+  const r = await db.collection(JOBS_COLLECTION).updateMany(
+    { status: "running", leaseExpiresAt: { $lt: now }, $expr: hasAttemptsLeft },
+    { $set: { status: "queued", runAt: now, leaseOwner: null, leaseExpiresAt: null, updatedAt: now } }
+  );
+  return r?.modifiedCount ?? 0;
+}
+
+let activeWorker = null;
+
+/**
+ * Starts `concurrency` polling loops in this process. Returns { owner, stop() }; stop() resolves once
+ * in-flight jobs have finished.
+ */
+export function startJobWorker(db, { concurrency = 1, pollMs = DEFAULT_POLL_MS } = {}) {
+  if (activeWorker) return activeWorker;
+
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+  let stopped = false;
+
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      const t = setTimeout(resolve, ms);
+      t.unref?.();
+    });
+
+  const loop = async () => {
+    while (!stopped) {
+      let job = null;
+      try {
+        job = await claimNextJob(db, owner);
+      } catch (e) {
+        console.error("[Jobs] claim failed:", e?.message || e);
+      }
+      if (!job) {
+        await sleep(pollMs);
+        continue;
+      }
+      await runClaimedJob(db, job, owner);
+    }
+  };
+
+  const loops = Array.from({ length: Math.max(1, concurrency) }, () => loop());
+  activeWorker = {
+    owner,
+    stop: async () => {
+      stopped = true;
+      await Promise.allSettled(loops);
+      activeWorker = null;
+    },
+  };
+  return activeWorker;
+}
+
+export async function listJobs(db, { status = null, type = null, userId = null, limit = 50 } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const filter = {};
+  if (status) filter.status = String(status);
+  if (type) filter.type = String(type);
+  if (userId && ObjectId.isValid(String(userId))) filter.userId = new ObjectId(String(userId));
+
+  const n = Math.max(1, Math.min(200, Math.trunc(Number(limit) || 50)));
+  const docs = await db.collection(JOBS_COLLECTION).find(filter).sort({ updatedAt: -1 }).limit(n).toArray();
+  return docs.map(mapJobDoc);
+}
@@ -0,0 +1,240 @@
+// services/mailer.js
+//
+// Outgoing email behind a small transport interface so the provider can be swapped per environment.
+//
+// MAIL_TRANSPORT:
+//   "console" (default) → logs the rendered message (local dev, matches the old console.log behaviour)
+//   "outbox"            → writes one JSON file per message to MAIL_OUTBOX_DIR (tests / local dev read these)
+//   "smtp"              → sends via SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+// MAIL_FROM sets the sender for every transport.
+// With NODE_ENV=production only "smtp" is accepted (see assertMailTransportConfigured): the other
+// transports leave recovery codes in logs or on disk.
+//
+// A transport is any object with `name` and `async send(message) → { messageId }`,
+// where message = { from, to, subject, text, html, template }.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const DEFAULT_FROM = "LogicSoul <no-reply@logicsoul.app>";
+const DEFAULT_OUTBOX_DIR = "./mail-outbox";
+
+// -----------------------------
+// Templates
+// -----------------------------
+
+const TEMPLATES = {
+  recovery_email_verification: ({ code, expiresInMinutes }) => ({
+    subject: "Confirm your LogicSoul recovery email",
+    text: [
+      "Use this code in the LogicSoul app to confirm your recovery email:",
+      "",
+      `    ${code}`,
+      "",
+      `The code expires in ${expiresInMinutes} minutes.`,
+      "If you didn't request this, you can ignore this email.",
+    ].join("\n"),
+    html: `<p>Use this code in the LogicSoul app to confirm your recovery email:</p>
+<p style="font-size:24px;font-weight:bold;letter-spacing:4px">${escapeHtml(code)}</p>
+<p>The code expires in ${escapeHtml(expiresInMinutes)} minutes.<br>If you didn't request this, you can ignore this email.</p>`,
+  }),
+
+  account_recovery_code: ({ code, expiresInMinutes }) => ({
+    subject: "Your LogicSoul account recovery code",
+    text: [
+      "Someone (hopefully you) asked to restore your LogicSoul account on a new device.",
+      "Enter this code in the app to continue:",
+      "",
+      `    ${code}`,
+      "",
+      `The code expires in ${expiresInMinutes} minutes.`,
+      "If you didn't request this, you can ignore this email — your account stays as it is.",
+    ].join("\n"),
+    html: `<p>Someone (hopefully you) asked to restore your LogicSoul account on a new device.</p>
+<p>Enter this code in the app to continue:</p>
+<p style="font-size:24px;font-weight:bold;letter-spacing:4px">${escapeHtml(code)}</p>
+<p>The code expires in ${escapeHtml(expiresInMinutes)} minutes.<br>If you didn't request this, you can ignore this email — your account stays as it is.</p>`,
+  }),
+};
+
+function escapeHtml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function renderMailTemplate(templateName, vars = {}) {
+  const render = TEMPLATES[templateName];
+  if (!render) {
+    const err = new Error(`Unknown mail template '${templateName}'`);
+    err.statusCode = 500;
+    throw err;
+  }
+  return render(vars);
+}
+
+// -----------------------------
+// Transports
+// -----------------------------
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      console.log("[Mailer/console]", {
+        messageId,
+        to: message.to,
+        subject: message.subject,
+        template: message.template,
+      });
+      console.log(message.text);
+      return { messageId };
+    },
+  };
+}
+
+function createOutboxTransport(dir) {
+  const outboxDir = path.resolve(dir || DEFAULT_OUTBOX_DIR);
+  return {
+    name: "outbox",
+    dir: outboxDir,
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.mkdir(outboxDir, { recursive: true });
+      // Timestamp prefix keeps files in send order when listed.
+      const fileName = `${Date.now()}-${messageId}.json`;
+      const record = { messageId, createdAt: new Date().toISOString(), ...message };
+      await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(record, null, 2), "utf8");
+      return { messageId };
+    },
+  };
+}
+
+function createSmtpTransport() {
+  const host = String(process.env.SMTP_HOST || "").trim();
+  if (!host) {
+    const err = new Error("Missing server env var SMTP_HOST");
+    err.statusCode = 500;
+    throw err;
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const secure = String(process.env.SMTP_SECURE || "").trim().toLowerCase() === "true" || port === 465;
+  const user = String(process.env.SMTP_USER || "").trim();
+  const pass = String(process.env.SMTP_PASS || "");
+
+  let transporterPromise = null;
+
+  return {
+    name: "smtp",
+    async send(message) {
+      if (!transporterPromise) {
+        // Loaded lazily so console/outbox environments never need the SMTP client.
+        transporterPromise = import("nodemailer").then((mod) =>
+          (mod.default || mod).createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined,
+          })
+        );
+      }
+      const transporter = await transporterPromise;
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+      return { messageId: info?.messageId ?? null };
+    },
+  };
+}
+
+function createTransportFromEnv() {
+  const kind = String(process.env.MAIL_TRANSPORT || "console").trim().toLowerCase();
+  if (kind === "smtp") return createSmtpTransport();
+  if (kind === "outbox" || kind === "file") return createOutboxTransport(process.env.MAIL_OUTBOX_DIR);
+  return createConsoleTransport();
+}
+
+let activeTransport = null;
+
+function getTransport() {
+  if (!activeTransport) activeTransport = createTransportFromEnv();
+  return activeTransport;
+}
+
+// Called at startup. Throws in production unless a real transport is configured (smtp with SMTP_HOST).
+export function assertMailTransportConfigured() {
+  if (String(process.env.NODE_ENV || "").trim().toLowerCase() !== "production") return;
+  const transport = getTransport();
+  if (transport.name !== "smtp") {
+    throw new Error(`MAIL_TRANSPORT '${transport.name}' is not allowed in production; configure MAIL_TRANSPORT=smtp`);
+  }
+}
+
+// Swap the transport at runtime (local tooling / scripts). Pass null to go back to the env default.
+export function setMailTransport(transport) {
+  if (transport != null && typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  activeTransport = transport;
+}
+
+// Reads messages written by the outbox transport, oldest first. Optional `to` filter.
+export async function readOutboxMessages({ dir, to } = {}) {
+  const outboxDir = path.resolve(dir || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+  let files;
+  try {
+    files = (await fs.readdir(outboxDir)).filter((f) => f.endsWith(".json")).sort();
+  } catch (err) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const out = [];
+  for (const f of files) {
+    const msg = JSON.parse(await fs.readFile(path.join(outboxDir, f), "utf8"));
+    if (to && String(msg.to).toLowerCase() !== String(to).toLowerCase()) continue;
+    out.push(msg);
+  }
+  return out;
+}
+
+// -----------------------------
+// Public API
+// -----------------------------
+
+export async function sendTemplatedMail({ to, template, vars }) {
+  const recipient = String(to || "").trim();
+  if (!recipient) {
+    const err = new Error("Missing mail recipient");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const rendered = renderMailTemplate(template, vars);
+  const transport = getTransport();
+  const message = {
+    from: String(process.env.MAIL_FROM || DEFAULT_FROM),
+    to: recipient,
+    template,
+    ...rendered,
+  };
+
+  try {
+    const { messageId } = await transport.send(message);
+    return { ok: true, transport: transport.name, messageId: messageId ?? null };
+  } catch (e) {
+    console.error(`[Mailer/${transport.name}] Failed to send '${template}':`, e);
+    const err = new Error("Failed to send email");
+    err.statusCode = 502;
+    throw err;
+  }
+}
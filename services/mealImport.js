@@ -0,0 +1,587 @@
+// services/mealImport.js
+//
+// Bulk meal import from other trackers' CSV exports.
+//
+// Flow:
+//   1) parse CSV → detect layout (or use the one given) → normalized rows
+//      { rowNumber, dateKey, mealType, time, foodName, quantity, unit, source: { calories, protein_g, carbs_g, fat_g } }
+//   2) resolve each distinct food name once via findBestMatchesForMealItems (top candidate wins;
+//      the caller can pin names to foodIds with `resolutions`)
+//   3) group rows into meals by (dateKey, mealType) and, unless dryRun, write them through logUserMeal
+//      with a deterministic idempotency key (re-importing the same file never duplicates meals)
+//   4) recompute daily totals + ingredient exposure once per affected dateKey
+//
+// Dry run is the default: it returns the same report (matches, unmatched rows, meal/day counts)
+// without writing anything.
+
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { findBestMatchesForMealItems } from "./mealSearch.js";
+import { logUserMeal, recomputeDayOrEnqueue } from "./userMeals.js";
+import { isValidDateKey } from "./users.js";
+
+const IMPORT_KEY_VERSION = "meal_import_v1";
+const MAX_IMPORT_ROWS = 20000;
+// Name search is the slow part of an import; bound how many run per request and how many at once.
+const MAX_SEARCHED_FOOD_NAMES = 1500;
+const FOOD_SEARCH_CONCURRENCY = 8;
+const REPORT_SAMPLE_LIMIT = 200;
+
+// -----------------------------
+// Known layouts
+// -----------------------------
+
+// Header names are matched case-insensitively after trimming. First alias present wins.
+const LAYOUTS = {
+  myfitnesspal: {
+    required: ["date", "meal", "foodName"],
+    columns: {
+      date: ["Date"],
+      meal: ["Meal"],
+      foodName: ["Food Name", "Food", "Description"],
+      servingText: ["Serving Size", "Serving"],
+      quantity: ["Quantity", "Servings"],
+      unit: ["Unit", "Units"],
+      calories: ["Calories"],
+      protein_g: ["Protein (g)", "Protein"],
+      carbs_g: ["Carbohydrates (g)", "Carbs (g)", "Carbohydrates"],
+      fat_g: ["Fat (g)", "Fat"],
+    },
+  },
+  cronometer: {
+    required: ["date", "foodName", "amountText"],
+    columns: {
+      date: ["Day", "Date"],
+      time: ["Time"],
+      meal: ["Group", "Meal"],
+      foodName: ["Food Name"],
+      amountText: ["Amount"],
+      calories: ["Energy (kcal)"],
+      protein_g: ["Protein (g)"],
+      carbs_g: ["Carbs (g)", "Net Carbs (g)"],
+      fat_g: ["Fat (g)"],
+    },
+  },
+  loseit: {
+    required: ["date", "foodName", "meal"],
+    columns: {
+      date: ["Date"],
+      meal: ["Type"],
+      foodName: ["Name"],
+      quantity: ["Quantity"],
+      unit: ["Units"],
+      calories: ["Calories"],
+      protein_g: ["Protein (g)"],
+      carbs_g: ["Carbohydrates (g)"],
+      fat_g: ["Fat (g)"],
+    },
+  },
+  generic: {
+    required: ["date", "foodName"],
+    columns: {
+      date: ["date", "day"],
+      time: ["time"],
+      meal: ["meal", "meal_type", "mealType"],
+      foodName: ["food", "food_name", "name", "item"],
+      quantity: ["quantity", "qty", "amount"],
+      unit: ["unit", "units"],
+      calories: ["calories", "kcal", "energy_kcal"],
+      protein_g: ["protein", "protein_g"],
+      carbs_g: ["carbs", "carbs_g", "carbohydrates"],
+      fat_g: ["fat", "fat_g"],
+    },
+  },
+};
+
+// Detection order matters: more specific layouts first, generic last.
+const LAYOUT_DETECTION_ORDER = ["cronometer", "loseit", "myfitnesspal", "generic"];
+
+// Fallback meal times (local wall clock) when the export has no time column.
+const DEFAULT_MEAL_TIMES = {
+  breakfast: [8, 0],
+  lunch: [12, 30],
+  dinner: [18, 30],
+  snack: [15, 0],
+  other: [12, 0],
+};
+
+// Units converted to the canonical units recomputeDailyNutritionTotals understands (g / ml / serving).
+const UNIT_CONVERSIONS = {
+  g: ["g", 1], gram: ["g", 1], grams: ["g", 1],
+  kg: ["g", 1000],
+  mg: ["g", 0.001],
+  oz: ["g", 28.3495], ounce: ["g", 28.3495], ounces: ["g", 28.3495],
+  lb: ["g", 453.592], lbs: ["g", 453.592], pound: ["g", 453.592], pounds: ["g", 453.592],
+  ml: ["ml", 1], milliliter: ["ml", 1], milliliters: ["ml", 1], millilitre: ["ml", 1], millilitres: ["ml", 1],
+  l: ["ml", 1000], liter: ["ml", 1000], liters: ["ml", 1000], litre: ["ml", 1000], litres: ["ml", 1000],
+  "fl oz": ["ml", 29.5735], floz: ["ml", 29.5735],
+  cup: ["ml", 240], cups: ["ml", 240],
+  tbsp: ["ml", 15], tablespoon: ["ml", 15], tablespoons: ["ml", 15],
+  tsp: ["ml", 5], teaspoon: ["ml", 5], teaspoons: ["ml", 5],
+};
+
+// -----------------------------
+// CSV parsing
+// -----------------------------
+
+function detectDelimiter(firstLine) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+  for (const ch of firstLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && ch in counts) counts[ch] += 1;
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n > 0 ? best : ",";
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF/LF, BOM.
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLineEnd = src.search(/\r?\n/);
+  const delimiter = detectDelimiter(firstLineEnd === -1 ? src : src.slice(0, firstLineEnd));
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field.length || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+function buildColumnIndex(header, layout) {
+  const lowered = header.map((h) => String(h || "").trim().toLowerCase());
+  const index = {};
+  for (const [field, aliases] of Object.entries(layout.columns)) {
+    for (const alias of aliases) {
+      const i = lowered.indexOf(alias.toLowerCase());
+      if (i !== -1) {
+        index[field] = i;
+        break;
+      }
+    }
+  }
+  return index;
+}
+
+function detectLayout(header, requested) {
+  const names = requested && requested !== "auto" ? [requested] : LAYOUT_DETECTION_ORDER;
+  for (const name of names) {
+    const layout = LAYOUTS[name];
+    if (!layout) continue;
+    const index = buildColumnIndex(header, layout);
+    if (layout.required.every((f) => index[f] != null)) return { name, index };
+  }
+  return null;
+}
+
+// -----------------------------
+// Field normalization
+// -----------------------------
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Accepts YYYY-MM-DD, YYYY/MM/DD, MM/DD/YYYY and DD/MM/YYYY (dateFormat "dmy", or auto when the first part > 12).
+// Impossible calendar dates ("2024-02-31") come back null.
+function parseDateKey(raw, dateFormat = "auto") {
+  const s = String(raw || "").trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) {
+    const key = `${m[1]}-${pad2(m[2])}-${pad2(m[3])}`;
+    return isValidDateKey(key) ? key : null;
+  }
+
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) {
+    let [a, b] = [Number(m[1]), Number(m[2])];
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    const dayFirst = dateFormat === "dmy" || (dateFormat === "auto" && a > 12);
+    const [month, day] = dayFirst ? [b, a] : [a, b];
+    const key = `${year}-${pad2(month)}-${pad2(day)}`;
+    return isValidDateKey(key) ? key : null;
+  }
+  return null;
+}
+
+// "8:15 AM", "20:05", "08:15:00" → [h, m]
+function parseTime(raw) {
+  const m = String(raw || "").trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2]);
+  const ampm = m[3] ? m[3].toLowerCase()[0] : null;
+  if (ampm === "p" && h < 12) h += 12;
+  if (ampm === "a" && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return [h, min];
+}
+
+function normalizeMealType(raw) {
+  const s = String(raw || "").trim().toLowerCase();
+  if (!s) return "other";
+  if (s.includes("breakfast")) return "breakfast";
+  if (s.includes("lunch")) return "lunch";
+  if (s.includes("dinner") || s.includes("supper")) return "dinner";
+  if (s.includes("snack")) return "snack";
+  return s.replace(/\s+/g, "_").slice(0, 40);
+}
+
+function toNumber(raw) {
+  if (raw == null) return null;
+  const s = String(raw).trim().replace(/,/g, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "150.00 g", "1 cup", "2" → { value, unit }
+function parseAmountText(raw) {
+  const m = String(raw || "").trim().match(/^(\d+(?:[.,]\d+)?)\s*(.*)$/);
+  if (!m) return { value: null, unit: null };
+  return { value: Number(m[1].replace(",", ".")), unit: m[2].trim() || null };
+}
+
+function toCanonicalQuantity(value, unit) {
+  const u = String(unit || "").trim().toLowerCase().replace(/\.$/, "");
+  const v = typeof value === "number" && Number.isFinite(value) && value > 0 ? value : 1;
+  const conv = UNIT_CONVERSIONS[u];
+  if (conv) return { value: Math.round(v * conv[1] * 100) / 100, unit: conv[0], uiValue: v, uiUnit: u };
+  // Anything else (serving, piece, slice, "1 medium"...) is counted in servings.
+  return { value: v, unit: "serving", uiValue: v, uiUnit: u || "serving" };
+}
+
+function normalizeRow(cells, index, layoutName, rowNumber, dateFormat) {
+  const get = (field) => (index[field] != null ? String(cells[index[field]] ?? "").trim() : "");
+
+  const dateKey = parseDateKey(get("date"), dateFormat);
+  if (!dateKey) return { rowNumber, error: "Unparseable date" };
+
+  const foodName = get("foodName");
+  if (!foodName) return { rowNumber, error: "Missing food name" };
+
+  let quantity = null;
+  let unit = null;
+  if (index.amountText != null) {
+    ({ value: quantity, unit } = parseAmountText(get("amountText")));
+  } else {
+    quantity = toNumber(get("quantity"));
+    unit = get("unit") || null;
+    if ((quantity == null || !unit) && index.servingText != null) {
+      const parsed = parseAmountText(get("servingText"));
+      // MFP style: "Servings" multiplies "Serving Size"
+      if (parsed.value != null) {
+        quantity = (quantity ?? 1) * parsed.value;
+        unit = parsed.unit;
+      }
+    }
+  }
+
+  return {
+    rowNumber,
+    layout: layoutName,
+    dateKey,
+    time: parseTime(get("time")),
+    mealType: normalizeMealType(get("meal")),
+    foodName,
+    quantity: toCanonicalQuantity(quantity, unit),
+    source: {
+      calories: toNumber(get("calories")),
+      protein_g: toNumber(get("protein_g")),
+      carbs_g: toNumber(get("carbs_g")),
+      fat_g: toNumber(get("fat_g")),
+    },
+  };
+}
+
+// Local wall-clock time in `timeZone` → UTC instant.
+function zonedWallTimeToDate(dateKey, hour, minute, timeZone) {
+  const [y, mo, d] = dateKey.split("-").map(Number);
+  const guess = Date.UTC(y, mo - 1, d, hour, minute);
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    }).formatToParts(new Date(guess));
+    const get = (t) => Number(parts.find((p) => p.type === t)?.value);
+    const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"));
+    return new Date(guess - (asUtc - guess));
+  } catch {
+    return new Date(guess);
+  }
+}
+
+function normalizeFoodNameKey(name) {
+  return String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function buildImportIdempotencyKey(userId, meal) {
+  const rows = meal.rows
+    .map((r) => [normalizeFoodNameKey(r.foodName), r.quantity.uiValue, r.quantity.uiUnit])
+    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  const base = JSON.stringify({ v: IMPORT_KEY_VERSION, userId, dateKey: meal.dateKey, mealType: meal.mealType, rows });
+  return crypto.createHash("sha256").update(base).digest("hex");
+}
+
+// -----------------------------
+// Matching
+// -----------------------------
+
+async function resolveFoodNames(db, names, resolutions) {
+  const out = new Map();
+
+  for (const [rawName, foodId] of Object.entries(resolutions || {})) {
+    const key = normalizeFoodNameKey(rawName);
+    const id = String(foodId || "").trim();
+    if (key && ObjectId.isValid(id)) out.set(key, { foodId: id, matchedName: null, score: null, via: "resolution" });
+  }
+
+  const pending = [...names].filter(([key]) => !out.has(key));
+  if (pending.length > MAX_SEARCHED_FOOD_NAMES) {
+    const err = new Error(
+      `Too many distinct food names to match (${pending.length}, max ${MAX_SEARCHED_FOOD_NAMES} per import); split the CSV`
+    );
+    err.statusCode = 413;
+    throw err;
+  }
+
+  const searchOne = async ([key, displayName]) => {
+    const result = await findBestMatchesForMealItems(
+      db,
+      {
+        rawText: displayName,
+        mealType: null,
+        items: [{ originalPhrase: displayName, canonicalName: displayName, kind: "food" }],
+      },
+      { mode: "fast", maxPerItem: 3 }
+    );
+    const top = result?.items?.[0]?.candidates?.[0] || null;
+    out.set(
+      key,
+      top
+        ? { foodId: String(top.id), matchedName: top.display_product_name || top.common_name || top.name || null, score: top.score ?? null, via: "search" }
+        : null
+    );
+  };
+
+  // A few searches in flight at a time, each worker taking the next name.
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) await searchOne(pending[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(FOOD_SEARCH_CONCURRENCY, pending.length) }, worker));
+
+  return out;
+}
+
+// -----------------------------
+// Public API
+// -----------------------------
+
+/**
+ * importUserMealsFromCsv(db, userId, { csv, layout = "auto", dateFormat = "auto", timezone, dryRun = true, resolutions })
+ *
+ * resolutions: { "<food name as in the CSV>": "<foodId>" } pins names that search got wrong or missed.
+ */
+export async function importUserMealsFromCsv(db, userId, options = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const cleanUserId = String(userId || "").trim();
+  if (!cleanUserId || !ObjectId.isValid(cleanUserId)) {
+    const err = new Error("Missing or invalid 'userId'");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const dryRun = options.dryRun !== false;
+  const timezone = typeof options.timezone === "string" && options.timezone.trim() ? options.timezone.trim() : "America/Toronto";
+
+  const table = parseCsv(options.csv);
+  if (table.length < 2) {
+    const err = new Error("CSV must contain a header row and at least one data row");
+    err.statusCode = 400;
+    throw err;
+  }
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    const err = new Error(`CSV too large (max ${MAX_IMPORT_ROWS} rows per import)`);
+    err.statusCode = 413;
+    throw err;
+  }
+
+  const requestedLayout = String(options.layout || "auto").trim().toLowerCase();
+  if (requestedLayout !== "auto" && !LAYOUTS[requestedLayout]) {
+    const err = new Error(`Unknown layout '${requestedLayout}' (expected auto, ${Object.keys(LAYOUTS).join(", ")})`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const [header, ...body] = table;
+  const detected = detectLayout(header, requestedLayout);
+  if (!detected) {
+    const err = new Error("Unrecognized CSV layout (missing date / food name columns)");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  // 1) Normalize rows (row numbers are 1-based and count the header, like a spreadsheet).
+  const rows = [];
+  const skippedRows = [];
+  body.forEach((cells, i) => {
+    const r = normalizeRow(cells, detected.index, detected.name, i + 2, options.dateFormat || "auto");
+    if (r.error) skippedRows.push({ row: r.rowNumber, reason: r.error });
+    else rows.push(r);
+  });
+
+  // 2) Resolve each distinct food name once.
+  const names = new Map();
+  for (const r of rows) {
+    const key = normalizeFoodNameKey(r.foodName);
+    if (!names.has(key)) names.set(key, r.foodName);
+  }
+  const matches = await resolveFoodNames(db, names, options.resolutions);
+
+  const rowCountByName = new Map();
+  const unmatchedRows = [];
+  for (const r of rows) {
+    const key = normalizeFoodNameKey(r.foodName);
+    rowCountByName.set(key, (rowCountByName.get(key) || 0) + 1);
+    r.match = matches.get(key) || null;
+    if (!r.match) unmatchedRows.push({ row: r.rowNumber, dateKey: r.dateKey, mealType: r.mealType, foodName: r.foodName, source: r.source });
+  }
+
+  // 3) Group matched rows into meals.
+  const mealsByKey = new Map();
+  for (const r of rows) {
+    if (!r.match) continue;
+    const key = `${r.dateKey}|${r.mealType}`;
+    if (!mealsByKey.has(key)) mealsByKey.set(key, { dateKey: r.dateKey, mealType: r.mealType, rows: [] });
+    mealsByKey.get(key).rows.push(r);
+  }
+  const meals = [...mealsByKey.values()].sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+  const dateKeys = [...new Set(meals.map((m) => m.dateKey))].sort();
+
+  const report = {
+    dryRun,
+    layout: detected.name,
+    timezone,
+    totalRows: body.length,
+    parsedRows: rows.length,
+    matchedRows: rows.length - unmatchedRows.length,
+    unmatchedRowCount: unmatchedRows.length,
+    skippedRowCount: skippedRows.length,
+    mealCount: meals.length,
+    dayCount: dateKeys.length,
+    firstDateKey: dateKeys[0] || null,
+    lastDateKey: dateKeys[dateKeys.length - 1] || null,
+    matches: [...names.entries()].map(([key, displayName]) => ({
+      foodName: displayName,
+      rowCount: rowCountByName.get(key) || 0,
+      ...(matches.get(key) || { foodId: null, matchedName: null, score: null, via: null }),
+    })),
+    unmatchedRows: unmatchedRows.slice(0, REPORT_SAMPLE_LIMIT),
+    skippedRows: skippedRows.slice(0, REPORT_SAMPLE_LIMIT),
+  };
+
+  if (dryRun) return report;
+
+  // 4) Write meals (recompute deferred), then recompute each affected day once.
+  let insertedMeals = 0;
+  const insertedMealsByDateKey = {};
+  let dedupedMeals = 0;
+  const failedMeals = [];
+
+  for (const meal of meals) {
+    const explicitTime = meal.rows.find((r) => r.time)?.time;
+    const [hh, mm] = explicitTime || DEFAULT_MEAL_TIMES[meal.mealType] || DEFAULT_MEAL_TIMES.other;
+
+    const payload = {
+      loggedAt: zonedWallTimeToDate(meal.dateKey, hh, mm, timezone).toISOString(),
+      timezone,
+      dateKey: meal.dateKey,
+      description: `Imported (${detected.name}): ${meal.rows.map((r) => r.foodName).join(", ")}`.slice(0, 500),
+      idempotencyKey: buildImportIdempotencyKey(cleanUserId, meal),
+      items: meal.rows.map((r) => ({
+        name: r.foodName,
+        foodId: r.match.foodId,
+        quantity: {
+          value: r.quantity.value,
+          unit: r.quantity.unit,
+          isEstimate: r.quantity.unit === "serving",
+          basis: "import",
+          confidence: r.match.via === "resolution" ? 1 : 0.7,
+          uiValue: r.quantity.uiValue,
+          uiUnit: r.quantity.uiUnit,
+        },
+        quantityUnit: r.quantity.unit,
+        confidence: r.match.via === "resolution" ? 1 : 0.7,
+      })),
+    };
+
+    try {
+      const result = await logUserMeal(cleanUserId, payload, { skipRecompute: true });
+      if (result?.deduped) dedupedMeals += 1;
+      else {
+        insertedMeals += 1;
+        insertedMealsByDateKey[meal.dateKey] = (insertedMealsByDateKey[meal.dateKey] || 0) + 1;
+      }
+    } catch (e) {
+      console.error("[MealImport] logUserMeal failed:", e?.message || e);
+      failedMeals.push({ dateKey: meal.dateKey, mealType: meal.mealType, error: String(e?.message || e) });
+    }
+  }
+
+  const userObjectId = new ObjectId(cleanUserId);
+  for (const dk of dateKeys) {
+    await recomputeDayOrEnqueue(db, userObjectId, dk, "MealImport");
+  }
+
+  return {
+    ...report,
+    insertedMeals,
+    insertedMealsByDateKey,
+    dedupedMeals,
+    failedMeals: failedMeals.slice(0, REPORT_SAMPLE_LIMIT),
+    recomputedDateKeys: dateKeys.length,
+  };
+}
@@ -0,0 +1,145 @@
+// services/notifications.js
+//
+// Per-user notification feed (badge + one-time celebration screens).
+//
+// Doc (user_notifications):
+// {
+//   userId: ObjectId,
+//   type: "award_earned" | "correlation_surfaced" | "analysis_completed",
+//   dedupeKey: string,        // unique per user, e.g. "award:first_meal_logged"
+//   title: string,
+//   body: string | null,
+//   data: object,             // type-specific payload (award, correlation keys, job counts)
+//   createdAt: Date,
+//   seenAt: Date | null
+// }
+//
+// Producers call notifyUser() best-effort; the unique (userId, dedupeKey) index makes retries and
+// concurrent producers collapse into one notification.
+
+import { ObjectId } from "mongodb";
+import { registerUserDataDeletion } from "./deletion.js";
+
+const NOTIFICATIONS_COLLECTION = "user_notifications";
+const NOTIFICATION_TYPES = new Set(["award_earned", "correlation_surfaced", "analysis_completed"]);
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+registerUserDataDeletion({ key: "user_notifications", collection: NOTIFICATIONS_COLLECTION, order: 80 });
+
+function toUserObjectId(userId) {
+  const cleaned = String(userId || "").trim();
+  if (!ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid 'userId'");
+    err.statusCode = 400;
+    throw err;
+  }
+  return new ObjectId(cleaned);
+}
+
+function mapNotificationDoc(doc) {
+  return {
+    id: String(doc._id),
+    type: doc.type,
+    title: doc.title,
+    body: doc.body ?? null,
+    data: doc.data && typeof doc.data === "object" ? doc.data : {},
+    createdAt: doc.createdAt || null,
+    seenAt: doc.seenAt || null,
+  };
+}
+
+/**
+ * notifyUser(db, userId, { type, dedupeKey, title, body?, data? })
+ * Returns true when a new notification was created, false when dedupeKey already existed.
+ */
+export async function notifyUser(db, userId, { type, dedupeKey, title, body = null, data = {} } = {}) {
+  if (!db) throw new Error("DB not ready");
+  if (!NOTIFICATION_TYPES.has(type)) throw new Error(`Unknown notification type: ${type}`);
+
+  const key = String(dedupeKey || "").trim();
+  if (!key) throw new Error("Notification dedupeKey is required");
+
+  const r = await db.collection(NOTIFICATIONS_COLLECTION).updateOne(
+    { userId: toUserObjectId(userId), dedupeKey: key },
+    {
+      $setOnInsert: {
+        type,
+        title: String(title || "").trim(),
+        body: body == null ? null : String(body),
+        data: data && typeof data === "object" ? data : {},
+        createdAt: new Date(),
+        seenAt: null,
+      },
+    },
+    { upsert: true }
+  );
+
+  return Boolean(r?.upsertedCount);
+}
+
+export async function countUnseenNotifications(db, userId) {
+  if (!db) throw new Error("DB not ready");
+  return db.collection(NOTIFICATIONS_COLLECTION).countDocuments({ userId: toUserObjectId(userId), seenAt: null });
+}
+
+/**
+ * listUserNotifications(db, userId, { limit = 20, before = null, unseenOnly = false })
+ * Newest first. `before` is the id of the last item from the previous page (returned as nextBefore).
+ */
+export async function listUserNotifications(db, userId, { limit = DEFAULT_PAGE_LIMIT, before = null, unseenOnly = false } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = toUserObjectId(userId);
+  const n = Math.max(1, Math.min(MAX_PAGE_LIMIT, Math.trunc(Number(limit) || DEFAULT_PAGE_LIMIT)));
+
+  const filter = { userId: userObjectId };
+  if (unseenOnly) filter.seenAt = null;
+  if (before) {
+    if (!ObjectId.isValid(String(before))) {
+      const err = new Error("Invalid 'before' cursor");
+      err.statusCode = 400;
+      throw err;
+    }
+    filter._id = { $lt: new ObjectId(String(before)) };
+  }
+
+  const col = db.collection(NOTIFICATIONS_COLLECTION);
+  const docs = await col.find(filter).sort({ _id: -1 }).limit(n + 1).toArray();
+  const page = docs.slice(0, n);
+
+  return {
+    items: page.map(mapNotificationDoc),
+    unseenCount: await col.countDocuments({ userId: userObjectId, seenAt: null }),
+    nextBefore: docs.length > n ? String(page[page.length - 1]._id) : null,
+  };
+}
+
+/**
+ * markUserNotificationsSeen(db, userId, { ids?, all? })
+ * Already-seen notifications keep their original seenAt.
+ */
+export async function markUserNotificationsSeen(db, userId, { ids = null, all = false } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = toUserObjectId(userId);
+  const filter = { userId: userObjectId, seenAt: null };
+
+  if (!all) {
+    const list = Array.isArray(ids) ? ids.map((id) => String(id || "").trim()) : [];
+    if (!list.length || list.some((id) => !ObjectId.isValid(id))) {
+      const err = new Error("Provide 'ids' (array of notification ids) or 'all: true'");
+      err.statusCode = 400;
+      throw err;
+    }
+    filter._id = { $in: list.map((id) => new ObjectId(id)) };
+  }
+
+  const col = db.collection(NOTIFICATIONS_COLLECTION);
+  const r = await col.updateMany(filter, { $set: { seenAt: new Date() } });
+
+  return {
+    markedCount: r?.modifiedCount ?? 0,
+    unseenCount: await col.countDocuments({ userId: userObjectId, seenAt: null }),
+  };
+}
@@ -0,0 +1,436 @@
+// services/recipes.js
+//
+// Saved meals / recipes the user can log in one step.
+//
+// Doc (user_recipes):
+// {
+//   userId: ObjectId,
+//   name: string,
+//   normalizedName: string,           // lowercase, punctuation-free (meal-search matching)
+//   components: [{ name, foodId: ObjectId, quantity: { value, unit: "g" | "ml" | "serving" } }],
+//   servings: number,                 // how many servings the component list makes (default 1)
+//   yield: { value, unit: "g" | "ml" } | null,   // finished weight when it differs from the sum (cooking loss)
+//   notes: string | null,
+//   nutrition: {                      // snapshot recomputed on every create/update
+//     per100g, per100gEstimated, perServing, totalWeightG, gramsPerServing, missingFoodIds, computedAt
+//   },
+//   useCount, lastUsedAt, createdAt, updatedAt
+// }
+
+import { ObjectId } from "mongodb";
+import { registerUserDataDeletion } from "./deletion.js";
+import { computeContributionMapsForFood, foodHasPerServingNutrients, gramsPerServingForFood } from "./userMeals.js";
+
+const RECIPES_COLLECTION = "user_recipes";
+const MAX_RECIPES_PER_USER = 500;
+const MAX_COMPONENTS_PER_RECIPE = 50;
+const CANONICAL_UNITS = new Set(["g", "ml", "serving"]);
+
+// Account deletion: recipes are user-authored content, removed right after the meals.
+registerUserDataDeletion({ key: "user_recipes", collection: RECIPES_COLLECTION, order: 15 });
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function notFound() {
+  const err = new Error("Recipe not found");
+  err.statusCode = 404;
+  return err;
+}
+
+function toUserObjectId(userId) {
+  const s = String(userId || "").trim();
+  if (!s || !ObjectId.isValid(s)) throw badRequest("Missing or invalid 'userId'");
+  return new ObjectId(s);
+}
+
+function toRecipeObjectId(recipeId) {
+  const s = String(recipeId || "").trim();
+  if (!s || !ObjectId.isValid(s)) throw badRequest("Missing or invalid 'recipeId'");
+  return new ObjectId(s);
+}
+
+function normalizeRecipeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeQuantityUnit(u) {
+  const raw = String(u || "").trim().toLowerCase();
+  if (raw === "grams" || raw === "gram") return "g";
+  if (raw === "milliliters" || raw === "millilitres") return "ml";
+  if (raw === "servings") return "serving";
+  return raw;
+}
+
+function positiveNumber(v) {
+  const n = typeof v === "number" ? v : Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// --- Input validation ---
+
+function normalizeComponents(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) throw badRequest("'components' must be a non-empty array");
+  if (raw.length > MAX_COMPONENTS_PER_RECIPE) {
+    throw badRequest(`A recipe can have at most ${MAX_COMPONENTS_PER_RECIPE} components`);
+  }
+
+  return raw.map((c, i) => {
+    const foodId = String(c?.foodId || "").trim();
+    if (!ObjectId.isValid(foodId)) throw badRequest(`components[${i}].foodId is not a valid ObjectId`);
+
+    // Accept { quantity: { value, unit } } or flat { quantity, quantityUnit }.
+    const qObj = c?.quantity && typeof c.quantity === "object" ? c.quantity : null;
+    const value = positiveNumber(qObj ? qObj.value : c?.quantity);
+    const unit = normalizeQuantityUnit(qObj ? qObj.unit : c?.quantityUnit || c?.unit);
+    if (value == null) throw badRequest(`components[${i}].quantity must be a positive number`);
+    if (!CANONICAL_UNITS.has(unit)) throw badRequest(`components[${i}] unit must be one of g, ml, serving`);
+
+    const name = typeof c?.name === "string" && c.name.trim() ? c.name.trim().slice(0, 120) : null;
+    return { name, foodId: new ObjectId(foodId), quantity: { value, unit } };
+  });
+}
+
+function normalizeYield(raw) {
+  if (raw == null) return null;
+  const value = positiveNumber(raw?.value);
+  const unit = normalizeQuantityUnit(raw?.unit);
+  if (value == null || (unit !== "g" && unit !== "ml")) {
+    throw badRequest("'yield' must be { value > 0, unit: 'g' | 'ml' } or null");
+  }
+  return { value, unit };
+}
+
+function normalizeRecipeFields(input, { partial }) {
+  const out = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name) throw badRequest("'name' is required");
+    out.name = name.slice(0, 120);
+    out.normalizedName = normalizeRecipeName(out.name);
+  }
+
+  if (!partial || input.components !== undefined) {
+    out.components = normalizeComponents(input.components);
+  }
+
+  if (!partial || input.servings !== undefined) {
+    const servings = input.servings == null && !partial ? 1 : positiveNumber(input.servings);
+    if (servings == null) throw badRequest("'servings' must be a positive number");
+    out.servings = servings;
+  }
+
+  if (!partial || input.yield !== undefined) {
+    out.yield = normalizeYield(input.yield);
+  }
+
+  if (!partial || input.notes !== undefined) {
+    out.notes = typeof input.notes === "string" && input.notes.trim() ? input.notes.trim().slice(0, 2000) : null;
+  }
+
+  return out;
+}
+
+// --- Nutrition ---
+
+function roundMap(map) {
+  const out = {};
+  for (const [k, v] of Object.entries(map)) {
+    if (typeof v === "number" && Number.isFinite(v)) out[k] = Math.round((v + Number.EPSILON) * 100) / 100;
+  }
+  return out;
+}
+
+/**
+ * Computes per-100g (and per-serving) nutrients for a recipe from its components, using the same
+ * per-food contribution rules as daily totals (truth beats estimates per component).
+ *
+ * Weight basis: `yield` when given (finished weight), otherwise the sum of component grams.
+ * If a component's weight can't be determined and there is no yield, per100g is null.
+ */
+export async function computeRecipeNutrition(db, recipe) {
+  const components = Array.isArray(recipe?.components) ? recipe.components : [];
+  const foodIds = [...new Set(components.map((c) => String(c.foodId)))].map((id) => new ObjectId(id));
+  const foods = foodIds.length ? await db.collection("food_items").find({ _id: { $in: foodIds } }).toArray() : [];
+  const foodsById = new Map(foods.map((f) => [String(f._id), f]));
+
+  const totals = {};
+  const totalsEstimated = {};
+  const missingFoodIds = [];
+  let componentGrams = 0;
+  let weightKnown = true;
+
+  for (const c of components) {
+    const food = foodsById.get(String(c.foodId));
+    if (!food) {
+      missingFoodIds.push(String(c.foodId));
+      continue;
+    }
+
+    const value = Number(c.quantity?.value) || 0;
+    let grams = 0;
+    let servings = 0;
+
+    if (c.quantity?.unit === "serving") {
+      const gps = gramsPerServingForFood(food);
+      grams = gps ? gps * value : 0;
+      if (foodHasPerServingNutrients(food)) servings = value;
+      if (!grams) weightKnown = false;
+    } else {
+      // g, or ml treated as ~1 g/ml (same approximation as daily totals)
+      grams = value;
+    }
+
+    componentGrams += grams;
+
+    const maps = computeContributionMapsForFood(food, grams, servings);
+    for (const [field, v] of Object.entries(maps.byFieldMain)) totals[field] = (totals[field] || 0) + v;
+    for (const [field, v] of Object.entries(maps.byFieldEstimated)) {
+      if (Object.prototype.hasOwnProperty.call(maps.byFieldMain, field)) continue;
+      totalsEstimated[field] = (totalsEstimated[field] || 0) + v;
+    }
+  }
+
+  const totalWeightG = recipe?.yield?.value ? recipe.yield.value : weightKnown ? componentGrams : null;
+  const servingsCount = positiveNumber(recipe?.servings) || 1;
+
+  const scale = (map, factor) => {
+    const out = {};
+    for (const [k, v] of Object.entries(map)) out[k] = v * factor;
+    return roundMap(out);
+  };
+
+  return {
+    per100g: totalWeightG ? scale(totals, 100 / totalWeightG) : null,
+    per100gEstimated: totalWeightG ? scale(totalsEstimated, 100 / totalWeightG) : null,
+    perServing: scale(totals, 1 / servingsCount),
+    totalWeightG: totalWeightG ? Math.round(totalWeightG * 10) / 10 : null,
+    gramsPerServing: totalWeightG ? Math.round((totalWeightG / servingsCount) * 10) / 10 : null,
+    missingFoodIds,
+    computedAt: new Date(),
+  };
+}
+
+function mapRecipeDoc(doc) {
+  if (!doc) return null;
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    components: (doc.components || []).map((c) => ({
+      name: c.name ?? null,
+      foodId: String(c.foodId),
+      quantity: c.quantity,
+    })),
+    servings: doc.servings ?? 1,
+    yield: doc.yield ?? null,
+    notes: doc.notes ?? null,
+    nutrition: doc.nutrition ?? null,
+    useCount: doc.useCount ?? 0,
+    lastUsedAt: doc.lastUsedAt ?? null,
+    createdAt: doc.createdAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
+
+// --- CRUD ---
+
+export async function listUserRecipes(db, userId) {
+  const userObjectId = toUserObjectId(userId);
+  const docs = await db
+    .collection(RECIPES_COLLECTION)
+    .find({ userId: userObjectId })
+    .sort({ lastUsedAt: -1, updatedAt: -1 })
+    .limit(MAX_RECIPES_PER_USER)
+    .toArray();
+  return { userId: String(userObjectId), recipes: docs.map(mapRecipeDoc) };
+}
+
+export async function getUserRecipe(db, userId, recipeId) {
+  const doc = await db
+    .collection(RECIPES_COLLECTION)
+    .findOne({ _id: toRecipeObjectId(recipeId), userId: toUserObjectId(userId) });
+  if (!doc) throw notFound();
+  return mapRecipeDoc(doc);
+}
+
+export async function createUserRecipe(db, userId, input = {}) {
+  const userObjectId = toUserObjectId(userId);
+  const col = db.collection(RECIPES_COLLECTION);
+
+  const existingCount = await col.countDocuments({ userId: userObjectId });
+  if (existingCount >= MAX_RECIPES_PER_USER) {
+    const err = new Error(`Recipe limit reached (${MAX_RECIPES_PER_USER})`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const fields = normalizeRecipeFields(input, { partial: false });
+  const now = new Date();
+  const doc = {
+    userId: userObjectId,
+    ...fields,
+    nutrition: await computeRecipeNutrition(db, fields),
+    useCount: 0,
+    lastUsedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const result = await col.insertOne(doc);
+  return mapRecipeDoc({ ...doc, _id: result.insertedId });
+}
+
+export async function updateUserRecipe(db, userId, recipeId, patch = {}) {
+  const filter = { _id: toRecipeObjectId(recipeId), userId: toUserObjectId(userId) };
+  const col = db.collection(RECIPES_COLLECTION);
+
+  const existing = await col.findOne(filter);
+  if (!existing) throw notFound();
+
+  const fields = normalizeRecipeFields(patch, { partial: true });
+  if (Object.keys(fields).length === 0) {
+    throw badRequest("Nothing to update (send name, components, servings, yield or notes)");
+  }
+
+  const merged = { ...existing, ...fields };
+  const $set = { ...fields, nutrition: await computeRecipeNutrition(db, merged), updatedAt: new Date() };
+
+  await col.updateOne(filter, { $set });
+  return mapRecipeDoc(await col.findOne(filter));
+}
+
+export async function deleteUserRecipe(db, userId, recipeId) {
+  const filter = { _id: toRecipeObjectId(recipeId), userId: toUserObjectId(userId) };
+  const result = await db.collection(RECIPES_COLLECTION).deleteOne(filter);
+  if (!result.deletedCount) throw notFound();
+  return { ok: true, recipeId: String(filter._id), deletedCount: result.deletedCount };
+}
+
+// --- Logging ---
+
+/**
+ * Expands a recipe into meal items for logUserMeal, scaled to the servings eaten.
+ * Items carry quantity.basis = "recipe" and quantity.recipeId so the meal doc remembers its origin.
+ */
+export async function expandRecipeToMealItems(db, userId, recipeId, servings) {
+  const filter = { _id: toRecipeObjectId(recipeId), userId: toUserObjectId(userId) };
+  const col = db.collection(RECIPES_COLLECTION);
+
+  const recipe = await col.findOne(filter);
+  if (!recipe) throw notFound();
+
+  const eaten = servings == null ? 1 : positiveNumber(servings);
+  if (eaten == null) throw badRequest("'servings' must be a positive number");
+
+  const factor = eaten / (positiveNumber(recipe.servings) || 1);
+  const recipeIdStr = String(recipe._id);
+
+  const items = (recipe.components || []).map((c) => {
+    const value = Math.round(c.quantity.value * factor * 100) / 100;
+    return {
+      name: c.name || recipe.name,
+      foodId: String(c.foodId),
+      quantity: {
+        value,
+        unit: c.quantity.unit,
+        isEstimate: false,
+        basis: "recipe",
+        confidence: 1,
+        recipeId: recipeIdStr,
+        recipeServings: eaten,
+      },
+      quantityUnit: c.quantity.unit,
+      confidence: 1,
+    };
+  });
+
+  col
+    .updateOne(filter, { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } })
+    .catch((err) => console.error("[Recipes] Failed to bump useCount:", err));
+
+  return { recipe: mapRecipeDoc(recipe), servings: eaten, items };
+}
+
+// --- Meal search ---
+
+function tokenSet(s) {
+  return new Set(normalizeRecipeName(s).split(" ").filter(Boolean));
+}
+
+// 1 = exact name, otherwise token Jaccard (0 when below the cutoff).
+function recipeMatchScore(recipeName, phrase) {
+  const a = normalizeRecipeName(recipeName);
+  const b = normalizeRecipeName(phrase);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const ta = tokenSet(a);
+  const tb = tokenSet(b);
+  let inter = 0;
+  for (const t of ta) if (tb.has(t)) inter += 1;
+  const jaccard = inter / (ta.size + tb.size - inter);
+  return jaccard >= 0.6 ? jaccard : 0;
+}
+
+function makeRecipeCandidate(recipe, matchScore) {
+  const n = recipe.nutrition || {};
+  return {
+    recipeId: String(recipe._id),
+    kind: "recipe",
+    is_recipe: true,
+    name: recipe.name,
+    common_name: recipe.name,
+    display_product_name: recipe.name,
+    label: matchScore === 1 ? "recipe_exact" : "recipe",
+    match_score: Math.round(matchScore * 100) / 100,
+    servings: recipe.servings ?? 1,
+    grams_per_serving: n.gramsPerServing ?? null,
+    nutrients_per_100g: n.per100g ?? null,
+    nutrients_per_100g_estimated: n.per100gEstimated ?? null,
+    nutrients_per_serving: n.perServing ?? null,
+    component_count: Array.isArray(recipe.components) ? recipe.components.length : 0,
+  };
+}
+
+/**
+ * Adds the user's matching recipes to a findBestMatchesForMealItems result (in place), as a separate
+ * item.recipeCandidates array (best match first, exact name matches labelled "recipe_exact").
+ * item.candidates stays food-only, so every candidate id there is still a foodId.
+ */
+export async function attachRecipeCandidatesToMealSearchResult(db, userId, result) {
+  if (!db || !result || !Array.isArray(result.items)) return result;
+  const s = String(userId || "").trim();
+  if (!ObjectId.isValid(s)) return result;
+
+  const recipes = await db
+    .collection(RECIPES_COLLECTION)
+    .find({ userId: new ObjectId(s) }, { projection: { name: 1, components: 1, servings: 1, nutrition: 1 } })
+    .limit(MAX_RECIPES_PER_USER)
+    .toArray();
+  if (!recipes.length) return result;
+
+  for (const item of result.items) {
+    if (!item || !Array.isArray(item.candidates)) continue;
+
+    const matches = recipes
+      .map((r) => ({
+        r,
+        score: Math.max(recipeMatchScore(r.name, item.canonicalName), recipeMatchScore(r.name, item.originalPhrase)),
+      }))
+      .filter((m) => m.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+
+    item.recipeCandidates = matches.map((m) => makeRecipeCandidate(m.r, m.score));
+  }
+
+  return result;
+}
@@ -0,0 +1,214 @@
+// services/rollups.js
+//
+// Multi-day rollups over user_daily_totals (week / month charts in one request).
+//
+// Buckets are built from the stored logical-day dateKeys (3am cutoff already applied at write time),
+// so no timezone math happens here:
+//   day   → one bucket per dateKey
+//   week  → ISO weeks, keyed by the Monday dateKey
+//   month → keyed by YYYY-MM
+//
+// Per bucket, `totals` and `totals_estimated` are kept separate; each nutrient gets { sum, mean }
+// where mean is over days with logged food (daysLogged), not calendar days.
+// Check-in outcomes are averaged over the days that have a value for that outcome.
+
+import { ObjectId } from "mongodb";
+import { listDailyNutrientFields } from "./userMeals.js";
+import { isValidDateKey } from "./users.js";
+
+const GRANULARITIES = new Set(["day", "week", "month"]);
+const MAX_RANGE_DAYS = { day: 366, week: 3 * 366, month: 3 * 366 };
+
+const CHECKIN_OUTCOMES = {
+  mood: "checkin_mood",
+  clarity: "checkin_clarity_score",
+  energy: "checkin_energy",
+  pain_peak: "checkin_pain_peak",
+  pain_region_count: "checkin_pain_region_count",
+};
+
+function dateFromKey(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function keyFromDate(dt) {
+  return dt.toISOString().slice(0, 10);
+}
+
+function addDays(dateKey, days) {
+  const dt = dateFromKey(dateKey);
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return keyFromDate(dt);
+}
+
+function bucketKeyFor(dateKey, granularity) {
+  if (granularity === "month") return dateKey.slice(0, 7);
+  if (granularity === "week") {
+    const dow = dateFromKey(dateKey).getUTCDay(); // 0 = Sunday
+    return addDays(dateKey, -((dow + 6) % 7));
+  }
+  return dateKey;
+}
+
+function round(v, places = 2) {
+  const f = 10 ** places;
+  return Math.round((v + Number.EPSILON) * f) / f;
+}
+
+function emptyBucket(key) {
+  return { key, from: null, to: null, calendarDays: 0, daysWithData: 0, daysLogged: 0, sums: {}, sumsEstimated: {}, checkins: {} };
+}
+
+function dayHasLoggedFood(totals, nutrientFields) {
+  for (const f of nutrientFields) {
+    const v = totals?.[f];
+    if (typeof v === "number" && v > 0) return true;
+  }
+  return false;
+}
+
+function addDayToBucket(bucket, doc, nutrientFields) {
+  const totals = doc.totals && typeof doc.totals === "object" ? doc.totals : {};
+  const estimated = doc.totals_estimated && typeof doc.totals_estimated === "object" ? doc.totals_estimated : {};
+
+  bucket.daysWithData += 1;
+
+  if (dayHasLoggedFood(totals, nutrientFields) || dayHasLoggedFood(estimated, nutrientFields)) {
+    bucket.daysLogged += 1;
+    for (const f of nutrientFields) {
+      if (typeof totals[f] === "number" && Number.isFinite(totals[f])) bucket.sums[f] = (bucket.sums[f] || 0) + totals[f];
+      if (typeof estimated[f] === "number" && Number.isFinite(estimated[f])) {
+        bucket.sumsEstimated[f] = (bucket.sumsEstimated[f] || 0) + estimated[f];
+      }
+    }
+  }
+
+  for (const [name, field] of Object.entries(CHECKIN_OUTCOMES)) {
+    const v = totals[field];
+    if (typeof v !== "number" || !Number.isFinite(v)) continue;
+    const acc = bucket.checkins[name] || (bucket.checkins[name] = { sum: 0, days: 0 });
+    acc.sum += v;
+    acc.days += 1;
+  }
+}
+
+function finalizeBucket(bucket) {
+  const shape = (sums) => {
+    const out = {};
+    for (const [f, sum] of Object.entries(sums)) {
+      out[f] = { sum: round(sum), mean: bucket.daysLogged ? round(sum / bucket.daysLogged) : null };
+    }
+    return out;
+  };
+
+  const checkins = {};
+  for (const name of Object.keys(CHECKIN_OUTCOMES)) {
+    const acc = bucket.checkins[name];
+    checkins[name] = acc ? { mean: round(acc.sum / acc.days), days: acc.days } : { mean: null, days: 0 };
+  }
+
+  return {
+    key: bucket.key,
+    from: bucket.from,
+    to: bucket.to,
+    calendarDays: bucket.calendarDays,
+    daysWithData: bucket.daysWithData,
+    daysLogged: bucket.daysLogged,
+    totals: shape(bucket.sums),
+    totals_estimated: shape(bucket.sumsEstimated),
+    checkins,
+  };
+}
+
+/**
+ * getUserTotalsRange(db, userId, { from, to, granularity = "day" })
+ * from / to are inclusive YYYY-MM-DD dateKeys. Every calendar bucket in the range is returned,
+ * including empty ones, so charts don't have to fill gaps.
+ */
+export async function getUserTotalsRange(db, userId, { from, to, granularity = "day" } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const cleaned = String(userId || "").trim();
+  if (!cleaned || !ObjectId.isValid(cleaned)) {
+    const err = new Error("Missing or invalid 'userId'");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (!isValidDateKey(from) || !isValidDateKey(to)) {
+    const err = new Error("Missing or invalid 'from' / 'to' (expected YYYY-MM-DD)");
+    err.statusCode = 400;
+    throw err;
+  }
+  if (from > to) {
+    const err = new Error("'from' must be on or before 'to'");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const g = String(granularity || "day").trim().toLowerCase();
+  if (!GRANULARITIES.has(g)) {
+    const err = new Error("Invalid 'granularity' (expected day, week or month)");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const rangeDays = Math.round((dateFromKey(to) - dateFromKey(from)) / 86400000) + 1;
+  if (rangeDays > MAX_RANGE_DAYS[g]) {
+    const err = new Error(`Range too large for granularity '${g}' (max ${MAX_RANGE_DAYS[g]} days)`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  // Pre-build every bucket so gaps come back as zero-day buckets.
+  const buckets = new Map();
+  for (let dk = from; dk <= to; dk = addDays(dk, 1)) {
+    const key = bucketKeyFor(dk, g);
+    const b = buckets.get(key) || emptyBucket(key);
+    if (!b.from) b.from = dk;
+    b.to = dk;
+    b.calendarDays += 1;
+    buckets.set(key, b);
+  }
+
+  // user_daily_totals.userId may be an ObjectId (newer docs) or a string (older docs).
+  const docs = await db
+    .collection("user_daily_totals")
+    .find(
+      {
+        $or: [{ userId: new ObjectId(cleaned) }, { userId: cleaned }],
+        dateKey: { $gte: from, $lte: to },
+      },
+      { projection: { dateKey: 1, totals: 1, totals_estimated: 1 } }
+    )
+    .sort({ dateKey: 1 })
+    .toArray();
+
+  const nutrientFields = listDailyNutrientFields();
+  const overall = emptyBucket("all");
+  overall.from = from;
+  overall.to = to;
+  overall.calendarDays = rangeDays;
+
+  const seen = new Set();
+  for (const doc of docs) {
+    // Legacy string/ObjectId duplicates for the same day: count the first one only.
+    if (!isValidDateKey(doc.dateKey) || seen.has(doc.dateKey)) continue;
+    seen.add(doc.dateKey);
+
+    const bucket = buckets.get(bucketKeyFor(doc.dateKey, g));
+    if (!bucket) continue;
+    addDayToBucket(bucket, doc, nutrientFields);
+    addDayToBucket(overall, doc, nutrientFields);
+  }
+
+  return {
+    userId: cleaned,
+    from,
+    to,
+    granularity: g,
+    buckets: [...buckets.values()].map(finalizeBucket),
+    overall: finalizeBucket(overall),
+  };
+}
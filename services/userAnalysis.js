@@ -2,6 +2,12 @@
 
 import { ObjectId } from "mongodb";
 import { coerceUserIdValue } from "./utils.js";
+import { registerUserDataDeletion } from "./deletion.js";
+import { applyAwardEvent } from "./awards.js";
+import { notifyUser } from "./notifications.js";
+import { publishCorrelationJobEvent } from "./jobEvents.js";
+import { registerJobHandler, enqueueJob, findLiveJob } from "./jobQueue.js";
+import { computeLogicalDateKeyFromLoggedAt, safeTimeZone } from "./users.js";
 
 // POST payload shape expected from iOS:
 // {
@@ -45,7 +51,7 @@ export async function markCorrelationRevealForUser(db, { userId, dateKey = null
 }
 
 export async function storeUserCorrelationPack(db, payload) {
-  const { userId, dateKey, algorithmVersion, candidates, windowDays, lagDays } = payload || {};
+  const { userId, dateKey, algorithmVersion, candidates, windowDays, lagDays, lagsTested } = payload || {};
 
   // --- Basic validation ---
   if (!userId || typeof userId !== "string") {
@@ -93,6 +99,7 @@ export async function storeUserCorrelationPack(db, payload) {
     // Optional engine metadata (useful for server-side correlation engine packs)
     ...(Number.isFinite(windowDays) ? { windowDays: Math.trunc(windowDays) } : {}),
     ...(Number.isFinite(lagDays) ? { lagDays: Math.trunc(lagDays) } : {}),
+    ...(Array.isArray(lagsTested) ? { lagsTested: lagsTested.filter((l) => Number.isInteger(l)) } : {}),
     updatedAt: now,
   };
 
@@ -152,6 +159,25 @@ function normalizeCandidate(c) {
   if (Number.isFinite(Number(c.meanNonEvent))) extras.meanNonEvent = Number(c.meanNonEvent);
   if (Number.isFinite(Number(c.threshold))) extras.threshold = Number(c.threshold);
   if (Number.isFinite(Number(c.delta))) extras.delta = Number(c.delta);
+  if (isFiniteNumber(c.pValue)) extras.pValue = c.pValue;
+  if (isFiniteNumber(c.pLagAdjusted)) extras.pLagAdjusted = c.pLagAdjusted;
+  if (isFiniteNumber(c.qValue)) extras.qValue = c.qValue;
+  if (isFiniteNumber(c.adjustedStrength)) extras.adjustedStrength = c.adjustedStrength;
+  if (isFiniteNumber(c.adjustedPValue)) extras.adjustedPValue = c.adjustedPValue;
+  if (Number.isFinite(Number(c.adjustedN)) && c.adjustedN != null) extras.adjustedN = Math.trunc(Number(c.adjustedN));
+  if (Array.isArray(c.adjustedFor)) extras.adjustedFor = c.adjustedFor.filter((k) => typeof k === "string");
+  if (typeof c.survivesAdjustment === "boolean") extras.survivesAdjustment = c.survivesAdjustment;
+  if (Number.isFinite(Number(c.lagsTested))) extras.lagsTested = Math.trunc(Number(c.lagsTested));
+  if (Array.isArray(c.lagProfile)) {
+    extras.lagProfile = c.lagProfile
+      .filter((l) => l && Number.isInteger(l.lagDays) && isFiniteNumber(l.strength))
+      .map((l) => ({
+        lagDays: l.lagDays,
+        strength: l.strength,
+        ...(Number.isFinite(Number(l.n)) ? { n: Math.trunc(Number(l.n)) } : {}),
+        ...(isFiniteNumber(l.pValue) ? { pValue: l.pValue } : {}),
+      }));
+  }
 
   // Daily roundup extras (safe, optional)
   if (Number.isFinite(Number(c.value))) extras.value = Number(c.value);
@@ -174,7 +200,7 @@ function normalizeCandidate(c) {
 
 // ------------------------------------------------------------
 // Longitudinal Correlation Engine (v1)
-// Goal: find lag-1 (next-day) correlations with minimal assumptions.
+// Goal: find same-day to few-days-later correlations with minimal assumptions.
 // ------------------------------------------------------------
 
 function isFiniteNumber(v) {
@@ -196,14 +222,14 @@ function percentile(sortedNums, p) {
   return sortedNums[lo] * (1 - w) + sortedNums[hi] * w;
 }
 
-function mean(nums) {
+export function mean(nums) {
   if (!Array.isArray(nums) || nums.length === 0) return null;
   let s = 0;
   for (const n of nums) s += n;
   return s / nums.length;
 }
 
-function stdev(nums) {
+export function stdev(nums) {
   if (!Array.isArray(nums) || nums.length < 2) return null;
   const m = mean(nums);
   let s2 = 0;
@@ -258,6 +284,120 @@ function spearman(x, y) {
   return pearson(rx, ry);
 }
 
+// --- p-values ---
+// Two-sided Student-t tests: Spearman via t = rho·sqrt((n-2)/(1-rho²)) on n-2 df, event mode via Welch's t.
+// Accurate enough for the BH step at our sample sizes and cheap enough for thousands of tests per run
+// (a permutation test per candidate would not be).
+
+function logGamma(x) {
+  // Lanczos approximation (g = 7, n = 9).
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const xx = x - 1;
+  let a = c[0];
+  const t = xx + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (xx + i);
+  return 0.5 * Math.log(2 * Math.PI) + (xx + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz).
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+export function studentTTwoSidedP(t, df) {
+  if (!Number.isFinite(df) || df <= 0) return null;
+  if (!Number.isFinite(t)) return Number.isNaN(t) ? null : 0;
+  return clamp(regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5), 0, 1);
+}
+
+// Critical t for a two-sided level (e.g. 0.05 → the 97.5th percentile), by bisection on the p-value.
+export function studentTCritical(alpha, df) {
+  if (!Number.isFinite(df) || df <= 0 || !(alpha > 0 && alpha < 1)) return null;
+  let lo = 0;
+  let hi = 1;
+  while (studentTTwoSidedP(hi, df) > alpha && hi < 1e6) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTTwoSidedP(mid, df) > alpha) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function spearmanPValue(rho, n) {
+  if (!isFiniteNumber(rho) || !Number.isFinite(n) || n < 4) return null;
+  if (Math.abs(rho) >= 1) return 0;
+  return studentTTwoSidedP(rho * Math.sqrt((n - 2) / (1 - rho * rho)), n - 2);
+}
+
+function eventEffectPValue(eff) {
+  if (!eff) return null;
+  const va = (eff.sdEvent ** 2) / eff.nEvent;
+  const vb = (eff.sdNonEvent ** 2) / eff.nNonEvent;
+  const se = Math.sqrt(va + vb);
+  if (!(se > 0)) return eff.delta === 0 ? 1 : 0;
+  // Welch–Satterthwaite degrees of freedom.
+  const df = (va + vb) ** 2 / ((va ** 2) / (eff.nEvent - 1) + (vb ** 2) / (eff.nNonEvent - 1));
+  return studentTTwoSidedP(eff.delta / se, df);
+}
+
+/**
+ * Benjamini–Hochberg: sets c[field] (q-value) on every item from c[pField]. Items without a p-value
+ * count as p = 1 so the number of hypotheses stays honest.
+ */
+function applyBenjaminiHochberg(items, pField, field) {
+  const m = items.length;
+  if (!m) return items;
+  const order = items
+    .map((c, i) => ({ i, p: isFiniteNumber(c[pField]) ? c[pField] : 1 }))
+    .sort((a, b) => a.p - b.p);
+
+  let running = 1;
+  for (let k = m - 1; k >= 0; k--) {
+    running = Math.min(running, (order[k].p * m) / (k + 1));
+    items[order[k].i][field] = clamp(running, 0, 1);
+  }
+  return items;
+}
+
 function normalizeIngredientKey(raw) {
   return String(raw || "")
     .trim()
@@ -297,7 +437,7 @@ function isInputKey(k) {
   return true;
 }
 
-function extractDayInputs(dayDoc) {
+export function extractDayInputs(dayDoc) {
   const x = {};
 
   const totalsMain = dayDoc && typeof dayDoc.totals === "object" ? dayDoc.totals : {};
@@ -336,7 +476,7 @@ function extractDayInputs(dayDoc) {
   return x;
 }
 
-function extractDayOutcomes(dayDoc) {
+export function extractDayOutcomes(dayDoc) {
   // Outcomes (checkins) should always come from main totals, not totals_estimated.
   const totals = dayDoc && typeof dayDoc.totals === "object" ? dayDoc.totals : {};
   const y = {};
@@ -347,21 +487,57 @@ function extractDayOutcomes(dayDoc) {
   return y;
 }
 
+// Pairs inputs on day D with outcomes on calendar day D + lagDays (lag 0 = same day).
+// Days without a totals doc simply produce no pair, so a logging gap never shifts the lag.
 function buildAlignedLagPairs(docsSorted, lagDays) {
   const pairs = [];
-  const lag = Math.max(1, Math.trunc(lagDays || 1));
-  for (let i = 0; i + lag < docsSorted.length; i++) {
-    const dX = docsSorted[i];
-    const dY = docsSorted[i + lag];
+  const lag = Math.max(0, Math.trunc(Number(lagDays) || 0));
+  const byDateKey = new Map(docsSorted.map((d) => [d.dateKey, d]));
+  for (const dX of docsSorted) {
+    const dY = byDateKey.get(addDaysToDateKey(dX.dateKey, lag));
+    if (!dY) continue;
     const x = extractDayInputs(dX);
     const y = extractDayOutcomes(dY);
     if (!x || Object.keys(x).length === 0) continue;
     if (!y || Object.keys(y).length === 0) continue;
-    pairs.push({ x, y, dateKeyX: dX.dateKey, dateKeyY: dY.dateKey });
+    pairs.push({ x, y, cov: extractPairCovariates(dX, dY), dateKeyX: dX.dateKey, dateKeyY: dY.dateKey });
   }
   return pairs;
 }
 
+// --- Confounder covariates ---
+// Each covariate reads one or more columns per pair from either the input day (X) or the outcome day (Y):
+// - sleep_hours: last night's sleep drives both what people eat and how they feel
+// - energy_kcal: how completely the input day was logged (a half-logged day understates every input)
+// - weekday: day of week of the outcome day as six 0/1 indicators (Sunday is the baseline), so the whole
+//   weekly routine is held fixed rather than only weekend vs weekday
+const WEEKDAY_COLUMNS = ["weekday_mon", "weekday_tue", "weekday_wed", "weekday_thu", "weekday_fri", "weekday_sat"];
+const CORRELATION_COVARIATES = {
+  sleep_hours: { columns: ["sleep_hours"], read: (dX, dY) => ({ sleep_hours: dY?.totals?.sleep_hours }) },
+  energy_kcal: { columns: ["energy_kcal"], read: (dX) => ({ energy_kcal: dX?.totals?.energy_kcal }) },
+  weekday: {
+    columns: WEEKDAY_COLUMNS,
+    read: (dX, dY) => {
+      const day = new Date(`${dY.dateKey}T00:00:00Z`).getUTCDay();
+      return Object.fromEntries(WEEKDAY_COLUMNS.map((col, i) => [col, day === i + 1 ? 1 : 0]));
+    },
+  },
+};
+// Runs queued before the weekday indicators asked for "weekend"; it now means the full weekday set.
+const CORRELATION_COVARIATE_ALIASES = { weekend: "weekday" };
+const DEFAULT_CORRELATION_COVARIATES = Object.keys(CORRELATION_COVARIATES);
+
+function extractPairCovariates(dX, dY) {
+  const cov = {};
+  for (const { read } of Object.values(CORRELATION_COVARIATES)) {
+    for (const [col, raw] of Object.entries(read(dX, dY))) {
+      const n = typeof raw === "number" ? raw : Number(raw);
+      if (raw != null && Number.isFinite(n)) cov[col] = n;
+    }
+  }
+  return cov;
+}
+
 function computeSupportCounts(pairs) {
   const counts = new Map();
   for (const p of pairs) {
@@ -406,7 +582,16 @@ function computeEventEffect(featureVals, eventFlags) {
   const delta = ma - mb;
   const d = sd > 0 ? delta / sd : delta;
 
-  return { nEvent: a.length, nNonEvent: b.length, meanEvent: ma, meanNonEvent: mb, strength: d, delta };
+  return {
+    nEvent: a.length,
+    nNonEvent: b.length,
+    meanEvent: ma,
+    meanNonEvent: mb,
+    sdEvent: stdev(a) || 0,
+    sdNonEvent: stdev(b) || 0,
+    strength: d,
+    delta,
+  };
 }
 
 
@@ -622,7 +807,7 @@ function computeEnergyCoverage(totals, totalsEstimated, energyGoal) {
 }
 
 // --- Nutrient alias normalization helpers ---
-function canonicalizeNutrientKey(k) {
+export function canonicalizeNutrientKey(k) {
   const key = String(k || "").trim();
   if (!key) return "";
 
@@ -693,6 +878,101 @@ function normalizeTotalsAndEstimatedKeys(totals, totalsEstimated) {
   };
 }
 
+// Roundup thresholds (tunable)
+const ROUNDUP_LOW_PCT = 0.80;   // under target
+const ROUNDUP_HIGH_PCT = 1.20;  // over target
+const ROUNDUP_OVER_ANYWAY_PCT = 1.00; // record overs even if day looks incomplete when already >= 100%
+
+// Trust heuristic:
+// - If coverage >= 0.60, assume the day is reasonably complete.
+// - Below that, we avoid creating "low" flags (they could be missing logs).
+const TRUSTED_DAY_MIN_COVERAGE = 0.60;
+
+// Resolves what a nutrient is compared against: the numeric goal, or for "cap-only" nutrients
+// (no recommended goal, but an upperSafe/upperLimit) the cap itself. Returns null when there is nothing to compare.
+function resolveNutrientComparison(nutrKey, goalMap, bands) {
+  const goalValRaw = goalMap[nutrKey];
+  const parsedGoal = typeof goalValRaw === "number" ? goalValRaw : Number(goalValRaw);
+  const hasNumericGoal = Number.isFinite(parsedGoal) && parsedGoal > 0;
+
+  const band = bands && nutrKey in bands ? bands[nutrKey] : null;
+  const upperLimit = band && band.upperLimit != null ? Number(band.upperLimit) : null;
+  const upperSafe = band && band.upperSafe != null ? Number(band.upperSafe) : null;
+  const lowerSafe = band && band.lowerSafe != null ? Number(band.lowerSafe) : null;
+  const unit = band && typeof band.unit === "string" ? band.unit : undefined;
+  const referenceType = band && typeof band.referenceType === "string" ? band.referenceType : undefined;
+
+  const hasUpperLimit = upperLimit != null && Number.isFinite(upperLimit);
+  const hasUpperSafe = upperSafe != null && Number.isFinite(upperSafe);
+
+  const goalVal = hasNumericGoal
+    ? parsedGoal
+    : (hasUpperSafe ? upperSafe : (hasUpperLimit ? upperLimit : null));
+
+  if (goalVal == null || !Number.isFinite(goalVal) || goalVal <= 0) return null;
+
+  return {
+    goalVal,
+    isCapOnly: !hasNumericGoal && (hasUpperSafe || hasUpperLimit),
+    upperLimit,
+    upperSafe,
+    lowerSafe,
+    unit,
+    referenceType,
+  };
+}
+
+// Buckets one nutrient for one day. "ok" and "met" are the in-band outcomes.
+function classifyNutrientForDay(actual, cmp, isTrustedDay) {
+  const pctGoal = cmp.goalVal > 0 ? actual / cmp.goalVal : null;
+  if (pctGoal == null || !Number.isFinite(pctGoal)) return null;
+
+  const { upperLimit, upperSafe, isCapOnly } = cmp;
+  let bucket = "ok";
+  let shouldRecord = false;
+
+  if (upperLimit != null && Number.isFinite(upperLimit) && actual > upperLimit) {
+    bucket = "over_limit";
+    shouldRecord = true;
+  } else if (upperSafe != null && Number.isFinite(upperSafe) && actual > upperSafe) {
+    bucket = "over_safe";
+    shouldRecord = true;
+  } else if (!isCapOnly && actual >= cmp.goalVal) {
+    // Explicitly store “met/exceeded recommended” so the UI can celebrate/track
+    bucket = "met";
+    shouldRecord = true;
+  } else if (!isCapOnly && pctGoal < ROUNDUP_LOW_PCT) {
+    bucket = "low";
+    shouldRecord = isTrustedDay; // only trust lows on complete-ish days
+  } else if (!isCapOnly && pctGoal >= ROUNDUP_HIGH_PCT) {
+    bucket = "high";
+    shouldRecord = true;
+  } else if (!isCapOnly && pctGoal >= ROUNDUP_OVER_ANYWAY_PCT && !isTrustedDay) {
+    bucket = "high";
+    shouldRecord = true;
+  }
+
+  return { bucket, shouldRecord, pctGoal };
+}
+
+// Nutrients evaluated for a day:
+// 1) any nutrient with a numeric goal (recommended / user override / fallback), and
+// 2) any nutrient that has a safety cap (upperSafe/upperLimit) even if it has no recommended goal.
+function listEvaluatedNutrientKeys(goalMap, bands) {
+  const keysToEvaluate = new Set(Object.keys(goalMap));
+  if (bands && typeof bands === "object") {
+    for (const [k, b] of Object.entries(bands)) {
+      if (!b || typeof b !== "object") continue;
+      const us = b.upperSafe != null ? Number(b.upperSafe) : null;
+      const ul = b.upperLimit != null ? Number(b.upperLimit) : null;
+      if ((us != null && Number.isFinite(us)) || (ul != null && Number.isFinite(ul))) {
+        keysToEvaluate.add(k);
+      }
+    }
+  }
+  return Array.from(keysToEvaluate);
+}
+
 function buildDailyRoundupCandidatesForDay(dayDoc, goals, bandsByKey = null) {
   const rawTotals = dayDoc && typeof dayDoc.totals === "object" ? dayDoc.totals : {};
   const rawTotalsEstimated = dayDoc && typeof dayDoc.totals_estimated === "object" ? dayDoc.totals_estimated : {};
@@ -712,41 +992,17 @@ function buildDailyRoundupCandidatesForDay(dayDoc, goals, bandsByKey = null) {
   const goalEnergy = isFiniteNumber(goals?.energy_kcal) ? goals.energy_kcal : 2000;
   const { energyLogged, coverage } = computeEnergyCoverage(totals, totalsEstimated, goalEnergy);
 
-  // Trust heuristic:
-  // - If coverage >= 0.60, assume the day is reasonably complete.
-  // - Below that, we avoid creating "low" flags (they could be missing logs).
-  const isTrustedDay = coverage >= 0.60;
-
-  // Thresholds (tunable)
-  const LOW_PCT = 0.80;   // under target
-  const HIGH_PCT = 1.20;  // over target
-  const OVER_ANYWAY_PCT = 1.00; // record overs even if day looks incomplete when already >= 100%
+  const isTrustedDay = coverage >= TRUSTED_DAY_MIN_COVERAGE;
 
   const candidates = [];
 
-  // Evaluate:
-  // 1) any nutrient with a numeric goal (recommended / user override / fallback), and
-  // 2) any nutrient that has a safety cap (upperSafe/upperLimit) even if it has no recommended goal.
   const goalMap = goals && typeof goals === "object" ? goals : {};
 
-  const keysToEvaluate = new Set(Object.keys(goalMap));
-  if (bands && typeof bands === "object") {
-    for (const [k, b] of Object.entries(bands)) {
-      if (!b || typeof b !== "object") continue;
-      const us = b.upperSafe != null ? Number(b.upperSafe) : null;
-      const ul = b.upperLimit != null ? Number(b.upperLimit) : null;
-      if ((us != null && Number.isFinite(us)) || (ul != null && Number.isFinite(ul))) {
-        keysToEvaluate.add(k);
-      }
-    }
-  }
-
-  for (const nutrKey of Array.from(keysToEvaluate)) {
-    const goalValRaw = goalMap[nutrKey];
+  for (const nutrKey of listEvaluatedNutrientKeys(goalMap, bands)) {
     // Goal can be missing for "cap-only" nutrients (e.g., informational or limit-based tracking).
     // In that case we only allow over_safe / over_limit events using the cap as the comparison goal.
-    const parsedGoal = typeof goalValRaw === "number" ? goalValRaw : Number(goalValRaw);
-    const hasNumericGoal = Number.isFinite(parsedGoal) && parsedGoal > 0;
+    const cmp = resolveNutrientComparison(nutrKey, goalMap, bands);
+    if (!cmp) continue;
 
     // Pull actual from totals + estimated. (Estimated is additive, same as energy.)
     const actual =
@@ -756,55 +1012,11 @@ function buildDailyRoundupCandidatesForDay(dayDoc, goals, bandsByKey = null) {
     // If there's truly no signal at all, skip.
     if (!Number.isFinite(actual)) continue;
 
-    // Resolve band + caps for this nutrient.
-    const band = bands && nutrKey in bands ? bands[nutrKey] : null;
-    const upperLimit = band && band.upperLimit != null ? Number(band.upperLimit) : null;
-    const upperSafe = band && band.upperSafe != null ? Number(band.upperSafe) : null;
-    const lowerSafe = band && band.lowerSafe != null ? Number(band.lowerSafe) : null;
-    const unit = band && typeof band.unit === "string" ? band.unit : undefined;
-    const referenceType = band && typeof band.referenceType === "string" ? band.referenceType : undefined;
-
-    const hasUpperLimit = upperLimit != null && Number.isFinite(upperLimit);
-    const hasUpperSafe = upperSafe != null && Number.isFinite(upperSafe);
-
-    // If we have a numeric goal, use it. Otherwise, for cap-only nutrients, use upperSafe/upperLimit as the comparison goal.
-    const goalVal = hasNumericGoal
-      ? parsedGoal
-      : (hasUpperSafe ? upperSafe : (hasUpperLimit ? upperLimit : null));
-
-    if (goalVal == null || !Number.isFinite(goalVal) || goalVal <= 0) {
-      // Nothing to compare against.
-      continue;
-    }
+    const classified = classifyNutrientForDay(actual, cmp, isTrustedDay);
+    if (!classified) continue;
 
-    const pctGoal = goalVal > 0 ? actual / goalVal : null;
-    if (pctGoal == null || !Number.isFinite(pctGoal)) continue;
-
-    const isCapOnly = !hasNumericGoal && (hasUpperSafe || hasUpperLimit);
-
-    let bucket = "ok";
-    let shouldRecord = false;
-
-    if (upperLimit != null && Number.isFinite(upperLimit) && actual > upperLimit) {
-      bucket = "over_limit";
-      shouldRecord = true;
-    } else if (upperSafe != null && Number.isFinite(upperSafe) && actual > upperSafe) {
-      bucket = "over_safe";
-      shouldRecord = true;
-    } else if (!isCapOnly && actual >= goalVal) {
-      // Explicitly store “met/exceeded recommended” so the UI can celebrate/track
-      bucket = "met";
-      shouldRecord = true;
-    } else if (!isCapOnly && pctGoal < LOW_PCT) {
-      bucket = "low";
-      shouldRecord = isTrustedDay; // only trust lows on complete-ish days
-    } else if (!isCapOnly && pctGoal >= HIGH_PCT) {
-      bucket = "high";
-      shouldRecord = true;
-    } else if (!isCapOnly && pctGoal >= OVER_ANYWAY_PCT && !isTrustedDay) {
-      bucket = "high";
-      shouldRecord = true;
-    }
+    const { bucket, shouldRecord, pctGoal } = classified;
+    const { goalVal, upperLimit, upperSafe, lowerSafe, unit, referenceType } = cmp;
 
     if (!shouldRecord) continue;
 
@@ -920,88 +1132,231 @@ async function storeDailyRoundupPack(db, userId, dayDoc, goals, bandsByKey = nul
   return { storedCount: stored?.storedCount ?? candidates.length, dateKey };
 }
 
-// Main engine entry
-export async function runCorrelationEngineForUser(db, options) {
-  const userId = String(options?.userId || "").trim();
-  if (!userId) throw new Error("Missing userId");
+// --- Goal adherence (streaks + rolling scores) ---
+// Only trusted days (energy coverage >= TRUSTED_DAY_MIN_COVERAGE) can be in band; untrusted or missing days
+// break streaks and count as misses in the rolling scores, since an incomplete log says nothing about adherence.
+// Per nutrient, "in band" = roundup bucket "ok", or "met" below ROUNDUP_HIGH_PCT of goal (>= 80% of goal, not
+// overshooting it, and under any DRI cap). "met" alone has no upper bound, so 250% of the energy goal would count.
+// Overall, a day is in band when at least ADHERENCE_OVERALL_MIN_SHARE of its evaluated nutrients are.
+const ADHERENCE_OVERALL_MIN_SHARE = 0.75;
+const ADHERENCE_DEFAULT_DAYS = 90;
+const ADHERENCE_MAX_DAYS = 365;
+const ADHERENCE_DAY_CUTOFF_HOUR = 3;
+const ADHERENCE_DEFAULT_TIMEZONE = "America/Toronto";
+
+function isAdherenceInBand(classified) {
+  if (classified.bucket === "ok") return true;
+  return classified.bucket === "met" && classified.pctGoal < ROUNDUP_HIGH_PCT;
+}
 
-  const windowDays =
-    typeof options?.windowDays === "number" && Number.isFinite(options.windowDays) ? Math.trunc(options.windowDays) : 120;
-  const lagDays =
-    typeof options?.lagDays === "number" && Number.isFinite(options.lagDays) ? Math.trunc(options.lagDays) : 1;
-  const minSupportDays =
-    typeof options?.minSupportDays === "number" && Number.isFinite(options.minSupportDays) ? Math.trunc(options.minSupportDays) : 4;
-  const topK =
-    typeof options?.topK === "number" && Number.isFinite(options.topK) ? Math.trunc(options.topK) : 150;
+function evaluateDayAdherence(dayDoc, goals, bandsByKey) {
+  const { totals, totalsEstimated } = normalizeTotalsAndEstimatedKeys(dayDoc?.totals, dayDoc?.totals_estimated);
+  const bands = bandsByKey && typeof bandsByKey === "object" ? bandsByKey : {};
+  const goalMap = goals && typeof goals === "object" ? goals : {};
+
+  const goalEnergy = isFiniteNumber(goalMap.energy_kcal) ? goalMap.energy_kcal : 2000;
+  const { coverage } = computeEnergyCoverage(totals, totalsEstimated, goalEnergy);
+  const isTrustedDay = coverage >= TRUSTED_DAY_MIN_COVERAGE;
+
+  const nutrients = {};
+  let inBandCount = 0;
+  let evaluated = 0;
+
+  for (const nutrKey of listEvaluatedNutrientKeys(goalMap, bands)) {
+    const cmp = resolveNutrientComparison(nutrKey, goalMap, bands);
+    if (!cmp) continue;
 
+    const actual =
+      (isFiniteNumber(totals[nutrKey]) ? totals[nutrKey] : 0) +
+      (isFiniteNumber(totalsEstimated[nutrKey]) ? totalsEstimated[nutrKey] : 0);
+
+    const classified = classifyNutrientForDay(actual, cmp, isTrustedDay);
+    if (!classified) continue;
+
+    const inBand = isTrustedDay && isAdherenceInBand(classified);
+    nutrients[nutrKey] = { inBand, bucket: classified.bucket, goal: cmp.goalVal };
+    evaluated += 1;
+    if (inBand) inBandCount += 1;
+  }
+
+  const inBandShare = evaluated > 0 ? inBandCount / evaluated : 0;
+  return {
+    isTrustedDay,
+    coverage,
+    nutrients,
+    inBandShare,
+    overallInBand: isTrustedDay && evaluated > 0 && inBandShare >= ADHERENCE_OVERALL_MIN_SHARE,
+  };
+}
+
+// flags: one boolean per calendar day, oldest first. lastDayPending = the last day is today and not trusted
+// yet, so it is left out of the current streak and the rolling scores instead of counting as a miss.
+function summarizeAdherenceSeries(flags, lastDayPending) {
+  const n = lastDayPending ? flags.length - 1 : flags.length;
+  let best = 0;
+  let run = 0;
+  for (const f of flags.slice(0, n)) {
+    run = f ? run + 1 : 0;
+    if (run > best) best = run;
+  }
+
+  let current = 0;
+  for (let i = n - 1; i >= 0 && flags[i]; i--) current += 1;
+
+  const rolling = (k) => {
+    const slice = flags.slice(Math.max(0, n - k), n);
+    return slice.length ? Math.round((slice.filter(Boolean).length / k) * 1000) / 1000 : 0;
+  };
+
+  return {
+    currentStreak: current,
+    bestStreak: best,
+    score7: rolling(7),
+    score30: rolling(30),
+    inBandDays: flags.filter(Boolean).length,
+  };
+}
+
+// Same order as the correlation scheduler: profile timezone, then the one stamped on the latest daily totals.
+async function resolveUserTimezone(db, userIdRaw) {
+  const user = ObjectId.isValid(userIdRaw)
+    ? await db.collection("users").findOne({ _id: new ObjectId(userIdRaw) }, { projection: { timezone: 1 } })
+    : null;
+  const fromProfile = safeTimeZone(user?.timezone);
+  if (fromProfile) return fromProfile;
+
+  const [latest] = await db
+    .collection("user_daily_totals")
+    .find({ $or: buildUserIdFilters(userIdRaw) }, { projection: { timezone: 1 } })
+    .sort({ dateKey: -1 })
+    .limit(1)
+    .toArray();
+  return safeTimeZone(latest?.timezone) || ADHERENCE_DEFAULT_TIMEZONE;
+}
+
+function addDaysToDateKey(dateKey, days) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * getUserGoalAdherence(db, { userId, days = 90, asOf })
+ * asOf defaults to today's logical day (3am cutoff) in the user's timezone. Streaks are measured over the window only.
+ */
+export async function getUserGoalAdherence(db, { userId, days = ADHERENCE_DEFAULT_DAYS, asOf = null } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const userIdRaw = String(userId || "").trim();
+  if (!userIdRaw) throw new Error("Missing userId");
+
+  const windowDays = Math.max(30, Math.min(ADHERENCE_MAX_DAYS, Math.trunc(Number(days) || ADHERENCE_DEFAULT_DAYS)));
   const totalsCol = db.collection("user_daily_totals");
-  const userIdFilters = buildUserIdFilters(userId);
+  const userIdFilters = buildUserIdFilters(userIdRaw);
 
-  // Pull recent docs, sorted by dateKey, then slice last windowDays+lagDays+buffer
-  const allDocs = await totalsCol
+  const todayKey = computeLogicalDateKeyFromLoggedAt(new Date(), await resolveUserTimezone(db, userIdRaw), ADHERENCE_DAY_CUTOFF_HOUR);
+  const endKey = normalizeDateKey(asOf) || todayKey;
+  const startKey = addDaysToDateKey(endKey, -(windowDays - 1));
+
+  const docs = await totalsCol
     .find(
-      { $or: userIdFilters },
-      { projection: { userId: 1, dateKey: 1, totals: 1, totals_estimated: 1, ingredients_exposure: 1, updatedAt: 1, createdAt: 1 } }
+      { $or: userIdFilters, dateKey: { $gte: startKey, $lte: endKey } },
+      { projection: { dateKey: 1, totals: 1, totals_estimated: 1 } }
     )
-    .sort({ dateKey: 1 })
     .toArray();
+  const docsByDateKey = new Map();
+  for (const d of docs) if (!docsByDateKey.has(d.dateKey)) docsByDateKey.set(d.dateKey, d);
 
-  const cleanDocs = (allDocs || []).filter((d) => typeof d?.dateKey === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d.dateKey));
-  const want = Math.min(Math.max(windowDays + lagDays + 10, 30), 450);
-  const sliced = cleanDocs.length > want ? cleanDocs.slice(cleanDocs.length - want) : cleanDocs;
+  const targets = await getDailyTargetsForUser(db, userIdRaw);
+  const goals = targets?.goals || defaultDailyGoals();
+  const bandsByKey = targets?.bands || null;
 
-  sliced.sort((a, b) => (a.dateKey < b.dateKey ? -1 : a.dateKey > b.dateKey ? 1 : 0));
+  const dayRows = [];
+  const overallFlags = [];
+  const nutrientFlags = new Map(); // key -> { flags[], goal }
 
-  // Stage 1: Daily roundup (always write)
-  const targets = await getDailyTargetsForUser(db, userId);
-  const goals = targets && targets.goals ? targets.goals : await getDailyGoalsForUser(db, userId);
-  const bandsByKey = targets && targets.bands ? targets.bands : null;
-
-  // Store roundup for the latest available day in the slice
-  let roundupStoredCount = 0;
-  let roundupDateKey = null;
-  if (sliced.length > 0) {
-    const latestDay = sliced[sliced.length - 1];
-    const roundupStored = await storeDailyRoundupPack(db, userId, latestDay, goals, bandsByKey);
-    roundupStoredCount = roundupStored?.storedCount ?? 0;
-    roundupDateKey = roundupStored?.dateKey ?? null;
-  }
+  let i = 0;
+  for (let dk = startKey; dk <= endKey; dk = addDaysToDateKey(dk, 1), i++) {
+    const doc = docsByDateKey.get(dk);
+    const evald = doc ? evaluateDayAdherence(doc, goals, bandsByKey) : null;
+
+    dayRows.push({
+      dateKey: dk,
+      trusted: Boolean(evald?.isTrustedDay),
+      coverage: evald ? Math.round(evald.coverage * 1000) / 1000 : 0,
+      inBandShare: evald ? Math.round(evald.inBandShare * 1000) / 1000 : 0,
+      overallInBand: Boolean(evald?.overallInBand),
+    });
+    overallFlags.push(Boolean(evald?.overallInBand));
 
-  // Optional backfill over the window (can be enabled via options.backfillRoundups=true)
-  let roundupBackfilledDays = 0;
-  if (options?.backfillRoundups === true) {
-    for (const d of sliced) {
-      const r = await storeDailyRoundupPack(db, userId, d, goals, bandsByKey);
-      if ((r?.storedCount ?? 0) >= 0) roundupBackfilledDays += 1;
+    for (const [key, r] of Object.entries(evald?.nutrients || {})) {
+      if (!nutrientFlags.has(key)) nutrientFlags.set(key, { flags: new Array(i).fill(false), goal: r.goal });
+      const entry = nutrientFlags.get(key);
+      entry.flags.push(r.inBand);
+      entry.goal = r.goal;
+    }
+    // Nutrients not evaluated today (no doc) are misses.
+    for (const entry of nutrientFlags.values()) {
+      if (entry.flags.length < i + 1) entry.flags.push(false);
     }
   }
 
-  const pairs = buildAlignedLagPairs(sliced, lagDays);
-  if (pairs.length < 10) {
-    return {
-      userId,
-      windowDays,
-      lagDays,
-      storedCount: 0,
-      promotedCount: 0,
-      top: [],
-      message: "Not enough aligned day-pairs yet for correlations (daily roundup stored).",
-      roundup: { storedCount: roundupStoredCount, dateKey: roundupDateKey, backfilledDays: roundupBackfilledDays },
-    };
+  // Only today can still be filling in; an untrusted past day is a miss.
+  const lastDayPending = endKey === todayKey && !dayRows[dayRows.length - 1]?.trusted;
+
+  const nutrients = {};
+  for (const [key, entry] of nutrientFlags.entries()) {
+    nutrients[key] = { goal: entry.goal, ...summarizeAdherenceSeries(entry.flags, lastDayPending) };
   }
 
+  return {
+    userId: userIdRaw,
+    from: startKey,
+    to: endKey,
+    windowDays,
+    trustedDays: dayRows.filter((d) => d.trusted).length,
+    lastDayPending,
+    overall: summarizeAdherenceSeries(overallFlags, lastDayPending),
+    nutrients,
+    days: dayRows,
+  };
+}
+
+/**
+ * Feeds the overall best streak into awards. `awardTallies.adherenceBestStreak` holds the best streak
+ * ever seen, so this is a max event (thresholds live in award definitions).
+ */
+export async function applyAdherenceStreakAwards(db, userId, adherence) {
+  const best = Number(adherence?.overall?.bestStreak) || 0;
+  if (best <= 0 || !ObjectId.isValid(String(userId))) return null;
+
+  return applyAwardEvent(db, { userId: String(userId) }, { eventKey: "adherenceBestStreak", max: best });
+}
+
+// Streak awards are re-evaluated off the request path whenever a day's totals are recomputed
+// (queued from services/userMeals.js; one live job per user folds bursts of meal edits together).
+registerJobHandler("adherence_awards", async (db, job) => {
+  const userId = String(job.userId);
+  const adherence = await getUserGoalAdherence(db, { userId });
+  await applyAdherenceStreakAwards(db, userId, adherence);
+});
+
+const CORRELATION_OUTCOME_KEYS = ["checkin_mood", "checkin_clarity_score", "checkin_pain_peak", "checkin_pain_region_count", "checkin_energy"];
+const DEFAULT_MAX_LAG_DAYS = 3;
+const MIN_STORED_SPEARMAN_RHO = 0.15;
+const MAX_LAG_DAYS_LIMIT = 7;
+
+// All candidates for one lag. Each carries an approximate two-sided pValue for that lag alone.
+function computeLagCandidates(pairs, lagDays, minSupportDays) {
   const support = computeSupportCounts(pairs);
 
   const eligibleInputs = Array.from(support.entries())
     .filter(([, c]) => c >= minSupportDays)
     .map(([k]) => k);
 
-  const outcomeKeys = ["checkin_mood", "checkin_clarity_score", "checkin_pain_peak", "checkin_pain_region_count", "checkin_energy"].filter(Boolean);
-
-  const engineVersion = "correlation_engine_v1";
-  const allCandidates = [];
+  const candidates = [];
 
-  for (const outKey of outcomeKeys) {
+  for (const outKey of CORRELATION_OUTCOME_KEYS) {
     const ySeries = pairs.map((p) => (p.y && isFiniteNumber(p.y[outKey]) ? p.y[outKey] : null));
     const yClean = ySeries.filter((v) => isFiniteNumber(v));
     if (yClean.length < 10) continue;
@@ -1021,46 +1376,29 @@ export async function runCorrelationEngineForUser(db, options) {
     for (const inKey of eligibleInputs) {
       const xSeries = pairs.map((p) => (p.x && isFiniteNumber(p.x[inKey]) ? p.x[inKey] : null));
 
-      // Event LOW
-      if (ev.low != null) {
-        const eff = computeEventEffect(xSeries, lowFlags);
-        if (eff && eff.nEvent >= 3) {
-          allCandidates.push({
-            inputKey: inKey,
-            outputKey: outKey,
-            lagDays,
-            mode: "event_low",
-            direction: eff.delta >= 0 ? "positive" : "negative",
-            strength: eff.strength,
-            n: eff.nEvent + eff.nNonEvent,
-            nEvent: eff.nEvent,
-            nNonEvent: eff.nNonEvent,
-            meanEvent: eff.meanEvent,
-            meanNonEvent: eff.meanNonEvent,
-            threshold: ev.low,
-          });
-        }
-      }
-
-      // Event HIGH
-      if (ev.high != null) {
-        const eff = computeEventEffect(xSeries, highFlags);
-        if (eff && eff.nEvent >= 3) {
-          allCandidates.push({
-            inputKey: inKey,
-            outputKey: outKey,
-            lagDays,
-            mode: "event_high",
-            direction: eff.delta >= 0 ? "positive" : "negative",
-            strength: eff.strength,
-            n: eff.nEvent + eff.nNonEvent,
-            nEvent: eff.nEvent,
-            nNonEvent: eff.nNonEvent,
-            meanEvent: eff.meanEvent,
-            meanNonEvent: eff.meanNonEvent,
-            threshold: ev.high,
-          });
-        }
+      // Event LOW / HIGH
+      for (const [mode, flags, threshold] of [
+        ["event_low", lowFlags, ev.low],
+        ["event_high", highFlags, ev.high],
+      ]) {
+        if (threshold == null) continue;
+        const eff = computeEventEffect(xSeries, flags);
+        if (!eff || eff.nEvent < 3) continue;
+        candidates.push({
+          inputKey: inKey,
+          outputKey: outKey,
+          lagDays,
+          mode,
+          direction: eff.delta >= 0 ? "positive" : "negative",
+          strength: eff.strength,
+          n: eff.nEvent + eff.nNonEvent,
+          nEvent: eff.nEvent,
+          nNonEvent: eff.nNonEvent,
+          meanEvent: eff.meanEvent,
+          meanNonEvent: eff.meanNonEvent,
+          threshold,
+          pValue: eventEffectPValue(eff),
+        });
       }
 
       // Continuous (Spearman)
@@ -1076,8 +1414,9 @@ export async function runCorrelationEngineForUser(db, options) {
       }
       if (xNum.length >= 10) {
         const rho = spearman(xNum, yNum);
-        if (rho != null && Number.isFinite(rho) && Math.abs(rho) >= 0.15) {
-          allCandidates.push({
+        // Every tested rho is kept so BH counts it; the |rho| floor is applied after correction.
+        if (rho != null && Number.isFinite(rho)) {
+          candidates.push({
             inputKey: inKey,
             outputKey: outKey,
             lagDays,
@@ -1085,12 +1424,268 @@ export async function runCorrelationEngineForUser(db, options) {
             direction: rho >= 0 ? "positive" : "negative",
             strength: rho,
             n: xNum.length,
+            pValue: spearmanPValue(rho, xNum.length),
           });
         }
       }
     }
   }
 
+  return candidates;
+}
+
+/**
+ * One candidate per (inputKey, outputKey, mode): the lag with the smallest pValue (ties → larger |strength|,
+ * then the shorter lag). Picking the best of several lags inflates false positives, so pLagAdjusted applies
+ * a Šidák correction for the number of lags tested; lagProfile keeps what every lag looked like.
+ */
+function selectBestLagCandidates(candidates, lagsTested) {
+  const byPair = new Map();
+  for (const c of candidates) {
+    const key = `${c.inputKey}|${c.outputKey}|${c.mode}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push(c);
+  }
+
+  const rankP = (c) => (isFiniteNumber(c.pValue) ? c.pValue : 1);
+  const out = [];
+  for (const list of byPair.values()) {
+    list.sort(
+      (a, b) =>
+        rankP(a) - rankP(b) ||
+        Math.abs(b.strength || 0) - Math.abs(a.strength || 0) ||
+        a.lagDays - b.lagDays
+    );
+    const best = list[0];
+    const m = Math.max(1, lagsTested);
+    out.push({
+      ...best,
+      lagsTested: m,
+      pLagAdjusted: isFiniteNumber(best.pValue) ? 1 - (1 - best.pValue) ** m : null,
+      lagProfile: list
+        .map((c) => ({ lagDays: c.lagDays, strength: c.strength, n: c.n, pValue: c.pValue }))
+        .sort((a, b) => a.lagDays - b.lagDays),
+    });
+  }
+  return out;
+}
+
+// Least squares y ~ X (X rows include the intercept column). Returns { beta, se, residuals, df } or null
+// when X'X is singular (e.g. a covariate that never varies in this sample).
+function olsFit(y, X) {
+  const n = y.length;
+  const k = X[0]?.length || 0;
+  if (!k || n <= k) return null;
+
+  // Augmented [X'X | I] → Gauss-Jordan gives (X'X)^-1.
+  const a = Array.from({ length: k }, (_, i) => {
+    const row = new Array(2 * k).fill(0);
+    for (let j = 0; j < k; j++) {
+      let sum = 0;
+      for (let r = 0; r < n; r++) sum += X[r][i] * X[r][j];
+      row[j] = sum;
+    }
+    row[k + i] = 1;
+    return row;
+  });
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const div = a[col][col];
+    for (let j = 0; j < 2 * k; j++) a[col][j] /= div;
+    for (let r = 0; r < k; r++) {
+      if (r === col || a[r][col] === 0) continue;
+      const f = a[r][col];
+      for (let j = 0; j < 2 * k; j++) a[r][j] -= f * a[col][j];
+    }
+  }
+  const inv = a.map((row) => row.slice(k));
+
+  const xty = new Array(k).fill(0);
+  for (let r = 0; r < n; r++) for (let j = 0; j < k; j++) xty[j] += X[r][j] * y[r];
+  const beta = inv.map((row) => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+
+  const residuals = y.map((yv, r) => yv - X[r].reduce((sum, v, j) => sum + v * beta[j], 0));
+  const df = n - k;
+  const sigma2 = residuals.reduce((sum, e) => sum + e * e, 0) / df;
+  const se = inv.map((row, j) => Math.sqrt(Math.max(0, row[j] * sigma2)));
+
+  return { beta, se, residuals, df };
+}
+
+/**
+ * Re-tests one candidate with covariates held fixed:
+ * - continuous_spearman → partial Spearman (ranks residualized on ranked covariates)
+ * - event modes → x ~ event + covariates; the event coefficient over sd(x) is the adjusted d
+ * Covariates missing on more than 30% of the candidate's days (or equal to the input itself) are left out;
+ * days missing a used covariate are dropped, as are columns that never vary over the remaining days (a weekday
+ * absent from the window). survivesAdjustment: same direction and adjusted p < 0.05.
+ */
+function computeAdjustedEffect(c, pairs, covariateKeys) {
+  const none = { adjustedStrength: null, adjustedPValue: null, adjustedN: null, adjustedFor: [], survivesAdjustment: null };
+  if (!Array.isArray(pairs) || !covariateKeys.length) return none;
+
+  const rows = [];
+  for (const p of pairs) {
+    const xv = p.x?.[c.inputKey];
+    const yv = p.y?.[c.outputKey];
+    if (!isFiniteNumber(xv) || !isFiniteNumber(yv)) continue;
+    rows.push({ x: xv, y: yv, cov: p.cov || {} });
+  }
+
+  const hasColumns = (r, k) => CORRELATION_COVARIATES[k].columns.every((col) => isFiniteNumber(r.cov[col]));
+  const used = covariateKeys.filter(
+    (k) => k !== c.inputKey && rows.filter((r) => hasColumns(r, k)).length >= rows.length * 0.7
+  );
+  if (!used.length) return none;
+
+  const complete = rows.filter((r) => used.every((k) => hasColumns(r, k)));
+  const columns = used
+    .flatMap((k) => CORRELATION_COVARIATES[k].columns)
+    .filter((col) => new Set(complete.map((r) => r.cov[col])).size > 1);
+  if (!columns.length || complete.length < 10 + columns.length) return { ...none, adjustedFor: used };
+
+  let strength = null;
+  let pValue = null;
+
+  if (c.mode === "continuous_spearman") {
+    const covRanks = columns.map((col) => rankArray(complete.map((r) => r.cov[col])));
+    const X = complete.map((_, i) => [1, ...covRanks.map((ranks) => ranks[i])]);
+    const fitX = olsFit(rankArray(complete.map((r) => r.x)), X);
+    const fitY = olsFit(rankArray(complete.map((r) => r.y)), X);
+    if (!fitX || !fitY) return { ...none, adjustedFor: used };
+
+    strength = pearson(fitX.residuals, fitY.residuals);
+    if (strength == null) return { ...none, adjustedFor: used };
+    const df = complete.length - 2 - columns.length;
+    pValue = Math.abs(strength) >= 1 ? 0 : studentTTwoSidedP(strength * Math.sqrt(df / (1 - strength * strength)), df);
+  } else {
+    const threshold = Number(c.threshold);
+    if (!Number.isFinite(threshold)) return { ...none, adjustedFor: used };
+    const isEvent = (y) => (c.mode === "event_low" ? y <= threshold : y >= threshold);
+
+    const X = complete.map((r) => [1, isEvent(r.y) ? 1 : 0, ...columns.map((col) => r.cov[col])]);
+    const xs = complete.map((r) => r.x);
+    const fit = olsFit(xs, X);
+    const sd = stdev(xs) || 0;
+    if (!fit || !(fit.se[1] > 0)) return { ...none, adjustedFor: used };
+
+    strength = sd > 0 ? fit.beta[1] / sd : fit.beta[1];
+    pValue = studentTTwoSidedP(fit.beta[1] / fit.se[1], fit.df);
+  }
+
+  return {
+    adjustedStrength: strength,
+    adjustedPValue: pValue,
+    adjustedN: complete.length,
+    adjustedFor: used,
+    survivesAdjustment: Math.sign(strength) === Math.sign(c.strength) && isFiniteNumber(pValue) && pValue < 0.05,
+  };
+}
+
+// Main engine entry
+// options.maxLagDays (default 3) → test lags 0..maxLagDays in one pass; an explicit options.lagDays
+// restricts the run to that single lag. options.covariates (default: all of CORRELATION_COVARIATES, i.e.
+// sleep_hours, energy_kcal, weekday) is the confounder set each stored candidate is re-tested against.
+export async function runCorrelationEngineForUser(db, options) {
+  const userId = String(options?.userId || "").trim();
+  if (!userId) throw new Error("Missing userId");
+
+  const windowDays =
+    typeof options?.windowDays === "number" && Number.isFinite(options.windowDays) ? Math.trunc(options.windowDays) : 120;
+  const singleLag =
+    typeof options?.lagDays === "number" && Number.isFinite(options.lagDays)
+      ? clamp(Math.trunc(options.lagDays), 0, MAX_LAG_DAYS_LIMIT)
+      : null;
+  const maxLagDays =
+    typeof options?.maxLagDays === "number" && Number.isFinite(options.maxLagDays)
+      ? clamp(Math.trunc(options.maxLagDays), 0, MAX_LAG_DAYS_LIMIT)
+      : DEFAULT_MAX_LAG_DAYS;
+  const lags = singleLag != null ? [singleLag] : Array.from({ length: maxLagDays + 1 }, (_, i) => i);
+  const covariates = Array.isArray(options?.covariates)
+    ? [...new Set(options.covariates.map((k) => CORRELATION_COVARIATE_ALIASES[k] || k))].filter((k) =>
+        Object.hasOwn(CORRELATION_COVARIATES, k)
+      )
+    : DEFAULT_CORRELATION_COVARIATES;
+  const lagDays = lags[lags.length - 1];
+  const minSupportDays =
+    typeof options?.minSupportDays === "number" && Number.isFinite(options.minSupportDays) ? Math.trunc(options.minSupportDays) : 4;
+  const topK =
+    typeof options?.topK === "number" && Number.isFinite(options.topK) ? Math.trunc(options.topK) : 150;
+
+  const totalsCol = db.collection("user_daily_totals");
+  const userIdFilters = buildUserIdFilters(userId);
+
+  // Pull recent docs, sorted by dateKey, then slice last windowDays+maxLag+buffer
+  const allDocs = await totalsCol
+    .find(
+      { $or: userIdFilters },
+      { projection: { userId: 1, dateKey: 1, totals: 1, totals_estimated: 1, ingredients_exposure: 1, updatedAt: 1, createdAt: 1 } }
+    )
+    .sort({ dateKey: 1 })
+    .toArray();
+
+  const cleanDocs = (allDocs || []).filter((d) => typeof d?.dateKey === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d.dateKey));
+  const want = Math.min(Math.max(windowDays + lagDays + 10, 30), 450);
+  const sliced = cleanDocs.length > want ? cleanDocs.slice(cleanDocs.length - want) : cleanDocs;
+
+  sliced.sort((a, b) => (a.dateKey < b.dateKey ? -1 : a.dateKey > b.dateKey ? 1 : 0));
+
+  // Stage 1: Daily roundup (always write)
+  const targets = await getDailyTargetsForUser(db, userId);
+  const goals = targets && targets.goals ? targets.goals : await getDailyGoalsForUser(db, userId);
+  const bandsByKey = targets && targets.bands ? targets.bands : null;
+
+  // Store roundup for the latest available day in the slice
+  let roundupStoredCount = 0;
+  let roundupDateKey = null;
+  if (sliced.length > 0) {
+    const latestDay = sliced[sliced.length - 1];
+    const roundupStored = await storeDailyRoundupPack(db, userId, latestDay, goals, bandsByKey);
+    roundupStoredCount = roundupStored?.storedCount ?? 0;
+    roundupDateKey = roundupStored?.dateKey ?? null;
+  }
+
+  // Optional backfill over the window (can be enabled via options.backfillRoundups=true)
+  let roundupBackfilledDays = 0;
+  if (options?.backfillRoundups === true) {
+    for (const d of sliced) {
+      const r = await storeDailyRoundupPack(db, userId, d, goals, bandsByKey);
+      if ((r?.storedCount ?? 0) >= 0) roundupBackfilledDays += 1;
+    }
+  }
+
+  const pairsByLag = new Map(lags.map((lag) => [lag, buildAlignedLagPairs(sliced, lag)]));
+  const testedLags = lags.filter((lag) => pairsByLag.get(lag).length >= 10);
+  if (testedLags.length === 0) {
+    return {
+      userId,
+      windowDays,
+      lagDays: singleLag,
+      lagsTested: [],
+      storedCount: 0,
+      promotedCount: 0,
+      top: [],
+      message: "Not enough aligned day-pairs yet for correlations (daily roundup stored).",
+      roundup: { storedCount: roundupStoredCount, dateKey: roundupDateKey, backfilledDays: roundupBackfilledDays },
+    };
+  }
+
+  const engineVersion = CORRELATION_ENGINE_VERSION;
+  const perLag = testedLags.flatMap((lag) => computeLagCandidates(pairsByLag.get(lag), lag, minSupportDays));
+  const bestLag = selectBestLagCandidates(perLag, testedLags.length);
+
+  // FDR control across the whole run (every input × outcome × mode tested), on the lag-corrected p.
+  applyBenjaminiHochberg(bestLag, "pLagAdjusted", "qValue");
+  const allCandidates = bestLag.filter(
+    (c) => c.mode !== "continuous_spearman" || Math.abs(c.strength) >= MIN_STORED_SPEARMAN_RHO
+  );
+  for (const c of allCandidates) {
+    Object.assign(c, computeAdjustedEffect(c, pairsByLag.get(c.lagDays), covariates));
+  }
+
   // Keep topK per (outputKey, mode)
   const grouped = new Map();
   for (const c of allCandidates) {
@@ -1105,14 +1700,20 @@ export async function runCorrelationEngineForUser(db, options) {
   }
 
   // Store pack (reuse your existing storeUserCorrelationPack)
-  const endDateKey = pairs[pairs.length - 1]?.dateKeyY || sliced[sliced.length - 1]?.dateKey || null;
+  const lastOutcomeDateKey = testedLags
+    .map((lag) => pairsByLag.get(lag).at(-1)?.dateKeyY)
+    .filter(Boolean)
+    .sort()
+    .at(-1);
+  const endDateKey = lastOutcomeDateKey || sliced[sliced.length - 1]?.dateKey || null;
 
   const packPayload = {
     userId,
     dateKey: endDateKey,
     algorithmVersion: engineVersion,
     windowDays,
-    lagDays,
+    lagDays: singleLag,
+    lagsTested: testedLags,
     createdAt: new Date(),
     candidates: top,
     storedCount: top.length,
@@ -1123,7 +1724,8 @@ export async function runCorrelationEngineForUser(db, options) {
   return {
     userId,
     windowDays,
-    lagDays,
+    lagDays: singleLag,
+    lagsTested: testedLags,
     storedCount: stored?.storedCount ?? top.length,
     promotedCount: 0,
     top: top.slice(0, Math.min(50, top.length)),
@@ -1141,10 +1743,27 @@ export async function runCorrelationEngineForUser(db, options) {
 
 const USER_CORRELATIONS_COLLECTION = "user_correlations";
 
+// Stamped on promoted rows so user feedback can be compared across engine versions.
+export const CORRELATION_ENGINE_VERSION = "correlation_engine_v1";
+
+// User feedback on a row (services/correlationFeedback.js). Promotion never surfaces a "disagree" row, and
+// lets "agree" / "already_knew" rows surface again on the first run that clears the threshold.
+export const CORRELATION_FEEDBACK_VALUES = ["agree", "disagree", "already_knew", "will_test"];
+
 const USER_CORRELATION_JOBS_COLLECTION = "user_analysis_jobs";
 
 const USER_CORRELATION_REVEALS_COLLECTION = "user_analysis_reveals";
 
+// One doc per engine run (manual, scheduled, ...): trigger, timings, outcome counts.
+const USER_CORRELATION_RUNS_COLLECTION = "user_correlation_runs";
+
+// Account deletion. The packs collection also holds the daily roundup packs (algorithmVersion "daily_roundup_v1").
+registerUserDataDeletion({ key: "user_correlations", collection: USER_CORRELATIONS_COLLECTION, order: 30 });
+registerUserDataDeletion({ key: "user_analysis_correlation_packs", collection: COLLECTION, order: 31 });
+registerUserDataDeletion({ key: "user_analysis_reveals", collection: USER_CORRELATION_REVEALS_COLLECTION, order: 32 });
+registerUserDataDeletion({ key: "user_analysis_jobs", collection: USER_CORRELATION_JOBS_COLLECTION, order: 33 });
+registerUserDataDeletion({ key: "user_correlation_runs", collection: USER_CORRELATION_RUNS_COLLECTION, order: 34 });
+
 const PROGRESS_TRACKED_OUTCOMES = new Set([
   "checkin_mood",
   "checkin_clarity_score",
@@ -1242,6 +1861,17 @@ function computeLongTermResearchProgress({
   );
 }
 
+// BH q-value ceilings. Candidates from the server engine always carry qValue; packs uploaded by the app
+// don't, and keep the effect-size-only rules.
+const V1_MAX_Q_VALUE = 0.1;
+const EARLY_REVEAL_MAX_Q_VALUE = 0.05;
+
+function passesQValue(c, maxQ) {
+  if (c.qValue == null) return true;
+  const q = Number(c.qValue);
+  return Number.isFinite(q) && q <= maxQ;
+}
+
 function passesV1Threshold(c) {
   // Early surfacing rules (tunable)
   const mode = typeof c.mode === "string" ? c.mode : "";
@@ -1252,6 +1882,8 @@ function passesV1Threshold(c) {
   const n = Number.isFinite(Number(c.n)) ? Number(c.n) : null;
   if (n !== null && n < 8) return false;
 
+  if (!passesQValue(c, V1_MAX_Q_VALUE)) return false;
+
   if (mode === "continuous_spearman") {
     return Math.abs(strength) >= 0.35; // moderate+
   }
@@ -1268,6 +1900,8 @@ function passesEarlyRevealThreshold(c) {
   const n = Number.isFinite(Number(c.n)) ? Number(c.n) : null;
   if (n !== null && n < 8) return false;
 
+  if (!passesQValue(c, EARLY_REVEAL_MAX_Q_VALUE)) return false;
+
   if (mode === "continuous_spearman") {
     return Math.abs(strength) >= 0.4;
   }
@@ -1364,6 +1998,18 @@ function normalizeRevealJobMeta(jobMeta) {
   };
 }
 
+const CORRELATION_JOB_EVENT_FIELDS = [
+  "status",
+  "phase",
+  "isRunning",
+  "totalCandidates",
+  "processedCandidates",
+  "surfacedCount",
+  "startedAt",
+  "completedAt",
+  "error",
+];
+
 async function upsertCorrelationJobStatus(db, { userId, patch }) {
   if (!db || !userId || !patch || typeof patch !== "object") return;
 
@@ -1384,6 +2030,13 @@ async function upsertCorrelationJobStatus(db, { userId, patch }) {
     },
     { upsert: true }
   );
+
+  // Live progress for SSE subscribers (see services/jobEvents.js); only the fields this write changed.
+  const snapshot = {};
+  for (const k of CORRELATION_JOB_EVENT_FIELDS) {
+    if (patch[k] !== undefined) snapshot[k] = patch[k];
+  }
+  publishCorrelationJobEvent(String(userId), snapshot);
 }
 
 async function markCorrelationJobFailed(db, { userId, error }) {
@@ -1439,8 +2092,203 @@ export async function fetchUserCorrelationJobStatus(db, { userId }) {
   };
 }
 
+// --- Correlation lifecycle ---
+// Every engine run moves each tracked row through:
+//   emerging  → tracked but not shown (never surfaced, or back after retirement)
+//   confirmed → surfaced and still clearing the threshold
+//   weakening → surfaced, but recent runs missed it / it fell below threshold, or |strength| is fading
+//   retired   → stopped holding for LIFECYCLE_RETIRE_MISS_STREAK runs, or not seen for
+//               LIFECYCLE_RETIRE_STALE_DAYS; hidden again and has to re-earn surfacing
+// missStreak counts consecutive runs (one per dateKey) where the row was absent or below threshold.
+export const CORRELATION_LIFECYCLE_STATES = ["emerging", "confirmed", "weakening", "retired"];
+const LIFECYCLE_WEAKENING_MISS_STREAK = 3;
+const LIFECYCLE_RETIRE_MISS_STREAK = 10;
+const LIFECYCLE_RETIRE_STALE_DAYS = 45;
+const LIFECYCLE_FADE_RATIO = 0.6;
+const STRENGTH_HISTORY_SIZE = 8;
+const LIFECYCLE_HISTORY_SIZE = 20;
+
+// Rows written before lifecycle tracking have no state yet.
+export function currentCorrelationLifecycleState(doc) {
+  if (CORRELATION_LIFECYCLE_STATES.includes(doc?.lifecycleState)) return doc.lifecycleState;
+  return doc?.isSurfaced === true ? "confirmed" : "emerging";
+}
+
+function daysBetweenDateKeys(fromKey, toKey) {
+  const a = Date.parse(`${fromKey}T00:00:00Z`);
+  const b = Date.parse(`${toKey}T00:00:00Z`);
+  return Number.isFinite(a) && Number.isFinite(b) ? Math.round((b - a) / 86400000) : 0;
+}
+
+// Fading = the last two runs average well below the peak of the recent history.
+function isStrengthFading(history) {
+  const abs = (Array.isArray(history) ? history : [])
+    .map((h) => Math.abs(Number(h?.strength)))
+    .filter(Number.isFinite);
+  if (abs.length < 4) return false;
+  const peak = Math.max(...abs);
+  return peak > 0 && mean(abs.slice(-2)) < peak * LIFECYCLE_FADE_RATIO;
+}
+
+function deriveCorrelationLifecycleState(doc, dateKey) {
+  const missStreak = Number.isFinite(Number(doc?.missStreak)) ? Number(doc.missStreak) : 0;
+  const lastSeen = normalizeDateKey(doc?.lastSeenDateKey);
+  const staleDays = lastSeen ? daysBetweenDateKeys(lastSeen, dateKey) : 0;
+
+  if (staleDays >= LIFECYCLE_RETIRE_STALE_DAYS) return { state: "retired", reason: "not_seen_recently" };
+  if (missStreak >= LIFECYCLE_RETIRE_MISS_STREAK) return { state: "retired", reason: "stopped_holding" };
+  if (doc?.isSurfaced !== true) return { state: "emerging", reason: "tracking" };
+  if (missStreak >= LIFECYCLE_WEAKENING_MISS_STREAK) return { state: "weakening", reason: "missed_recent_runs" };
+  if (isStrengthFading(doc?.strengthHistory)) return { state: "weakening", reason: "strength_fading" };
+  return { state: "confirmed", reason: "holding" };
+}
+
+// $set / $push fragments for moving a row to `next`; empty when the state is unchanged.
+function buildLifecycleTransition(prevState, next, { now, dateKey }) {
+  if (prevState === next.state) return { set: {}, push: null };
+
+  const set = { lifecycleState: next.state, lifecycleChangedAt: now };
+  if (next.state === "retired") {
+    Object.assign(set, { isSurfaced: false, confirmStreak: 0, retiredAt: now, retiredReason: next.reason, strengthHistory: [] });
+  }
+  return {
+    set,
+    push: {
+      lifecycleHistory: {
+        $each: [{ from: prevState, to: next.state, reason: next.reason, dateKey, at: now }],
+        $slice: -LIFECYCLE_HISTORY_SIZE,
+      },
+    },
+  };
+}
+
+// Streaks move at most once per row and dateKey, so a manual + scheduled run on the same day don't
+// double-count (both for rows a run produced and for the misses below).
+function notEvaluatedFor(dateKey) {
+  return { lastEvaluatedDateKey: { $not: { $gte: dateKey } } };
+}
+
+// Rows this run didn't produce count as a miss. Returns how many rows were retired.
+async function advanceUnseenCorrelationLifecycles(db, { userObjectId, dateKey, seenIds = [], now = new Date() }) {
+  const col = db.collection(USER_CORRELATIONS_COLLECTION);
+  const notEvaluatedYet = notEvaluatedFor(dateKey);
+
+  const rows = await col
+    .find(
+      { userId: userObjectId, _id: { $nin: seenIds }, lifecycleState: { $ne: "retired" }, ...notEvaluatedYet },
+      { projection: { isSurfaced: 1, lifecycleState: 1, missStreak: 1, lastSeenDateKey: 1, strengthHistory: 1 } }
+    )
+    .toArray();
+
+  let retiredCount = 0;
+  for (const row of rows) {
+    const missStreak = (Number.isFinite(Number(row.missStreak)) ? Number(row.missStreak) : 0) + 1;
+    const next = deriveCorrelationLifecycleState({ ...row, missStreak }, dateKey);
+    const transition = buildLifecycleTransition(currentCorrelationLifecycleState(row), next, { now, dateKey });
+
+    const r = await col.updateOne(
+      { _id: row._id, ...notEvaluatedYet },
+      {
+        $set: { missStreak, confirmStreak: 0, lastEvaluatedDateKey: dateKey, ...transition.set },
+        ...(transition.push ? { $push: transition.push } : {}),
+      }
+    );
+    if (r?.modifiedCount && next.state === "retired") retiredCount += 1;
+  }
+  return retiredCount;
+}
+
+// Best-supported of two lags: lowest lag-adjusted p, then larger n, then larger |strength|.
+function isBetterSupportedLag(c, prev) {
+  const rankP = (x) => (isFiniteNumber(x.pLagAdjusted) ? x.pLagAdjusted : isFiniteNumber(x.pValue) ? x.pValue : 1);
+  return (
+    rankP(c) < rankP(prev) ||
+    (rankP(c) === rankP(prev) &&
+      ((Number(c.n) || 0) > (Number(prev.n) || 0) ||
+        ((Number(c.n) || 0) === (Number(prev.n) || 0) && Math.abs(Number(c.strength) || 0) > Math.abs(Number(prev.strength) || 0))))
+  );
+}
+
+// Candidates for the same (input, output, mode) at several lags (older single-lag packs, app uploads)
+// collapse to the best-supported one.
+function pickBestSupportedLags(candidates, lagDaysFallback) {
+  const best = new Map();
+  for (const c of candidates) {
+    const { inputKey, outputKey, mode } = buildCorrelationKey(c, lagDaysFallback);
+    const key = `${inputKey}|${outputKey}|${mode}`;
+    const prev = best.get(key);
+    if (!prev || isBetterSupportedLag(c, prev)) best.set(key, c);
+  }
+  return [...best.values()];
+}
+
+/**
+ * Rows promoted before multi-lag runs exist once per lag. Folds each (user, input, output, mode) group into
+ * its best-supported row, which keeps its own lag and stats plus the group's largest seenCount / confirmStreak,
+ * the latest feedback and the first surfacing; the other lag copies are deleted. A no-op once merged.
+ * Returns the number of rows removed.
+ */
+export async function mergeLegacyLagCorrelationRows(db) {
+  const col = db.collection(USER_CORRELATIONS_COLLECTION);
+  const groups = await col
+    .aggregate(
+      [
+        {
+          $group: {
+            _id: { userId: "$userId", inputKey: "$inputKey", outputKey: "$outputKey", mode: "$mode" },
+            ids: { $push: "$_id" },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray();
+
+  let removedCount = 0;
+  for (const group of groups) {
+    const rows = await col.find({ _id: { $in: group.ids } }).toArray();
+    if (rows.length < 2) continue;
+
+    const keeper = rows.reduce((best, r) => (isBetterSupportedLag(r, best) ? r : best));
+    const maxOf = (field) => Math.max(0, ...rows.map((r) => Number(r[field]) || 0));
+    const sortedKeys = (field) => rows.map((r) => r[field]).filter((v) => typeof v === "string").sort();
+    const byTime = (field) => (a, b) => new Date(a[field] ?? 0) - new Date(b[field] ?? 0);
+
+    const latestFeedbackRow = rows.filter((r) => r.feedback?.value).sort((a, b) => new Date(b.feedback.at ?? 0) - new Date(a.feedback.at ?? 0))[0];
+    const firstSurfacedRow = rows.filter((r) => r.surfacedAt).sort(byTime("surfacedAt"))[0];
+    const createdAt = rows.filter((r) => r.createdAt).sort(byTime("createdAt"))[0]?.createdAt;
+
+    const $set = {
+      seenCount: maxOf("seenCount"),
+      confirmStreak: maxOf("confirmStreak"),
+      ...(sortedKeys("firstSeenDateKey").length ? { firstSeenDateKey: sortedKeys("firstSeenDateKey")[0] } : {}),
+      ...(sortedKeys("lastSeenDateKey").length ? { lastSeenDateKey: sortedKeys("lastSeenDateKey").at(-1) } : {}),
+      ...(sortedKeys("lastEvaluatedDateKey").length ? { lastEvaluatedDateKey: sortedKeys("lastEvaluatedDateKey").at(-1) } : {}),
+      ...(createdAt ? { createdAt } : {}),
+      ...(latestFeedbackRow ? { feedback: latestFeedbackRow.feedback, feedbackPriority: latestFeedbackRow.feedbackPriority ?? 0 } : {}),
+      ...(firstSurfacedRow
+        ? {
+            surfacedAt: firstSurfacedRow.surfacedAt,
+            surfacedDateKey: firstSurfacedRow.surfacedDateKey ?? null,
+            surfacedReason: firstSurfacedRow.surfacedReason ?? null,
+          }
+        : {}),
+      // "disagree" keeps a finding hidden, whichever lag it was given on.
+      isSurfaced: latestFeedbackRow?.feedback?.value !== "disagree" && rows.some((r) => r.isSurfaced === true),
+      updatedAt: new Date(),
+    };
+
+    await col.updateOne({ _id: keeper._id }, { $set });
+    const r = await col.deleteMany({ _id: { $in: rows.filter((row) => row !== keeper).map((row) => row._id) } });
+    removedCount += r?.deletedCount ?? 0;
+  }
+  return removedCount;
+}
+
 export async function promoteCorrelationCandidates(db, payload) {
-  const { userId, dateKey, candidates, lagDays } = payload || {};
+  const { userId, dateKey, candidates, lagDays, engineVersion } = payload || {};
   const onProgress = typeof payload?.onProgress === "function" ? payload.onProgress : null;
 
   if (!userId || typeof userId !== "string") {
@@ -1474,21 +2322,25 @@ export async function promoteCorrelationCandidates(db, payload) {
   const isInitialPopulation = !existingForUser;
 
   // Only consider candidates that pass minimal schema sanity.
-  const normalized = candidates.map((c) => normalizeCandidate(c)).filter(Boolean);
+  const normalized = pickBestSupportedLags(candidates.map((c) => normalizeCandidate(c)).filter(Boolean), lagDays);
 
   let processedCount = 0;
   let newlySurfacedCount = 0;
+  let retiredCount = 0;
+  const seenIds = [];
 
   for (const c of normalized) {
     const { inputKey, outputKey, mode, lagDays: lag } = buildCorrelationKey(c, lagDays);
     if (!inputKey || !outputKey) continue;
 
+    // One row per (input, output, mode); lagDays is an attribute that follows the best-supported lag.
+    // Older per-lag copies are folded together at startup (mergeLegacyLagCorrelationRows); the writes
+    // below are pinned to the _id the upsert touched either way.
     const keyFilter = {
       userId: userObjectId,
       inputKey,
       outputKey,
       mode,
-      lagDays: lag,
     };
 
     const isStrongNow = passesV1Threshold(c);
@@ -1496,12 +2348,14 @@ export async function promoteCorrelationCandidates(db, payload) {
     // We track:
     // - seenCount: how many engine runs this candidate appeared in
     // - confirmStreak: consecutive runs meeting strength threshold
-    // - isSurfaced: whether we show it to the user
+    // - isSurfaced: whether we show it to the user (cleared again on retirement)
+    // - missStreak / strengthHistory: inputs to the lifecycle state (see deriveCorrelationLifecycleState)
     //
     // Promotion rules:
     // 1) Standard long-term surfacing: seenCount >= 5 AND confirmStreak >= 2
     // 2) Early reveal surfacing: very strong candidates can surface sooner so the
     //    reveal screen is never empty once the system says meaningful findings exist.
+    // 3) User feedback: "agree" / "already_knew" surfaces on any strong run; "disagree" never surfaces.
 
     const update = {
       $set: {
@@ -1509,6 +2363,8 @@ export async function promoteCorrelationCandidates(db, payload) {
         lastSeenDateKey: dateKey,
         direction: c.direction,
         strength: c.strength,
+        ...(Number.isFinite(lag) ? { lagDays: lag } : {}),
+        ...(typeof engineVersion === "string" && engineVersion ? { engineVersion } : {}),
         // optional metadata (kept fresh)
         ...(Number.isFinite(Number(c.n)) ? { n: Math.trunc(Number(c.n)) } : {}),
         ...(Number.isFinite(Number(c.nEvent)) ? { nEvent: Math.trunc(Number(c.nEvent)) } : {}),
@@ -1517,58 +2373,132 @@ export async function promoteCorrelationCandidates(db, payload) {
         ...(Number.isFinite(Number(c.meanNonEvent)) ? { meanNonEvent: Number(c.meanNonEvent) } : {}),
         ...(Number.isFinite(Number(c.threshold)) ? { threshold: Number(c.threshold) } : {}),
         ...(Number.isFinite(Number(c.delta)) ? { delta: Number(c.delta) } : {}),
+        ...(isFiniteNumber(c.pValue) ? { pValue: c.pValue } : {}),
+        ...(isFiniteNumber(c.pLagAdjusted) ? { pLagAdjusted: c.pLagAdjusted } : {}),
+        ...(isFiniteNumber(c.qValue) ? { qValue: c.qValue } : {}),
+        // Engine candidates always carry adjustedFor; a run that couldn't adjust clears the previous result.
+        ...(Array.isArray(c.adjustedFor)
+          ? {
+              adjustedFor: c.adjustedFor,
+              adjustedStrength: c.adjustedStrength ?? null,
+              adjustedPValue: c.adjustedPValue ?? null,
+              adjustedN: c.adjustedN ?? null,
+              survivesAdjustment: typeof c.survivesAdjustment === "boolean" ? c.survivesAdjustment : null,
+            }
+          : {}),
+        ...(Number.isFinite(c.lagsTested) ? { lagsTested: c.lagsTested } : {}),
+        ...(Array.isArray(c.lagProfile) ? { lagProfile: c.lagProfile } : {}),
       },
       $setOnInsert: {
         createdAt: now,
         firstSeenDateKey: dateKey,
         confirmStreak: 0,
         isSurfaced: false,
-      },
-      $inc: {
-        seenCount: 1,
+        feedbackPriority: 0,
       },
     };
 
-    // Two-step: apply base update, then compute streak/surface based on stored doc.
-    await col.updateOne(keyFilter, update, { upsert: true });
+    // Three steps: refresh the stats, count the run once per dateKey, then compute streak/surface
+    // from the stored doc. A second run on an already-evaluated dateKey leaves the counters alone.
+    const upserted = await col.findOneAndUpdate(keyFilter, update, {
+      upsert: true,
+      returnDocument: "after",
+      projection: { _id: 1 },
+    });
+    const rowFilter = { _id: upserted._id };
+    const counted = await col.updateOne(
+      { ...rowFilter, ...notEvaluatedFor(dateKey) },
+      {
+        $set: { lastEvaluatedDateKey: dateKey },
+        $inc: { seenCount: 1 },
+        $push: {
+          strengthHistory: { $each: [{ dateKey, strength: c.strength }], $slice: -STRENGTH_HISTORY_SIZE },
+        },
+      }
+    );
+    const firstRunForDateKey = counted.modifiedCount === 1;
 
-    const doc = await col.findOne(keyFilter, { projection: { seenCount: 1, confirmStreak: 1, isSurfaced: 1 } });
+    const doc = await col.findOne(rowFilter, {
+      projection: {
+        _id: 1,
+        seenCount: 1,
+        confirmStreak: 1,
+        isSurfaced: 1,
+        lifecycleState: 1,
+        missStreak: 1,
+        strengthHistory: 1,
+        feedback: 1,
+      },
+    });
+    if (doc?._id) seenIds.push(doc._id);
     const seenCount = Number.isFinite(Number(doc?.seenCount)) ? Number(doc.seenCount) : 1;
     const confirmStreakPrev = Number.isFinite(Number(doc?.confirmStreak)) ? Number(doc.confirmStreak) : 0;
+    const missStreakPrev = Number.isFinite(Number(doc?.missStreak)) ? Number(doc.missStreak) : 0;
     const isSurfacedPrev = doc?.isSurfaced === true;
-
-    const confirmStreak = isStrongNow ? confirmStreakPrev + 1 : 0;
-
-    const passesEarly = passesEarlyRevealThreshold(c);
-
-    const shouldSurface = !isSurfacedPrev && (
-      (seenCount >= 5 && confirmStreak >= 2) ||
-      (passesEarly && seenCount >= 2 && confirmStreak >= 1) ||
-      (isInitialPopulation && passesEarly && confirmStreak >= 1)
+    // Brand-new rows have no state yet; their first transition is recorded as from null.
+    const lifecycleStatePrev = doc?.seenCount > 1 || doc?.lifecycleState ? currentCorrelationLifecycleState(doc) : null;
+
+    const confirmStreak = !firstRunForDateKey ? confirmStreakPrev : isStrongNow ? confirmStreakPrev + 1 : 0;
+    const missStreak = !firstRunForDateKey ? missStreakPrev : isStrongNow ? 0 : missStreakPrev + 1;
+
+    // A finding that disappears once sleep / logging completeness / weekday are held fixed may still
+    // surface, but only through the slower standard path.
+    const passesEarly = passesEarlyRevealThreshold(c) && c.survivesAdjustment !== false;
+
+    const feedbackValue = doc?.feedback?.value ?? null;
+    const userConfirmed = feedbackValue === "agree" || feedbackValue === "already_knew";
+
+    const surfacedReason =
+      seenCount >= 5 && confirmStreak >= 2
+        ? "standard_threshold"
+        : isInitialPopulation && passesEarly && confirmStreak >= 1
+          ? "initial_reveal_threshold"
+          : passesEarly && seenCount >= 2 && confirmStreak >= 1
+            ? "early_reveal_threshold"
+            : userConfirmed && confirmStreak >= 1
+              ? "user_confirmed"
+              : null;
+    const shouldSurface = !isSurfacedPrev && feedbackValue !== "disagree" && surfacedReason != null;
+
+    const lifecycle = deriveCorrelationLifecycleState(
+      { ...doc, missStreak, lastSeenDateKey: dateKey, isSurfaced: isSurfacedPrev || shouldSurface },
+      dateKey
     );
+    const transition = buildLifecycleTransition(lifecycleStatePrev, lifecycle, { now, dateKey });
+    if (lifecycle.state === "retired" && lifecycleStatePrev !== "retired") retiredCount += 1;
 
     const patch = {
+      ...(transition.push ? { $push: transition.push } : {}),
       $set: {
         confirmStreak,
+        missStreak,
+        ...transition.set,
         ...(shouldSurface
           ? {
               isSurfaced: true,
               surfacedAt: now,
               surfacedDateKey: dateKey,
-              surfacedReason:
-                seenCount >= 5 && confirmStreak >= 2
-                  ? "standard_threshold"
-                  : (isInitialPopulation && passesEarly && confirmStreak >= 1)
-                    ? "initial_reveal_threshold"
-                    : "early_reveal_threshold",
+              surfacedReason,
             }
           : {}),
       },
     };
 
-    await col.updateOne(keyFilter, patch);
+    await col.updateOne(rowFilter, patch);
 
-    if (shouldSurface) newlySurfacedCount += 1;
+    if (shouldSurface) {
+      newlySurfacedCount += 1;
+      try {
+        await notifyUser(db, userId, {
+          type: "correlation_surfaced",
+          dedupeKey: `correlation:${doc?._id ?? `${inputKey}|${outputKey}|${mode}`}`,
+          title: "New pattern found",
+          data: { correlationId: doc?._id ? String(doc._id) : null, inputKey, outputKey, mode, lagDays: lag, direction: c.direction },
+        });
+      } catch (notifyErr) {
+        console.error("[UserAnalysis/Promote] Failed to queue correlation notification:", notifyErr);
+      }
+    }
 
     processedCount += 1;
     if (onProgress && (processedCount === 1 || processedCount % 25 === 0 || processedCount === normalized.length)) {
@@ -1580,16 +2510,174 @@ export async function promoteCorrelationCandidates(db, payload) {
     }
   }
 
-  return { newlySurfacedCount, processedCount };
+  retiredCount += await advanceUnseenCorrelationLifecycles(db, { userObjectId, dateKey, seenIds, now });
+
+  return { newlySurfacedCount, processedCount, retiredCount };
+}
+
+// One notification per finished run (keyed by the run's startedAt); best-effort.
+// Scheduled runs the user didn't ask for only notify when they surfaced something.
+async function notifyAnalysisCompleted(db, userIdRaw, startedAt, { trigger, totalCandidates, surfacedCount }) {
+  if (trigger === "scheduled" && !(surfacedCount > 0)) return;
+  try {
+    await notifyUser(db, userIdRaw, {
+      type: "analysis_completed",
+      dedupeKey: `analysis:${startedAt.toISOString()}`,
+      title: surfacedCount > 0 ? "Your analysis found something new" : "Your analysis is up to date",
+      data: { startedAt, completedAt: new Date(), totalCandidates, surfacedCount },
+    });
+  } catch (err) {
+    console.error("[UserAnalysis/Run] Failed to queue analysis notification:", err);
+  }
+}
+
+// Correlation runs go through the durable job queue (one live run per user).
+registerJobHandler(
+  "correlation_run",
+  async (db, job) => {
+    await runCorrelationEngineAndPromoteForUser(db, {
+      ...(job.payload || {}),
+      userId: String(job.userId),
+      jobId: String(job._id),
+    });
+  },
+  { maxAttempts: 3 }
+);
+
+/**
+ * Queues a correlation run and flips the user's job status to "queued" so pollers / SSE see it
+ * before a worker picks it up. options: { windowDays, lagDays, minSupportDays, topK, trigger? }.
+ */
+export async function enqueueCorrelationRun(db, { userId, ...options }) {
+  const userIdRaw = String(userId || "").trim();
+  if (!ObjectId.isValid(userIdRaw)) throw new Error("Missing or invalid userId");
+
+  const queued = await enqueueJob(db, { type: "correlation_run", userId: userIdRaw, payload: options });
+
+  // A run already in progress keeps its live status; it re-runs once it finishes.
+  if (queued.status === "queued") {
+    await upsertCorrelationJobStatus(db, {
+      userId: new ObjectId(userIdRaw),
+      patch: { status: "queued", phase: "queued", isRunning: false, error: null },
+    });
+  }
+  return queued;
+}
+
+/**
+ * Startup: status docs left "running" by a dead process. Runs that still have a queued/running job are
+ * shown as queued (the worker will resume them); anything else is marked failed instead of spinning forever.
+ */
+export async function reapInterruptedCorrelationJobStatuses(db) {
+  const jobsCol = db.collection(USER_CORRELATION_JOBS_COLLECTION);
+  const stuck = await jobsCol.find({ isRunning: true }, { projection: { userId: 1 } }).toArray();
+
+  let reaped = 0;
+  for (const doc of stuck) {
+    const live = await findLiveJob(db, { type: "correlation_run", userId: doc.userId });
+
+    if (live) {
+      await upsertCorrelationJobStatus(db, {
+        userId: doc.userId,
+        patch: { status: "queued", phase: "queued", isRunning: false },
+      });
+    } else {
+      await markCorrelationJobFailed(db, { userId: doc.userId, error: "Interrupted by a server restart" });
+    }
+    reaped += 1;
+  }
+  return reaped;
+}
+
+// Run history is best-effort: a failed history write never fails the run itself.
+async function startCorrelationRunRecord(db, { userObjectId, startedAt, options }) {
+  try {
+    const r = await db.collection(USER_CORRELATION_RUNS_COLLECTION).insertOne({
+      userId: userObjectId,
+      trigger: typeof options?.trigger === "string" && options.trigger.trim() ? options.trigger.trim() : "manual",
+      jobId: options?.jobId ? String(options.jobId) : null,
+      scheduledDateKey: options?.scheduledDateKey || null,
+      status: "running",
+      options: {
+        windowDays: options?.windowDays ?? null,
+        lagDays: options?.lagDays ?? null,
+        maxLagDays: options?.maxLagDays ?? null,
+        covariates: Array.isArray(options?.covariates) ? options.covariates : null,
+        minSupportDays: options?.minSupportDays ?? null,
+        topK: options?.topK ?? null,
+      },
+      startedAt,
+      completedAt: null,
+      dateKey: null,
+      totalCandidates: null,
+      surfacedCount: null,
+      error: null,
+    });
+    return r.insertedId;
+  } catch (err) {
+    console.error("[UserAnalysis/Run] Failed to record run start:", err);
+    return null;
+  }
+}
+
+async function finishCorrelationRunRecord(db, runId, patch) {
+  if (!runId) return;
+  try {
+    await db.collection(USER_CORRELATION_RUNS_COLLECTION).updateOne(
+      { _id: runId },
+      { $set: { ...patch, completedAt: new Date() } }
+    );
+  } catch (err) {
+    console.error("[UserAnalysis/Run] Failed to record run result:", err);
+  }
+}
+
+/**
+ * Newest runs first. Used by the history route and by the nightly scheduler
+ * (a user whose data hasn't changed since their last completed run is skipped).
+ */
+export async function listUserCorrelationRuns(db, { userId, limit = 20, status = null }) {
+  if (!db) throw new Error("DB not ready");
+
+  const userIdRaw = String(userId || "").trim();
+  if (!ObjectId.isValid(userIdRaw)) throw new Error("Missing or invalid userId");
+
+  const filter = { userId: new ObjectId(userIdRaw) };
+  if (status) filter.status = String(status);
+
+  const n = Math.max(1, Math.min(100, Math.trunc(Number(limit) || 20)));
+  const docs = await db
+    .collection(USER_CORRELATION_RUNS_COLLECTION)
+    .find(filter)
+    .sort({ startedAt: -1 })
+    .limit(n)
+    .toArray();
+
+  return docs.map((d) => ({
+    runId: String(d._id),
+    trigger: d.trigger || "manual",
+    jobId: d.jobId ?? null,
+    scheduledDateKey: d.scheduledDateKey ?? null,
+    status: d.status,
+    options: d.options || {},
+    startedAt: d.startedAt ?? null,
+    completedAt: d.completedAt ?? null,
+    dateKey: d.dateKey ?? null,
+    totalCandidates: d.totalCandidates ?? null,
+    surfacedCount: d.surfacedCount ?? null,
+    error: d.error ?? null,
+  }));
 }
 
 // Convenience wrapper: run the engine and immediately promote candidates.
+// options.trigger / jobId / scheduledDateKey only feed the run history.
 export async function runCorrelationEngineAndPromoteForUser(db, options) {
   const userIdRaw = String(options?.userId || "").trim();
   if (!userIdRaw) throw new Error("Missing userId");
 
   const userObjectId = new ObjectId(userIdRaw);
   const startedAt = new Date();
+  const runId = await startCorrelationRunRecord(db, { userObjectId, startedAt, options });
 
   await upsertCorrelationJobStatus(db, {
     userId: userObjectId,
@@ -1628,6 +2716,10 @@ export async function runCorrelationEngineAndPromoteForUser(db, options) {
     });
 
     if (totalCandidates === 0) {
+      // Nothing held this run, so every tracked row takes a miss.
+      if (normalizeDateKey(result?.dateKey)) {
+        await advanceUnseenCorrelationLifecycles(db, { userObjectId, dateKey: result.dateKey });
+      }
       await upsertCorrelationJobStatus(db, {
         userId: userObjectId,
         patch: {
@@ -1640,11 +2732,23 @@ export async function runCorrelationEngineAndPromoteForUser(db, options) {
           completedAt: new Date(),
         },
       });
+      await notifyAnalysisCompleted(db, userIdRaw, startedAt, {
+        trigger: options?.trigger,
+        totalCandidates: 0,
+        surfacedCount: 0,
+      });
+      await finishCorrelationRunRecord(db, runId, {
+        status: "complete",
+        dateKey: result?.dateKey || null,
+        totalCandidates: 0,
+        surfacedCount: 0,
+      });
       return { ...result, promotedCount: 0 };
     }
 
     const promoted = await promoteCorrelationCandidates(db, {
       userId: userIdRaw,
+      engineVersion: CORRELATION_ENGINE_VERSION,
       dateKey: result?.dateKey || null,
       candidates,
       lagDays: result?.lagDays,
@@ -1675,6 +2779,17 @@ export async function runCorrelationEngineAndPromoteForUser(db, options) {
         completedAt: new Date(),
       },
     });
+    await notifyAnalysisCompleted(db, userIdRaw, startedAt, {
+      trigger: options?.trigger,
+      totalCandidates,
+      surfacedCount: promoted?.newlySurfacedCount ?? 0,
+    });
+    await finishCorrelationRunRecord(db, runId, {
+      status: "complete",
+      dateKey: result?.dateKey || null,
+      totalCandidates,
+      surfacedCount: promoted?.newlySurfacedCount ?? 0,
+    });
 
     return { ...result, promotedCount: promoted?.newlySurfacedCount ?? 0 };
   } catch (err) {
@@ -1682,8 +2797,140 @@ export async function runCorrelationEngineAndPromoteForUser(db, options) {
       userId: userObjectId,
       error: err?.message || err,
     });
+    await finishCorrelationRunRecord(db, runId, { status: "failed", error: String(err?.message || err) });
+    throw err;
+  }
+}
+
+// --- Day-level views of one stored correlation (dose-response, evidence) ---
+
+const DOSE_RESPONSE_DEFAULT_BINS = 5;
+const DOSE_RESPONSE_MAX_BINS = 10;
+
+// Loads a user's daily totals for the last windowDays (+ lag) in dateKey order, the same slice the engine uses.
+// The newest `want` days, oldest first.
+async function loadCorrelationWindowDocs(db, userId, windowDays, lagDays) {
+  const want = Math.min(Math.max(windowDays + lagDays + 10, 30), 450);
+  const docs = await db
+    .collection("user_daily_totals")
+    .find(
+      { $or: buildUserIdFilters(userId), dateKey: { $regex: /^\d{4}-\d{2}-\d{2}$/ } },
+      { projection: { dateKey: 1, totals: 1, totals_estimated: 1, ingredients_exposure: 1 } }
+    )
+    .sort({ dateKey: -1 })
+    .limit(want)
+    .toArray();
+
+  return docs.filter((d) => normalizeDateKey(d?.dateKey)).reverse();
+}
+
+export async function findUserCorrelationRow(db, userId, correlationId) {
+  const userIdRaw = String(userId || "").trim();
+  const idRaw = String(correlationId || "").trim();
+  if (!ObjectId.isValid(userIdRaw) || !ObjectId.isValid(idRaw)) {
+    const err = new Error("Missing or invalid userId / correlationId");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const row = await db
+    .collection(USER_CORRELATIONS_COLLECTION)
+    .findOne({ _id: new ObjectId(idRaw), $or: buildUserIdFilters(userIdRaw) });
+  if (!row) {
+    const err = new Error("Correlation not found");
+    err.statusCode = 404;
     throw err;
   }
+  return row;
+}
+
+// Quantile bins over x. Edges are de-duplicated, so a spike of identical values (e.g. many 0-dose days)
+// becomes one bin instead of several empty ones.
+function buildQuantileBins(points, binCount) {
+  const xs = points.map((p) => p.x).sort((a, b) => a - b);
+  const edges = [];
+  for (let i = 0; i <= binCount; i++) {
+    const e = percentile(xs, i / binCount);
+    if (!edges.length || e > edges[edges.length - 1]) edges.push(e);
+  }
+  if (edges.length === 1) edges.push(edges[0]);
+
+  const bins = Array.from({ length: edges.length - 1 }, () => []);
+  for (const p of points) {
+    let j = bins.length - 1;
+    while (j > 0 && p.x < edges[j]) j--;
+    bins[j].push(p);
+  }
+
+  return bins
+    .filter((list) => list.length > 0)
+    .map((list, index) => {
+      const ys = list.map((p) => p.y);
+      const m = mean(ys);
+      const sd = ys.length >= 2 ? stdev(ys) : null;
+      const half = sd != null ? studentTCritical(0.05, ys.length - 1) * (sd / Math.sqrt(ys.length)) : null;
+      return {
+        index,
+        xMin: Math.min(...list.map((p) => p.x)),
+        xMax: Math.max(...list.map((p) => p.x)),
+        xMean: mean(list.map((p) => p.x)),
+        n: ys.length,
+        outcomeMean: m,
+        outcomeSd: sd,
+        ci95: half != null ? [m - half, m + half] : null,
+      };
+    });
+}
+
+/**
+ * loadCorrelationDayPoints(db, { userId, correlationId, windowDays = 120 })
+ * Rebuilds the lag-aligned day pairs behind a stored correlation (nothing per-day is stored with it).
+ * Returns { row, correlation, windowDays, points: [{ dateKeyX, dateKeyY, x, y }] }.
+ */
+export async function loadCorrelationDayPoints(db, { userId, correlationId, windowDays }) {
+  if (!db) throw new Error("DB not ready");
+
+  const row = await findUserCorrelationRow(db, userId, correlationId);
+  const lagDays = Number.isFinite(Number(row.lagDays)) ? Math.trunc(Number(row.lagDays)) : 1;
+  const window = clamp(Math.trunc(Number(windowDays) || 120), 14, 365);
+
+  const docs = await loadCorrelationWindowDocs(db, String(userId), window, lagDays);
+  const points = buildAlignedLagPairs(docs, lagDays)
+    .map((p) => ({ dateKeyX: p.dateKeyX, dateKeyY: p.dateKeyY, x: p.x?.[row.inputKey], y: p.y?.[row.outputKey] }))
+    .filter((p) => isFiniteNumber(p.x) && isFiniteNumber(p.y));
+
+  const correlation = {
+    id: String(row._id),
+    inputKey: row.inputKey,
+    outputKey: row.outputKey,
+    mode: row.mode ?? null,
+    lagDays,
+    direction: row.direction ?? null,
+    strength: row.strength ?? null,
+    threshold: row.threshold ?? null,
+  };
+
+  return { row, correlation, windowDays: window, points };
+}
+
+/**
+ * getCorrelationDoseResponse(db, { userId, correlationId, bins = 5, windowDays = 120 })
+ * Bins the input of a stored correlation's day pairs into quantiles.
+ * Returns { correlation, windowDays, points: [{ dateKeyX, dateKeyY, x, y }], bins: [...], message? }.
+ */
+export async function getCorrelationDoseResponse(db, { userId, correlationId, bins, windowDays }) {
+  const { correlation, windowDays: window, points } = await loadCorrelationDayPoints(db, {
+    userId,
+    correlationId,
+    windowDays,
+  });
+  const binCount = clamp(Math.trunc(Number(bins) || DOSE_RESPONSE_DEFAULT_BINS), 2, DOSE_RESPONSE_MAX_BINS);
+
+  if (points.length < 10) {
+    return { correlation, windowDays: window, points, bins: [], message: "Not enough aligned days to chart yet." };
+  }
+
+  return { correlation, windowDays: window, points, bins: buildQuantileBins(points, binCount) };
 }
 
 export async function getUserCorrelationProgress(db, { userId }) {
@@ -2,6 +2,9 @@
 import { ObjectId } from "mongodb";
 import { usersCollection, userMealsCollection, foodItemsCollection } from "./mongo.js";
 import crypto from "crypto";
+import { registerUserDataDeletion } from "./deletion.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.js";
+import { isValidDateKey } from "./users.js";
 
 // --- ObjectId helpers ---
 function coerceObjectId(value) {
@@ -20,14 +23,65 @@ function toObjectIdString(value) {
   return oid ? oid.toString() : (typeof value === "string" ? value : null);
 }
 
+// Account deletion: meals first, then the per-day totals derived from them.
+registerUserDataDeletion({ key: "user_meals", collection: "user_meals", order: 10 });
+registerUserDataDeletion({ key: "user_daily_totals", collection: "user_daily_totals", order: 20 });
+
+// Background recomputes (services/jobQueue.js). Used when an inline recompute fails, or by callers that
+// don't need the totals in their response.
+registerJobHandler("recompute_daily_totals", async (db, job) => {
+  await recomputeDailyNutritionTotals(db, job.userId, job.dateKey);
+  await queueAdherenceAwards(db, job.userId, "recompute_daily_totals");
+});
+registerJobHandler("recompute_ingredient_exposure", async (db, job) => {
+  await recomputeDailyIngredientExposure(db, job.userId, job.dateKey);
+});
+
+// Adherence streaks change with the totals; the award update itself runs as a job (see userAnalysis.js).
+const ADHERENCE_AWARDS_DELAY_MS = 30 * 1000;
+
+async function queueAdherenceAwards(db, userObjectId, logLabel) {
+  try {
+    await enqueueJob(db, { type: "adherence_awards", userId: userObjectId, delayMs: ADHERENCE_AWARDS_DELAY_MS });
+  } catch (e) {
+    console.error(`[${logLabel}] failed to queue adherence_awards:`, e?.message || e);
+  }
+}
+
+/**
+ * Recomputes a day's totals + ingredient exposure inline; whatever fails is handed to the job queue
+ * so it's retried durably instead of being lost. Never throws.
+ */
+export async function recomputeDayOrEnqueue(db, userObjectId, dateKey, logLabel = "recompute") {
+  const pending = [];
+  try {
+    await recomputeDailyNutritionTotals(db, userObjectId, dateKey);
+    await queueAdherenceAwards(db, userObjectId, logLabel);
+  } catch (e) {
+    console.error(`[${logLabel}] totals recompute failed for ${dateKey}, queueing:`, e?.message || e);
+    pending.push("recompute_daily_totals");
+  }
+  try {
+    await recomputeDailyIngredientExposure(db, userObjectId, dateKey);
+  } catch (e) {
+    console.error(`[${logLabel}] exposure recompute failed for ${dateKey}, queueing:`, e?.message || e);
+    pending.push("recompute_ingredient_exposure");
+  }
+
+  for (const type of pending) {
+    try {
+      await enqueueJob(db, { type, userId: userObjectId, dateKey });
+    } catch (e) {
+      console.error(`[${logLabel}] failed to queue ${type} for ${dateKey}:`, e?.message || e);
+    }
+  }
+  return pending.length === 0;
+}
+
 // userMealsCollection should be initialized in mongo.js like:
 // export const userMealsCollection = db.collection("user_meals");
 
 // --- DateKey helpers (timezone-aware logical day) ---
-function isValidDateKey(dateKey) {
-  return typeof dateKey === "string" && /^\d{4}-\d{2}-\d{2}$/.test(dateKey);
-}
-
 function safeTimeZone(tz) {
   const s = typeof tz === "string" ? tz.trim() : "";
   return s.length > 0 ? s : null;
@@ -271,7 +325,265 @@ const DAILY_PANEL_NUTRIENTS = {
   zeaxanthin: { field: "zeaxanthin_ug", unit: "µg" },
 };
 
-export async function logUserMeal(userId, payload) {
+// Every numeric field recomputeDailyNutritionTotals writes into `totals` / `totals_estimated`
+// (the docs also carry client-patched extras like checkin_* that are not nutrients).
+export function listDailyNutrientFields() {
+  const fields = new Set(Object.values(DAILY_PANEL_NUTRIENTS).map((cfg) => cfg.field));
+  fields.add("water_from_drinks_ml");
+  fields.add("water_total_ml");
+  return [...fields];
+}
+
+// --- Normalize meal items so we NEVER replace the Canadian/scanned foodId with the USDA equivalent.
+// The client may optionally provide a USDA equivalent id plus a toggle.
+// Goal:
+//  - Store the *primary* (Canadian/off/user-enriched) id in `foodId`.
+//  - Store the linked USDA id (if any) in `usdaEquivalentFoodId`.
+//  - Store the toggle in `useUSDAEquivalent`.
+// This allows recomputeDailyNutritionTotals to add confident totals from `foodId`,
+// and add only the *delta* (USDA - Canadian) to totals_estimated when toggled on.
+export function normalizeMealItemsForUSDAEquivalent(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const items = Array.isArray(payload.items) ? payload.items : [];
+
+  payload.items = items.map((it) => {
+    if (!it || typeof it !== "object") return it;
+
+    // Accept a few possible client field names (older/newer clients).
+    const canadianId = String(
+      it.canadianFoodId ||
+      it.originalFoodId ||
+      it.primaryFoodId ||
+      ""
+    ).trim();
+
+    const usdaEqId = String(
+      it.usdaEquivalentFoodId ||
+      it.usda_equivalent_food_id ||
+      it.usdaEquivalentId ||
+      ""
+    ).trim();
+
+    const wantsUSDA =
+      it.useUSDAEquivalent === true ||
+      it.useUsdaEquivalent === true ||
+      it.use_usda_equivalent === true;
+
+    // If the client provided a Canadian id, it must be the stored foodId.
+    // This fixes the bug where meals were being recorded as the USDA doc.
+    const storedFoodId = canadianId || (it.foodId != null ? String(it.foodId).trim() : "");
+
+    // If the client accidentally put the USDA id into foodId while also sending canadianFoodId,
+    // we correct it by forcing foodId=canadian and retaining the USDA id separately.
+    const correctedFoodId = canadianId ? canadianId : storedFoodId;
+
+    // Build a normalized item object, preserving all original fields.
+    const out = {
+      ...it,
+      foodId: correctedFoodId || it.foodId,
+    };
+
+    // Persist linkage fields when present
+    if (usdaEqId) {
+      out.usdaEquivalentFoodId = usdaEqId;
+      out.usda_equivalent_food_id = usdaEqId;
+    }
+
+    // Persist the toggle explicitly (default false)
+    out.useUSDAEquivalent = !!wantsUSDA;
+    out.useUsdaEquivalent = !!wantsUSDA;
+    out.use_usda_equivalent = !!wantsUSDA;
+
+    return out;
+  });
+
+  return payload;
+}
+
+// --- Normalize quantities so calculations use canonical units (g/ml/serving) when provided.
+// The client may send BOTH:
+//  - UI quantity: quantity + quantityUnit (e.g. 3 slice)
+//  - Normalized quantity: normalizedQuantity + normalizedQuantityUnit (e.g. 36 g)
+// Rule:
+//  - If normalizedQuantity/unit is present and valid, we store the UI quantity in uiQuantity/uiQuantityUnit
+//    and replace quantity/quantityUnit with the normalized values for downstream calculations.
+//  - We also keep the normalizedQuantity* fields intact for auditing/debug.
+export function normalizeMealItemsForNormalizedQuantity(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const items = Array.isArray(payload.items) ? payload.items : [];
+
+  const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+  const normalizeUnit = (u) => {
+    const raw = String(u || "").trim().toLowerCase();
+    if (!raw) return "";
+    if (raw === "grams") return "g";
+    if (raw === "milliliters" || raw === "millilitres") return "ml";
+    if (raw === "servings") return "serving";
+    return raw;
+  };
+
+  const isCanonicalUnit = (u) => {
+    const unit = normalizeUnit(u);
+    return unit === "g" || unit === "ml" || unit === "serving";
+  };
+
+  payload.items = items.map((it) => {
+    if (!it || typeof it !== "object") return it;
+
+    // Read UI quantity (support either legacy numeric fields or object form)
+    const uiQty = typeof it.quantity === "object" && it.quantity
+      ? (isFiniteNumber(it.quantity.value) ? it.quantity.value : null)
+      : (isFiniteNumber(it.quantity) ? it.quantity : null);
+
+    const uiUnit = typeof it.quantity === "object" && it.quantity
+      ? normalizeUnit(it.quantity.unit)
+      : normalizeUnit(it.quantityUnit || it.unit);
+
+    const uiIsEstimate = typeof it.quantity === "object" && it.quantity
+      ? (typeof it.quantity.isEstimate === "boolean" ? it.quantity.isEstimate : null)
+      : (typeof it.quantityIsEstimate === "boolean" ? it.quantityIsEstimate : null);
+
+    // Read normalized quantity (support either numeric flat fields or object form)
+    const nQty = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
+      ? (isFiniteNumber(it.normalizedQuantity.value) ? it.normalizedQuantity.value : null)
+      : (isFiniteNumber(it.normalizedQuantity) ? it.normalizedQuantity : null);
+
+    const nUnit = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
+      ? normalizeUnit(it.normalizedQuantity.unit)
+      : normalizeUnit(it.normalizedQuantityUnit || it.normalizedQuantity_unit);
+
+    const nIsEstimate = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
+      ? (typeof it.normalizedQuantity.isEstimate === "boolean" ? it.normalizedQuantity.isEstimate : null)
+      : (typeof it.normalizedQuantityIsEstimate === "boolean" ? it.normalizedQuantityIsEstimate : null);
+
+    const nBasis = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
+      ? (it.normalizedQuantity.basis != null ? String(it.normalizedQuantity.basis) : null)
+      : (it.normalizedQuantityBasis != null ? String(it.normalizedQuantityBasis) : null);
+
+    const nConf = typeof it.normalizedQuantity === "object" && it.normalizedQuantity
+      ? (isFiniteNumber(it.normalizedQuantity.confidence) ? it.normalizedQuantity.confidence : null)
+      : (isFiniteNumber(it.normalizedQuantityConfidence) ? it.normalizedQuantityConfidence : null);
+
+    // If the client gave us a canonical normalized quantity, use it for calculations.
+    if (nQty != null && nUnit && isCanonicalUnit(nUnit)) {
+      // Preserve UI quantity for display/audit.
+      it.uiQuantity = uiQty;
+      it.uiQuantityUnit = uiUnit || null;
+      if (uiIsEstimate != null) it.uiQuantityIsEstimate = uiIsEstimate;
+
+      // Force canonical quantity for downstream math.
+      it.quantity = nQty;
+      it.quantityUnit = normalizeUnit(nUnit);
+      if (nIsEstimate != null) it.quantityIsEstimate = nIsEstimate;
+      if (nBasis != null) it.quantityBasis = nBasis;
+      if (nConf != null) it.quantityConfidence = nConf;
+
+      // Also keep a structured normalizedQuantity object for persistence.
+      it.normalizedQuantity = {
+        value: nQty,
+        unit: normalizeUnit(nUnit),
+        isEstimate: nIsEstimate === true,
+        basis: nBasis || "gpt",
+        confidence: nConf != null ? nConf : 1,
+      };
+
+      // Mirror common legacy keys (flat) so older code can still read them.
+      it.normalizedQuantityUnit = normalizeUnit(nUnit);
+      it.normalizedQuantityIsEstimate = nIsEstimate === true;
+      if (nBasis != null) it.normalizedQuantityBasis = nBasis;
+      if (nConf != null) it.normalizedQuantityConfidence = nConf;
+    }
+
+    return it;
+  });
+
+  return payload;
+}
+
+// Maps client meal items to the stored shape (ObjectId food ids, quantity object). Used by log + update.
+function buildStoredMealItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items.map((it) => {
+    // quantity can be either the newer object shape ({ value, unit, isEstimate, ... })
+    // or a legacy/simple number (e.g. 250) with quantityUnit (e.g. "ml").
+    let qty = null;
+    if (it.quantity && typeof it.quantity === "object") {
+      // Clone so we can safely add/normalize fields without mutating the caller payload.
+      qty = { ...it.quantity };
+    } else if (typeof it.quantity === "number" && Number.isFinite(it.quantity)) {
+      qty = {
+        value: it.quantity,
+        unit: it.quantityUnit || "g",
+        isEstimate: false,
+        basis: "ui",
+        confidence: 1,
+      };
+    }
+
+    // If the client supplies a preparation hint (e.g., "prepared" for condensed foods),
+    // store it inside the quantity object so recompute can apply prepared_volume_multiplier.
+    if (qty && typeof it.quantityPreparation === "string" && it.quantityPreparation.trim()) {
+      // Only set if not already provided by newer clients.
+      if (typeof qty.preparation !== "string" || !qty.preparation.trim()) {
+        qty.preparation = it.quantityPreparation.trim();
+      }
+    }
+
+    const qtyUnit = qty?.unit ? String(qty.unit) : null;
+
+    // Canadian (primary) id
+    const primaryFoodIdRaw = it.canadianFoodId || it.originalFoodId || it.primaryFoodId || it.foodId;
+    // USDA equivalent id
+    const usdaEqRaw = it.usdaEquivalentFoodId || it.usda_equivalent_food_id || it.usdaFoodId;
+    // Toggle for using USDA equivalent
+    const useUsdaEq =
+      typeof it.useUSDAEquivalent === "boolean"
+        ? it.useUSDAEquivalent
+        : typeof it.useUsdaEquivalent === "boolean"
+          ? it.useUsdaEquivalent
+          : typeof it.use_usda_equivalent === "boolean"
+            ? it.use_usda_equivalent
+            : false;
+
+    return {
+      name: it.name,
+
+      // Always store the PRIMARY (typically Canadian) food id as the meal's foodId
+      foodId: primaryFoodIdRaw ? new ObjectId(primaryFoodIdRaw) : null,
+
+      // Preserve the USDA equivalent separately so daily totals can compute a delta
+      usdaEquivalentFoodId: usdaEqRaw ? new ObjectId(usdaEqRaw) : null,
+      useUSDAEquivalent: useUsdaEq,
+
+      quantity: qty, // { value, unit, isEstimate, ... }
+
+      // Keep a convenient top-level unit for older clients / debugging.
+      // Prefer the explicit quantity.unit when present.
+      quantityUnit: qtyUnit || it.quantityUnit || "g",
+
+      confidence: typeof it.confidence === "number" ? it.confidence : null,
+    };
+  });
+}
+
+// Response shape for stored meal items (ids as strings).
+function mapStoredMealItemsForResponse(items) {
+  return Array.isArray(items)
+    ? items.map((it) => ({
+        name: it.name,
+        foodId: it.foodId ? it.foodId.toString() : null,
+        usdaEquivalentFoodId: it.usdaEquivalentFoodId ? it.usdaEquivalentFoodId.toString() : null,
+        useUSDAEquivalent: Boolean(it.useUSDAEquivalent),
+        quantity: it.quantity,
+        quantityUnit: it.quantityUnit,
+        confidence: it.confidence,
+      }))
+    : [];
+}
+
+// options.skipRecompute: bulk callers (e.g. meal import) recompute each dateKey once themselves.
+export async function logUserMeal(userId, payload, options = {}) {
   const userObjectId = coerceObjectId(userId);
   if (!userObjectId) {
     const err = new Error("Invalid userId");
@@ -403,85 +715,13 @@ export async function logUserMeal(userId, payload) {
         dateKey: existing.dateKey || dateKey,
         timezone: existing.timezone || tzForMeal,
         description: existing.description || null,
-        items: Array.isArray(existing.items)
-          ? existing.items.map((it) => ({
-              name: it.name,
-              foodId: it.foodId ? it.foodId.toString() : null,
-              usdaEquivalentFoodId: it.usdaEquivalentFoodId ? it.usdaEquivalentFoodId.toString() : null,
-              useUSDAEquivalent: Boolean(it.useUSDAEquivalent),
-              quantity: it.quantity,
-              quantityUnit: it.quantityUnit,
-              confidence: it.confidence,
-            }))
-          : [],
+        items: mapStoredMealItemsForResponse(existing.items),
         deduped: true,
       };
     }
   }
 
-  const safeItems = Array.isArray(items)
-    ? items.map((it) => {
-        // quantity can be either the newer object shape ({ value, unit, isEstimate, ... })
-        // or a legacy/simple number (e.g. 250) with quantityUnit (e.g. "ml").
-        let qty = null;
-        if (it.quantity && typeof it.quantity === "object") {
-          // Clone so we can safely add/normalize fields without mutating the caller payload.
-          qty = { ...it.quantity };
-        } else if (typeof it.quantity === "number" && Number.isFinite(it.quantity)) {
-          qty = {
-            value: it.quantity,
-            unit: it.quantityUnit || "g",
-            isEstimate: false,
-            basis: "ui",
-            confidence: 1,
-          };
-        }
-
-        // If the client supplies a preparation hint (e.g., "prepared" for condensed foods),
-        // store it inside the quantity object so recompute can apply prepared_volume_multiplier.
-        if (qty && typeof it.quantityPreparation === "string" && it.quantityPreparation.trim()) {
-          // Only set if not already provided by newer clients.
-          if (typeof qty.preparation !== "string" || !qty.preparation.trim()) {
-            qty.preparation = it.quantityPreparation.trim();
-          }
-        }
-
-        const qtyUnit = qty?.unit ? String(qty.unit) : null;
-
-        // Canadian (primary) id
-        const primaryFoodIdRaw = it.canadianFoodId || it.originalFoodId || it.primaryFoodId || it.foodId;
-        // USDA equivalent id
-        const usdaEqRaw = it.usdaEquivalentFoodId || it.usda_equivalent_food_id || it.usdaFoodId;
-        // Toggle for using USDA equivalent
-        const useUsdaEq =
-          typeof it.useUSDAEquivalent === "boolean"
-            ? it.useUSDAEquivalent
-            : typeof it.useUsdaEquivalent === "boolean"
-              ? it.useUsdaEquivalent
-              : typeof it.use_usda_equivalent === "boolean"
-                ? it.use_usda_equivalent
-                : false;
-
-        return {
-          name: it.name,
-
-          // Always store the PRIMARY (typically Canadian) food id as the meal's foodId
-          foodId: primaryFoodIdRaw ? new ObjectId(primaryFoodIdRaw) : null,
-
-          // Preserve the USDA equivalent separately so daily totals can compute a delta
-          usdaEquivalentFoodId: usdaEqRaw ? new ObjectId(usdaEqRaw) : null,
-          useUSDAEquivalent: useUsdaEq,
-
-          quantity: qty, // { value, unit, isEstimate, ... }
-
-          // Keep a convenient top-level unit for older clients / debugging.
-          // Prefer the explicit quantity.unit when present.
-          quantityUnit: qtyUnit || it.quantityUnit || "g",
-
-          confidence: typeof it.confidence === "number" ? it.confidence : null,
-        };
-      })
-    : [];
+  const safeItems = buildStoredMealItems(items);
 
   const doc = {
     userId: userObjectId,
@@ -499,19 +739,16 @@ export async function logUserMeal(userId, payload) {
 
   // Recompute daily totals immediately so rings update without relying on other code paths.
   // Use the collection's db handle (avoids needing to thread `db` through every caller).
-  try {
-    const db = userMealsCollection?.db;
-    if (db && dateKey) {
-      await recomputeDailyNutritionTotals(db, userObjectId, dateKey);
-      await recomputeDailyIngredientExposure(db, userObjectId, dateKey);
-    } else {
-      console.warn("[logUserMeal] skip recompute (missing db/dateKey)", {
-        hasDb: Boolean(db),
-        dateKey,
-      });
-    }
-  } catch (e) {
-    console.error("[logUserMeal] recomputeDailyNutritionTotals failed", e?.message || e);
+  const db = userMealsCollection?.db;
+  if (options?.skipRecompute === true) {
+    // caller handles recompute
+  } else if (db && dateKey) {
+    await recomputeDayOrEnqueue(db, userObjectId, dateKey, "logUserMeal");
+  } else {
+    console.warn("[logUserMeal] skip recompute (missing db/dateKey)", {
+      hasDb: Boolean(db),
+      dateKey,
+    });
   }
 
   // Shape a small response back to the app
@@ -522,16 +759,339 @@ export async function logUserMeal(userId, payload) {
     dateKey,
     timezone: doc.timezone,
     description: doc.description,
-    items: safeItems.map((it) => ({
-      name: it.name,
-      foodId: it.foodId ? it.foodId.toString() : null,
-      usdaEquivalentFoodId: it.usdaEquivalentFoodId ? it.usdaEquivalentFoodId.toString() : null,
-      useUSDAEquivalent: Boolean(it.useUSDAEquivalent),
-      quantity: it.quantity,
-      quantityUnit: it.quantityUnit,
-      confidence: it.confidence
-    }))
+    items: mapStoredMealItemsForResponse(safeItems),
+  };
+}
+
+// --- Nutrient math (module-level so recipes can reuse it; see services/recipes.js) ---
+const toNumber = (v) => {
+  if (typeof v === "number" && Number.isFinite(v)) return v;
+
+  if (typeof v === "string") {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // Handle Mongo numeric wrappers (e.g., Decimal128) and other numeric-like objects.
+  // We rely on toString() and then Number(...) so this stays dataset-agnostic.
+  if (v && typeof v === "object") {
+    try {
+      const s = typeof v.toString === "function" ? String(v.toString()) : "";
+      if (s) {
+        const n = Number(s);
+        return Number.isFinite(n) ? n : null;
+      }
+    } catch {
+      // ignore
+    }
+  }
+
+  return null;
+};
+
+// Debug logging for recompute
+const DEBUG_RECOMPUTE = String(process.env.DEBUG_RECOMPUTE || "").toLowerCase() === "true";
+const debugLog = (...args) => {
+  if (DEBUG_RECOMPUTE) console.log(...args);
+};
+const debugWarn = (...args) => {
+  if (DEBUG_RECOMPUTE) console.warn(...args);
+};
+
+const toUnitString = (v) => (typeof v === "string" ? v.trim() : "");
+// Normalize common unit variants so OFF/USDA differences don't silently drop nutrients.
+const normalizeUnit = (u) => {
+  const s = String(u || "").trim();
+  if (!s) return "";
+  const lower = s.toLowerCase();
+  if (lower === "ug") return "µg";
+  if (lower === "mcg") return "µg";
+  if (lower === "iu") return "iu";
+  if (lower === "kj") return "kj";
+  if (lower === "kcal") return "kcal";
+  if (lower === "mg") return "mg";
+  if (lower === "g") return "g";
+  return s;
+};
+
+// --- Safe mass-unit conversion (g <-> mg <-> µg) ---
+function unitMultiplier(fromUnit, toUnit) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (!from || !to) return null;
+  if (from === to) return 1;
+
+  // Only support mass conversions here (avoid kcal<->kJ, IU<->µg, etc.)
+  const mass = new Set(["g", "mg", "µg"]);
+  if (!mass.has(from) || !mass.has(to)) return null;
+
+  const scale = { "g": 1, "mg": 1e-3, "µg": 1e-6 };
+  const fromG = scale[from];
+  const toG = scale[to];
+  if (typeof fromG !== "number" || typeof toG !== "number") return null;
+
+  // Convert value in `from` to `to`:
+  // value_to = value_from * (from_in_g / to_in_g)
+  return fromG / toG;
+}
+
+function convertIfNeeded(value, fromUnit, toUnit) {
+  if (typeof value !== "number" || Number.isNaN(value)) return null;
+  const mult = unitMultiplier(fromUnit, toUnit);
+  if (mult == null) return null;
+  return value * mult;
+}
+
+// --- OFF fallback: synthesize a nutrients[] array from food.off_nutriments so serving-based meals work ---
+function getNormalizedNutrientsForFood(food) {
+  const arr = Array.isArray(food?.nutrients) ? food.nutrients : [];
+  if (arr.length) return arr;
+
+  const off = food?.off_nutriments;
+  if (!off || typeof off !== "object") return [];
+
+  const out = [];
+
+  // Helper to push an OFF nutrient (supports both per 100g and per serving)
+  const pushOff = (offBaseKey, unifiedKey, fallbackUnit) => {
+    const unitRaw = off[`${offBaseKey}_unit`] || fallbackUnit || "";
+    const unit = unitRaw ? String(unitRaw) : "";
+
+    // OFF commonly stores *_100g and *_serving.
+    // If *_serving is missing, *_value is often present and usually corresponds to serving.
+    const per100g = toNumber(off[`${offBaseKey}_100g`]);
+    const perServing =
+      toNumber(off[`${offBaseKey}_serving`]) ??
+      toNumber(off[`${offBaseKey}_value`]) ??
+      toNumber(off[offBaseKey]);
+
+    if (per100g == null && perServing == null) return;
+
+    out.push({
+      key: unifiedKey,
+      unit,
+      per_100g: per100g,
+      per_serving: perServing,
+      source: "off",
+      dataQuality: "off",
+      confidence: 0.6,
+    });
   };
+
+  // OFF key -> our unified nutrient key mapping
+  pushOff("energy-kcal", "energy_kcal", "kcal");
+  pushOff("proteins", "protein", "g");
+  pushOff("carbohydrates", "carbohydrate", "g");
+  pushOff("fat", "total_lipid_fat", "g");
+  pushOff("sugars", "total_sugars", "g");
+  pushOff("fiber", "fiber", "g");
+  pushOff("sodium", "sodium", "g");
+  pushOff("saturated-fat", "saturated_fat", "g");
+  pushOff("salt", "salt", "g");
+  pushOff("potassium", "potassium", "g");
+  pushOff("calcium", "calcium", "g");
+  pushOff("iron", "iron", "g");
+  pushOff("vitamin-c", "vitamin_c", "mg");
+  pushOff("vitamin-a", "vitamin_a", "µg");
+  pushOff("vitamin-d", "vitamin_d", "µg");
+  pushOff("vitamin-e", "vitamin_e_alpha_tocopherol", "mg");
+
+  return out;
+}
+
+// Grams in one serving of a food: serving_info when declared in g or mL (1 mL ≈ 1 g), otherwise the
+// default portion's gram weight; null when neither is known.
+export function gramsPerServingForFood(food) {
+  const info = food?.serving_info;
+  if (info && typeof info.serving_size === "number") {
+    const unit = String(info.serving_size_unit || "").toLowerCase();
+    if (unit === "g" || unit === "gram" || unit === "grams" || unit === "ml") return info.serving_size;
+  }
+  if (typeof food?.default_portion?.gram_weight === "number") return food.default_portion.gram_weight;
+  return null;
+}
+
+export function foodHasPerServingNutrients(food) {
+  // True if food.nutrients has any per-serving values OR OFF has any *_serving fields.
+  const nutrientsArr = Array.isArray(food?.nutrients) ? food.nutrients : [];
+  const hasPerServing = nutrientsArr.some((n) => {
+    const ps = n?.per_serving ?? n?.perServing;
+    return toNumber(ps) != null;
+  });
+  if (hasPerServing) return true;
+
+  const off = food?.off_nutriments;
+  if (!off || typeof off !== "object") return false;
+
+  // Cheap check: any key ending with _serving counts as per-serving data available.
+  // Also treat *_value as per-serving (OFF often uses *_value for the label/serving value).
+  return Object.keys(off).some((k) =>
+    typeof k === "string" && (k.endsWith("_serving") || k.endsWith("_value"))
+  );
+}
+
+// Build a per-food contribution map for this specific consumed amount.
+// Returns { byFieldAll, byFieldMain, byFieldEstimated } where:
+// - byFieldAll includes ALL contributions regardless of estimated/confidence
+// - byFieldMain includes only non-estimated contributions
+// - byFieldEstimated includes only estimated contributions
+export function computeContributionMapsForFood(food, grams, servings, opts = {}) {
+  const byFieldAll = {};
+  const byFieldMain = {};
+  const byFieldEstimated = {};
+
+  const factor = grams ? grams / 100.0 : 0;
+  const nutrients = getNormalizedNutrientsForFood(food);
+
+  for (const nutrient of nutrients) {
+    try {
+      const nutrientKey = typeof nutrient?.key === "string" ? nutrient.key : "";
+      if (!nutrientKey) continue;
+
+      const cfg = DAILY_PANEL_NUTRIENTS[nutrientKey];
+      if (!cfg) {
+        debugLog("[recomputeDailyNutritionTotals] skip nutrient (unknown key)", {
+          foodId: food?._id?.toString?.() || null,
+          name: food?.name || food?.common_name || null,
+          nutrientKey,
+          unit: nutrient?.unit || null,
+          source: nutrient?.source || null,
+        });
+        continue;
+      }
+
+      let unit = normalizeUnit(toUnitString(nutrient.unit));
+      const expectedUnit = normalizeUnit(cfg.unit);
+
+      // Special-case: water may arrive in mL in some pipelines; treat 1 mL ~= 1 g
+      if (nutrientKey === "water" && unit && unit.toLowerCase() === "ml") {
+        unit = "g";
+      }
+
+      let per100g = toNumber(nutrient.per_100g ?? nutrient.per100g);
+      let perServing = toNumber(nutrient.per_serving ?? nutrient.perServing);
+
+      // Vitamin A / D often appear twice in USDA-derived foods: once as IU and once as µg.
+      // Our totals are stored as vitamin_a_rae_ug / vitamin_d_ug, so if we convert IU here
+      // we can accidentally sum both forms. To avoid double-counting, aggregate only the µg
+      // representation and skip IU entries entirely.
+      const isVitAorD = nutrientKey === "vitamin_a" || nutrientKey === "vitamin_d";
+      const expectsMicrograms = normalizeUnit(expectedUnit) === "µg";
+      const unitIsIU = normalizeUnit(unit) === "iu";
+      if (isVitAorD && expectsMicrograms && unitIsIU) {
+        debugLog("[recomputeDailyNutritionTotals] skip nutrient (vitamin IU duplicate)", {
+          foodId: food?._id?.toString?.() || null,
+          name: food?.name || food?.common_name || null,
+          nutrientKey,
+          unit,
+          expectedUnit,
+          per100g,
+          perServing,
+          source: nutrient?.source || null,
+        });
+        continue;
+      }
+
+      if (expectedUnit && unit && String(unit) !== String(expectedUnit)) {
+        const canConvert100g = per100g != null && convertIfNeeded(per100g, unit, expectedUnit) != null;
+        const canConvertServing = perServing != null && convertIfNeeded(perServing, unit, expectedUnit) != null;
+
+        if (!canConvert100g && !canConvertServing) {
+          debugLog("[recomputeDailyNutritionTotals] skip nutrient (unit mismatch)", {
+            foodId: food?._id?.toString?.() || null,
+            name: food?.name || food?.common_name || null,
+            nutrientKey,
+            unit,
+            expectedUnit,
+            per100g,
+            perServing,
+            source: nutrient?.source || null,
+          });
+          continue;
+        }
+
+        if (per100g != null) {
+          const converted = convertIfNeeded(per100g, unit, expectedUnit);
+          if (converted != null) per100g = converted;
+        }
+        if (perServing != null) {
+          const converted = convertIfNeeded(perServing, unit, expectedUnit);
+          if (converted != null) perServing = converted;
+        }
+      }
+
+      const src = toUnitString(nutrient.source).toLowerCase();
+      const dq = toUnitString(nutrient.dataQuality ?? nutrient.data_quality).toLowerCase();
+      const conf = toNumber(nutrient.confidence);
+      const isEstimated =
+        nutrient?.is_estimated === true ||
+        nutrient?.isEstimated === true ||
+        src === "off" ||
+        dq === "off" ||
+        (conf != null && conf < 0.9);
+
+      // --- Policy rules ---
+      // 1) Never pull energy (kcal/kJ) into the estimated bucket.
+      // These should come from the label/primary dataset.
+      if (isEstimated && (nutrientKey === "energy_kcal" || nutrientKey === "energy_kj")) {
+        continue;
+      }
+
+      // 2) When a USDA equivalent exists for the food, do NOT use ingredient-based
+      // estimated nutrients for the primary food (we prefer USDA enrichment instead).
+      const suppressIngredientEstimates = opts && opts.suppressIngredientEstimates === true;
+      if (suppressIngredientEstimates && isEstimated) {
+        const isIngredientBased =
+          src.includes("ingredient") ||
+          src.includes("inferred_from_ingredients") ||
+          dq.includes("ingredient") ||
+          dq.includes("recipe_estimate") ||
+          dq.includes("ingredients_estimate");
+        if (isIngredientBased) {
+          continue;
+        }
+      }
+
+      let contribution = null;
+      if (servings && typeof perServing === "number") {
+        contribution = perServing * servings;
+      } else if (grams && typeof per100g === "number") {
+        contribution = per100g * factor;
+      }
+
+      if (typeof contribution !== "number" || Number.isNaN(contribution)) {
+        debugLog("[recomputeDailyNutritionTotals] skip nutrient (bad contribution)", {
+          foodId: food?._id?.toString?.() || null,
+          name: food?.name || food?.common_name || null,
+          nutrientKey,
+          unit,
+          expectedUnit,
+          per100g,
+          perServing,
+          grams,
+          servings,
+          source: nutrient?.source || null,
+        });
+        continue;
+      }
+
+      // water is stored as mL (1 g ~ 1 mL)
+      if (nutrientKey === "water" && cfg.field === "water_from_food_ml") {
+        contribution = contribution * 1;
+      }
+
+      byFieldAll[cfg.field] = (byFieldAll[cfg.field] || 0) + contribution;
+      if (isEstimated) {
+        byFieldEstimated[cfg.field] = (byFieldEstimated[cfg.field] || 0) + contribution;
+      } else {
+        byFieldMain[cfg.field] = (byFieldMain[cfg.field] || 0) + contribution;
+      }
+    } catch {
+      continue;
+    }
+  }
+
+  return { byFieldAll, byFieldMain, byFieldEstimated };
 }
 
 export async function recomputeDailyNutritionTotals(db, userId, dateKey) {
@@ -586,161 +1146,6 @@ export async function recomputeDailyNutritionTotals(db, userId, dateKey) {
     return { mergedTotals, mergedEstimated, preservedTimezone };
   }
 
-  // --- helpers for safe number/unit parsing ---
-  const toNumber = (v) => {
-    if (typeof v === "number" && Number.isFinite(v)) return v;
-
-    if (typeof v === "string") {
-      const n = Number(v);
-      return Number.isFinite(n) ? n : null;
-    }
-
-    // Handle Mongo numeric wrappers (e.g., Decimal128) and other numeric-like objects.
-    // We rely on toString() and then Number(...) so this stays dataset-agnostic.
-    if (v && typeof v === "object") {
-      try {
-        const s = typeof v.toString === "function" ? String(v.toString()) : "";
-        if (s) {
-          const n = Number(s);
-          return Number.isFinite(n) ? n : null;
-        }
-      } catch {
-        // ignore
-      }
-    }
-
-    return null;
-  };
-
-  // Debug logging for recompute
-  const DEBUG_RECOMPUTE = String(process.env.DEBUG_RECOMPUTE || "").toLowerCase() === "true";
-  const debugLog = (...args) => {
-    if (DEBUG_RECOMPUTE) console.log(...args);
-  };
-  const debugWarn = (...args) => {
-    if (DEBUG_RECOMPUTE) console.warn(...args);
-  };
-
-  const toUnitString = (v) => (typeof v === "string" ? v.trim() : "");
-  // Normalize common unit variants so OFF/USDA differences don't silently drop nutrients.
-  const normalizeUnit = (u) => {
-    const s = String(u || "").trim();
-    if (!s) return "";
-    const lower = s.toLowerCase();
-    if (lower === "ug") return "µg";
-    if (lower === "mcg") return "µg";
-    if (lower === "iu") return "iu";
-    if (lower === "kj") return "kj";
-    if (lower === "kcal") return "kcal";
-    if (lower === "mg") return "mg";
-    if (lower === "g") return "g";
-    return s;
-  };
-
-  // --- Safe mass-unit conversion (g <-> mg <-> µg) ---
-  function unitMultiplier(fromUnit, toUnit) {
-    const from = normalizeUnit(fromUnit);
-    const to = normalizeUnit(toUnit);
-    if (!from || !to) return null;
-    if (from === to) return 1;
-
-    // Only support mass conversions here (avoid kcal<->kJ, IU<->µg, etc.)
-    const mass = new Set(["g", "mg", "µg"]);
-    if (!mass.has(from) || !mass.has(to)) return null;
-
-    const scale = { "g": 1, "mg": 1e-3, "µg": 1e-6 };
-    const fromG = scale[from];
-    const toG = scale[to];
-    if (typeof fromG !== "number" || typeof toG !== "number") return null;
-
-    // Convert value in `from` to `to`:
-    // value_to = value_from * (from_in_g / to_in_g)
-    return fromG / toG;
-  }
-
-  function convertIfNeeded(value, fromUnit, toUnit) {
-    if (typeof value !== "number" || Number.isNaN(value)) return null;
-    const mult = unitMultiplier(fromUnit, toUnit);
-    if (mult == null) return null;
-    return value * mult;
-  }
-
-  // --- OFF fallback: synthesize a nutrients[] array from food.off_nutriments so serving-based meals work ---
-  function getNormalizedNutrientsForFood(food) {
-    const arr = Array.isArray(food?.nutrients) ? food.nutrients : [];
-    if (arr.length) return arr;
-
-    const off = food?.off_nutriments;
-    if (!off || typeof off !== "object") return [];
-
-    const out = [];
-
-    // Helper to push an OFF nutrient (supports both per 100g and per serving)
-    const pushOff = (offBaseKey, unifiedKey, fallbackUnit) => {
-      const unitRaw = off[`${offBaseKey}_unit`] || fallbackUnit || "";
-      const unit = unitRaw ? String(unitRaw) : "";
-
-      // OFF commonly stores *_100g and *_serving.
-      // If *_serving is missing, *_value is often present and usually corresponds to serving.
-      const per100g = toNumber(off[`${offBaseKey}_100g`]);
-      const perServing =
-        toNumber(off[`${offBaseKey}_serving`]) ??
-        toNumber(off[`${offBaseKey}_value`]) ??
-        toNumber(off[offBaseKey]);
-
-      if (per100g == null && perServing == null) return;
-
-      out.push({
-        key: unifiedKey,
-        unit,
-        per_100g: per100g,
-        per_serving: perServing,
-        source: "off",
-        dataQuality: "off",
-        confidence: 0.6,
-      });
-    };
-
-    // OFF key -> our unified nutrient key mapping
-    pushOff("energy-kcal", "energy_kcal", "kcal");
-    pushOff("proteins", "protein", "g");
-    pushOff("carbohydrates", "carbohydrate", "g");
-    pushOff("fat", "total_lipid_fat", "g");
-    pushOff("sugars", "total_sugars", "g");
-    pushOff("fiber", "fiber", "g");
-    pushOff("sodium", "sodium", "g");
-    pushOff("saturated-fat", "saturated_fat", "g");
-    pushOff("salt", "salt", "g");
-    pushOff("potassium", "potassium", "g");
-    pushOff("calcium", "calcium", "g");
-    pushOff("iron", "iron", "g");
-    pushOff("vitamin-c", "vitamin_c", "mg");
-    pushOff("vitamin-a", "vitamin_a", "µg");
-    pushOff("vitamin-d", "vitamin_d", "µg");
-    pushOff("vitamin-e", "vitamin_e_alpha_tocopherol", "mg");
-
-    return out;
-  }
-
-  function foodHasPerServingNutrients(food) {
-    // True if food.nutrients has any per-serving values OR OFF has any *_serving fields.
-    const nutrientsArr = Array.isArray(food?.nutrients) ? food.nutrients : [];
-    const hasPerServing = nutrientsArr.some((n) => {
-      const ps = n?.per_serving ?? n?.perServing;
-      return toNumber(ps) != null;
-    });
-    if (hasPerServing) return true;
-
-    const off = food?.off_nutriments;
-    if (!off || typeof off !== "object") return false;
-
-    // Cheap check: any key ending with _serving counts as per-serving data available.
-    // Also treat *_value as per-serving (OFF often uses *_value for the label/serving value).
-    return Object.keys(off).some((k) =>
-      typeof k === "string" && (k.endsWith("_serving") || k.endsWith("_value"))
-    );
-  }
-
   // 1. Load all meals for this user + date
   const meals = await userMealsCollection
     .find({ userId: userObjectId, dateKey })
@@ -877,35 +1282,8 @@ export async function recomputeDailyNutritionTotals(db, userId, dateKey) {
             });
           }
 
-          let gramsPerServing = null;
-
-          if (
-            food &&
-            food.serving_info &&
-            typeof food.serving_info.serving_size === "number"
-          ) {
-            const servingUnit = String(food.serving_info.serving_size_unit || "").toLowerCase();
-
-            // If serving size is declared in grams, use it directly.
-            if (servingUnit === "g" || servingUnit === "gram" || servingUnit === "grams") {
-              gramsPerServing = food.serving_info.serving_size;
-            }
-
-            // If serving size is declared in mL (common for soups/drinks), treat 1 mL ≈ 1 g
-            // for the purposes of computing USDA per-100g enrichment deltas.
-            if (gramsPerServing == null && servingUnit === "ml") {
-              gramsPerServing = food.serving_info.serving_size;
-            }
-          }
-
-          if (
-            gramsPerServing == null &&
-            food &&
-            food.default_portion &&
-            typeof food.default_portion.gram_weight === "number"
-          ) {
-            gramsPerServing = food.default_portion.gram_weight;
-          }
+          // mL servings (soups/drinks) count as ~1 g/mL for the per-100g enrichment deltas.
+          const gramsPerServing = gramsPerServingForFood(food);
 
           // Detect whether this food actually has per-serving nutrients available
           const hasPerServing = foodHasPerServingNutrients(food);
@@ -1213,170 +1591,6 @@ export async function recomputeDailyNutritionTotals(db, userId, dateKey) {
     totals_estimated[field] += value;
   };
 
-  // Build a per-food contribution map for this specific consumed amount.
-  // Returns { byFieldAll, byFieldMain, byFieldEstimated } where:
-  // - byFieldAll includes ALL contributions regardless of estimated/confidence
-  // - byFieldMain includes only non-estimated contributions
-  // - byFieldEstimated includes only estimated contributions
-function computeContributionMapsForFood(food, grams, servings, opts = {}) {
-    const byFieldAll = {};
-    const byFieldMain = {};
-    const byFieldEstimated = {};
-
-    const factor = grams ? grams / 100.0 : 0;
-    const nutrients = getNormalizedNutrientsForFood(food);
-
-    for (const nutrient of nutrients) {
-      try {
-        const nutrientKey = typeof nutrient?.key === "string" ? nutrient.key : "";
-        if (!nutrientKey) continue;
-
-        const cfg = DAILY_PANEL_NUTRIENTS[nutrientKey];
-        if (!cfg) {
-          debugLog("[recomputeDailyNutritionTotals] skip nutrient (unknown key)", {
-            foodId: food?._id?.toString?.() || null,
-            name: food?.name || food?.common_name || null,
-            nutrientKey,
-            unit: nutrient?.unit || null,
-            source: nutrient?.source || null,
-          });
-          continue;
-        }
-
-        let unit = normalizeUnit(toUnitString(nutrient.unit));
-        const expectedUnit = normalizeUnit(cfg.unit);
-
-        // Special-case: water may arrive in mL in some pipelines; treat 1 mL ~= 1 g
-        if (nutrientKey === "water" && unit && unit.toLowerCase() === "ml") {
-          unit = "g";
-        }
-
-        let per100g = toNumber(nutrient.per_100g ?? nutrient.per100g);
-        let perServing = toNumber(nutrient.per_serving ?? nutrient.perServing);
-
-        // Vitamin A / D often appear twice in USDA-derived foods: once as IU and once as µg.
-        // Our totals are stored as vitamin_a_rae_ug / vitamin_d_ug, so if we convert IU here
-        // we can accidentally sum both forms. To avoid double-counting, aggregate only the µg
-        // representation and skip IU entries entirely.
-        const isVitAorD = nutrientKey === "vitamin_a" || nutrientKey === "vitamin_d";
-        const expectsMicrograms = normalizeUnit(expectedUnit) === "µg";
-        const unitIsIU = normalizeUnit(unit) === "iu";
-        if (isVitAorD && expectsMicrograms && unitIsIU) {
-          debugLog("[recomputeDailyNutritionTotals] skip nutrient (vitamin IU duplicate)", {
-            foodId: food?._id?.toString?.() || null,
-            name: food?.name || food?.common_name || null,
-            nutrientKey,
-            unit,
-            expectedUnit,
-            per100g,
-            perServing,
-            source: nutrient?.source || null,
-          });
-          continue;
-        }
-
-        if (expectedUnit && unit && String(unit) !== String(expectedUnit)) {
-          const canConvert100g = per100g != null && convertIfNeeded(per100g, unit, expectedUnit) != null;
-          const canConvertServing = perServing != null && convertIfNeeded(perServing, unit, expectedUnit) != null;
-
-          if (!canConvert100g && !canConvertServing) {
-            debugLog("[recomputeDailyNutritionTotals] skip nutrient (unit mismatch)", {
-              foodId: food?._id?.toString?.() || null,
-              name: food?.name || food?.common_name || null,
-              nutrientKey,
-              unit,
-              expectedUnit,
-              per100g,
-              perServing,
-              source: nutrient?.source || null,
-            });
-            continue;
-          }
-
-          if (per100g != null) {
-            const converted = convertIfNeeded(per100g, unit, expectedUnit);
-            if (converted != null) per100g = converted;
-          }
-          if (perServing != null) {
-            const converted = convertIfNeeded(perServing, unit, expectedUnit);
-            if (converted != null) perServing = converted;
-          }
-        }
-
-        const src = toUnitString(nutrient.source).toLowerCase();
-        const dq = toUnitString(nutrient.dataQuality ?? nutrient.data_quality).toLowerCase();
-        const conf = toNumber(nutrient.confidence);
-        const isEstimated =
-          nutrient?.is_estimated === true ||
-          nutrient?.isEstimated === true ||
-          src === "off" ||
-          dq === "off" ||
-          (conf != null && conf < 0.9);
-
-        // --- Policy rules ---
-        // 1) Never pull energy (kcal/kJ) into the estimated bucket.
-        // These should come from the label/primary dataset.
-        if (isEstimated && (nutrientKey === "energy_kcal" || nutrientKey === "energy_kj")) {
-          continue;
-        }
-
-        // 2) When a USDA equivalent exists for the food, do NOT use ingredient-based
-        // estimated nutrients for the primary food (we prefer USDA enrichment instead).
-        const suppressIngredientEstimates = opts && opts.suppressIngredientEstimates === true;
-        if (suppressIngredientEstimates && isEstimated) {
-          const isIngredientBased =
-            src.includes("ingredient") ||
-            src.includes("inferred_from_ingredients") ||
-            dq.includes("ingredient") ||
-            dq.includes("recipe_estimate") ||
-            dq.includes("ingredients_estimate");
-          if (isIngredientBased) {
-            continue;
-          }
-        }
-
-        let contribution = null;
-        if (servings && typeof perServing === "number") {
-          contribution = perServing * servings;
-        } else if (grams && typeof per100g === "number") {
-          contribution = per100g * factor;
-        }
-
-        if (typeof contribution !== "number" || Number.isNaN(contribution)) {
-          debugLog("[recomputeDailyNutritionTotals] skip nutrient (bad contribution)", {
-            foodId: food?._id?.toString?.() || null,
-            name: food?.name || food?.common_name || null,
-            nutrientKey,
-            unit,
-            expectedUnit,
-            per100g,
-            perServing,
-            grams,
-            servings,
-            source: nutrient?.source || null,
-          });
-          continue;
-        }
-
-        // water is stored as mL (1 g ~ 1 mL)
-        if (nutrientKey === "water" && cfg.field === "water_from_food_ml") {
-          contribution = contribution * 1;
-        }
-
-        byFieldAll[cfg.field] = (byFieldAll[cfg.field] || 0) + contribution;
-        if (isEstimated) {
-          byFieldEstimated[cfg.field] = (byFieldEstimated[cfg.field] || 0) + contribution;
-        } else {
-          byFieldMain[cfg.field] = (byFieldMain[cfg.field] || 0) + contribution;
-        }
-      } catch {
-        continue;
-      }
-    }
-
-    return { byFieldAll, byFieldMain, byFieldEstimated };
-  }
-
   function addMapInto(targetAdder, map) {
     for (const [field, value] of Object.entries(map || {})) {
       targetAdder(field, value);
@@ -1779,6 +1993,87 @@ export async function recomputeDailyIngredientExposure(db, userId, dateKey) {
   });
 }
 
+/**
+ * Which meals on the given days contributed to one correlation input (evidence drill-down).
+ * - "ing:<name>" → items whose food's ingredient list contains <name> (same extraction as daily exposure)
+ * - nutrient keys → items with a non-zero contribution to a nutrient field; `fieldMatches(field)` decides
+ *   which DAILY_PANEL_NUTRIENTS field(s) the input corresponds to
+ * Returns Map<dateKey, [{ mealId, loggedAt, description, amount, items: [{ name, foodId, amount }] }]>;
+ * amount is a mention count for ingredients and the nutrient amount otherwise.
+ */
+export async function findMealsContributingToInput(db, userId, dateKeys, inputKey, { fieldMatches = () => false } = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const out = new Map();
+  const userObjectId = coerceObjectId(userId);
+  if (!userObjectId || !Array.isArray(dateKeys) || !dateKeys.length) return out;
+
+  const key = String(inputKey || "").trim().toLowerCase();
+  const ingredient = key.startsWith("ing:") ? key.slice(4) : null;
+
+  // Older meals store userId as a string.
+  const meals = await userMealsCollection
+    .find({ $or: [{ userId: userObjectId }, { userId: String(userObjectId) }], dateKey: { $in: dateKeys } })
+    .sort({ loggedAt: 1 })
+    .toArray();
+
+  const foodIds = new Set();
+  for (const meal of meals) {
+    for (const it of meal.items || []) {
+      if (it?.foodId) foodIds.add(String(it.foodId));
+      if (it?.usdaEquivalentFoodId) foodIds.add(String(it.usdaEquivalentFoodId));
+    }
+  }
+  const foods = await foodItemsCollection
+    .find({ _id: { $in: [...foodIds].filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id)) } })
+    .toArray();
+  const foodsById = new Map(foods.map((f) => [String(f._id), f]));
+
+  for (const meal of meals) {
+    const items = [];
+
+    for (const it of meal.items || []) {
+      const food = it?.foodId ? foodsById.get(String(it.foodId)) : null;
+      if (!food) continue;
+      const usdaFood =
+        it.useUSDAEquivalent && it.usdaEquivalentFoodId ? foodsById.get(String(it.usdaEquivalentFoodId)) : null;
+
+      let amount = 0;
+      if (ingredient) {
+        let { definite } = extractIngredientsFromFoodDoc(food);
+        if (!definite.length && usdaFood) definite = extractIngredientsFromFoodDoc(usdaFood).definite;
+        amount = definite.some((t) => String(t).toLowerCase() === ingredient) ? 1 : 0;
+      } else {
+        const unit = String(it.quantity?.unit || it.quantityUnit || "g").trim().toLowerCase();
+        const value = toNumber(it.quantity?.value);
+        const servings = unit.startsWith("serv") ? (value && value > 0 ? value : 1) : 0;
+        const perServing = servings ? gramsPerServingForFood(food) : null;
+        const grams = servings ? (perServing ? perServing * servings : 0) : value || 0;
+
+        const { byFieldAll } = computeContributionMapsForFood(food, grams, servings);
+        for (const [field, v] of Object.entries(byFieldAll || {})) {
+          if (fieldMatches(field) && Number.isFinite(v)) amount += v;
+        }
+      }
+
+      if (amount > 0) items.push({ name: it.name || food.name || null, foodId: String(it.foodId), amount });
+    }
+
+    if (!items.length) continue;
+    const list = out.get(meal.dateKey) || [];
+    list.push({
+      mealId: String(meal._id),
+      loggedAt: meal.loggedAt || null,
+      description: meal.description || null,
+      amount: items.reduce((sum, i) => sum + i.amount, 0),
+      items,
+    });
+    out.set(meal.dateKey, list);
+  }
+
+  return out;
+}
+
 
 function normalizeDateKey(dateKey) {
   // Expect YYYY-MM-DD
@@ -1810,6 +2105,8 @@ function mapUserMealDoc(doc) {
     id: doc._id?.toString?.() ?? null,
     dateKey: safeString(doc.dateKey) || null,
     loggedAt: doc.loggedAt || null,
+    // Send back as expectedRevision on PATCH to detect concurrent edits.
+    revision: Number.isInteger(doc.revision) ? doc.revision : 0,
     common_name: commonName,
 
     // Pass-through fields that help the UI show the “category” context
@@ -1930,12 +2227,7 @@ export async function deleteUserMeal(db, userId, mealId) {
 
   // Keep the daily rings / totals in sync
   if (dateKey) {
-    try {
-      await recomputeDailyNutritionTotals(db, userObjectId, dateKey);
-      await recomputeDailyIngredientExposure(db, userObjectId, dateKey);
-    } catch (e) {
-      console.error("[deleteUserMeal] recompute failed", e?.message || e);
-    }
+    await recomputeDayOrEnqueue(db, userObjectId, dateKey, "deleteUserMeal");
   }
 
   return {
@@ -1945,4 +2237,180 @@ export async function deleteUserMeal(db, userId, mealId) {
   };
 }
 
+// Edits keep the previous state of the changed fields on the meal doc:
+//   revision: number (0 = never edited)
+//   revisions: [{ revision, editedAt, changedFields: [...], previous: { items?, loggedAt?, dateKey?, timezone?, description? } }]
+// Only the most recent MEAL_REVISION_HISTORY_LIMIT entries are kept.
+const MEAL_REVISION_HISTORY_LIMIT = 20;
+
+/**
+ * updateUserMeal(db, userId, mealId, patch)
+ *
+ * patch (all optional, at least one required):
+ *   items            → replaces the item list (already normalized by the route, same as POST)
+ *   description      → string | null
+ *   loggedAt         → ISO string / ms; the logical dateKey is recomputed unless `dateKey` is given
+ *   timezone         → IANA zone used for the dateKey (defaults to the meal's stored timezone)
+ *   dateKey          → explicit YYYY-MM-DD override
+ *   expectedRevision → optional optimistic-concurrency check (409 when the meal changed meanwhile)
+ *
+ * Recomputes totals + ingredient exposure for the old and (if different) new dateKey.
+ */
+export async function updateUserMeal(db, userId, mealId, patch = {}) {
+  if (!db) throw new Error("DB not ready");
+
+  const userObjectId = coerceObjectId(userId);
+  if (!userObjectId) {
+    const err = new Error("Invalid userId");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (!mealId || typeof mealId !== "string" || !ObjectId.isValid(mealId)) {
+    const err = new Error("Missing or invalid 'mealId'");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const mealObjectId = new ObjectId(mealId);
+  const ownerFilter = { _id: mealObjectId, userId: { $in: [userObjectId, userObjectId.toString()] } };
+
+  const existing = await userMealsCollection.findOne(ownerFilter);
+  if (!existing) {
+    const err = new Error("Meal not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const currentRevision = Number.isInteger(existing.revision) ? existing.revision : 0;
+  if (patch.expectedRevision != null && Number(patch.expectedRevision) !== currentRevision) {
+    const err = new Error(`Meal was modified (revision ${currentRevision}); reload and retry`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const $set = {};
+  const previous = {};
+
+  if (patch.items !== undefined) {
+    if (!Array.isArray(patch.items) || patch.items.length === 0) {
+      const err = new Error("'items' must be a non-empty array");
+      err.statusCode = 400;
+      throw err;
+    }
+    let nextItems;
+    try {
+      nextItems = buildStoredMealItems(patch.items);
+    } catch {
+      const err = new Error("Invalid food id in 'items'");
+      err.statusCode = 400;
+      throw err;
+    }
+    $set.items = nextItems;
+    previous.items = existing.items ?? [];
+  }
+
+  if (patch.description !== undefined) {
+    const nextDescription = typeof patch.description === "string" && patch.description.trim() ? patch.description : null;
+    if (nextDescription !== (existing.description ?? null)) {
+      $set.description = nextDescription;
+      previous.description = existing.description ?? null;
+    }
+  }
+
+  const nextTimezone = safeTimeZone(patch.timezone) || existing.timezone || "UTC";
+  let nextLoggedAt = existing.loggedAt instanceof Date ? existing.loggedAt : new Date(existing.loggedAt);
+
+  if (patch.loggedAt !== undefined) {
+    const d = new Date(typeof patch.loggedAt === "number" ? patch.loggedAt : String(patch.loggedAt || ""));
+    if (Number.isNaN(d.getTime())) {
+      const err = new Error("Invalid 'loggedAt'");
+      err.statusCode = 400;
+      throw err;
+    }
+    if (d.getTime() !== nextLoggedAt.getTime()) {
+      $set.loggedAt = d;
+      previous.loggedAt = existing.loggedAt ?? null;
+    }
+    nextLoggedAt = d;
+  }
+
+  if (nextTimezone !== existing.timezone && patch.timezone !== undefined) {
+    $set.timezone = nextTimezone;
+    previous.timezone = existing.timezone ?? null;
+  }
+
+  if (patch.dateKey !== undefined && !isValidDateKey(patch.dateKey)) {
+    const err = new Error("Invalid 'dateKey' (expected YYYY-MM-DD)");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  // Same logical-day rule as logUserMeal: explicit dateKey wins, otherwise derive it when the time moved.
+  let nextDateKey = existing.dateKey;
+  if (isValidDateKey(patch.dateKey)) {
+    nextDateKey = patch.dateKey;
+  } else if ($set.loggedAt || $set.timezone) {
+    nextDateKey = computeLogicalDateKeyFromLoggedAt(nextLoggedAt, nextTimezone, 3);
+  }
+  if (nextDateKey !== existing.dateKey) {
+    $set.dateKey = nextDateKey;
+    previous.dateKey = existing.dateKey ?? null;
+  }
+
+  const changedFields = Object.keys($set);
+  if (changedFields.length === 0) {
+    const err = new Error("Nothing to update (send items, description, loggedAt, timezone or dateKey)");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const now = new Date();
+  const nextRevision = currentRevision + 1;
+
+  // Guard on the revision we read so two concurrent edits can't both apply on top of the same state.
+  const revisionFilter =
+    currentRevision === 0 ? { $or: [{ revision: { $exists: false } }, { revision: 0 }] } : { revision: currentRevision };
+
+  const result = await userMealsCollection.updateOne(
+    { ...ownerFilter, ...revisionFilter },
+    {
+      $set: { ...$set, revision: nextRevision, updatedAt: now },
+      $push: {
+        revisions: {
+          $each: [{ revision: nextRevision, editedAt: now, changedFields, previous }],
+          $slice: -MEAL_REVISION_HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+
+  if (result.matchedCount !== 1) {
+    const err = new Error("Meal was modified concurrently; reload and retry");
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const affectedDateKeys = [...new Set([existing.dateKey, nextDateKey].filter(isValidDateKey))];
+  for (const dk of affectedDateKeys) {
+    await recomputeDayOrEnqueue(db, userObjectId, dk, "updateUserMeal");
+  }
+
+  const updated = await userMealsCollection.findOne({ _id: mealObjectId });
+
+  return {
+    id: mealObjectId.toString(),
+    userId: userObjectId.toString(),
+    loggedAt: (updated.loggedAt instanceof Date ? updated.loggedAt : new Date(updated.loggedAt)).toISOString(),
+    dateKey: updated.dateKey,
+    previousDateKey: previous.dateKey !== undefined ? previous.dateKey : null,
+    timezone: updated.timezone || null,
+    description: updated.description || null,
+    items: mapStoredMealItemsForResponse(updated.items),
+    revision: updated.revision,
+    changedFields,
+    recomputedDateKeys: affectedDateKeys,
+  };
+}
+
 
@@ -2,12 +2,17 @@
 import { ObjectId } from "mongodb";
 import crypto from "crypto";
 import * as driV1Module from "./dri/datasets/dri_v1.js";
+import { buildDeviceLookupFilter, mapDeviceEntries, touchUserDevice, linkDeviceToUser } from "./devices.js";
+import { sendTemplatedMail } from "./mailer.js";
+import { registerUserDataDeletion, startUserDeletionJob, runUserDeletionJob } from "./deletion.js";
+import { registerJobHandler } from "./jobQueue.js";
 
 function mapUserDoc(user) {
   if (!user) return null;
   return {
     id: user._id.toString(),            // ✅ now the Mongo _id
-    deviceId: user.deviceId,           // still available explicitly
+    deviceId: user.deviceId,           // primary device (see `devices` for all linked devices)
+    devices: mapDeviceEntries(user),
     platform: user.platform ?? null,
     appVersion: user.appVersion ?? null,
     locale: user.locale ?? null,
@@ -28,62 +33,37 @@ function mapUserDoc(user) {
   };
 }
 
-export async function deleteUserAndAllData(db, userId) {
-  if (!db) {
-    const err = new Error("DB not ready");
-    err.statusCode = 500;
-    throw err;
-  }
-
-  const cleaned = String(userId || "").trim();
-  if (!cleaned || !ObjectId.isValid(cleaned)) {
-    const err = new Error("Missing or invalid user id");
-    err.statusCode = 400;
-    throw err;
-  }
-
-  const _id = new ObjectId(cleaned);
+// Account deletion: the users doc goes last so an interrupted deletion job can always resume.
+registerUserDataDeletion({ key: "user_recovery_email_sends", collection: "user_recovery_email_sends", order: 70 });
+registerUserDataDeletion({
+  key: "users",
+  collection: "users",
+  order: 1000,
+  run: async (db, ctx) => {
+    const r = await db.collection("users").deleteOne({ _id: ctx.userObjectId });
+    return r?.deletedCount ?? 0;
+  },
+});
 
-  const usersCol = db.collection("users");
-  const mealsCol = db.collection("user_meals");
-  const totalsCol = db.collection("user_daily_totals");
-  const userCorrelationsCol = db.collection("user_correlations");
-  const analysisCorrelationPacksCol = db.collection("user_analysis_correlation_packs");
+// Runs the full deletion job inline (see services/deletion.js for the registry of collections).
+// Routes that don't want to wait should use startUserDeletionJob + runUserDeletionJob directly.
+export async function deleteUserAndAllData(db, userId) {
+  const job = await startUserDeletionJob(db, userId);
+  const finished = job.status === "complete" ? job : await runUserDeletionJob(db, job.jobId);
 
-  // Delete user first
-  const userDelete = await usersCol.deleteOne({ _id });
-  if (!userDelete || userDelete.deletedCount !== 1) {
-    const err = new Error("User not found");
-    err.statusCode = 404;
+  if (finished.status !== "complete") {
+    const err = new Error(finished.error || "User deletion did not complete");
+    err.statusCode = 500;
+    err.jobId = finished.jobId;
     throw err;
   }
 
-  const safeDeleteMany = async (col, filter) => {
-    try {
-      const r = await col.deleteMany(filter);
-      return r?.deletedCount ?? 0;
-    } catch (e) {
-      console.warn("[deleteUserAndAllData] deleteMany skipped:", e?.message || e);
-      return 0;
-    }
-  };
-
-  // user_meals: sometimes userId stored as string, sometimes ObjectId
-  const mealsDeleted = await safeDeleteMany(mealsCol, { $or: [{ userId: cleaned }, { userId: _id }] });
-  const totalsDeleted = await safeDeleteMany(totalsCol, { $or: [{ userId: cleaned }, { userId: _id }] });
-  const userCorrelationsColDeleted = await safeDeleteMany(userCorrelationsCol, { $or: [{ userId: cleaned }, { userId: _id }] });
-  const analysisCorrelationPacksDeleted = await safeDeleteMany(analysisCorrelationPacksCol, { $or: [{ userId: cleaned }, { userId: _id }] });
-
   return {
     ok: true,
-    userId: cleaned,
-    deleted: {
-      users: 1,
-      user_meals: mealsDeleted,
-      user_daily_totals: totalsDeleted,
-      user_correlations: userCorrelationsColDeleted,
-      user_analysis_correlation_packs: analysisCorrelationPacksDeleted,
-    },
+    userId: finished.userId,
+    jobId: finished.jobId,
+    deleted: finished.receipt?.counts ?? {},
+    receipt: finished.receipt,
   };
 }
 
@@ -108,6 +88,17 @@ export async function ensureUser(db, payload) {
   const update = {
     $setOnInsert: {
       deviceId: cleanDeviceId,
+      devices: [
+        {
+          deviceId: cleanDeviceId,
+          platform: typeof platform === "string" ? platform : null,
+          appVersion: typeof appVersion === "string" ? appVersion : null,
+          label: null,
+          addedVia: "ensure",
+          addedAt: now,
+          lastSeenAt: now,
+        },
+      ],
       createdAt: now,
     },
     $set: {
@@ -126,26 +117,37 @@ export async function ensureUser(db, payload) {
     returnOriginal: false,
   };
 
-  const result = await usersCollection.findOneAndUpdate(
-    { deviceId: cleanDeviceId },
-    update,
-    options
-  );
+  // Any linked device resolves to the same account (not just the primary deviceId).
+  const deviceFilter = buildDeviceLookupFilter(cleanDeviceId);
+
+  let result;
+  try {
+    result = await usersCollection.findOneAndUpdate(deviceFilter, update, options);
+  } catch (e) {
+    // Two first launches racing on the same device: the unique devices.deviceId index rejects one insert.
+    if (e?.code !== 11000) throw e;
+    result = null;
+  }
 
   console.log("[ensureUser] findOneAndUpdate result:", {
     hasValue: !!result?.value,
     lastErrorObject: result?.lastErrorObject,
   });
 
-  let doc = result.value;
+  let doc = result?.value;
 
   // Fallback in case the driver still doesn't populate `value`
   if (!doc) {
     console.log("[ensureUser] value null, trying explicit findOne...");
-    doc = await usersCollection.findOne({ deviceId: cleanDeviceId });
+    doc = await usersCollection.findOne(deviceFilter);
     console.log("[ensureUser] fallback findOne found doc:", !!doc);
   }
 
+  if (doc) {
+    await touchUserDevice(db, doc, cleanDeviceId, { platform, appVersion });
+    doc = (await usersCollection.findOne({ _id: doc._id })) || doc;
+  }
+
   if (!doc) {
     const err = new Error("Failed to ensure user");
     err.statusCode = 500;
@@ -164,7 +166,7 @@ export async function findUserIdByDeviceId(db, deviceId) {
 
   const usersCollection = db.collection("users");
   const user = await usersCollection.findOne(
-    { deviceId: cleanDeviceId },
+    buildDeviceLookupFilter(cleanDeviceId),
     { projection: { _id: 1 } }
   );
 
@@ -179,7 +181,7 @@ export async function findUserByDeviceId(db, deviceId, projection = null) {
 
   const usersCollection = db.collection("users");
   return await usersCollection.findOne(
-    { deviceId: cleanDeviceId },
+    buildDeviceLookupFilter(cleanDeviceId),
     projection ? { projection } : undefined
   );
 }
@@ -486,6 +488,11 @@ export async function storeUserEnergySamples(db, userId, arg2, arg3, arg4) {
 //
 // Computes a running average from checkin.energy_samples and writes it into totals.
 // If `finalize: true`, marks the day as finalized (idempotent).
+// Finalizing a finished day runs as a "finalize_energy" background job (see services/jobQueue.js).
+registerJobHandler("finalize_energy", async (db, job) => {
+  await upsertUserEnergySnapshotForDate(db, String(job.userId), job.dateKey, { finalize: true });
+});
+
 export async function upsertUserEnergySnapshotForDate(db, userId, dateKey, options = {}) {
   if (!db) throw new Error("DB not ready");
 
@@ -602,6 +609,13 @@ export async function upsertUserEnergySnapshotForDate(db, userId, dateKey, optio
 //--------------------------------------------------------------------------------------------------------
 // Account recovery helpers (never store plaintext email)
 
+const RECOVERY_CODE_TTL_MINUTES = 15;
+const RECOVERY_CODE_MAX_ATTEMPTS = 5;
+const RECOVERY_LOCKOUT_MINUTES = 15;
+const RECOVERY_RESEND_MIN_INTERVAL_SECONDS = 60;
+const RECOVERY_RESEND_MAX_PER_HOUR = 5;
+const RECOVERY_SENDS_COLLECTION = "user_recovery_email_sends";
+
 function normalizeEmail(email) {
   return String(email || "").trim().toLowerCase();
 }
@@ -632,6 +646,141 @@ function hashCode(code) {
   return crypto.createHmac("sha256", secret).update(String(code || "").trim(), "utf8").digest("hex");
 }
 
+function tooManyRequests(message, retryAfterSeconds) {
+  const err = new Error(message);
+  err.statusCode = 429;
+  err.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds || 0));
+  return err;
+}
+
+// Resend throttling: one code per minute and at most RECOVERY_RESEND_MAX_PER_HOUR per hour,
+// counted separately per user and per email hash (so one inbox can't be flooded from many accounts).
+async function assertRecoverySendAllowed(db, { userId, emailHash }, now) {
+  const sendsCol = db.collection(RECOVERY_SENDS_COLLECTION);
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+  const scopes = [];
+  if (userId) scopes.push({ userId });
+  if (emailHash) scopes.push({ emailHash });
+
+  for (const scope of scopes) {
+    const recent = await sendsCol
+      .find({ ...scope, sentAt: { $gte: hourAgo } }, { projection: { sentAt: 1 } })
+      .sort({ sentAt: -1 })
+      .limit(RECOVERY_RESEND_MAX_PER_HOUR)
+      .toArray();
+
+    const latest = recent[0]?.sentAt ? new Date(recent[0].sentAt) : null;
+    if (latest) {
+      const sinceLatestSec = (now.getTime() - latest.getTime()) / 1000;
+      if (sinceLatestSec < RECOVERY_RESEND_MIN_INTERVAL_SECONDS) {
+        throw tooManyRequests(
+          "Please wait before requesting another code",
+          RECOVERY_RESEND_MIN_INTERVAL_SECONDS - sinceLatestSec
+        );
+      }
+    }
+
+    if (recent.length >= RECOVERY_RESEND_MAX_PER_HOUR) {
+      const oldest = new Date(recent[recent.length - 1].sentAt);
+      throw tooManyRequests(
+        "Too many codes requested; try again later",
+        (oldest.getTime() + 60 * 60 * 1000 - now.getTime()) / 1000
+      );
+    }
+  }
+}
+
+async function recordRecoverySend(db, { userId, emailHash, purpose }, now) {
+  await db.collection(RECOVERY_SENDS_COLLECTION).insertOne({
+    userId: userId ?? null,
+    emailHash,
+    purpose,
+    sentAt: now,
+  });
+}
+
+function assertRecoveryNotLocked(user, now) {
+  const lockedUntil = user?.recoveryEmailCodeLockedUntil ? new Date(user.recoveryEmailCodeLockedUntil) : null;
+  if (lockedUntil && now < lockedUntil) {
+    throw tooManyRequests(
+      "Too many incorrect codes; try again later",
+      (lockedUntil.getTime() - now.getTime()) / 1000
+    );
+  }
+}
+
+function lockRecoveryCodeEntry(usersCollection, userId, now) {
+  return usersCollection.updateOne(
+    { _id: userId },
+    {
+      $set: { recoveryEmailCodeLockedUntil: new Date(now.getTime() + RECOVERY_LOCKOUT_MINUTES * 60 * 1000) },
+      $unset: {
+        recoveryEmailPendingCodeHash: "",
+        recoveryEmailPendingCodeExpiresAt: "",
+        recoveryEmailPendingCodePurpose: "",
+        recoveryEmailPendingCodeAttempts: "",
+      },
+    }
+  );
+}
+
+// Checks a code against the pending one. The attempt is claimed atomically *before* comparing, so parallel
+// guesses can't all slip in under the limit. After RECOVERY_CODE_MAX_ATTEMPTS the code is burned and the
+// account is locked out of code entry/issuance for RECOVERY_LOCKOUT_MINUTES.
+// Returns the pending code hash that matched (callers consume the code conditionally on it).
+async function checkRecoveryCodeAttempt(usersCollection, user, code, now, { invalidMessage, expiredMessage }) {
+  const pendingHash = user.recoveryEmailPendingCodeHash;
+
+  // $not/$gte rather than $lt so codes issued before attempts were tracked (no field) can still be claimed.
+  const claimed = await usersCollection.findOneAndUpdate(
+    {
+      _id: user._id,
+      recoveryEmailPendingCodeHash: pendingHash,
+      recoveryEmailPendingCodeAttempts: { $not: { $gte: RECOVERY_CODE_MAX_ATTEMPTS } },
+    },
+    { $inc: { recoveryEmailPendingCodeAttempts: 1 } },
+    { returnDocument: "after", projection: { recoveryEmailPendingCodeAttempts: 1 } }
+  );
+
+  if (!claimed) {
+    // Either the attempts ran out (possibly in a parallel request) or the code was consumed / replaced meanwhile.
+    const current = await usersCollection.findOne(
+      { _id: user._id },
+      { projection: { recoveryEmailPendingCodeHash: 1, recoveryEmailCodeLockedUntil: 1 } }
+    );
+    if (current?.recoveryEmailPendingCodeHash === pendingHash) {
+      await lockRecoveryCodeEntry(usersCollection, user._id, now);
+      throw tooManyRequests("Too many incorrect codes; try again later", RECOVERY_LOCKOUT_MINUTES * 60);
+    }
+    assertRecoveryNotLocked(current, now);
+
+    const err = new Error(expiredMessage);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (hashCode(code) === pendingHash) return pendingHash;
+
+  const attempts = Number(claimed.recoveryEmailPendingCodeAttempts) || 0;
+  if (attempts >= RECOVERY_CODE_MAX_ATTEMPTS) {
+    await lockRecoveryCodeEntry(usersCollection, user._id, now);
+    throw tooManyRequests("Too many incorrect codes; try again later", RECOVERY_LOCKOUT_MINUTES * 60);
+  }
+
+  const err = new Error(invalidMessage);
+  err.statusCode = 401;
+  err.attemptsRemaining = RECOVERY_CODE_MAX_ATTEMPTS - attempts;
+  throw err;
+}
+
+// Pending codes are single-purpose: a verification code can't be used to recover and vice versa.
+// Codes issued before purposes existed have no purpose and are accepted by both.
+function pendingCodeMatchesPurpose(user, purpose) {
+  const stored = user?.recoveryEmailPendingCodePurpose;
+  return !stored || stored === purpose;
+}
+
 //--------------------------------------------------------------------------------------------------------
 // Account recovery endpoints (service layer)
 
@@ -661,15 +810,19 @@ export async function addRecoveryEmail(db, userId, email) {
     throw err;
   }
 
+  assertRecoveryNotLocked(existingUser, now);
+
   const recoveryEmailHash = hmacEmail(normalized);
+  await assertRecoverySendAllowed(db, { userId: existingUser._id, emailHash: recoveryEmailHash }, now);
+
   const sameEmailAsBefore = existingUser.recoveryEmailHash === recoveryEmailHash;
   const wasVerified = existingUser.recoveryEmailVerified === true;
 
   const code = random6DigitCode();
   const codeHash = hashCode(code);
-  const expiresAt = new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes
+  const expiresAt = new Date(now.getTime() + RECOVERY_CODE_TTL_MINUTES * 60 * 1000);
 
-  const result = await usersCollection.findOneAndUpdate(
+  await usersCollection.updateOne(
     { _id: new ObjectId(userId) },
     {
       $set: {
@@ -678,26 +831,21 @@ export async function addRecoveryEmail(db, userId, email) {
         recoveryEmailAddedAt: sameEmailAsBefore ? (existingUser.recoveryEmailAddedAt ?? now) : now,
         recoveryEmailPendingCodeHash: codeHash,
         recoveryEmailPendingCodeExpiresAt: expiresAt,
+        recoveryEmailPendingCodePurpose: "verify",
+        recoveryEmailPendingCodeAttempts: 0,
         lastSeenAt: now,
       },
-    },
-    { returnDocument: "after" }
+    }
   );
 
-  // TODO: send via email provider (SendGrid/Mailgun/etc).
-  // Dev-only:
-  console.log(
-    "[addRecoveryEmail] userId=",
-    userId,
-    " emailHash=",
-    recoveryEmailHash,
-    " code=",
-    code,
-    " expiresAt=",
-    expiresAt.toISOString()
-  );
+  await sendTemplatedMail({
+    to: normalized,
+    template: "recovery_email_verification",
+    vars: { code, expiresInMinutes: RECOVERY_CODE_TTL_MINUTES },
+  });
+  await recordRecoverySend(db, { userId: existingUser._id, emailHash: recoveryEmailHash, purpose: "verify" }, now);
 
-  return mapUserDoc(result.value);
+  return mapUserDoc(await usersCollection.findOne({ _id: new ObjectId(userId) }));
 }
 
 export async function verifyRecoveryEmail(db, userId, code) {
@@ -732,25 +880,25 @@ export async function verifyRecoveryEmail(db, userId, code) {
     throw err;
   }
 
+  assertRecoveryNotLocked(user, now);
+
   const expiresAt = user.recoveryEmailPendingCodeExpiresAt
     ? new Date(user.recoveryEmailPendingCodeExpiresAt)
     : null;
 
-  if (!user.recoveryEmailPendingCodeHash || !expiresAt || now > expiresAt) {
+  if (!user.recoveryEmailPendingCodeHash || !expiresAt || now > expiresAt || !pendingCodeMatchesPurpose(user, "verify")) {
     const err = new Error("Verification code expired or not requested");
     err.statusCode = 400;
     throw err;
   }
 
-  const providedHash = hashCode(cleanCode);
-  if (providedHash !== user.recoveryEmailPendingCodeHash) {
-    const err = new Error("Invalid verification code");
-    err.statusCode = 401;
-    throw err;
-  }
+  const matchedHash = await checkRecoveryCodeAttempt(usersCollection, user, cleanCode, now, {
+    invalidMessage: "Invalid verification code",
+    expiredMessage: "Verification code expired or not requested",
+  });
 
-  const result = await usersCollection.findOneAndUpdate(
-    { _id: new ObjectId(userId) },
+  await usersCollection.updateOne(
+    { _id: new ObjectId(userId), recoveryEmailPendingCodeHash: matchedHash },
     {
       $set: {
         recoveryEmailVerified: true,
@@ -760,12 +908,80 @@ export async function verifyRecoveryEmail(db, userId, code) {
       $unset: {
         recoveryEmailPendingCodeHash: "",
         recoveryEmailPendingCodeExpiresAt: "",
+        recoveryEmailPendingCodePurpose: "",
+        recoveryEmailPendingCodeAttempts: "",
+        recoveryEmailCodeLockedUntil: "",
       },
-    },
-    { returnDocument: "after" }
+    }
   );
 
-  return mapUserDoc(result.value);
+  return mapUserDoc(await usersCollection.findOne({ _id: new ObjectId(userId) }));
+}
+
+// Emails a recovery code to a verified recovery address.
+// Always resolves the same way whether or not the email belongs to an account (no account enumeration);
+// throttling still applies per email hash either way.
+export async function requestAccountRecoveryCode(db, email) {
+  if (!db) throw new Error("DB not ready");
+
+  const normalized = normalizeEmail(email);
+  if (!normalized || !normalized.includes("@")) {
+    const err = new Error("Missing or invalid 'email'");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const usersCollection = db.collection("users");
+  const now = new Date();
+  const emailHash = hmacEmail(normalized);
+
+  const user = await usersCollection.findOne({
+    recoveryEmailHash: emailHash,
+    recoveryEmailVerified: true,
+  });
+
+  // Only the per-email throttle may answer 429: it behaves the same whether or not an account exists.
+  await assertRecoverySendAllowed(db, { userId: null, emailHash }, now);
+
+  if (!user) {
+    await recordRecoverySend(db, { userId: null, emailHash, purpose: "recover" }, now);
+    return { ok: true };
+  }
+
+  // Account-specific limits (per-user throttle, code lockout) drop the send silently instead,
+  // so the response stays identical to the one for an unknown email.
+  try {
+    await assertRecoverySendAllowed(db, { userId: user._id, emailHash: null }, now);
+    assertRecoveryNotLocked(user, now);
+  } catch (err) {
+    if (err?.statusCode !== 429) throw err;
+    await recordRecoverySend(db, { userId: null, emailHash, purpose: "recover" }, now);
+    return { ok: true };
+  }
+
+  const code = random6DigitCode();
+  const expiresAt = new Date(now.getTime() + RECOVERY_CODE_TTL_MINUTES * 60 * 1000);
+
+  await usersCollection.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        recoveryEmailPendingCodeHash: hashCode(code),
+        recoveryEmailPendingCodeExpiresAt: expiresAt,
+        recoveryEmailPendingCodePurpose: "recover",
+        recoveryEmailPendingCodeAttempts: 0,
+      },
+    }
+  );
+
+  await sendTemplatedMail({
+    to: normalized,
+    template: "account_recovery_code",
+    vars: { code, expiresInMinutes: RECOVERY_CODE_TTL_MINUTES },
+  });
+  await recordRecoverySend(db, { userId: user._id, emailHash, purpose: "recover" }, now);
+
+  return { ok: true };
 }
 
 export async function recoverAccount(db, email, code, newDeviceId) {
@@ -794,55 +1010,69 @@ export async function recoverAccount(db, email, code, newDeviceId) {
     recoveryEmailVerified: true,
   });
 
+  // Unknown emails answer exactly like a code that was never requested (no account enumeration).
   if (!user) {
-    const err = new Error("Account not found or recovery email not verified");
-    err.statusCode = 404;
+    const err = new Error("Recovery code expired or not requested");
+    err.statusCode = 400;
     throw err;
   }
 
+  assertRecoveryNotLocked(user, now);
+
   const expiresAt = user.recoveryEmailPendingCodeExpiresAt
     ? new Date(user.recoveryEmailPendingCodeExpiresAt)
     : null;
 
-  if (!user.recoveryEmailPendingCodeHash || !expiresAt || now > expiresAt) {
+  if (!user.recoveryEmailPendingCodeHash || !expiresAt || now > expiresAt || !pendingCodeMatchesPurpose(user, "recover")) {
     const err = new Error("Recovery code expired or not requested");
     err.statusCode = 400;
     throw err;
   }
 
-  const providedHash = hashCode(cleanCode);
-  if (providedHash !== user.recoveryEmailPendingCodeHash) {
-    const err = new Error("Invalid recovery code");
-    err.statusCode = 401;
-    throw err;
-  }
-
-  const setObj = {
-    lastSeenAt: now,
-  };
-
-  if (typeof newDeviceId === "string" && newDeviceId.trim()) {
-    setObj.deviceId = newDeviceId.trim();
-  }
+  const matchedHash = await checkRecoveryCodeAttempt(usersCollection, user, cleanCode, now, {
+    invalidMessage: "Invalid recovery code",
+    expiredMessage: "Recovery code expired or not requested",
+  });
 
-  const result = await usersCollection.findOneAndUpdate(
-    { _id: user._id },
+  // Consume the code conditionally so two parallel correct submissions can't both recover.
+  const consumed = await usersCollection.updateOne(
+    { _id: user._id, recoveryEmailPendingCodeHash: matchedHash },
     {
-      $set: setObj,
+      $set: { lastSeenAt: now },
       $unset: {
         recoveryEmailPendingCodeHash: "",
         recoveryEmailPendingCodeExpiresAt: "",
+        recoveryEmailPendingCodePurpose: "",
+        recoveryEmailPendingCodeAttempts: "",
+        recoveryEmailCodeLockedUntil: "",
       },
-    },
-    { returnDocument: "after" }
+    }
   );
+  if (!consumed?.modifiedCount) {
+    const err = new Error("Recovery code expired or not requested");
+    err.statusCode = 400;
+    throw err;
+  }
 
-  return mapUserDoc(result.value);
+  // Recovery adds the new device alongside the existing ones instead of overwriting deviceId.
+  // The recovering device usually already has a fresh anonymous account from /users/ensure,
+  // so it is detached from that one (the verified email proves ownership of this account).
+  if (typeof newDeviceId === "string" && newDeviceId.trim()) {
+    await linkDeviceToUser(db, String(user._id), newDeviceId.trim(), {
+      addedVia: "recovery",
+      replaceExisting: true,
+    });
+  }
+
+  return mapUserDoc(await usersCollection.findOne({ _id: user._id }));
 }
 
 // --- DateKey helpers (UTC-safe) ---
+// Shape check plus a calendar round-trip, so "2024-02-31" or "2024-13-01" don't roll over into other days.
 export function isValidDateKey(dateKey) {
-  return typeof dateKey === "string" && /^\d{4}-\d{2}-\d{2}$/.test(dateKey);
+  if (typeof dateKey !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+  const dt = dateFromDateKeyUTC(dateKey);
+  return !Number.isNaN(dt.getTime()) && dateKeyFromDateUTC(dt) === dateKey;
 }
 
 export function dateFromDateKeyUTC(dateKey) {